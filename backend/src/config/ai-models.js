@@ -0,0 +1,137 @@
+/**
+ * AI model, limit, caching and feature configuration per subscription tier.
+ * Tier values come from the tier catalog in ./tiers
+ */
+
+const { TIERS, resolveTierId } = require('./tiers');
+
+// Model, limit, cache, throttle and feature settings keyed by upper-cased tier id, built from the tier catalog
+const AI_MODELS = TIERS.reduce((models, tier) => {
+    models[tier.id.toUpperCase()] = {
+        name: tier.name,
+        models: tier.models,
+        limits: {
+            dailyRequests: tier.quotas.aiRequestsPerDay,
+            monthlyRequests: tier.quotas.aiRequestsPerMonth
+        },
+        cache: tier.cache,
+        throttle: tier.throttle,
+        features: tier.features
+    };
+    return models;
+}, {});
+
+// Bedrock on-demand prices in USD per 1K tokens, input and output are billed separately
+const MODEL_PRICING = {
+    'amazon.titan-text-lite-v1': { input: 0.00015, output: 0.0002 },
+    'amazon.titan-text-express-v1': { input: 0.0002, output: 0.0006 },
+    'anthropic.claude-3-haiku-20240307-v1:0': { input: 0.00025, output: 0.00125 },
+    'anthropic.claude-3-sonnet-20240229-v1:0': { input: 0.003, output: 0.015 },
+    'anthropic.claude-3-5-sonnet-20240620-v1:0': { input: 0.003, output: 0.015 },
+    'anthropic.claude-3-opus-20240229-v1:0': { input: 0.015, output: 0.075 },
+    'cohere.command-text-v14': { input: 0.0015, output: 0.002 },
+    'cohere.command-light-text-v14': { input: 0.0003, output: 0.0006 },
+    'ai21.j2-mid-v1': { input: 0.0125, output: 0.0125 },
+    'ai21.j2-ultra-v1': { input: 0.0188, output: 0.0188 },
+    'meta.llama3-8b-instruct-v1:0': { input: 0.0003, output: 0.0006 },
+    'meta.llama3-70b-instruct-v1:0': { input: 0.00265, output: 0.0035 },
+    'mistral.mistral-7b-instruct-v0:2': { input: 0.00015, output: 0.0002 },
+    'mistral.mixtral-8x7b-instruct-v0:1': { input: 0.00045, output: 0.0007 }
+};
+
+// Unlisted models are priced conservatively at Claude 3 Sonnet rates
+const DEFAULT_MODEL_PRICING = { input: 0.003, output: 0.015 };
+
+// Inputs below this size are answered with a smaller output budget
+const SHORT_CONTENT_TOKENS = 200;
+
+// Upper-cased canonical tier id, resolving aliases such as PRO and ADVANCED
+const normalizeTier = (tier) => String(resolveTierId(tier) || tier || '').toUpperCase();
+
+// Tier config, or FREE when the tier is unknown
+const getTierConfig = (tier) => AI_MODELS[normalizeTier(tier)] || AI_MODELS.FREE;
+
+const getModelConfig = (tier, useCase) => {
+    const tierConfig = AI_MODELS[normalizeTier(tier)];
+    if (!tierConfig) {
+        throw new Error(`Invalid tier: ${tier}`);
+    }
+
+    const modelConfig = tierConfig.models[useCase];
+    if (!modelConfig) {
+        throw new Error(`Invalid use case: ${useCase} for tier: ${tier}`);
+    }
+
+    return {
+        ...modelConfig,
+        tier: tierConfig.name
+    };
+};
+
+// Blended per-tier price of a request, used for customer-facing quotes
+const calculateCost = (tier, useCase, inputTokens, outputTokens = 0) => {
+    const { costPerToken } = getModelConfig(tier, useCase);
+    return (inputTokens + outputTokens) * costPerToken;
+};
+
+const getModelPricing = (modelId) => MODEL_PRICING[modelId] || DEFAULT_MODEL_PRICING;
+
+// Actual model cost of a request, pricing input and output tokens at their own rates
+const calculateUsageCost = (modelId, inputTokens = 0, outputTokens = 0) => {
+    const pricing = getModelPricing(modelId);
+    const inputCost = (inputTokens / 1000) * pricing.input;
+    const outputCost = (outputTokens / 1000) * pricing.output;
+
+    return {
+        inputCost,
+        outputCost,
+        totalCost: inputCost + outputCost
+    };
+};
+
+// Compare current usage against the tier's daily and monthly request limits
+const checkLimits = (tier, dailyUsage = 0, monthlyUsage = 0) => {
+    const { limits } = getTierConfig(tier);
+
+    return {
+        dailyLimitExceeded: dailyUsage >= limits.dailyRequests,
+        monthlyLimitExceeded: monthlyUsage >= limits.monthlyRequests,
+        remainingDaily: Math.max(0, limits.dailyRequests - dailyUsage),
+        remainingMonthly: Math.max(0, limits.monthlyRequests - monthlyUsage)
+    };
+};
+
+const getTierLimits = (tier) => ({ ...getTierConfig(tier).limits });
+
+const getCacheConfig = (tier) => ({ ...getTierConfig(tier).cache });
+
+const getThrottleConfig = (tier) => ({ ...getTierConfig(tier).throttle });
+
+const getTierFeatures = (tier) => ({ ...getTierConfig(tier).features });
+
+// Model config for a request, trimming the output budget for short inputs
+const getOptimalModel = (tier, content, useCase) => {
+    const modelConfig = getModelConfig(tier, useCase);
+    const estimatedTokens = Math.ceil(String(content || '').length / 4);
+
+    if (estimatedTokens < SHORT_CONTENT_TOKENS) {
+        modelConfig.maxTokens = Math.min(modelConfig.maxTokens, 1024);
+    }
+
+    return modelConfig;
+};
+
+module.exports = {
+    AI_MODELS,
+    MODEL_PRICING,
+    getModelConfig,
+    calculateCost,
+    getModelPricing,
+    calculateUsageCost,
+    checkLimits,
+    getTierLimits,
+    getCacheConfig,
+    getThrottleConfig,
+    getTierFeatures,
+    getOptimalModel
+};
@@ -3,60 +3,14 @@ const mockUsers = new Map();
 const mockSubscriptions = new Map();
 const mockUsage = new Map();
 const mockFiles = new Map();
-
-// Mock Bedrock service
-class MockBedrockService {
-  async invokeModel(prompt, modelId = process.env.BEDROCK_MODEL_ID) {
-    console.log('🤖 Mock Bedrock invocation:', { prompt: prompt.substring(0, 100) + '...', modelId });
-    
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Return mock response based on prompt content
-    if (prompt.toLowerCase().includes('seo')) {
-      return `# SEO Optimized Content
-
-This is a mock response from the AI model. In a real implementation, this would be processed by AWS Bedrock using Claude 3.
-
-## Key Improvements Made:
-- Enhanced keyword density for better search visibility
-- Improved heading structure with H1, H2, H3 tags
-- Added meta description suggestions
-- Optimized content flow and readability
-
-## Original Content Analysis:
-The content has been analyzed and optimized for search engines while maintaining readability and user engagement.
-
-## SEO Recommendations:
-1. Include target keywords in the first paragraph
-2. Use semantic HTML structure
-3. Add internal and external links
-4. Optimize images with alt text
-5. Ensure mobile responsiveness
-
-This mock response demonstrates how the AI would transform your content for better SEO performance.`;
-    }
-    
-    return `# AI-Processed Content
-
-This is a mock response from the AI model. Your content has been processed and optimized according to your instructions.
-
-## Key Features:
-- Professional formatting
-- Improved readability
-- SEO optimization
-- Engaging structure
-
-The actual implementation would use AWS Bedrock with Claude 3 to provide sophisticated content transformation based on your specific prompts and requirements.`;
-  }
-
-  async processFileContent(content, userPrompt, fileType) {
-    console.log('📄 Mock file processing:', { fileType, promptLength: userPrompt.length });
-    
-    const systemPrompt = `Mock processing for ${fileType} file with user prompt: ${userPrompt}`;
-    return await this.invokeModel(systemPrompt);
-  }
-}
+const mockPayments = new Map();
+const mockWebhookEvents = new Map();
+const mockInvoices = new Map();
+const mockCoupons = new Map();
+const mockOrganizations = new Map();
+const mockApiKeys = new Map();
+const mockSessions = new Map();
+const mockObjects = new Map();
 
 // Mock S3 service
 class MockS3Service {
@@ -66,6 +20,8 @@ class MockS3Service {
     // Simulate upload delay
     await new Promise(resolve => setTimeout(resolve, 500));
     
+    mockObjects.set(key, { body: Buffer.isBuffer(body) ? body : Buffer.from(body), contentType });
+
     const mockUrl = `https://mock-bucket.s3.us-east-1.amazonaws.com/${key}`;
     console.log('✅ Mock S3 upload complete:', mockUrl);
     
@@ -75,12 +31,14 @@ class MockS3Service {
   async getFile(key) {
     console.log('📥 Mock S3 get:', { key });
     
-    // Return mock file content
-    return Buffer.from('Mock file content');
+    // Return stored content, or placeholder content for unknown keys
+    const object = mockObjects.get(key);
+    return object ? object.body : Buffer.from('Mock file content');
   }
 
   async deleteFile(key) {
     console.log('🗑️ Mock S3 delete:', { key });
+    mockObjects.delete(key);
     
     // Simulate delete
     await new Promise(resolve => setTimeout(resolve, 200));
@@ -104,7 +62,12 @@ class MockDynamoDBService {
     
     const storage = this.getStorage(tableName);
     const itemKey = this.getItemKey(tableName, key);
-    const item = storage.get(itemKey);
+    let item = storage.get(itemKey);
+    
+    // Users are stored by userId; lookups by email stand in for the EmailIndex
+    if (!item && key.email && !key.userId && storage === mockUsers) {
+      item = Array.from(storage.values()).find(user => user.email === key.email);
+    }
     
     await new Promise(resolve => setTimeout(resolve, 100));
     return item || null;
@@ -138,10 +101,17 @@ class MockDynamoDBService {
     } else {
       // Simple mock update logic for other cases
       if (updateExpression.includes('SET')) {
-        Object.keys(expressionAttributeValues).forEach(attrKey => {
-          const fieldName = attrKey.replace(':', '').replace('#', '');
-          item[fieldName] = expressionAttributeValues[attrKey];
-        });
+        // Value placeholders are named after their fields; '#' entries are attribute names, not values
+        Object.keys(expressionAttributeValues)
+          .filter(attrKey => !attrKey.startsWith('#'))
+          .forEach(attrKey => {
+            const fieldName = attrKey.replace(':', '');
+            item[fieldName] = expressionAttributeValues[attrKey];
+          });
+      }
+      const removed = updateExpression.match(/REMOVE\s+([\w\s,]+)/);
+      if (removed) {
+        removed[1].split(',').forEach(field => delete item[field.trim()]);
       }
       item.updatedAt = new Date().toISOString();
     }
@@ -152,15 +122,119 @@ class MockDynamoDBService {
     return item;
   }
 
+  // Atomic counter update, mirrors an UpdateItem with ADD and an optional "field < limit" condition
+  async incrementItem(tableName, key, increments, { limitField, limit, set = {} } = {}) {
+    console.log('➕ Mock DynamoDB increment:', { tableName, key, fields: Object.keys(increments) });
+    
+    const storage = this.getStorage(tableName);
+    const itemKey = this.getItemKey(tableName, key);
+    const item = storage.get(itemKey) || { ...key, createdAt: new Date().toISOString() };
+    
+    // Check and write before yielding so concurrent increments cannot interleave
+    if (limitField && limit !== undefined && (item[limitField] || 0) >= limit) {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      throw error;
+    }
+    
+    Object.entries(increments).forEach(([field, value]) => {
+      item[field] = (item[field] || 0) + value;
+    });
+    Object.assign(item, set);
+    item.updatedAt = new Date().toISOString();
+    storage.set(itemKey, item);
+    // The item as this increment left it, later ones change the stored one in place
+    const updated = { ...item };
+    
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return updated;
+  }
+
+  // Add to one entry of a map field, mirrors an ADD on a document path with a limit condition
+  async incrementMapEntry(tableName, key, field, entry, amount, { limit } = {}) {
+    console.log('➕ Mock DynamoDB map entry increment:', { tableName, key, field, entry });
+
+    const storage = this.getStorage(tableName);
+    const itemKey = this.getItemKey(tableName, key);
+    const item = storage.get(itemKey) || { ...key, createdAt: new Date().toISOString() };
+    const counts = { ...(item[field] || {}) };
+
+    // Check and write before yielding so concurrent increments cannot interleave
+    if (limit !== undefined && (counts[entry] || 0) >= limit) {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      throw error;
+    }
+
+    counts[entry] = (counts[entry] || 0) + amount;
+    item[field] = counts;
+    item.updatedAt = new Date().toISOString();
+    storage.set(itemKey, item);
+    const updated = { ...item };
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return updated;
+  }
+
+  // Conditional put, mirrors a PutItem with a ConditionExpression evaluated against the stored item
+  async putItemIf(tableName, item, condition) {
+    console.log('💾 Mock DynamoDB conditional put:', { tableName, itemKeys: Object.keys(item) });
+    
+    const storage = this.getStorage(tableName);
+    const itemKey = this.getItemKey(tableName, item);
+    
+    // Check and write before yielding so concurrent puts cannot interleave
+    if (!condition(storage.get(itemKey) || null)) {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      throw error;
+    }
+    storage.set(itemKey, { ...item });
+    
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  // Conditional update, mirrors an UpdateItem that SETs fields with a ConditionExpression
+  // evaluated against the stored item
+  async updateItemIf(tableName, key, fields, condition) {
+    console.log('✏️ Mock DynamoDB conditional update:', { tableName, key, fields: Object.keys(fields) });
+
+    const storage = this.getStorage(tableName);
+    const itemKey = this.getItemKey(tableName, key);
+    const stored = storage.get(itemKey) || null;
+
+    // Check and write before yielding so concurrent updates cannot interleave
+    if (!condition(stored)) {
+      const error = new Error('The conditional request failed');
+      error.code = 'ConditionalCheckFailedException';
+      throw error;
+    }
+    const item = { ...(stored || key), ...fields };
+    storage.set(itemKey, item);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return { ...item };
+  }
+
+  async scanItems(tableName, filter = () => true) {
+    console.log('🔎 Mock DynamoDB scan:', { tableName });
+    
+    const items = Array.from(this.getStorage(tableName).values()).filter(filter);
+    
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return items.map(item => ({ ...item }));
+  }
+
   async queryItems(tableName, keyConditionExpression, expressionAttributeValues) {
     console.log('🔎 Mock DynamoDB query:', { tableName, keyConditionExpression });
     
     const storage = this.getStorage(tableName);
     const items = Array.from(storage.values());
     
-    // Simple mock query logic
-    const userId = expressionAttributeValues[':userId'];
-    const filteredItems = items.filter(item => item.userId === userId);
+    // Simple mock query logic: equality on the key condition's attribute, e.g. userId = :userId
+    const [, field, placeholder] = keyConditionExpression.match(/(\w+)\s*=\s*(:\w+)/);
+    const value = expressionAttributeValues[placeholder];
+    const filteredItems = items.filter(item => item[field] === value);
     
     await new Promise(resolve => setTimeout(resolve, 100));
     return filteredItems;
@@ -197,12 +271,22 @@ class MockDynamoDBService {
         return mockUsage;
       case 'seo-nlp-files':
         return mockFiles;
+      case process.env.DYNAMODB_TABLE_PAYMENTS:
+      case 'seo-nlp-payments':
+        return mockPayments;
       default:
         // Try to determine storage type from table name
         if (tableName.includes('users')) return mockUsers;
         if (tableName.includes('subscriptions')) return mockSubscriptions;
         if (tableName.includes('usage')) return mockUsage;
         if (tableName.includes('files')) return mockFiles;
+        if (tableName.includes('payments')) return mockPayments;
+        if (tableName.includes('webhook-events')) return mockWebhookEvents;
+        if (tableName.includes('invoices')) return mockInvoices;
+        if (tableName.includes('coupons')) return mockCoupons;
+        if (tableName.includes('organizations')) return mockOrganizations;
+        if (tableName.includes('api-keys')) return mockApiKeys;
+        if (tableName.includes('sessions')) return mockSessions;
         return mockUsers; // Default fallback
     }
   }
@@ -220,8 +304,32 @@ class MockDynamoDBService {
     if (table.includes('subscriptions')) {
       return item.userId;
     }
+    if (table.includes('payments')) {
+      return item.orderId;
+    }
+    if (table.includes('webhook-events')) {
+      return item.eventId;
+    }
+    if (table.includes('invoices')) {
+      return item.invoiceId;
+    }
+    if (table.includes('coupons')) {
+      return item.code;
+    }
+    if (table.includes('organizations')) {
+      return item.orgId;
+    }
+    if (table.includes('api-keys')) {
+      return item.keyId;
+    }
+    if (table.includes('sessions')) {
+      return item.id;
+    }
+    if (table.includes('ai-usage')) {
+      return `${item.userId}#${item.period}`;
+    }
     if (table.includes('usage')) {
-      return `${item.userId}#${item.date}`;
+      return `${item.userId}#${item.monthKey || item.date}`;
     }
     return JSON.stringify(item);
   }
@@ -251,7 +359,6 @@ const initializeMockData = () => {
 initializeMockData();
 
 module.exports = {
-  BedrockService: new MockBedrockService(),
   S3Service: new MockS3Service(),
   DynamoDBService: new MockDynamoDBService()
 };
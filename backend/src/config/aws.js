@@ -172,6 +172,12 @@ module.exports = {
   USERS_TABLE: process.env.AWS_DYNAMODB_USERS_TABLE || 'nlp-converter-users',
   FILES_TABLE: process.env.AWS_DYNAMODB_FILES_TABLE || 'nlp-converter-files',
   SESSIONS_TABLE: process.env.AWS_DYNAMODB_SESSIONS_TABLE || 'nlp-converter-sessions',
+  AI_USAGE_TABLE: process.env.AWS_DYNAMODB_AI_USAGE_TABLE || 'nlp-converter-ai-usage',
+  WEBHOOK_EVENTS_TABLE: process.env.AWS_DYNAMODB_WEBHOOK_EVENTS_TABLE || 'nlp-converter-webhook-events',
+  INVOICES_TABLE: process.env.AWS_DYNAMODB_INVOICES_TABLE || 'nlp-converter-invoices',
+  COUPONS_TABLE: process.env.AWS_DYNAMODB_COUPONS_TABLE || 'nlp-converter-coupons',
+  ORGANIZATIONS_TABLE: process.env.AWS_DYNAMODB_ORGANIZATIONS_TABLE || 'nlp-converter-organizations',
+  API_KEYS_TABLE: process.env.AWS_DYNAMODB_API_KEYS_TABLE || 'nlp-converter-api-keys',
   
   // Lambda Function Names
   FILE_PROCESSOR_FUNCTION: process.env.AWS_LAMBDA_FILE_PROCESSOR || 'nlp-converter-file-processor',
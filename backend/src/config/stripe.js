@@ -0,0 +1,15 @@
+const billingSimulator = require('../services/billingSimulator');
+
+// Use Stripe when a real key is configured, the local billing simulator otherwise (outside production)
+const useStripe = Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY !== 'sk_test_mock_key_for_development');
+
+const stripe = useStripe
+  ? require('stripe')(process.env.STRIPE_SECRET_KEY)
+  : (billingSimulator.enabled ? billingSimulator.stripe : null);
+
+const STRIPE_WEBHOOK_SECRET = useStripe ? process.env.STRIPE_WEBHOOK_SECRET : billingSimulator.stripeWebhookSecret;
+
+module.exports = {
+  stripe,
+  STRIPE_WEBHOOK_SECRET
+};
@@ -0,0 +1,385 @@
+/**
+ * Subscription tier catalog - the single source of truth for tier names,
+ * aliases, prices, free trials, overage prices, quotas, file-size caps, features and AI models.
+ * Served to the frontend by GET /api/tiers.
+ */
+
+const MB = 1024 * 1024;
+
+const TIERS = [
+  {
+    id: 'free',
+    name: 'Free Tier',
+    shortName: 'Free',
+    rank: 0,
+    aliases: ['FREE'],
+    price: { monthly: 0, yearly: 0 },
+    stripePriceIds: { monthly: null, yearly: null },
+    paypalPlanIds: { monthly: null, yearly: null },
+    trialDays: 0,
+    overagePrice: null, // conversions stop at the quota
+    recommended: false,
+    quotas: {
+      conversionsPerMonth: 10,
+      processingPerDay: 5,
+      aiRequestsPerDay: 10,
+      aiRequestsPerMonth: 100,
+      concurrentFiles: 1,
+      maxPages: 5,
+      maxVariations: 0
+    },
+    maxFileSize: 5 * MB,
+    features: {
+      basicSEO: true,
+      keywordAnalysis: true,
+      contentSuggestions: false,
+      advancedAnalytics: false,
+      realTimeOptimization: false,
+      customPrompts: false
+    },
+    analysisTypes: ['basic_seo_analysis', 'keyword_extraction'],
+    modelLabel: 'Amazon Titan Text Lite',
+    models: {
+      textGeneration: {
+        modelId: 'amazon.titan-text-lite-v1',
+        maxTokens: 512,
+        temperature: 0.5,
+        costPerToken: 0.0003
+      },
+      contentOptimization: {
+        modelId: 'amazon.titan-text-lite-v1',
+        maxTokens: 512,
+        temperature: 0.3,
+        costPerToken: 0.0003
+      }
+    },
+    cache: {
+      enabled: true,
+      ttl: 3600 // 1 hour
+    },
+    throttle: {
+      requests: 1,
+      window: 60000 // per minute
+    },
+    highlights: ['Basic file formats (PDF, Excel, TXT, Images)', 'Community support']
+  },
+  {
+    id: 'basic',
+    name: 'Basic Plan',
+    shortName: 'Basic',
+    rank: 1,
+    aliases: ['BASIC'],
+    price: { monthly: 9.99, yearly: 99.99 },
+    stripePriceIds: {
+      monthly: process.env.STRIPE_PRICE_BASIC_MONTHLY || 'price_basic_monthly',
+      yearly: process.env.STRIPE_PRICE_BASIC_YEARLY || 'price_basic_yearly'
+    },
+    paypalPlanIds: {
+      monthly: process.env.PAYPAL_PLAN_BASIC_MONTHLY || 'P-BASIC-MONTHLY',
+      yearly: process.env.PAYPAL_PLAN_BASIC_YEARLY || 'P-BASIC-YEARLY'
+    },
+    trialDays: 14,
+    overagePrice: 0.25,
+    recommended: false,
+    quotas: {
+      conversionsPerMonth: 50,
+      processingPerDay: 50,
+      aiRequestsPerDay: 100,
+      aiRequestsPerMonth: 2000,
+      concurrentFiles: 2,
+      maxPages: 20,
+      maxVariations: 0
+    },
+    maxFileSize: 20 * MB,
+    features: {
+      basicSEO: true,
+      keywordAnalysis: true,
+      contentSuggestions: true,
+      advancedAnalytics: false,
+      realTimeOptimization: false,
+      customPrompts: false,
+      batchProcessing: true
+    },
+    analysisTypes: ['basic_seo_analysis', 'keyword_extraction', 'content_optimization', 'meta_description'],
+    modelLabel: 'Claude 3 Haiku',
+    models: {
+      textGeneration: {
+        modelId: 'anthropic.claude-3-haiku-20240307-v1:0',
+        maxTokens: 1024,
+        temperature: 0.5,
+        costPerToken: 0.0008
+      },
+      contentOptimization: {
+        modelId: 'anthropic.claude-3-haiku-20240307-v1:0',
+        maxTokens: 1024,
+        temperature: 0.3,
+        costPerToken: 0.0008
+      }
+    },
+    cache: {
+      enabled: true,
+      ttl: 1800 // 30 minutes
+    },
+    throttle: {
+      requests: 10,
+      window: 60000
+    },
+    highlights: ['All file formats supported', 'Processing history', 'Email support']
+  },
+  {
+    id: 'premium',
+    name: 'Premium Plan',
+    shortName: 'Premium',
+    rank: 2,
+    aliases: ['PREMIUM', 'PRO', 'ADVANCED'],
+    price: { monthly: 29.99, yearly: 299.99 },
+    stripePriceIds: {
+      monthly: process.env.STRIPE_PRICE_PREMIUM_MONTHLY || 'price_premium_monthly',
+      yearly: process.env.STRIPE_PRICE_PREMIUM_YEARLY || 'price_premium_yearly'
+    },
+    paypalPlanIds: {
+      monthly: process.env.PAYPAL_PLAN_PREMIUM_MONTHLY || 'P-PREMIUM-MONTHLY',
+      yearly: process.env.PAYPAL_PLAN_PREMIUM_YEARLY || 'P-PREMIUM-YEARLY'
+    },
+    trialDays: 14,
+    overagePrice: 0.15,
+    recommended: true,
+    quotas: {
+      conversionsPerMonth: 200,
+      processingPerDay: 200,
+      aiRequestsPerDay: 500,
+      aiRequestsPerMonth: 10000,
+      concurrentFiles: 5,
+      maxPages: 100,
+      maxVariations: 5
+    },
+    maxFileSize: 50 * MB,
+    features: {
+      basicSEO: true,
+      keywordAnalysis: true,
+      contentSuggestions: true,
+      advancedAnalytics: true,
+      realTimeOptimization: true,
+      customPrompts: true,
+      batchProcessing: true,
+      competitorAnalysis: true,
+      multiLanguage: true
+    },
+    analysisTypes: [
+      'advanced_seo_analysis', 'basic_seo_analysis', 'keyword_extraction', 'content_optimization',
+      'meta_description', 'competitor_analysis', 'content_strategy'
+    ],
+    modelLabel: 'Claude 3 Sonnet',
+    models: {
+      textGeneration: {
+        modelId: 'anthropic.claude-3-sonnet-20240229-v1:0',
+        maxTokens: 2048,
+        temperature: 0.7,
+        costPerToken: 0.003
+      },
+      contentOptimization: {
+        modelId: 'anthropic.claude-3-sonnet-20240229-v1:0',
+        maxTokens: 2048,
+        temperature: 0.4,
+        costPerToken: 0.003
+      }
+    },
+    cache: {
+      enabled: true,
+      ttl: 900 // 15 minutes
+    },
+    throttle: {
+      requests: 50,
+      window: 60000
+    },
+    highlights: ['Content variations generator', 'Analytics dashboard', 'Priority support']
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise Plan',
+    shortName: 'Enterprise',
+    rank: 3,
+    aliases: ['ENTERPRISE'],
+    price: { monthly: 99.99, yearly: 999.99 },
+    stripePriceIds: {
+      monthly: process.env.STRIPE_PRICE_ENTERPRISE_MONTHLY || 'price_enterprise_monthly',
+      yearly: process.env.STRIPE_PRICE_ENTERPRISE_YEARLY || 'price_enterprise_yearly'
+    },
+    paypalPlanIds: {
+      monthly: process.env.PAYPAL_PLAN_ENTERPRISE_MONTHLY || 'P-ENTERPRISE-MONTHLY',
+      yearly: process.env.PAYPAL_PLAN_ENTERPRISE_YEARLY || 'P-ENTERPRISE-YEARLY'
+    },
+    trialDays: 0,
+    overagePrice: 0.1,
+    recommended: false,
+    quotas: {
+      conversionsPerMonth: 1000,
+      processingPerDay: 1000,
+      aiRequestsPerDay: 2000,
+      aiRequestsPerMonth: 50000,
+      concurrentFiles: 10,
+      maxPages: null, // unlimited
+      maxVariations: 10
+    },
+    maxFileSize: 100 * MB,
+    features: {
+      basicSEO: true,
+      keywordAnalysis: true,
+      contentSuggestions: true,
+      advancedAnalytics: true,
+      realTimeOptimization: true,
+      customPrompts: true,
+      batchProcessing: true,
+      competitorAnalysis: true,
+      multiLanguage: true,
+      customModels: true,
+      prioritySupport: true,
+      whiteLabel: true,
+      apiAccess: true
+    },
+    analysisTypes: [
+      'premium_seo_analysis', 'advanced_seo_analysis', 'basic_seo_analysis', 'keyword_extraction',
+      'content_optimization', 'meta_description', 'competitor_analysis', 'content_strategy',
+      'technical_seo', 'schema_markup', 'performance_optimization'
+    ],
+    modelLabel: 'Claude 3 Opus',
+    models: {
+      textGeneration: {
+        modelId: 'anthropic.claude-3-opus-20240229-v1:0',
+        maxTokens: 4096,
+        temperature: 0.7,
+        costPerToken: 0.015
+      },
+      contentOptimization: {
+        modelId: 'anthropic.claude-3-opus-20240229-v1:0',
+        maxTokens: 4096,
+        temperature: 0.4,
+        costPerToken: 0.015
+      }
+    },
+    cache: {
+      enabled: true,
+      ttl: 300 // 5 minutes
+    },
+    throttle: {
+      requests: 200,
+      window: 60000
+    },
+    highlights: ['Full API access', 'Custom integrations', 'Dedicated support']
+  }
+];
+
+const DEFAULT_TIER_ID = 'free';
+
+// Billing cycles every paid tier is offered in, shortest first
+const BILLING_CYCLES = ['monthly', 'yearly'];
+
+// Metered Stripe price that overage conversions are billed through. It costs one cent per unit and
+// each conversion reports its tier's overagePrice in cents, so one price serves every tier
+const OVERAGE_STRIPE_PRICE_ID = process.env.STRIPE_PRICE_OVERAGE || 'price_conversion_overage';
+
+// Canonical id, alias and display name -> canonical id, all upper-cased
+const TIER_LOOKUP = TIERS.reduce((lookup, tier) => {
+  [tier.id, tier.shortName, ...tier.aliases].forEach(name => {
+    lookup[name.toUpperCase()] = tier.id;
+  });
+  return lookup;
+}, {});
+
+// Largest upload any tier accepts, used as the hard multipart limit
+const MAX_FILE_SIZE = Math.max(...TIERS.map(tier => tier.maxFileSize));
+
+// Canonical tier id for any spelling or alias, or null when unknown
+const resolveTierId = (tier) => TIER_LOOKUP[String(tier || '').toUpperCase()] || null;
+
+// Tier definition, or null when unknown
+const findTier = (tier) => {
+  const id = resolveTierId(tier);
+  return id ? TIERS.find(entry => entry.id === id) : null;
+};
+
+// Tier definition, falling back to the free tier when unknown
+const getTier = (tier) => findTier(tier) || findTier(DEFAULT_TIER_ID);
+
+// Paid tier and billing cycle of a PayPal billing plan id, or null when unknown
+const findTierByPaypalPlan = (planId) => {
+  for (const tier of TIERS) {
+    const billingCycle = Object.keys(tier.paypalPlanIds).find(cycle => planId && tier.paypalPlanIds[cycle] === planId);
+    if (billingCycle) {
+      return { tier, billingCycle };
+    }
+  }
+  return null;
+};
+
+// Paid tier and billing cycle of a Stripe price id, or null when unknown
+const findTierByStripePrice = (priceId) => {
+  for (const tier of TIERS) {
+    const billingCycle = Object.keys(tier.stripePriceIds).find(cycle => priceId && tier.stripePriceIds[cycle] === priceId);
+    if (billingCycle) {
+      return { tier, billingCycle };
+    }
+  }
+  return null;
+};
+
+// Tier of a user record, accepting both the subscriptionTier and legacy tier attributes
+const getUserTier = (user) => getTier(user && (user.subscriptionTier || user.tier));
+
+const getUserTierId = (user) => getUserTier(user).id;
+
+const hasTierAtLeast = (tier, requiredTier) => getTier(tier).rank >= getTier(requiredTier).rank;
+
+const formatFileSize = (bytes) => `${Math.round(bytes / MB)} MB`;
+
+// Human-readable plan features, shared by the pricing page and the plans endpoint
+const describeTier = (tier) => [
+  `${tier.quotas.conversionsPerMonth} file conversions per month`,
+  `${tier.quotas.aiRequestsPerDay} AI requests per day`,
+  `File size limit: ${formatFileSize(tier.maxFileSize)}`,
+  tier.features.batchProcessing
+    ? `Batch processing (up to ${tier.quotas.concurrentFiles} files)`
+    : 'Single file processing only',
+  `${tier.modelLabel} AI model`,
+  ...tier.highlights
+];
+
+// Catalog as served to clients, without model pricing internals
+const getPublicCatalog = () => TIERS.map(tier => ({
+  id: tier.id,
+  name: tier.name,
+  shortName: tier.shortName,
+  rank: tier.rank,
+  aliases: tier.aliases,
+  price: { ...tier.price },
+  trialDays: tier.trialDays,
+  overagePrice: tier.overagePrice,
+  recommended: tier.recommended,
+  quotas: { ...tier.quotas },
+  maxFileSize: tier.maxFileSize,
+  features: { ...tier.features },
+  analysisTypes: [...tier.analysisTypes],
+  model: {
+    label: tier.modelLabel,
+    modelId: tier.models.textGeneration.modelId
+  },
+  featureList: describeTier(tier)
+}));
+
+module.exports = {
+  TIERS,
+  DEFAULT_TIER_ID,
+  BILLING_CYCLES,
+  OVERAGE_STRIPE_PRICE_ID,
+  MAX_FILE_SIZE,
+  resolveTierId,
+  findTier,
+  getTier,
+  findTierByPaypalPlan,
+  findTierByStripePrice,
+  getUserTier,
+  getUserTierId,
+  hasTierAtLeast,
+  describeTier,
+  getPublicCatalog
+};
@@ -1,7 +1,137 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { DynamoDBService } = require('../config/aws');
+const { DEFAULT_TIER_ID, getTier, getUserTierId, hasTierAtLeast } = require('../config/tiers');
+const organizationService = require('../services/organizationService');
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Admins are users with role "admin", or whose email is listed in ADMIN_EMAILS (to bootstrap the first admin)
+const getUserRole = (user) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (user.role === 'admin' || (user.email && adminEmails.includes(user.email.toLowerCase()))) {
+    return 'admin';
+  }
+  return user.role || 'user';
+};
+
+// Whether access tokens without a session are still accepted: until the LEGACY_TOKENS_ACCEPTED_UNTIL
+// date, if set, which should be at least the lifetime of the long-lived tokens issued before sessions
+const acceptsLegacyTokens = () => {
+  const until = Date.parse(process.env.LEGACY_TOKENS_ACCEPTED_UNTIL || '');
+  return !Number.isNaN(until) && Date.now() < until;
+};
+
+// Raw API key of a request, sent as `Authorization: ApiKey <key>` or `X-API-Key: <key>`; null when
+// the request carries none
+const getApiKey = (req) => {
+  const [scheme, credentials] = (req.headers['authorization'] || '').split(' ');
+  if (scheme === 'ApiKey') {
+    return credentials || '';
+  }
+  return req.headers['x-api-key'] || null;
+};
+
+// Set req.user for an active user, in the organization the request acts for (whose plan replaces
+// the user's own). Organizations can require two-factor authentication: logins and API keys of
+// members without it are refused in their context, except logins on the routes that let them
+// enable it. Answers and returns false when the request cannot go on
+const establishUser = async (req, res, user, credentials) => {
+  if (!user || !user.active) {
+    res.status(401).json({ error: 'Invalid or inactive user' });
+    return false;
+  }
+
+  let context;
+  try {
+    context = await organizationService.resolveContext(user, req.headers['x-organization-id']);
+  } catch (contextError) {
+    if (!contextError.statusCode) {
+      throw contextError;
+    }
+    res.status(contextError.statusCode).json({ error: contextError.message });
+    return false;
+  }
+
+  if (context && twoFactorService.isRequiredBy(context.organization) &&
+      !credentials.allowWithoutTwoFactor && !twoFactorService.isEnabled(user)) {
+    res.status(403).json({
+      error: 'This organization requires two-factor authentication. Enable it on your profile to continue',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+    return false;
+  }
+
+  req.user = {
+    userId: user.userId,
+    email: credentials.email || user.email,
+    subscriptionTier: context ? getTier(context.organization.tier).id : getUserTierId(user),
+    role: getUserRole(user),
+    organizationId: context ? context.organization.orgId : null,
+    organizationRole: context ? context.member.role : null,
+    authMethod: credentials.authMethod,
+    apiKeyId: credentials.apiKeyId || null,
+    sessionId: credentials.sessionId || null,
+    // null for logins, which may do anything the user can
+    scopes: credentials.scopes || null
+  };
+  req.organization = context ? context.organization : null;
+  return true;
+};
+
+// API key requests: the key must hold the route's scope, stay within its rate limit, and belong to
+// a user whose plan includes API access
+const authenticateApiKey = async (req, res, next, rawKey, scope) => {
+  let apiKey;
+  try {
+    apiKey = await apiKeyService.verify(rawKey);
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This API key does not have the ${scope} scope` });
+    }
+
+    const { limit, remaining } = apiKeyService.consumeRateLimit(apiKey);
+    res.set({ 'X-RateLimit-Limit': String(limit), 'X-RateLimit-Remaining': String(remaining) });
+  } catch (keyError) {
+    if (!keyError.statusCode) {
+      throw keyError;
+    }
+    if (keyError.retryAfter) {
+      res.set({ 'Retry-After': String(keyError.retryAfter), 'X-RateLimit-Limit': String(keyError.limit), 'X-RateLimit-Remaining': '0' });
+    }
+    return res.status(keyError.statusCode).json({ error: keyError.message });
+  }
+
+  const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: apiKey.userId });
+  if (!(await establishUser(req, res, user, { authMethod: 'apiKey', apiKeyId: apiKey.keyId, scopes: apiKey.scopes }))) {
+    return;
+  }
+  if (!getTier(req.user.subscriptionTier).features.apiAccess) {
+    return res.status(403).json({ error: 'API access is not included in your plan' });
+  }
+
+  await apiKeyService.recordUse(apiKey, req.ip);
+  next();
+};
+
+// Authenticate a login's JWT, or, on routes that name the scope they need, an API key. Routes
+// without a scope refuse API keys, so account and billing endpoints stay login-only.
+// allowWithoutTwoFactor lets members of organizations that require two-factor authentication in
+// before they have enabled it, on the routes they need to do so
+const authenticate = ({ scope, allowWithoutTwoFactor = false } = {}) => async (req, res, next) => {
+  try {
+    const rawKey = getApiKey(req);
+    if (rawKey !== null) {
+      if (!scope) {
+        return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+      }
+      return await authenticateApiKey(req, res, next, rawKey, scope);
+    }
+  } catch (error) {
+    console.error('API key verification error:', error);
+    return res.status(500).json({ error: 'Failed to verify API key' });
+  }
 
-const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -11,6 +141,20 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Other signed tokens, such as download links, are not logins
+    if (decoded.purpose) {
+      return res.status(403).json({ error: 'Invalid token' });
+    }
+    // Tokens name their session, which may have been revoked since they were issued. Tokens from
+    // before sessions existed name none, and are only accepted until LEGACY_TOKENS_ACCEPTED_UNTIL
+    if (!decoded.sid) {
+      if (!acceptsLegacyTokens()) {
+        return res.status(401).json({ error: 'Please log in again', code: 'SESSION_REQUIRED' });
+      }
+    } else if (!(await sessionService.isActive(decoded.sid, decoded.userId))) {
+      return res.status(401).json({ error: 'Session has been revoked', code: 'SESSION_REVOKED' });
+    }
     
     // Get user from database to check if still active
     const user = await DynamoDBService.getItem(
@@ -18,36 +162,63 @@ const authenticateToken = async (req, res, next) => {
       { userId: decoded.userId }
     );
 
-    if (!user || !user.active) {
-      return res.status(401).json({ error: 'Invalid or inactive user' });
+    if (await establishUser(req, res, user, { authMethod: 'jwt', email: decoded.email, sessionId: decoded.sid, allowWithoutTwoFactor })) {
+      next();
     }
-
-    req.user = {
-      userId: decoded.userId,
-      email: decoded.email,
-      subscriptionTier: user.subscriptionTier || 'free'
-    };
-    
-    next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+    }
     console.error('Token verification error:', error);
     return res.status(403).json({ error: 'Invalid token' });
   }
 };
 
-const checkSubscription = (requiredTier = 'free') => {
-  return async (req, res, next) => {
-    const tierLevels = {
-      'free': 0,
-      'basic': 1,
-      'premium': 2,
-      'enterprise': 3
-    };
+const authenticateToken = authenticate();
 
-    const userTierLevel = tierLevels[req.user.subscriptionTier] || 0;
-    const requiredTierLevel = tierLevels[requiredTier] || 0;
+// Guests share one stricter limit per IP, on top of the global limiter and the free plan's quotas
+const guestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.GUEST_RATE_LIMIT, 10) || 20,
+  message: { error: 'Guest request limit reached. Sign in for higher limits', code: 'GUEST_RATE_LIMITED' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
-    if (userTierLevel < requiredTierLevel) {
+// Like authenticate, but requests without any credentials continue as guests on the free plan,
+// identified by IP, unless GUEST_MODE=disabled. Requests with credentials never fall back to a
+// guest: an invalid token or key is still refused
+const authenticateOrGuest = ({ scope } = {}) => {
+  const authenticateUser = authenticate({ scope });
+
+  return (req, res, next) => {
+    if (req.headers['authorization'] || getApiKey(req) !== null) {
+      return authenticateUser(req, res, next);
+    }
+    if (process.env.GUEST_MODE === 'disabled') {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    req.user = {
+      userId: `guest:${req.ip}`,
+      email: null,
+      subscriptionTier: DEFAULT_TIER_ID,
+      role: 'guest',
+      organizationId: null,
+      organizationRole: null,
+      authMethod: 'guest',
+      apiKeyId: null,
+      sessionId: null,
+      scopes: []
+    };
+    req.organization = null;
+    guestLimiter(req, res, next);
+  };
+};
+
+const checkSubscription = (requiredTier = 'free') => {
+  return async (req, res, next) => {
+    if (!hasTierAtLeast(req.user.subscriptionTier, requiredTier)) {
       return res.status(403).json({ 
         error: 'Subscription upgrade required',
         required: requiredTier,
@@ -59,6 +230,13 @@ const checkSubscription = (requiredTier = 'free') => {
   };
 };
 
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 const checkUsageLimit = async (req, res, next) => {
   try {
     const today = new Date().toISOString().split('T')[0];
@@ -72,15 +250,8 @@ const checkUsageLimit = async (req, res, next) => {
       usageKey
     );
 
-    const limits = {
-      'free': 5,
-      'basic': 50,
-      'premium': 200,
-      'enterprise': 1000
-    };
-
     const currentUsage = usage ? usage.count : 0;
-    const limit = limits[req.user.subscriptionTier] || limits['free'];
+    const limit = getTier(req.user.subscriptionTier).quotas.processingPerDay;
 
     if (currentUsage >= limit) {
       return res.status(429).json({ 
@@ -99,7 +270,10 @@ const checkUsageLimit = async (req, res, next) => {
 };
 
 module.exports = {
+  authenticate,
   authenticateToken,
+  authenticateOrGuest,
   checkSubscription,
+  requireAdmin,
   checkUsageLimit
 };
@@ -0,0 +1,132 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const webhookLedger = require('../services/webhookLedger');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const couponService = require('../services/couponService');
+const { CognitoAuthProvider } = require('../services/authProvider');
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// Dead-lettered webhook events, most recent first
+router.get('/webhooks/dead-letters', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const events = await webhookLedger.listDeadLetters(limit);
+
+    // Payloads are left out of the listing, GET /webhooks/:eventId returns them
+    res.json({
+      events: events.map(entry => ({ ...entry, payload: undefined }))
+    });
+  } catch (error) {
+    console.error('Dead letter listing error:', error);
+    res.status(500).json({ error: 'Failed to list dead-lettered events' });
+  }
+});
+
+// Ledger entry of a webhook event, including its payload
+router.get('/webhooks/:eventId', async (req, res) => {
+  try {
+    const entry = await webhookLedger.get(req.params.eventId);
+    if (!entry) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Webhook event fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook event' });
+  }
+});
+
+// Re-run a dead-lettered event
+router.post('/webhooks/:eventId/replay', async (req, res) => {
+  try {
+    const result = await stripeWebhookService.replay(req.params.eventId);
+    res.json({ eventId: req.params.eventId, ...result });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Webhook replay error:', error);
+    res.status(500).json({ error: 'Replay failed', details: error.message });
+  }
+});
+
+// Coupons, by code
+router.get('/coupons', async (req, res) => {
+  try {
+    const coupons = await couponService.list();
+    res.json({ coupons: coupons.map(coupon => couponService.toPublic(coupon)) });
+  } catch (error) {
+    console.error('Coupon listing error:', error);
+    res.status(500).json({ error: 'Failed to list coupons' });
+  }
+});
+
+router.post('/coupons', async (req, res) => {
+  try {
+    const coupon = await couponService.create(req.body);
+    res.status(201).json(couponService.toPublic(coupon));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Coupon creation error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+router.get('/coupons/:code', async (req, res) => {
+  try {
+    const coupon = await couponService.get(req.params.code);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    res.json(couponService.toPublic(coupon));
+  } catch (error) {
+    console.error('Coupon fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupon' });
+  }
+});
+
+// Change a coupon's description, expiry, redemption limit, plans or active flag
+router.patch('/coupons/:code', async (req, res) => {
+  try {
+    const coupon = await couponService.update(req.params.code, req.body);
+    res.json(couponService.toPublic(coupon));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Coupon update error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+router.delete('/coupons/:code', async (req, res) => {
+  try {
+    await couponService.remove(req.params.code);
+    res.status(204).end();
+  } catch (error) {
+    if (error.statusCode && !error.type) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Coupon deletion error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+});
+
+// Create the Cognito users of all local accounts, before or after switching AUTH_PROVIDER to
+// cognito. Their passwords move over as they sign in with the Cognito provider
+router.post('/users/migrate-to-cognito', async (req, res) => {
+  try {
+    const summary = await new CognitoAuthProvider().migrateUsers();
+    res.json(summary);
+  } catch (error) {
+    console.error('Cognito migration error:', error);
+    res.status(500).json({ error: 'Cognito migration failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { DynamoDBService } = require('../config/aws');
+const { authenticateToken } = require('../middleware/auth');
+const apiKeyService = require('../services/apiKeyService');
+const organizationService = require('../services/organizationService');
+const twoFactorService = require('../services/twoFactorService');
+const { getTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+
+const router = express.Router();
+
+// Keys are managed from a login only; a key cannot create or rotate keys
+router.use(authenticateToken);
+
+// Members of an organization that requires two-factor authentication need it before they get a
+// new key secret, like they need it to act for the organization
+const checkTwoFactor = async (userId) => {
+  const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+  if (!twoFactorService.isEnabled(user) && await organizationService.requiresTwoFactor(user)) {
+    throw new HttpError('An organization you belong to requires two-factor authentication. Enable it on your profile to create API keys', 403);
+  }
+};
+
+const sendError = (res, error, context, fallback) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// The user's keys, without their secrets, and the scopes a key can have
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listByUser(req.user.userId);
+    res.json({
+      keys: keys.map(apiKey => apiKeyService.toPublic(apiKey)),
+      scopes: apiKeyService.API_KEY_SCOPES,
+      apiAccess: Boolean(getTier(req.user.subscriptionTier).features.apiAccess)
+    });
+  } catch (error) {
+    sendError(res, error, 'List API keys', 'Failed to load API keys');
+  }
+});
+
+// Create a key: { name, scopes, rateLimitPerMinute }. The full key is only in this response
+router.post('/', async (req, res) => {
+  try {
+    if (!getTier(req.user.subscriptionTier).features.apiAccess) {
+      return res.status(403).json({ error: 'API access is not included in your plan' });
+    }
+    await checkTwoFactor(req.user.userId);
+    const apiKey = await apiKeyService.create(req.user.userId, req.body);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    sendError(res, error, 'Create API key', 'Failed to create API key');
+  }
+});
+
+router.patch('/:keyId', async (req, res) => {
+  try {
+    res.json(await apiKeyService.update(req.user.userId, req.params.keyId, req.body));
+  } catch (error) {
+    sendError(res, error, 'Update API key', 'Failed to update API key');
+  }
+});
+
+// New secret for the key; the old one stops working
+router.post('/:keyId/rotate', async (req, res) => {
+  try {
+    await checkTwoFactor(req.user.userId);
+    res.json(await apiKeyService.rotate(req.user.userId, req.params.keyId));
+  } catch (error) {
+    sendError(res, error, 'Rotate API key', 'Failed to rotate API key');
+  }
+});
+
+router.delete('/:keyId', async (req, res) => {
+  try {
+    await apiKeyService.revoke(req.user.userId, req.params.keyId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Revoke API key', 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
@@ -1,44 +1,54 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
 const { DynamoDBService } = require('../config/aws');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticate, authenticateToken } = require('../middleware/auth');
+const overageService = require('../services/overageService');
+const conversionUsageService = require('../services/conversionUsageService');
+const subscriptionRecords = require('../services/subscriptionRecords');
+const organizationService = require('../services/organizationService');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const notificationService = require('../services/notificationService');
+const authProvider = require('../services/authProvider');
+const twoFactorService = require('../services/twoFactorService');
+const { createTableStore } = require('../services/tableStore');
+const { DEFAULT_TIER_ID, getTier, getUserTierId } = require('../config/tiers');
 
 const router = express.Router();
 
-// Helper function to get current month key
-const getCurrentMonthKey = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-};
+// The users table, for conditional writes
+const users = createTableStore(process.env.DYNAMODB_TABLE_USERS, 'USER_STORE_DRIVER');
 
-// Helper function to initialize user usage
-const initializeUserUsage = async (userId) => {
-  const monthKey = getCurrentMonthKey();
-  const resetDate = new Date();
-  resetDate.setMonth(resetDate.getMonth() + 1, 1); // First day of next month
-  resetDate.setHours(0, 0, 0, 0);
-
-  const usage = {
-    userId,
-    monthKey,
-    conversions: 0,
-    maxConversions: 10, // Free tier default
-    resetDate: resetDate.toISOString(),
-    createdAt: new Date().toISOString()
-  };
+// Routes that members of organizations requiring two-factor authentication can use before
+// enabling it
+const authenticateEnrolling = authenticate({ allowWithoutTwoFactor: true });
 
-  try {
-    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USAGE || 'user-usage', usage);
-    return usage;
-  } catch (error) {
-    console.error('Error initializing user usage:', error);
-    return usage; // Return default even if DB fails
+// Password strength rules; returns the first rule a password breaks, or null
+const validatePassword = (password) => {
+  if (password.length < 8) {
+    return 'Password must be at least 8 characters long';
+  }
+  if (!/(?=.*[a-z])/.test(password)) {
+    return 'Password must contain at least one lowercase letter';
+  }
+  if (!/(?=.*[A-Z])/.test(password)) {
+    return 'Password must contain at least one uppercase letter';
+  }
+  if (!/(?=.*\d)/.test(password)) {
+    return 'Password must contain at least one number';
   }
+  if (!/(?=.*[@$!%*?&])/.test(password)) {
+    return 'Password must contain at least one special character (@$!%*?&)';
+  }
+  return null;
 };
 
-// Register
+const sendVerificationEmail = (user) => notificationService.send(user.email, 'verify_email', {
+  name: user.name,
+  verifyUrl: accountTokenService.verificationUrl(user),
+  expiresIn: accountTokenService.verificationExpiresIn
+});
+
+// Register. The account can sign in once its email address is verified
 router.post('/register', async (req, res) => {
   try {
     const { email, password, name } = req.body;
@@ -48,102 +58,79 @@ router.post('/register', async (req, res) => {
     }
 
     // Validate password strength
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long' });
-    }
-    if (!/(?=.*[a-z])/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least one lowercase letter' });
-    }
-    if (!/(?=.*[A-Z])/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least one uppercase letter' });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
     }
-    if (!/(?=.*\d)/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least one number' });
-    }
-    if (!/(?=.*[@$!%*?&])/.test(password)) {
-      return res.status(400).json({ error: 'Password must contain at least one special character (@$!%*?&)' });
-    }
-
-    // Check if user already exists
-    const existingUser = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { email }
-    );
 
-    if (existingUser) {
-      return res.status(400).json({ error: 'User already exists' });
-    }
-
-    // Hash password
-    const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create user
-    const userId = uuidv4();
-    const user = {
-      userId,
-      email,
-      name,
-      password: hashedPassword,
-      subscriptionTier: 'free',
-      tier: 'FREE',
-      active: true,
-      createdAt: new Date().toISOString(),
-      lastLogin: new Date().toISOString()
-    };
-
-    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, user);
+    // Create the account with the configured auth provider
+    const user = await authProvider.register({ email, password, name });
+    const { userId } = user;
 
     // Initialize user usage
-    await initializeUserUsage(userId);
+    await conversionUsageService.getUsage(userId, getTier(DEFAULT_TIER_ID).quotas.conversionsPerMonth);
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId, email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await sendVerificationEmail(user);
 
     res.status(201).json({
-      message: 'User created successfully',
-      token,
+      message: 'Account created. Check your email to verify your address',
+      verificationRequired: true,
       user: {
         userId,
         email,
         name,
-        subscriptionTier: 'free',
-        tier: 'FREE'
+        subscriptionTier: DEFAULT_TIER_ID,
+        tier: DEFAULT_TIER_ID.toUpperCase()
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Registration failed' });
   }
 });
 
-// Login
+// Login. Accounts with two-factor authentication sign in in two steps: the email and password
+// are answered with a challengeToken instead of tokens, which is sent back with a code from the
+// authenticator app or a recovery code
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, challengeToken } = req.body;
+    let user;
+
+    if (challengeToken) {
+      const claims = twoFactorService.decodeChallengeToken(challengeToken);
+      user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: claims.userId });
+      if (!user || !user.active || !twoFactorService.isEnabled(user)) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+      await twoFactorService.verify(user, req.body);
+    } else {
+      if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required' });
+      }
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+      // Check the password with the configured auth provider
+      user = await authProvider.signIn(email, password);
 
-    // Get user
-    const user = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { email }
-    );
+      if (!user || !user.active) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
 
-    if (!user || !user.active) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+      // Accounts from before email verification have no emailVerified flag and may sign in
+      if (user.emailVerified === false) {
+        return res.status(403).json({ error: 'Please verify your email address before signing in', code: 'EMAIL_NOT_VERIFIED' });
+      }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+      if (twoFactorService.isEnabled(user)) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user)
+        });
+      }
     }
 
     // Update last login
@@ -154,32 +141,33 @@ router.post('/login', async (req, res) => {
       { ':lastLogin': new Date().toISOString() }
     );
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.userId, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Sign in on a new session
+    const { token, refreshToken, expiresAt } = await sessionService.create(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      expiresAt,
       user: {
         userId: user.userId,
         email: user.email,
         name: user.name,
-        subscriptionTier: user.subscriptionTier,
-        tier: user.tier || 'FREE'
+        subscriptionTier: getUserTierId(user),
+        tier: getUserTierId(user).toUpperCase()
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Login error:', error);
     res.status(500).json({ error: 'Login failed' });
   }
 });
 
 // Get user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateEnrolling, async (req, res) => {
   try {
     const user = await DynamoDBService.getItem(
       process.env.DYNAMODB_TABLE_USERS,
@@ -194,8 +182,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
       userId: user.userId,
       email: user.email,
       name: user.name,
-      subscriptionTier: user.subscriptionTier,
-      tier: user.tier || 'FREE',
+      // The plan in effect: the organization's in an organization's context
+      subscriptionTier: req.user.subscriptionTier,
+      tier: req.user.subscriptionTier.toUpperCase(),
+      organizationId: req.user.organizationId,
+      organizationRole: req.user.organizationRole,
+      twoFactorEnabled: twoFactorService.isEnabled(user),
+      // The organization acted for requires two-factor authentication
+      twoFactorRequired: twoFactorService.isRequiredBy(req.organization),
       createdAt: user.createdAt,
       lastLogin: user.lastLogin
     });
@@ -206,113 +200,69 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Get user usage
-router.get('/usage', authenticateToken, async (req, res) => {
+router.get('/usage', authenticate({ scope: 'usage:read' }), async (req, res) => {
   try {
-    const monthKey = getCurrentMonthKey();
-    
-    // Try to get current month usage
-    let usage = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
-      { userId: req.user.userId, monthKey }
-    );
-
-    // If no usage record exists for current month, initialize it
-    if (!usage) {
-      usage = await initializeUserUsage(req.user.userId);
-    }
-
-    // Get user tier to determine max conversions
-    const user = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { userId: req.user.userId }
-    );
+    const monthKey = conversionUsageService.getMonthKey();
+    const { accountId, maxConversions, member } = await conversionUsageService.getAccount(req.user, req.organization);
+    const usage = await conversionUsageService.getUsage(accountId, maxConversions);
 
-    const tierLimits = {
-      'FREE': 10,
-      'BASIC': 50,
-      'ADVANCED': 200,
-      'ENTERPRISE': 1000
-    };
-
-    const maxConversions = tierLimits[user?.tier] || 10;
+    const subscription = await subscriptionRecords.get(accountId);
 
     res.json({
       conversions: usage.conversions || 0,
       maxConversions,
       resetDate: usage.resetDate,
-      monthKey
+      monthKey,
+      // In an organization's context the counts are the pool's, with the member's own share
+      organization: member ? {
+        orgId: accountId,
+        memberConversions: (usage.memberConversions || {})[member.userId] || 0,
+        conversionCap: member.conversionCap === undefined ? null : member.conversionCap
+      } : null,
+      // Conversions past the quota this month and projected by month end, with their cost
+      overage: overageService.summarize(subscription, usage, maxConversions)
     });
   } catch (error) {
     console.error('Usage fetch error:', error);
     // Return default usage if there's an error
     res.json({
       conversions: 0,
-      maxConversions: 10,
+      maxConversions: getTier(DEFAULT_TIER_ID).quotas.conversionsPerMonth,
       resetDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-      monthKey: getCurrentMonthKey()
+      monthKey: conversionUsageService.getMonthKey()
     });
   }
 });
 
 // Increment user usage
-router.post('/usage/increment', authenticateToken, async (req, res) => {
+router.post('/usage/increment', authenticate({ scope: 'files:convert' }), async (req, res) => {
   try {
-    const monthKey = getCurrentMonthKey();
-    
-    // Get current usage
-    let usage = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
-      { userId: req.user.userId, monthKey }
-    );
-
-    // If no usage record exists, initialize it
-    if (!usage) {
-      usage = await initializeUserUsage(req.user.userId);
-    }
-
-    // Get user tier to check limits
-    const user = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { userId: req.user.userId }
-    );
-
-    const tierLimits = {
-      'FREE': 10,
-      'BASIC': 50,
-      'ADVANCED': 200,
-      'ENTERPRISE': 1000
-    };
-
-    const maxConversions = tierLimits[user?.tier] || 10;
-
-    // Check if user has reached limit
-    if (usage.conversions >= maxConversions) {
+    const account = await conversionUsageService.getAccount(req.user, req.organization);
+    const { maxConversions } = account;
+
+    // Refused past the limit; overage subscriptions pay for conversions past it
+    let usage;
+    try {
+      usage = await conversionUsageService.reserve(account);
+    } catch (limitError) {
+      if (limitError.statusCode !== 429) {
+        throw limitError;
+      }
+      const current = await conversionUsageService.getUsage(account.accountId, maxConversions);
       return res.status(429).json({ 
-        error: `Monthly conversion limit reached (${maxConversions}). Please upgrade your plan.`,
-        conversions: usage.conversions,
+        error: limitError.message,
+        conversions: current.conversions || 0,
         maxConversions,
-        resetDate: usage.resetDate
+        resetDate: current.resetDate
       });
     }
 
-    // Increment usage
-    const newConversions = (usage.conversions || 0) + 1;
-    
-    await DynamoDBService.updateItem(
-      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
-      { userId: req.user.userId, monthKey },
-      'SET conversions = :conversions, updatedAt = :updatedAt',
-      { 
-        ':conversions': newConversions,
-        ':updatedAt': new Date().toISOString()
-      }
-    );
-
     res.json({
-      conversions: newConversions,
+      conversions: usage.conversions,
       maxConversions,
+      overageConversions: usage.overageConversions || 0,
       resetDate: usage.resetDate,
-      monthKey
+      monthKey: usage.monthKey
     });
   } catch (error) {
     console.error('Usage increment error:', error);
@@ -347,4 +297,272 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Verify the email address with the token from the verification email, and sign in. Only the
+// request that verifies the address signs in: a link used again, or for an address verified some
+// other way, answers 409 and the account signs in with its password. Accounts with two-factor
+// authentication get a challengeToken for the login's second step instead of tokens, and members
+// of organizations requiring it who have not enabled it are asked to sign in
+router.post('/verify-email', async (req, res) => {
+  try {
+    const claims = accountTokenService.decode(req.body.token, 'verify_email');
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: claims.userId });
+    accountTokenService.checkVerificationToken(claims, user);
+    if (!user.active) {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+
+    const alreadyVerified = { error: 'This email address is already verified. Please sign in', code: 'EMAIL_ALREADY_VERIFIED' };
+    if (user.emailVerified !== false) {
+      return res.status(409).json(alreadyVerified);
+    }
+
+    await authProvider.confirmEmail(user);
+    // Of concurrent requests with the link, only the one that flips the flag goes on
+    const verified = await users.updateIf(
+      { userId: user.userId },
+      { emailVerified: true, emailVerifiedAt: new Date().toISOString() },
+      { condition: 'emailVerified = :unverified', values: { ':unverified': false } },
+      stored => Boolean(stored) && stored.emailVerified === false
+    );
+    if (!verified) {
+      return res.status(409).json(alreadyVerified);
+    }
+
+    if (twoFactorService.isEnabled(user)) {
+      return res.json({
+        message: 'Email address verified. Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallengeToken(user)
+      });
+    }
+    if (await organizationService.requiresTwoFactor(user)) {
+      return res.json({ message: 'Email address verified. Please sign in', signInRequired: true });
+    }
+
+    const { token, refreshToken, expiresAt } = await sessionService.create(user, req);
+    res.json({
+      message: 'Email address verified',
+      token,
+      refreshToken,
+      expiresAt,
+      user: {
+        userId: user.userId,
+        email: user.email,
+        name: user.name,
+        subscriptionTier: getUserTierId(user),
+        tier: getUserTierId(user).toUpperCase()
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Email verification failed' });
+  }
+});
+
+// Send the verification email again. The answer is the same whether or not the address has an
+// unverified account, so it cannot be used to find accounts
+router.post('/verify-email/resend', async (req, res) => {
+  try {
+    const user = req.body.email && await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { email: req.body.email });
+    if (user && user.active && user.emailVerified === false) {
+      await sendVerificationEmail(user);
+    }
+    res.json({ message: 'If the address belongs to an unverified account, a new verification email is on its way' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Email a password reset link to a local account. Like resending verification, the answer does
+// not tell whether the address has an account
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const user = req.body.email && await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { email: req.body.email });
+    if (user && user.active && authProvider.hasPassword(user)) {
+      await notificationService.send(user.email, 'password_reset', {
+        resetUrl: accountTokenService.passwordResetUrl(user),
+        expiresIn: accountTokenService.passwordResetExpiresIn
+      });
+    }
+    res.json({ message: 'If the address belongs to an account, a password reset email is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset email' });
+  }
+});
+
+// Set a new password with the token from the reset email. Every session is signed out, and the
+// address counts as verified since the email was received
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const claims = accountTokenService.decode(token, 'reset_password');
+
+    const passwordError = validatePassword(String(password || ''));
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: claims.userId });
+    accountTokenService.checkPasswordResetToken(claims, user);
+
+    await authProvider.setPassword(user, password);
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: user.userId },
+      'SET passwordChangedAt = :passwordChangedAt, emailVerified = :emailVerified',
+      { ':passwordChangedAt': new Date().toISOString(), ':emailVerified': true }
+    );
+    await sessionService.revokeAll(user.userId);
+
+    res.json({ message: 'Password updated. Please sign in with your new password' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Password reset failed' });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken, expiresAt } = await sessionService.refresh(req.body.refreshToken, req);
+    res.json({ token, refreshToken, expiresAt });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Log out: end the current login's session, so its tokens stop working
+router.post('/logout', authenticateEnrolling, async (req, res) => {
+  try {
+    if (req.user.sessionId) {
+      await sessionService.revoke(req.user.userId, req.user.sessionId);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Signed-in sessions of the current user, with their device and IP
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listByUser(req.user.userId);
+    res.json({ sessions: sessions.map(session => sessionService.toPublic(session, req.user.sessionId)) });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revoke(req.user.userId, req.params.sessionId);
+    res.status(204).end();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Log out everywhere, this session included
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeAll(req.user.userId);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Sessions revoke error:', error);
+    res.status(500).json({ error: 'Failed to log out everywhere' });
+  }
+});
+
+// Two-factor authentication of the current user, and whether an organization requires it
+router.get('/2fa', authenticateEnrolling, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: req.user.userId });
+    res.json(twoFactorService.toPublic(user, await organizationService.requiresTwoFactor(user)));
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrolling: a new secret, as text and as an otpauth:// URL for the QR code
+router.post('/2fa/setup', authenticateEnrolling, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: req.user.userId });
+    res.json(await twoFactorService.beginSetup(user));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm the setup with a code from the app; answers with the recovery codes, shown only once
+router.post('/2fa/enable', authenticateEnrolling, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: req.user.userId });
+    const recoveryCodes = await twoFactorService.enable(user, req.body.code);
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// New recovery codes for { code } or { recoveryCode }; the old ones stop working
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: req.user.userId });
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user, req.body);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+// Turn two-factor authentication off with { code } or { recoveryCode }, unless an organization
+// of the user requires it
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: req.user.userId });
+    if (await organizationService.requiresTwoFactor(user)) {
+      return res.status(403).json({ error: 'An organization you belong to requires two-factor authentication' });
+    }
+    await twoFactorService.disable(user, req.body);
+    res.status(204).end();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { DynamoDBService } = require('../config/aws');
+const { authenticateToken } = require('../middleware/auth');
+const invoiceLedger = require('../services/invoiceLedger');
+const receiptRenderer = require('../services/receiptRenderer');
+const organizationService = require('../services/organizationService');
+
+const router = express.Router();
+
+// Ledger entry owned by the requesting user, or by an organization they manage, or null
+const findOwnInvoice = async (req) => {
+  const entry = await invoiceLedger.get(req.params.id);
+  if (!entry) {
+    return null;
+  }
+  if (entry.userId === req.user.userId) {
+    return entry;
+  }
+  const organization = await organizationService.get(entry.userId);
+  return organizationService.canManage(organizationService.getMember(organization, req.user.userId)) ? entry : null;
+};
+
+// Billing history of the current user, most recent first
+router.get('/invoices', authenticateToken, async (req, res) => {
+  try {
+    const entries = await invoiceLedger.listByUser(req.user.userId);
+    res.json({ invoices: entries.map(entry => invoiceLedger.toPublic(entry)) });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    res.status(500).json({ error: 'Failed to load billing history' });
+  }
+});
+
+router.get('/invoices/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await findOwnInvoice(req);
+    if (!entry) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    res.json(invoiceLedger.toPublic(entry));
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to load invoice' });
+  }
+});
+
+// Receipt (or invoice, while unpaid) as a PDF download
+router.get('/invoices/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const entry = await findOwnInvoice(req);
+    if (!entry) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    // Organization receipts are made out to the organization, care of its owner
+    const organization = await organizationService.get(entry.userId);
+    const user = await DynamoDBService.getItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: organization ? organization.ownerId : entry.userId }
+    );
+    const pdf = await receiptRenderer.render(entry, {
+      name: organization ? organization.name : user && user.name,
+      email: (user && user.email) || req.user.email
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${receiptRenderer.filename(entry)}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Invoice PDF error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice PDF' });
+  }
+});
+
+module.exports = router;
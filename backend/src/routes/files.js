@@ -1,18 +1,25 @@
 const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const mammoth = require('mammoth');
-const pdfParse = require('pdf-parse');
-const { S3Service, DynamoDBService, BedrockService } = require('../config/aws');
-const { checkUsageLimit, authenticateToken } = require('../middleware/auth');
+const jwt = require('jsonwebtoken');
+const { S3Service, DynamoDBService } = require('../config/aws');
+const { authenticate } = require('../middleware/auth');
+const documentRenderer = require('../services/documentRenderer');
+const conversionService = require('../services/conversionService');
+const jobQueue = require('../services/jobQueue');
+const conversionUsageService = require('../services/conversionUsageService');
+const { MAX_FILE_SIZE, getTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
+  // Browsers send file names as UTF-8
+  defParamCharset: 'utf8',
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB limit
+    fileSize: MAX_FILE_SIZE, // Per-tier caps are checked after upload
   },
   fileFilter: (req, file, cb) => {
     const allowedTypes = [
@@ -22,171 +29,146 @@ const upload = multer({
       'application/msword',
       'text/html',
       'text/markdown',
-      'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'text/csv',
+      'application/csv',
+      'text/tab-separated-values',
       'image/jpeg',
       'image/png',
-      'image/gif',
       'image/bmp'
     ];
     
-    if (allowedTypes.includes(file.mimetype)) {
+    // Browsers report CSV files as application/vnd.ms-excel, legacy .xls workbooks are not readable
+    const isCsvReportedAsExcel = file.mimetype === 'application/vnd.ms-excel' && /\.csv$/i.test(file.originalname);
+
+    if (allowedTypes.includes(file.mimetype) || isCsvReportedAsExcel) {
       cb(null, true);
     } else {
-      cb(new Error('Unsupported file type'), false);
+      cb(new HttpError('Unsupported file type', 415), false);
     }
   }
 });
 
-// Helper function to get current month key for usage tracking
-const getCurrentMonthKey = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+// Count a conversion against the quota of the account it is for, refusing it with a 429 past the
+// quota, the member's cap or the overage allowance
+const countConversion = async (requestUser, organization) => (
+  conversionUsageService.reserve(await conversionUsageService.getAccount(requestUser, organization))
+);
+
+// Attachment header for a file name: an ASCII filename for old clients, and the exact name as
+// filename* (RFC 6266) for the others
+const contentDisposition = (fileName) => {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
 };
 
-// Helper function to check and update usage
-const checkAndUpdateUsage = async (userId) => {
-  const monthKey = getCurrentMonthKey();
-  
-  try {
-    // Get current usage
-    let usage = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
-      { userId, monthKey }
-    );
-
-    // Get user tier to check limits
-    const user = await DynamoDBService.getItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { userId }
-    );
-
-    const tierLimits = {
-      'FREE': 10,
-      'BASIC': 50,
-      'ADVANCED': 200,
-      'ENTERPRISE': 1000
-    };
-
-    const maxConversions = tierLimits[user?.tier] || 10;
-
-    // If no usage record exists, initialize it
-    if (!usage) {
-      const resetDate = new Date();
-      resetDate.setMonth(resetDate.getMonth() + 1, 1);
-      resetDate.setHours(0, 0, 0, 0);
-
-      usage = {
-        userId,
-        monthKey,
-        conversions: 0,
-        maxConversions,
-        resetDate: resetDate.toISOString(),
-        createdAt: new Date().toISOString()
-      };
-
-      await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USAGE || 'user-usage', usage);
-    }
-
-    // Check if user has reached limit
-    if (usage.conversions >= maxConversions) {
-      throw new Error(`Monthly conversion limit reached (${maxConversions}). Please upgrade your plan.`);
-    }
-
-    // Increment usage
-    const newConversions = (usage.conversions || 0) + 1;
-    
-    await DynamoDBService.updateItem(
-      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
-      { userId, monthKey },
-      'SET conversions = :conversions, updatedAt = :updatedAt',
-      { 
-        ':conversions': newConversions,
-        ':updatedAt': new Date().toISOString()
-      }
-    );
-
-    return { success: true, conversions: newConversions, maxConversions };
-  } catch (error) {
-    throw error;
+// Per-tier upload cap, multer only enforces the largest tier's cap
+const getFileSizeError = (req) => {
+  const tier = getTier(req.user.subscriptionTier);
+  if (req.file.size <= tier.maxFileSize) {
+    return null;
   }
+
+  return {
+    error: `File exceeds the ${tier.shortName} plan limit of ${Math.round(tier.maxFileSize / (1024 * 1024))} MB`,
+    maxFileSize: tier.maxFileSize
+  };
 };
 
-// Extract text content from different file types
-async function extractTextContent(file) {
-  const { buffer, mimetype, originalname } = file;
-  
-  try {
-    switch (mimetype) {
-      case 'text/plain':
-      case 'text/html':
-      case 'text/markdown':
-        return buffer.toString('utf-8');
-        
-      case 'application/pdf':
-        const pdfData = await pdfParse(buffer);
-        return pdfData.text;
-        
-      case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
-      case 'application/msword':
-        const docxResult = await mammoth.extractRawText({ buffer });
-        return docxResult.value;
-        
-      case 'image/jpeg':
-      case 'image/png':
-      case 'image/gif':
-      case 'image/bmp':
-        // For images, we'll return a placeholder - in a real implementation,
-        // you'd use OCR service like Amazon Textract
-        return `[Image file: ${originalname}. OCR processing would be implemented here.]`;
-        
-      default:
-        throw new Error('Unsupported file type');
-    }
-  } catch (error) {
-    console.error('Text extraction error:', error);
-    throw new Error(`Failed to extract text from ${originalname}`);
-  }
-}
+// Conversions run in the background when requested with ?async=1 or async=true in the form body
+const isAsyncRequest = (req) => {
+  const flag = req.query.async !== undefined ? req.query.async : req.body.async;
+  return ['1', 'true', true].includes(flag);
+};
 
 // Convert file endpoint
-router.post('/convert', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/convert', authenticate({ scope: 'files:convert' }), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { prompt } = req.body;
+    const fileSizeError = getFileSizeError(req);
+    if (fileSizeError) {
+      return res.status(413).json(fileSizeError);
+    }
+
+    const { prompt, targetFormat } = req.body;
     if (!prompt) {
       return res.status(400).json({ error: 'Processing prompt is required' });
     }
 
-    // Check and update usage
+    // Resolve the output format before consuming any usage
+    let outputFormat;
+    try {
+      outputFormat = documentRenderer.resolveTargetFormat(targetFormat, prompt);
+    } catch (formatError) {
+      return res.status(400).json({
+        error: formatError.message,
+        supportedFormats: documentRenderer.getSupportedFormats()
+      });
+    }
+
+    // Check usage before any work. Conversions, queued ones included, only count once they
+    // succeeded, so a conversion that fails is not counted
     try {
-      await checkAndUpdateUsage(req.user.userId);
+      await conversionUsageService.check(await conversionUsageService.getAccount(req.user, req.organization));
     } catch (usageError) {
       return res.status(429).json({ error: usageError.message });
     }
 
     const fileId = uuidv4();
     const timestamp = new Date().toISOString();
-    
-    // Extract text content
-    const textContent = await extractTextContent(req.file);
-    
-    // Process with AI (Bedrock)
-    let processedContent;
+    const originalKey = `files/${req.user.userId}/${fileId}/original_${req.file.originalname}`;
+
+    // Queue the conversion and let the client poll /api/jobs/:id
+    if (isAsyncRequest(req)) {
+      await S3Service.uploadFile(originalKey, req.file.buffer, req.file.mimetype);
+
+      await DynamoDBService.putItem('seo-nlp-files', {
+        fileId,
+        userId: req.user.userId,
+        organizationId: req.user.organizationId || null,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        s3Key: originalKey,
+        prompt,
+        targetFormat: outputFormat,
+        status: 'processing',
+        createdAt: timestamp,
+        updatedAt: timestamp
+      });
+
+      await jobQueue.enqueue({ type: 'conversion', jobId: fileId });
+
+      return res.status(202).json({
+        message: 'File conversion queued',
+        jobId: fileId,
+        fileId,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        status: 'processing',
+        statusUrl: `/api/jobs/${fileId}`
+      });
+    }
+
+    const { textContent, structuredData: structuredSummary, processedContent, output } = await conversionService.convert({
+      fileId,
+      userId: req.user.userId,
+      file: req.file,
+      prompt,
+      targetFormat: outputFormat
+    });
+
     try {
-      // Use BedrockService to process the content
-      processedContent = await BedrockService.processText(textContent, prompt);
-    } catch (aiError) {
-      console.error('AI processing error:', aiError);
-      // Fallback to simple text processing if AI fails
-      processedContent = `Processed content for: ${req.file.originalname}\n\nOriginal content:\n${textContent}\n\nPrompt: ${prompt}\n\nNote: AI processing temporarily unavailable. This is the extracted text content.`;
+      await countConversion(req.user, req.organization);
+    } catch (usageError) {
+      return res.status(429).json({ error: usageError.message });
     }
     
     // Store original file in S3 (optional)
-    const originalKey = `files/${req.user.userId}/${fileId}/original_${req.file.originalname}`;
     try {
       await S3Service.uploadFile(originalKey, req.file.buffer, req.file.mimetype);
     } catch (s3Error) {
@@ -198,20 +180,23 @@ router.post('/convert', authenticateToken, upload.single('file'), async (req, re
     const conversionRecord = {
       fileId,
       userId: req.user.userId,
+      organizationId: req.user.organizationId || null,
       originalName: req.file.originalname,
       mimeType: req.file.mimetype,
       size: req.file.size,
       s3Key: originalKey,
       textContent: textContent.substring(0, 1000), // Store first 1000 chars
+      structuredData: structuredSummary,
       prompt,
       processedContent,
+      ...output,
       status: 'completed',
       createdAt: timestamp,
       updatedAt: timestamp
     };
 
     try {
-      await DynamoDBService.putItem('file-conversions', conversionRecord);
+      await DynamoDBService.putItem('seo-nlp-files', conversionRecord);
     } catch (dbError) {
       console.error('DynamoDB error:', dbError);
       // Continue without database storage if it fails
@@ -222,11 +207,19 @@ router.post('/convert', authenticateToken, upload.single('file'), async (req, re
       fileId,
       originalName: req.file.originalname,
       size: req.file.size,
+      structuredData: structuredSummary,
       result: processedContent,
       convertedText: processedContent,
+      outputFormat: output.outputFormat,
+      fileName: output.outputName,
+      fileSize: output.outputSize,
+      downloadUrl: conversionService.createDownloadUrl(fileId, req.user.userId),
       status: 'completed'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('File conversion error:', error);
     res.status(500).json({ 
       error: 'File conversion failed',
@@ -235,13 +228,56 @@ router.post('/convert', authenticateToken, upload.single('file'), async (req, re
   }
 });
 
+// Download converted output file
+router.get('/:fileId/download', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(401).json({ error: 'Download token required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (tokenError) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    if (decoded.purpose !== 'download' || decoded.fileId !== fileId) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    const file = await DynamoDBService.getItem('seo-nlp-files', { fileId });
+
+    if (!file || file.userId !== decoded.userId || !file.outputKey) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const body = await S3Service.getFile(file.outputKey);
+
+    res.setHeader('Content-Type', file.outputMimeType);
+    res.setHeader('Content-Disposition', contentDisposition(file.outputName));
+    res.send(body);
+  } catch (error) {
+    console.error('File download error:', error);
+    res.status(500).json({ error: 'Failed to download file' });
+  }
+});
+
 // Upload and process file (legacy endpoint)
-router.post('/upload', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/upload', authenticate({ scope: 'files:convert' }), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const fileSizeError = getFileSizeError(req);
+    if (fileSizeError) {
+      return res.status(413).json(fileSizeError);
+    }
+
     const { prompt } = req.body;
     if (!prompt) {
       return res.status(400).json({ error: 'Processing prompt is required' });
@@ -251,7 +287,7 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
     const timestamp = new Date().toISOString();
     
     // Extract text content
-    const textContent = await extractTextContent(req.file);
+    const { text: textContent, structuredData } = await conversionService.extractContent(req.file);
     
     // Store original file in S3
     const originalKey = `files/${req.user.userId}/${fileId}/original_${req.file.originalname}`;
@@ -261,11 +297,13 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
     const fileMetadata = {
       fileId,
       userId: req.user.userId,
+      organizationId: req.user.organizationId || null,
       originalName: req.file.originalname,
       mimeType: req.file.mimetype,
       size: req.file.size,
       s3Key: originalKey,
       textContent,
+      structuredData: conversionService.summarizeStructuredData(structuredData),
       prompt,
       status: 'uploaded',
       createdAt: timestamp,
@@ -282,6 +320,9 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
       status: 'uploaded'
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('File upload error:', error);
     res.status(500).json({ 
       error: 'File upload failed',
@@ -291,13 +332,13 @@ router.post('/upload', authenticateToken, upload.single('file'), async (req, res
 });
 
 // Get file details
-router.get('/:fileId', authenticateToken, async (req, res) => {
+router.get('/:fileId', authenticate({ scope: 'files:read' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     
     const file = await DynamoDBService.getItem('seo-nlp-files', { fileId });
     
-    if (!file || file.userId !== req.user.userId) {
+    if (!conversionService.canAccessFile(file, req.user)) {
       return res.status(404).json({ error: 'File not found' });
     }
 
@@ -309,6 +350,11 @@ router.get('/:fileId', authenticateToken, async (req, res) => {
       prompt: file.prompt,
       status: file.status,
       processedContent: file.processedContent,
+      structuredData: file.structuredData,
+      outputFormat: file.outputFormat,
+      downloadUrl: file.outputKey ? conversionService.createDownloadUrl(fileId, file.userId) : null,
+      ownerId: file.userId,
+      organizationId: file.organizationId || null,
       createdAt: file.createdAt,
       updatedAt: file.updatedAt
     });
@@ -319,7 +365,7 @@ router.get('/:fileId', authenticateToken, async (req, res) => {
 });
 
 // Get user's files
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticate({ scope: 'files:read' }), async (req, res) => {
   try {
     const files = await DynamoDBService.queryItems(
       'seo-nlp-files',
@@ -327,12 +373,24 @@ router.get('/', authenticateToken, async (req, res) => {
       { ':userId': req.user.userId }
     );
 
+    // In an organization's context, add the files its members converted there
+    if (req.user.organizationId) {
+      const shared = await DynamoDBService.queryItems(
+        'seo-nlp-files',
+        'organizationId = :organizationId',
+        { ':organizationId': req.user.organizationId }
+      );
+      files.push(...shared.filter(file => file.userId !== req.user.userId));
+    }
+
     const fileList = files.map(file => ({
       fileId: file.fileId,
       originalName: file.originalName,
       mimeType: file.mimeType,
       size: file.size,
       status: file.status,
+      ownerId: file.userId,
+      shared: file.userId !== req.user.userId,
       createdAt: file.createdAt,
       updatedAt: file.updatedAt
     }));
@@ -345,20 +403,23 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Delete file
-router.delete('/:fileId', authenticateToken, async (req, res) => {
+router.delete('/:fileId', authenticate({ scope: 'files:delete' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     
     const file = await DynamoDBService.getItem('seo-nlp-files', { fileId });
     
-    if (!file || file.userId !== req.user.userId) {
+    if (!conversionService.canAccessFile(file, req.user)) {
       return res.status(404).json({ error: 'File not found' });
     }
+    if (!conversionService.canAccessFile(file, req.user, { manage: true })) {
+      return res.status(403).json({ error: 'Only the file owner or an organization admin can delete this file' });
+    }
 
-    // Delete from S3
-    if (file.s3Key) {
+    // Delete original and converted output from S3
+    for (const key of [file.s3Key, file.outputKey].filter(Boolean)) {
       try {
-        await S3Service.deleteFile(file.s3Key);
+        await S3Service.deleteFile(key);
       } catch (s3Error) {
         console.error('S3 deletion error:', s3Error);
       }
@@ -375,33 +436,3 @@ router.delete('/:fileId', authenticateToken, async (req, res) => {
 });
 
 module.exports = router;
-});
-
-// Delete file
-router.delete('/:fileId', async (req, res) => {
-  try {
-    const { fileId } = req.params;
-    
-    const file = await DynamoDBService.getItem('seo-nlp-files', { fileId });
-    
-    if (!file || file.userId !== req.user.userId) {
-      return res.status(404).json({ error: 'File not found' });
-    }
-
-    // Delete from S3
-    await S3Service.deleteFile(file.s3Key);
-    if (file.processedS3Key) {
-      await S3Service.deleteFile(file.processedS3Key);
-    }
-
-    // Delete from DynamoDB
-    await DynamoDBService.deleteItem('seo-nlp-files', { fileId });
-
-    res.json({ message: 'File deleted successfully' });
-  } catch (error) {
-    console.error('File deletion error:', error);
-    res.status(500).json({ error: 'Failed to delete file' });
-  }
-});
-
-module.exports = router;
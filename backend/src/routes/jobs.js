@@ -0,0 +1,104 @@
+const express = require('express');
+const { DynamoDBService } = require('../config/aws');
+const { authenticate, authenticateToken } = require('../middleware/auth');
+const conversionService = require('../services/conversionService');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+// Get the user's job webhook settings
+router.get('/webhook', authenticateToken, async (req, res) => {
+  try {
+    const user = await DynamoDBService.getItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: req.user.userId }
+    );
+
+    res.json({
+      webhookUrl: user?.webhookUrl || null,
+      events: ['job.completed', 'job.failed']
+    });
+  } catch (error) {
+    console.error('Webhook fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook settings' });
+  }
+});
+
+// Set the URL that receives job.completed and job.failed events
+router.put('/webhook', authenticateToken, async (req, res) => {
+  try {
+    const { url } = req.body;
+
+    if (!url || !webhookService.isValidUrl(url)) {
+      return res.status(400).json({ error: 'A valid http(s) webhook URL is required' });
+    }
+    // Deliveries check the address again, in case the host is repointed later
+    await webhookService.resolveTarget(url);
+
+    // The signing secret is only returned when it is created
+    const webhookSecret = webhookService.generateSecret();
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: req.user.userId },
+      'SET webhookUrl = :webhookUrl, webhookSecret = :webhookSecret, updatedAt = :updatedAt',
+      {
+        ':webhookUrl': url,
+        ':webhookSecret': webhookSecret,
+        ':updatedAt': new Date().toISOString()
+      }
+    );
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhookUrl: url,
+      webhookSecret
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Remove the user's webhook
+router.delete('/webhook', authenticateToken, async (req, res) => {
+  try {
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: req.user.userId },
+      'SET webhookUrl = :webhookUrl, webhookSecret = :webhookSecret, updatedAt = :updatedAt',
+      {
+        ':webhookUrl': null,
+        ':webhookSecret': null,
+        ':updatedAt': new Date().toISOString()
+      }
+    );
+
+    res.json({ message: 'Webhook removed successfully' });
+  } catch (error) {
+    console.error('Webhook removal error:', error);
+    res.status(500).json({ error: 'Failed to remove webhook' });
+  }
+});
+
+// Poll the status of a conversion job
+router.get('/:jobId', authenticate({ scope: 'files:read' }), async (req, res) => {
+  try {
+    const job = await DynamoDBService.getItem('seo-nlp-files', { fileId: req.params.jobId });
+
+    // Jobs are files, shared with the members of the organization they were submitted in
+    if (!conversionService.canAccessFile(job, req.user)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(conversionService.formatJob(job));
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch job status' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,13 @@
 const express = require('express');
-const { BedrockService, S3Service, DynamoDBService } = require('../config/aws');
-const { checkSubscription } = require('../middleware/auth');
+const { S3Service, DynamoDBService } = require('../config/aws');
+const { authenticate, checkSubscription } = require('../middleware/auth');
+const { getTier } = require('../config/tiers');
+const bedrockService = require('../services/bedrockService');
 
 const router = express.Router();
 
 // Process file with NLP
-router.post('/process/:fileId', async (req, res) => {
+router.post('/process/:fileId', authenticate({ scope: 'nlp:analyze' }), async (req, res) => {
   try {
     const { fileId } = req.params;
     const { customPrompt } = req.body;
@@ -38,7 +40,7 @@ router.post('/process/:fileId', async (req, res) => {
     
     try {
       // Process content with Bedrock
-      const processedContent = await BedrockService.processFileContent(
+      const processedContent = await bedrockService.processFileContent(
         file.textContent,
         promptToUse,
         file.mimeType
@@ -103,7 +105,7 @@ router.post('/process/:fileId', async (req, res) => {
 });
 
 // Generate SEO analysis
-router.post('/seo-analysis', checkSubscription('basic'), async (req, res) => {
+router.post('/seo-analysis', authenticate({ scope: 'nlp:analyze' }), checkSubscription('basic'), async (req, res) => {
   try {
     const { content, targetKeywords, targetAudience } = req.body;
 
@@ -131,7 +133,7 @@ Please provide:
 
 Format the response as a structured analysis with clear sections and actionable recommendations.`;
 
-    const analysis = await BedrockService.invokeModel(analysisPrompt);
+    const analysis = await bedrockService.invokeModel(analysisPrompt);
 
     res.json({
       message: 'SEO analysis completed',
@@ -149,7 +151,7 @@ Format the response as a structured analysis with clear sections and actionable
 });
 
 // Generate content variations
-router.post('/variations', checkSubscription('premium'), async (req, res) => {
+router.post('/variations', authenticate({ scope: 'nlp:analyze' }), checkSubscription('premium'), async (req, res) => {
   try {
     const { content, variationType, count = 3 } = req.body;
 
@@ -157,7 +159,7 @@ router.post('/variations', checkSubscription('premium'), async (req, res) => {
       return res.status(400).json({ error: 'Content and variation type are required' });
     }
 
-    const maxCount = req.user.subscriptionTier === 'enterprise' ? 10 : 5;
+    const maxCount = getTier(req.user.subscriptionTier).quotas.maxVariations;
     const requestedCount = Math.min(count, maxCount);
 
     const variationPrompt = `Generate ${requestedCount} different variations of the following content for ${variationType} purposes:
@@ -173,7 +175,7 @@ Requirements:
 
 Please provide ${requestedCount} distinct variations, each clearly numbered and separated.`;
 
-    const variations = await BedrockService.invokeModel(variationPrompt);
+    const variations = await bedrockService.invokeModel(variationPrompt);
 
     res.json({
       message: 'Content variations generated',
@@ -209,7 +211,7 @@ Please provide:
 Format as JSON with keys: title, description, keywords, slug, ogTitle, ogDescription`;
 
   try {
-    const metadataResponse = await BedrockService.invokeModel(metadataPrompt);
+    const metadataResponse = await bedrockService.invokeModel(metadataPrompt);
     
     // Try to parse as JSON, fallback to structured text if needed
     try {
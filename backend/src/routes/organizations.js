@@ -0,0 +1,292 @@
+const express = require('express');
+const { stripe } = require('../config/stripe');
+const { DynamoDBService } = require('../config/aws');
+const { authenticateToken } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const planChangeService = require('../services/planChangeService');
+const overageService = require('../services/overageService');
+const subscriptionRecords = require('../services/subscriptionRecords');
+const invoiceLedger = require('../services/invoiceLedger');
+const { BILLING_CYCLES, findTier, getTier } = require('../config/tiers');
+
+const router = express.Router();
+
+// Subscription statuses that already bill the organization
+const SUBSCRIBED_STATUSES = ['active', 'trialing', 'past_due'];
+
+// Service errors carry the status to answer with; Stripe errors also carry a statusCode, but are
+// not meant for the client
+const sendError = (res, error, context, fallback) => {
+  if (error.type === 'StripeCardError') {
+    return res.status(402).json({ error: error.message });
+  }
+  if (error.statusCode && !error.type) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  console.error(`${context} error:`, error);
+  res.status(500).json({ error: fallback });
+};
+
+// Load the organization in :orgId for one of its members, optionally only for the given roles.
+// Non-members get a 404 so organization ids cannot be probed
+const loadOrganization = (roles) => async (req, res, next) => {
+  try {
+    const organization = await organizationService.get(req.params.orgId);
+    const member = organizationService.getMember(organization, req.user.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    if (roles && !roles.includes(member.role)) {
+      return res.status(403).json({ error: `Only the organization's ${roles.join(' or ')} can do this` });
+    }
+
+    req.organization = organization;
+    req.membership = member;
+    next();
+  } catch (error) {
+    console.error('Organization lookup error:', error);
+    res.status(500).json({ error: 'Failed to load organization' });
+  }
+};
+
+const managers = loadOrganization(['owner', 'admin']);
+
+router.use(authenticateToken);
+
+// Create an organization owned by the current user, on the free plan with a single seat
+router.post('/', async (req, res) => {
+  try {
+    const organization = await organizationService.create(req.user, req.body);
+    res.status(201).json(await organizationService.toPublic(organization, organizationService.getMember(organization, req.user.userId)));
+  } catch (error) {
+    sendError(res, error, 'Create organization', 'Failed to create organization');
+  }
+});
+
+// Organizations of the current user, and the one requests act for by default
+router.get('/', async (req, res) => {
+  try {
+    const organizations = await organizationService.listForUser(req.user.userId);
+    res.json({ organizations, activeOrganizationId: req.user.organizationId || null });
+  } catch (error) {
+    sendError(res, error, 'List organizations', 'Failed to load organizations');
+  }
+});
+
+// Switch the default context: an organization id, or null for the personal account
+router.put('/active', async (req, res) => {
+  try {
+    await organizationService.setActive(req.user.userId, req.body.orgId || null);
+    res.json({ activeOrganizationId: req.body.orgId || null });
+  } catch (error) {
+    sendError(res, error, 'Switch organization', 'Failed to switch organization');
+  }
+});
+
+// Join with the token of an invitation link
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const membership = await organizationService.acceptInvitation(req.user, req.body.token);
+    res.json(membership);
+  } catch (error) {
+    sendError(res, error, 'Accept invitation', 'Failed to accept invitation');
+  }
+});
+
+router.get('/:orgId', loadOrganization(), async (req, res) => {
+  try {
+    res.json(await organizationService.toPublic(req.organization, req.membership));
+  } catch (error) {
+    sendError(res, error, 'Get organization', 'Failed to load organization');
+  }
+});
+
+// Rename, and require two-factor authentication of the members with { requireTwoFactor }
+router.patch('/:orgId', managers, async (req, res) => {
+  try {
+    const { name, requireTwoFactor } = req.body;
+    let organization = req.organization;
+    if (requireTwoFactor !== undefined) {
+      organization = await organizationService.setTwoFactorRequired(organization.orgId, req.user, requireTwoFactor);
+    }
+    if (name !== undefined || requireTwoFactor === undefined) {
+      organization = await organizationService.rename(organization.orgId, name);
+    }
+    res.json(await organizationService.toPublic(organization, req.membership));
+  } catch (error) {
+    sendError(res, error, 'Update organization', 'Failed to update organization');
+  }
+});
+
+// Invite someone by email; the invitation holds a seat until it is accepted, revoked or expires
+router.post('/:orgId/invitations', managers, async (req, res) => {
+  try {
+    const invitation = await organizationService.invite(req.organization.orgId, req.membership, req.body);
+    res.status(201).json(invitation);
+  } catch (error) {
+    sendError(res, error, 'Invite member', 'Failed to send invitation');
+  }
+});
+
+router.delete('/:orgId/invitations/:invitationId', managers, async (req, res) => {
+  try {
+    await organizationService.revokeInvitation(req.organization.orgId, req.params.invitationId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Revoke invitation', 'Failed to revoke invitation');
+  }
+});
+
+// Change a member's role or monthly conversion cap
+router.patch('/:orgId/members/:userId', managers, async (req, res) => {
+  try {
+    const organization = await organizationService.updateMember(req.organization.orgId, req.membership, req.params.userId, req.body);
+    res.json(organizationService.getMember(organization, req.params.userId));
+  } catch (error) {
+    sendError(res, error, 'Update member', 'Failed to update member');
+  }
+});
+
+// Remove a member; any member can remove themselves to leave
+router.delete('/:orgId/members/:userId', loadOrganization(), async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.userId;
+    if (!leaving && !organizationService.canManage(req.membership)) {
+      return res.status(403).json({ error: "Only the organization's owner or admin can remove members" });
+    }
+
+    await organizationService.removeMember(req.organization.orgId, req.params.userId);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, 'Remove member', 'Failed to remove member');
+  }
+});
+
+// Pooled usage this month, with each member's share and cap
+router.get('/:orgId/usage', loadOrganization(), async (req, res) => {
+  try {
+    const now = new Date();
+    const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const usage = (await DynamoDBService.getItem(
+      process.env.DYNAMODB_TABLE_USAGE || 'user-usage',
+      { userId: req.organization.orgId, monthKey }
+    )) || {};
+    const memberConversions = usage.memberConversions || {};
+
+    res.json({
+      monthKey,
+      conversions: usage.conversions || 0,
+      maxConversions: await organizationService.getPooledQuota(req.organization),
+      overageConversions: usage.overageConversions || 0,
+      members: req.organization.members.map(member => ({
+        userId: member.userId,
+        email: member.email,
+        conversions: memberConversions[member.userId] || 0,
+        conversionCap: member.conversionCap
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'Organization usage', 'Failed to load usage');
+  }
+});
+
+// Subscribe the organization to a paid plan for a number of seats. The organization is the
+// billing account: webhooks key its subscription record by the organization id
+router.post('/:orgId/checkout', managers, async (req, res) => {
+  try {
+    const tier = findTier(req.body.planId);
+    const billingCycle = req.body.billingCycle || 'monthly';
+    const seats = Number(req.body.seats || organizationService.seatsUsed(req.organization));
+
+    if (!tier || tier.price.monthly <= 0) {
+      return res.status(400).json({ error: 'Invalid plan selected' });
+    }
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      return res.status(400).json({ error: 'Invalid billing cycle' });
+    }
+    if (!Number.isInteger(seats) || seats < organizationService.seatsUsed(req.organization)) {
+      return res.status(400).json({ error: `seats must cover the ${organizationService.seatsUsed(req.organization)} seats taken` });
+    }
+
+    const existing = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: req.organization.orgId });
+    if (existing && SUBSCRIBED_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: 'The organization already has a subscription. Change its plan or seats instead' });
+    }
+
+    const metadata = { userId: req.organization.orgId, planId: tier.id, billingCycle };
+    const session = await stripe.checkout.sessions.create({
+      customer_email: req.user.email,
+      payment_method_types: ['card'],
+      line_items: [{ price: tier.stripePriceIds[billingCycle], quantity: seats }],
+      mode: 'subscription',
+      success_url: `${process.env.FRONTEND_URL}/organization?success=true&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.FRONTEND_URL}/organization?canceled=true`,
+      metadata,
+      subscription_data: { metadata }
+    });
+
+    res.json({ sessionId: session.id, url: session.url, seats, pricePerSeat: tier.price[billingCycle] });
+  } catch (error) {
+    sendError(res, error, 'Organization checkout', 'Failed to create checkout session');
+  }
+});
+
+// Add or remove seats on the organization's subscription
+router.put('/:orgId/seats', managers, async (req, res) => {
+  try {
+    const seats = await organizationService.updateSeats(req.organization, req.body.seats);
+    res.json({
+      seats,
+      seatsUsed: organizationService.seatsUsed(req.organization),
+      pooledQuota: getTier(req.organization.tier).quotas.conversionsPerMonth * seats
+    });
+  } catch (error) {
+    sendError(res, error, 'Update seats', 'Failed to update seats');
+  }
+});
+
+// Plan changes of the organization's subscription, keeping its seats
+router.post('/:orgId/change/preview', managers, async (req, res) => {
+  try {
+    res.json(await planChangeService.preview(req.organization.orgId, req.body));
+  } catch (error) {
+    sendError(res, error, 'Organization plan change preview', 'Failed to preview plan change');
+  }
+});
+
+router.post('/:orgId/change', managers, async (req, res) => {
+  try {
+    res.json(await planChangeService.change(req.organization.orgId, req.body));
+  } catch (error) {
+    sendError(res, error, 'Organization plan change', 'Failed to change plan');
+  }
+});
+
+router.get('/:orgId/overage', managers, async (req, res) => {
+  try {
+    const subscription = await subscriptionRecords.get(req.organization.orgId);
+    res.json(overageService.getSettings(subscription));
+  } catch (error) {
+    sendError(res, error, 'Organization overage settings fetch', 'Failed to fetch overage settings');
+  }
+});
+
+router.put('/:orgId/overage', managers, async (req, res) => {
+  try {
+    res.json(await overageService.updateSettings(req.organization.orgId, req.body));
+  } catch (error) {
+    sendError(res, error, 'Organization overage settings update', 'Failed to update overage settings');
+  }
+});
+
+// Billing history of the organization; receipts download from /api/billing/invoices/:id/pdf
+router.get('/:orgId/invoices', managers, async (req, res) => {
+  try {
+    const entries = await invoiceLedger.listByUser(req.organization.orgId);
+    res.json({ invoices: entries.map(entry => invoiceLedger.toPublic(entry)) });
+  } catch (error) {
+    sendError(res, error, 'Organization invoices', 'Failed to load billing history');
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,111 @@
 const express = require('express');
+const { DynamoDBService } = require('../config/aws');
+const { authenticateToken } = require('../middleware/auth');
+const { DEFAULT_TIER_ID, BILLING_CYCLES, findTier, findTierByPaypalPlan } = require('../config/tiers');
+const invoiceLedger = require('../services/invoiceLedger');
+const couponService = require('../services/couponService');
+const subscriptionRecords = require('../services/subscriptionRecords');
+
+// Use PayPal when credentials are configured, the local mock otherwise
+const paypalService = process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET
+  ? require('../services/paypalService')
+  : require('../services/mockPaypalService');
+
 const router = express.Router();
 
-// Mock PayPal endpoints for development
-router.post('/create-order', async (req, res) => {
+const PAYMENTS_TABLE = process.env.DYNAMODB_TABLE_PAYMENTS || 'seo-nlp-payments';
+const CURRENCY = 'USD';
+
+// Paid catalog tier, billing cycle and server-side price for a checkout request
+const resolvePlan = ({ planId, billingCycle = 'monthly' }) => {
+  const tier = findTier(planId);
+
+  if (!tier || tier.price.monthly <= 0) {
+    return { error: 'Invalid plan selected' };
+  }
+  if (!BILLING_CYCLES.includes(billingCycle)) {
+    return { error: 'Invalid billing cycle' };
+  }
+
+  return { tier, billingCycle, amount: tier.price[billingCycle].toFixed(2) };
+};
+
+// End of a billing period starting at start
+const getPeriodEnd = (start, billingCycle) => {
+  const end = new Date(start);
+  if (billingCycle === 'yearly') {
+    end.setFullYear(end.getFullYear() + 1);
+  } else {
+    end.setMonth(end.getMonth() + 1);
+  }
+  return end;
+};
+
+// Give back the coupon redemption of an order that was not paid for
+const releaseCoupon = async (payment) => {
+  if (payment.couponCode) {
+    await couponService.release(payment.couponCode);
+  }
+};
+
+// Create a one-off order for a plan, priced from the tier catalog
+router.post('/create-order', authenticateToken, async (req, res) => {
   try {
-    const { amount, description } = req.body;
-    
-    console.log(`🎭 Mock PayPal: Creating order for $${amount} - ${description}`);
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
+    const plan = resolvePlan(req.body);
+    if (plan.error) {
+      return res.status(400).json({ success: false, error: plan.error });
+    }
+
+    // An order pays for one period, so any coupon applies to it once
+    const coupon = req.body.couponCode ? await couponService.validate(req.body.couponCode, plan.tier.id) : null;
+    const discount = coupon ? couponService.discountOn(coupon, plan.tier.price[plan.billingCycle]) : 0;
+    const total = (plan.tier.price[plan.billingCycle] - discount).toFixed(2);
+    if (Number(total) <= 0) {
+      return res.status(400).json({ success: false, error: 'This coupon covers the full price, check out with a card instead' });
+    }
+
+    // The client's amount is only checked, never charged
+    const { amount } = req.body;
+    if (amount !== undefined && Number(amount).toFixed(2) !== total) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount does not match the selected plan',
+        expected: total
+      });
+    }
+
+    const description = `${plan.tier.name} (${plan.billingCycle}) - NLP Converter`;
+    const order = await paypalService.createOrder(total, CURRENCY, description, req.user.userId);
+    if (!order.success) {
+      return res.status(502).json({ success: false, error: 'Failed to create PayPal order' });
+    }
+
+    await DynamoDBService.putItem(PAYMENTS_TABLE, {
+      orderId: order.orderId,
+      type: 'order',
+      userId: req.user.userId,
+      tier: plan.tier.id,
+      billingCycle: plan.billingCycle,
+      amount: total,
+      couponCode: coupon ? coupon.code : null,
+      discount,
+      currency: CURRENCY,
+      status: 'CREATED'
+    });
+
     res.json({
       success: true,
-      orderId: `MOCK_ORDER_${Date.now()}`,
-      approvalUrl: `https://sandbox.paypal.com/checkoutnow?token=MOCK_TOKEN_${Date.now()}`
+      orderId: order.orderId,
+      approvalUrl: order.approvalUrl,
+      amount: total,
+      discount: discount.toFixed(2),
+      currency: CURRENCY
     });
   } catch (error) {
+    // Coupon errors
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Create order error:', error);
     res.status(500).json({
       success: false,
@@ -25,22 +114,84 @@ router.post('/create-order', async (req, res) => {
   }
 });
 
-router.post('/capture-order', async (req, res) => {
+// Capture an approved order and upgrade the payer's tier
+router.post('/capture-order', authenticateToken, async (req, res) => {
   try {
     const { orderId } = req.body;
-    
-    console.log(`🎭 Mock PayPal: Capturing order ${orderId}`);
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
+    const payment = orderId && await DynamoDBService.getItem(PAYMENTS_TABLE, { orderId });
+
+    if (!payment || payment.type !== 'order' || payment.userId !== req.user.userId) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    if (payment.status === 'COMPLETED') {
+      return res.status(409).json({ success: false, error: 'Order already captured' });
+    }
+
+    // The coupon is counted before any money is taken, so its redemption limit holds
+    if (payment.couponCode && !(await couponService.redeem(payment.couponCode))) {
+      return res.status(409).json({ success: false, error: 'This coupon has reached its redemption limit' });
+    }
+
+    let capture;
+    try {
+      capture = await paypalService.captureOrder(orderId);
+    } catch (error) {
+      await releaseCoupon(payment);
+      throw error;
+    }
+    if (!capture.success || capture.status !== 'COMPLETED') {
+      await releaseCoupon(payment);
+      return res.status(402).json({ success: false, error: 'Payment was not completed' });
+    }
+
+    if (capture.amount.value !== payment.amount || capture.amount.currency_code !== payment.currency) {
+      // Money was taken but does not match the order, flag it for a refund instead of upgrading
+      console.error(`PayPal capture ${capture.captureId} for order ${orderId} is ${capture.amount.value} ${capture.amount.currency_code}, expected ${payment.amount} ${payment.currency}`);
+      await releaseCoupon(payment);
+      await DynamoDBService.putItem(PAYMENTS_TABLE, {
+        ...payment,
+        status: 'AMOUNT_MISMATCH',
+        captureId: capture.captureId,
+        updatedAt: new Date().toISOString()
+      });
+      return res.status(402).json({ success: false, error: 'Captured amount does not match the selected plan' });
+    }
+
+    // Nothing renews a one-time payment; prepaidPlanService expires the record when the period ends
+    const subscription = await activateSubscription(payment.userId, payment.tier, payment.billingCycle, {
+      paypalOrderId: orderId,
+      paypalCaptureId: capture.captureId,
+      prepaidState: 'active'
+    });
+
+    await DynamoDBService.putItem(PAYMENTS_TABLE, {
+      ...payment,
+      status: 'COMPLETED',
+      captureId: capture.captureId,
+      updatedAt: new Date().toISOString()
+    });
+
+    await invoiceLedger.recordPaypalCapture({
+      userId: payment.userId,
+      captureId: capture.captureId,
+      orderId,
+      tier: payment.tier,
+      billingCycle: payment.billingCycle,
+      description: `${findTier(payment.tier).name} (${payment.billingCycle})`,
+      amount: capture.amount.value,
+      discount: payment.discount || 0,
+      currency: capture.amount.currency_code
+    });
+
     res.json({
       success: true,
-      captureId: `MOCK_CAPTURE_${Date.now()}`,
-      status: 'COMPLETED',
-      amount: {
-        currency_code: 'USD',
-        value: '9.99'
+      captureId: capture.captureId,
+      status: capture.status,
+      amount: capture.amount,
+      subscription: {
+        tier: subscription.tier,
+        billingCycle: subscription.billingCycle,
+        currentPeriodEnd: subscription.currentPeriodEnd
       }
     });
   } catch (error) {
@@ -52,19 +203,40 @@ router.post('/capture-order', async (req, res) => {
   }
 });
 
-router.post('/create-subscription', async (req, res) => {
+// Create a recurring PayPal subscription, activated by the BILLING.SUBSCRIPTION.ACTIVATED webhook
+router.post('/create-subscription', authenticateToken, async (req, res) => {
   try {
-    const { planId } = req.body;
-    
-    console.log(`🎭 Mock PayPal: Creating subscription with plan ${planId}`);
-    
-    // Simulate API delay
-    await new Promise(resolve => setTimeout(resolve, 500));
-    
+    const plan = resolvePlan(req.body);
+    if (plan.error) {
+      return res.status(400).json({ success: false, error: plan.error });
+    }
+    // PayPal billing plans carry fixed prices
+    if (req.body.couponCode) {
+      return res.status(400).json({ success: false, error: 'Coupons apply to one-time PayPal payments and card subscriptions only' });
+    }
+
+    const paypalPlanId = plan.tier.paypalPlanIds[plan.billingCycle];
+    const result = await paypalService.createSubscription(paypalPlanId, req.user.email, req.user.userId);
+    if (!result.success) {
+      return res.status(502).json({ success: false, error: 'Failed to create PayPal subscription' });
+    }
+
+    await DynamoDBService.putItem(PAYMENTS_TABLE, {
+      orderId: result.subscriptionId,
+      type: 'subscription',
+      userId: req.user.userId,
+      tier: plan.tier.id,
+      billingCycle: plan.billingCycle,
+      amount: plan.amount,
+      currency: CURRENCY,
+      paypalPlanId,
+      status: 'APPROVAL_PENDING'
+    });
+
     res.json({
       success: true,
-      subscriptionId: `MOCK_SUB_${Date.now()}`,
-      approvalUrl: `https://sandbox.paypal.com/webapps/billing/subscriptions/create?ba_token=MOCK_BA_TOKEN_${Date.now()}`
+      subscriptionId: result.subscriptionId,
+      approvalUrl: result.approvalUrl
     });
   } catch (error) {
     console.error('Create subscription error:', error);
@@ -75,10 +247,47 @@ router.post('/create-subscription', async (req, res) => {
   }
 });
 
+// PayPal webhook handler
 router.post('/webhook', async (req, res) => {
+  const event = req.body;
+
+  const verified = await paypalService.verifyWebhookSignature(req.headers, event, req.rawBody);
+  if (!verified) {
+    console.error('PayPal webhook signature verification failed:', event && event.id);
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
   try {
-    const event = req.body;
-    console.log('🎭 Mock PayPal Webhook Event:', event.event_type || 'mock_event');
+    switch (event.event_type) {
+      case 'BILLING.SUBSCRIPTION.ACTIVATED':
+      case 'BILLING.SUBSCRIPTION.RE-ACTIVATED':
+        await handleSubscriptionActivated(event.resource);
+        break;
+
+      case 'BILLING.SUBSCRIPTION.UPDATED':
+        await handleSubscriptionUpdated(event.resource);
+        break;
+
+      case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED':
+        await handleSubscriptionStatus(event.resource, 'past_due');
+        break;
+
+      case 'BILLING.SUBSCRIPTION.SUSPENDED':
+        await handleSubscriptionEnded(event.resource, 'suspended');
+        break;
+
+      case 'BILLING.SUBSCRIPTION.CANCELLED':
+        await handleSubscriptionEnded(event.resource, 'canceled');
+        break;
+
+      case 'BILLING.SUBSCRIPTION.EXPIRED':
+        await handleSubscriptionEnded(event.resource, 'expired');
+        break;
+
+      default:
+        console.log(`Unhandled PayPal event type: ${event.event_type}`);
+    }
+
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Webhook error:', error);
@@ -89,4 +298,119 @@ router.post('/webhook', async (req, res) => {
   }
 });
 
+// Write the subscription record and move the user onto the paid tier
+async function activateSubscription(userId, tier, billingCycle, fields = {}, periodEnd) {
+  const now = new Date();
+  const subscription = {
+    userId,
+    tier,
+    status: 'active',
+    provider: 'paypal',
+    billingCycle,
+    currentPeriodStart: now.toISOString(),
+    currentPeriodEnd: (periodEnd || getPeriodEnd(now, billingCycle)).toISOString(),
+    cancelAtPeriodEnd: false,
+    ...fields,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString()
+  };
+
+  await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, subscription);
+  await subscriptionRecords.setTier(userId, tier);
+
+  return subscription;
+}
+
+// User, tier and billing cycle of a PayPal subscription, from the record written at creation
+// or, failing that, from the custom_id and plan_id PayPal sends back
+async function findSubscriptionOwner(resource) {
+  const payment = await DynamoDBService.getItem(PAYMENTS_TABLE, { orderId: resource.id });
+  if (payment && payment.type === 'subscription') {
+    return { userId: payment.userId, tier: payment.tier, billingCycle: payment.billingCycle };
+  }
+
+  const plan = findTierByPaypalPlan(resource.plan_id);
+  if (resource.custom_id && plan) {
+    return { userId: resource.custom_id, tier: plan.tier.id, billingCycle: plan.billingCycle };
+  }
+
+  return null;
+}
+
+// Current subscription record when it belongs to this PayPal subscription
+async function getPaypalSubscription(resource) {
+  const owner = await findSubscriptionOwner(resource);
+  if (!owner) {
+    return null;
+  }
+
+  const subscription = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: owner.userId });
+  return subscription && subscription.paypalSubscriptionId === resource.id ? subscription : null;
+}
+
+const getNextBillingTime = (resource) =>
+  resource.billing_info && resource.billing_info.next_billing_time
+    ? new Date(resource.billing_info.next_billing_time)
+    : null;
+
+async function handleSubscriptionActivated(resource) {
+  const owner = await findSubscriptionOwner(resource);
+  if (!owner) {
+    console.error(`PayPal subscription ${resource.id} does not belong to a known user`);
+    return;
+  }
+
+  await activateSubscription(owner.userId, owner.tier, owner.billingCycle, {
+    paypalSubscriptionId: resource.id,
+    paypalPlanId: resource.plan_id
+  }, getNextBillingTime(resource));
+}
+
+async function handleSubscriptionUpdated(resource) {
+  const subscription = await getPaypalSubscription(resource);
+  if (!subscription) {
+    return;
+  }
+
+  // A plan change moves the user to the matching tier
+  const plan = findTierByPaypalPlan(resource.plan_id);
+  const tier = plan ? plan.tier.id : subscription.tier;
+  const nextBillingTime = getNextBillingTime(resource);
+
+  await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, {
+    ...subscription,
+    tier,
+    billingCycle: plan ? plan.billingCycle : subscription.billingCycle,
+    paypalPlanId: resource.plan_id || subscription.paypalPlanId,
+    currentPeriodEnd: nextBillingTime ? nextBillingTime.toISOString() : subscription.currentPeriodEnd,
+    updatedAt: new Date().toISOString()
+  });
+
+  if (tier !== subscription.tier && subscription.status === 'active') {
+    await subscriptionRecords.setTier(subscription.userId, tier);
+  }
+}
+
+async function handleSubscriptionStatus(resource, status) {
+  const subscription = await getPaypalSubscription(resource);
+  if (!subscription) {
+    return null;
+  }
+
+  await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, {
+    ...subscription,
+    status,
+    updatedAt: new Date().toISOString()
+  });
+  return subscription;
+}
+
+// Suspended, cancelled and expired subscriptions drop the user back to the free tier
+async function handleSubscriptionEnded(resource, status) {
+  const subscription = await handleSubscriptionStatus(resource, status);
+  if (subscription) {
+    await subscriptionRecords.setTier(subscription.userId, DEFAULT_TIER_ID);
+  }
+}
+
 module.exports = router;
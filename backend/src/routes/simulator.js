@@ -0,0 +1,116 @@
+const express = require('express');
+const billingSimulator = require('../services/billingSimulator');
+
+const router = express.Router();
+
+// Webhooks go back to the server that received the simulator request
+const getBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+const handleError = (res, error, label) => {
+  if (!error.statusCode) {
+    console.error(`${label} error:`, error);
+  }
+  res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Billing simulator failed' });
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Everything the simulator currently holds, including delivered webhook events
+router.get('/state', (req, res) => {
+  res.json(billingSimulator.getState());
+});
+
+router.post('/reset', (req, res) => {
+  billingSimulator.reset();
+  res.json({ message: 'Billing simulator reset' });
+});
+
+// Hosted checkout page that Stripe checkout session URLs point to
+router.get('/stripe/checkout/:sessionId', async (req, res) => {
+  try {
+    const session = await billingSimulator.stripe.checkout.sessions.retrieve(req.params.sessionId);
+    const action = `/api/simulator/stripe/checkout/${encodeURIComponent(session.id)}/complete`;
+    const button = (outcome, label) =>
+      `<form method="post" action="${action}"><input type="hidden" name="outcome" value="${outcome}"><button>${label}</button></form>`;
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Simulated checkout</title></head>
+<body>
+  <h1>Simulated checkout</h1>
+  <p>${escapeHtml(session.customer_email || '')} &middot; ${escapeHtml(session.line_items[0].price)} &middot; ${escapeHtml(session.status)}</p>
+  ${session.last_payment_error ? `<p>${escapeHtml(session.last_payment_error.message)}</p>` : ''}
+  ${session.status === 'open' ? button('approve', 'Pay') + button('decline', 'Decline card') + button('cancel', 'Cancel') : ''}
+</body>
+</html>`);
+  } catch (error) {
+    handleError(res, error, 'Simulated checkout page');
+  }
+});
+
+// Approve, decline or cancel a checkout session; form posts are redirected like Stripe checkout
+router.post('/stripe/checkout/:sessionId/complete', async (req, res) => {
+  try {
+    const { outcome } = req.body;
+    const result = await billingSimulator.completeCheckout(req.params.sessionId, outcome, getBaseUrl(req));
+
+    if (req.is('application/x-www-form-urlencoded')) {
+      const { session } = result;
+      const redirects = {
+        approve: (session.success_url || '/').replace('{CHECKOUT_SESSION_ID}', session.id),
+        decline: `/api/simulator/stripe/checkout/${encodeURIComponent(session.id)}`,
+        cancel: session.cancel_url || '/'
+      };
+      return res.redirect(303, redirects[outcome]);
+    }
+
+    res.json(result);
+  } catch (error) {
+    handleError(res, error, 'Simulated checkout');
+  }
+});
+
+// Bill the next period of a subscription
+router.post('/stripe/subscriptions/:subscriptionId/renew', async (req, res) => {
+  try {
+    res.json(await billingSimulator.renewSubscription(req.params.subscriptionId, req.body.outcome || 'approve', getBaseUrl(req)));
+  } catch (error) {
+    handleError(res, error, 'Simulated renewal');
+  }
+});
+
+// Attempt payment of an open invoice, e.g. a past_due renewal; { outcome } sets whether the card works
+router.post('/stripe/invoices/:invoiceId/pay', async (req, res) => {
+  try {
+    res.json(await billingSimulator.payInvoice(req.params.invoiceId, req.body.outcome, getBaseUrl(req)));
+  } catch (error) {
+    handleError(res, error, 'Simulated invoice payment');
+  }
+});
+
+// End a subscription immediately, as if cancelled from the Stripe dashboard
+router.post('/stripe/subscriptions/:subscriptionId/cancel', async (req, res) => {
+  try {
+    res.json(await billingSimulator.cancelSubscription(req.params.subscriptionId, getBaseUrl(req)));
+  } catch (error) {
+    handleError(res, error, 'Simulated cancellation');
+  }
+});
+
+router.post('/paypal/orders/:orderId/complete', (req, res) => {
+  try {
+    res.json(billingSimulator.completePaypalOrder(req.params.orderId, req.body.outcome));
+  } catch (error) {
+    handleError(res, error, 'Simulated PayPal order');
+  }
+});
+
+router.post('/paypal/subscriptions/:subscriptionId/complete', async (req, res) => {
+  try {
+    res.json(await billingSimulator.completePaypalSubscription(req.params.subscriptionId, req.body.outcome, getBaseUrl(req)));
+  } catch (error) {
+    handleError(res, error, 'Simulated PayPal subscription');
+  }
+});
+
+module.exports = router;
@@ -1,67 +1,41 @@
 const express = require('express');
-// Initialize Stripe conditionally for development
-const stripe = process.env.STRIPE_SECRET_KEY && process.env.STRIPE_SECRET_KEY !== 'sk_test_mock_key_for_development' 
-  ? require('stripe')(process.env.STRIPE_SECRET_KEY)
-  : null;
+const { stripe, STRIPE_WEBHOOK_SECRET } = require('../config/stripe');
 const { DynamoDBService } = require('../config/aws');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const planChangeService = require('../services/planChangeService');
+const dunningService = require('../services/dunningService');
+const couponService = require('../services/couponService');
+const overageService = require('../services/overageService');
+const subscriptionRecords = require('../services/subscriptionRecords');
 const { authenticateToken } = require('../middleware/auth');
+const { TIERS, DEFAULT_TIER_ID, BILLING_CYCLES, getTier, resolveTierId, describeTier } = require('../config/tiers');
 
 const router = express.Router();
 
-// Subscription plans
-const SUBSCRIPTION_PLANS = {
-  basic: {
-    name: 'Basic Plan',
-    price: 9.99,
-    priceId: 'price_basic_monthly', // Replace with actual Stripe price ID
-    features: [
-      '50 file processes per day',
-      'Basic SEO analysis',
-      'Standard file formats support',
-      'Email support'
-    ],
-    limits: {
-      dailyProcessing: 50,
-      fileSize: 10 * 1024 * 1024, // 10MB
-      features: ['basic-seo']
-    }
-  },
-  premium: {
-    name: 'Premium Plan',
-    price: 29.99,
-    priceId: 'price_premium_monthly', // Replace with actual Stripe price ID
-    features: [
-      '200 file processes per day',
-      'Advanced SEO analysis',
-      'Content variations',
-      'All file formats support',
-      'Priority support'
-    ],
-    limits: {
-      dailyProcessing: 200,
-      fileSize: 50 * 1024 * 1024, // 50MB
-      features: ['basic-seo', 'advanced-seo', 'content-variations']
-    }
-  },
-  enterprise: {
-    name: 'Enterprise Plan',
-    price: 99.99,
-    priceId: 'price_enterprise_monthly', // Replace with actual Stripe price ID
-    features: [
-      '1000 file processes per day',
-      'Full SEO suite',
-      'Unlimited content variations',
-      'API access',
-      'Custom integrations',
-      'Dedicated support'
-    ],
-    limits: {
-      dailyProcessing: 1000,
-      fileSize: 100 * 1024 * 1024, // 100MB
-      features: ['basic-seo', 'advanced-seo', 'content-variations', 'api-access']
-    }
+// Plan details for a catalog tier, in the shape the subscription endpoints return
+const toPlan = (tier) => ({
+  name: tier.name,
+  price: tier.price.monthly,
+  priceId: tier.stripePriceIds.monthly,
+  prices: { ...tier.price },
+  priceIds: { ...tier.stripePriceIds },
+  trialDays: tier.trialDays,
+  overagePrice: tier.overagePrice,
+  features: describeTier(tier),
+  limits: {
+    dailyProcessing: tier.quotas.processingPerDay,
+    fileSize: tier.maxFileSize,
+    features: Object.keys(tier.features).filter(feature => tier.features[feature])
   }
-};
+});
+
+// Paid subscription plans, from the tier catalog
+const SUBSCRIPTION_PLANS = TIERS
+  .filter(tier => tier.price.monthly > 0)
+  .reduce((plans, tier) => {
+    plans[tier.id] = toPlan(tier);
+    return plans;
+  }, {});
 
 // Get subscription plans
 router.get('/plans', (req, res) => {
@@ -82,28 +56,36 @@ router.get('/current', authenticateToken, async (req, res) => {
     );
 
     if (!subscription) {
+      const { features, limits } = toPlan(getTier(DEFAULT_TIER_ID));
       return res.json({
-        tier: 'free',
+        tier: DEFAULT_TIER_ID,
         status: 'active',
-        features: [
-          '5 file processes per day',
-          'Basic file formats support',
-          'Community support'
-        ],
-        limits: {
-          dailyProcessing: 5,
-          fileSize: 5 * 1024 * 1024, // 5MB
-          features: []
-        }
+        trialEligible: true,
+        features,
+        limits
       });
     }
 
-    const plan = SUBSCRIPTION_PLANS[subscription.tier];
+    const plan = toPlan(getTier(subscription.tier));
     res.json({
       tier: subscription.tier,
       status: subscription.status,
+      provider: subscription.provider || (subscription.stripeSubscriptionId ? 'stripe' : null),
+      billingCycle: subscription.billingCycle || 'monthly',
       currentPeriodEnd: subscription.currentPeriodEnd,
       cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      trialEndsAt: subscription.trialEndsAt || null,
+      couponCode: subscription.couponCode || null,
+      // Free trials are for accounts that have never subscribed
+      trialEligible: false,
+      pendingChange: subscription.pendingTier ? {
+        tier: subscription.pendingTier,
+        billingCycle: subscription.pendingBillingCycle,
+        effectiveAt: subscription.pendingChangeAt
+      } : null,
+      // Failed-payment banner while the subscription is in dunning
+      dunning: dunningService.getStatus(subscription),
+      overage: overageService.getSettings(subscription),
       ...plan
     });
   } catch (error) {
@@ -115,13 +97,37 @@ router.get('/current', authenticateToken, async (req, res) => {
 // Create checkout session
 router.post('/checkout', authenticateToken, async (req, res) => {
   try {
-    const { planId } = req.body;
+    const planId = resolveTierId(req.body.planId);
+    const billingCycle = req.body.billingCycle || 'monthly';
 
     if (!SUBSCRIPTION_PLANS[planId]) {
       return res.status(400).json({ error: 'Invalid plan selected' });
     }
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      return res.status(400).json({ error: 'Invalid billing cycle' });
+    }
 
     const plan = SUBSCRIPTION_PLANS[planId];
+    const coupon = req.body.couponCode ? await couponService.validate(req.body.couponCode, planId) : null;
+
+    // Free trials are asked for with trial: true, and are for accounts that have never subscribed
+    let trialDays = 0;
+    if (req.body.trial) {
+      if (!plan.trialDays) {
+        return res.status(400).json({ error: `The ${getTier(planId).shortName} plan has no free trial` });
+      }
+      if (await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: req.user.userId })) {
+        return res.status(400).json({ error: 'Free trials are only available to accounts that have never subscribed' });
+      }
+      trialDays = plan.trialDays;
+    }
+
+    const metadata = {
+      userId: req.user.userId,
+      planId: planId,
+      billingCycle,
+      ...(coupon ? { couponCode: coupon.code } : {})
+    };
 
     // Create Stripe checkout session
     const session = await stripe.checkout.sessions.create({
@@ -129,35 +135,120 @@ router.post('/checkout', authenticateToken, async (req, res) => {
       payment_method_types: ['card'],
       line_items: [
         {
-          price: plan.priceId,
+          price: plan.priceIds[billingCycle],
           quantity: 1,
         },
       ],
       mode: 'subscription',
+      ...(coupon ? { discounts: [{ coupon: await couponService.ensureStripeCoupon(coupon) }] } : {}),
       success_url: `${process.env.FRONTEND_URL}/dashboard?success=true&session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL}/pricing?canceled=true`,
-      metadata: {
-        userId: req.user.userId,
-        planId: planId
-      },
+      metadata,
       subscription_data: {
-        metadata: {
-          userId: req.user.userId,
-          planId: planId
-        }
+        metadata,
+        ...(trialDays > 0 ? { trial_period_days: trialDays } : {})
       }
     });
 
     res.json({
       sessionId: session.id,
-      url: session.url
+      url: session.url,
+      trialDays,
+      coupon: coupon ? couponService.quote(coupon, getTier(planId), billingCycle) : null
     });
   } catch (error) {
+    // Coupon errors; Stripe errors also carry a statusCode, but are not meant for the client
+    if (error.statusCode && !error.type) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Checkout session error:', error);
     res.status(500).json({ error: 'Failed to create checkout session' });
   }
 });
 
+// Price of a plan with a coupon applied, shown on the pricing page before checkout
+router.post('/coupons/validate', async (req, res) => {
+  try {
+    const planId = resolveTierId(req.body.planId);
+    const billingCycle = req.body.billingCycle || 'monthly';
+
+    if (!SUBSCRIPTION_PLANS[planId]) {
+      return res.status(400).json({ error: 'Invalid plan selected' });
+    }
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      return res.status(400).json({ error: 'Invalid billing cycle' });
+    }
+
+    const coupon = await couponService.validate(req.body.code, planId);
+    res.json({ valid: true, ...couponService.quote(coupon, getTier(planId), billingCycle) });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ valid: false, error: error.message });
+    }
+    console.error('Coupon validation error:', error);
+    res.status(500).json({ error: 'Failed to validate coupon' });
+  }
+});
+
+// Preview a plan change: the prorated amount due now for upgrades, the effective date for downgrades
+router.post('/change/preview', authenticateToken, async (req, res) => {
+  try {
+    const preview = await planChangeService.preview(req.user.userId, req.body);
+    res.json(preview);
+  } catch (error) {
+    // Stripe errors also carry a statusCode, but are not meant for the client
+    if (error.statusCode && !error.type) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Plan change preview error:', error);
+    res.status(500).json({ error: 'Failed to preview plan change' });
+  }
+});
+
+// Change plan: upgrades apply now with proration, downgrades at the end of the current period
+router.post('/change', authenticateToken, async (req, res) => {
+  try {
+    const result = await planChangeService.change(req.user.userId, req.body);
+    res.json(result);
+  } catch (error) {
+    // Card errors from an upgrade invoice that could not be paid
+    if (error.type === 'StripeCardError') {
+      return res.status(402).json({ error: error.message });
+    }
+    if (error.statusCode && !error.type) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Plan change error:', error);
+    res.status(500).json({ error: 'Failed to change plan' });
+  }
+});
+
+// Overage settings: whether conversions past the quota are billed, their price and the monthly cap
+router.get('/overage', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await subscriptionRecords.get(req.user.userId);
+    res.json(overageService.getSettings(subscription));
+  } catch (error) {
+    console.error('Overage settings fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch overage settings' });
+  }
+});
+
+// Opt in or out of overage billing, with the most it may add to a month's bill
+router.put('/overage', authenticateToken, async (req, res) => {
+  try {
+    const settings = await overageService.updateSettings(req.user.userId, req.body);
+    res.json(settings);
+  } catch (error) {
+    // Stripe errors also carry a statusCode, but are not meant for the client
+    if (error.statusCode && !error.type) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Overage settings update error:', error);
+    res.status(500).json({ error: 'Failed to update overage settings' });
+  }
+});
+
 // Cancel subscription
 router.post('/cancel', authenticateToken, async (req, res) => {
   try {
@@ -179,9 +270,9 @@ router.post('/cancel', authenticateToken, async (req, res) => {
     await DynamoDBService.updateItem(
       process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
       { userId: req.user.userId },
-      'SET cancelAtPeriodEnd = :cancel, updatedAt = :updatedAt',
+      'SET cancelAtPeriodEnd = :cancelAtPeriodEnd, updatedAt = :updatedAt',
       {
-        ':cancel': true,
+        ':cancelAtPeriodEnd': true,
         ':updatedAt': new Date().toISOString()
       }
     );
@@ -214,9 +305,9 @@ router.post('/reactivate', authenticateToken, async (req, res) => {
     await DynamoDBService.updateItem(
       process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
       { userId: req.user.userId },
-      'SET cancelAtPeriodEnd = :cancel, updatedAt = :updatedAt',
+      'SET cancelAtPeriodEnd = :cancelAtPeriodEnd, updatedAt = :updatedAt',
       {
-        ':cancel': false,
+        ':cancelAtPeriodEnd': false,
         ':updatedAt': new Date().toISOString()
       }
     );
@@ -234,171 +325,22 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+    // The signature covers the exact bytes received, kept as rawBody by the JSON parser
+    event = stripe.webhooks.constructEvent(req.rawBody || req.body, sig, STRIPE_WEBHOOK_SECRET);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   try {
-    switch (event.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutCompleted(event.data.object);
-        break;
-        
-      case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
-        
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-        
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
-        
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
-        
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
-
-    res.json({ received: true });
+    // Duplicates, stale events and failures are handled by the event ledger
+    const result = await stripeWebhookService.processEvent(event);
+    res.json({ received: true, status: result.status });
   } catch (error) {
+    // Dead-lettered; a non-2xx response makes Stripe retry it
     console.error('Webhook handler error:', error);
     res.status(500).json({ error: 'Webhook handler failed' });
   }
 });
 
-// Webhook handlers
-async function handleCheckoutCompleted(session) {
-  const { userId, planId } = session.metadata;
-  
-  // Get the subscription from Stripe
-  const stripeSubscription = await stripe.subscriptions.retrieve(session.subscription);
-  
-  // Create subscription record
-  const subscription = {
-    userId,
-    tier: planId,
-    status: 'active',
-    stripeCustomerId: session.customer,
-    stripeSubscriptionId: session.subscription,
-    currentPeriodStart: new Date(stripeSubscription.current_period_start * 1000).toISOString(),
-    currentPeriodEnd: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
-    cancelAtPeriodEnd: false,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
-
-  await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, subscription);
-
-  // Update user's subscription tier
-  await DynamoDBService.updateItem(
-    process.env.DYNAMODB_TABLE_USERS,
-    { userId },
-    'SET subscriptionTier = :tier, updatedAt = :updatedAt',
-    {
-      ':tier': planId,
-      ':updatedAt': new Date().toISOString()
-    }
-  );
-}
-
-async function handlePaymentSucceeded(invoice) {
-  const subscriptionId = invoice.subscription;
-  
-  if (subscriptionId) {
-    const stripeSubscription = await stripe.subscriptions.retrieve(subscriptionId);
-    const userId = stripeSubscription.metadata.userId;
-    
-    if (userId) {
-      await DynamoDBService.updateItem(
-        process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
-        { userId },
-        'SET #status = :status, currentPeriodEnd = :periodEnd, updatedAt = :updatedAt',
-        {
-          ':status': 'active',
-          ':periodEnd': new Date(stripeSubscription.current_period_end * 1000).toISOString(),
-          ':updatedAt': new Date().toISOString(),
-          '#status': 'status'
-        }
-      );
-    }
-  }
-}
-
-async function handlePaymentFailed(invoice) {
-  const subscriptionId = invoice.subscription;
-  
-  if (subscriptionId) {
-    const stripeSubscription = await stripe.subscriptions.retrieve(subscriptionId);
-    const userId = stripeSubscription.metadata.userId;
-    
-    if (userId) {
-      await DynamoDBService.updateItem(
-        process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
-        { userId },
-        'SET #status = :status, updatedAt = :updatedAt',
-        {
-          ':status': 'past_due',
-          ':updatedAt': new Date().toISOString(),
-          '#status': 'status'
-        }
-      );
-    }
-  }
-}
-
-async function handleSubscriptionUpdated(subscription) {
-  const userId = subscription.metadata.userId;
-  
-  if (userId) {
-    await DynamoDBService.updateItem(
-      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
-      { userId },
-      'SET #status = :status, currentPeriodEnd = :periodEnd, cancelAtPeriodEnd = :cancelAtEnd, updatedAt = :updatedAt',
-      {
-        ':status': subscription.status,
-        ':periodEnd': new Date(subscription.current_period_end * 1000).toISOString(),
-        ':cancelAtEnd': subscription.cancel_at_period_end,
-        ':updatedAt': new Date().toISOString(),
-        '#status': 'status'
-      }
-    );
-  }
-}
-
-async function handleSubscriptionDeleted(subscription) {
-  const userId = subscription.metadata.userId;
-  
-  if (userId) {
-    // Update subscription status
-    await DynamoDBService.updateItem(
-      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
-      { userId },
-      'SET #status = :status, updatedAt = :updatedAt',
-      {
-        ':status': 'canceled',
-        ':updatedAt': new Date().toISOString(),
-        '#status': 'status'
-      }
-    );
-
-    // Downgrade user to free tier
-    await DynamoDBService.updateItem(
-      process.env.DYNAMODB_TABLE_USERS,
-      { userId },
-      'SET subscriptionTier = :tier, updatedAt = :updatedAt',
-      {
-        ':tier': 'free',
-        ':updatedAt': new Date().toISOString()
-      }
-    );
-  }
-}
-
 module.exports = router;
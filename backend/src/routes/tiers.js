@@ -0,0 +1,25 @@
+const express = require('express');
+const { DEFAULT_TIER_ID, findTier, getPublicCatalog } = require('../config/tiers');
+
+const router = express.Router();
+
+// Get the tier catalog
+router.get('/', (req, res) => {
+  res.json({
+    tiers: getPublicCatalog(),
+    defaultTier: DEFAULT_TIER_ID
+  });
+});
+
+// Get a single tier by id or alias
+router.get('/:tierId', (req, res) => {
+  const tier = findTier(req.params.tierId);
+
+  if (!tier) {
+    return res.status(404).json({ error: 'Tier not found' });
+  }
+
+  res.json(getPublicCatalog().find(entry => entry.id === tier.id));
+});
+
+module.exports = router;
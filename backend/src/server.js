@@ -10,36 +10,52 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
 const CostOptimizer = require('./services/cost-optimizer');
+const modelProviders = require('./services/modelProviders');
 const { 
     getModelConfig, 
-    calculateCost, 
+    calculateUsageCost, 
     getTierFeatures,
     getOptimalModel 
 } = require('./config/ai-models');
+const { authenticateOrGuest } = require('./middleware/auth');
 
 // Import routes
-const authRoutes = require('../routes/auth');
-const nlpRoutes = require('../routes/nlp');
-const subscriptionRoutes = require('../routes/subscriptions');
-const paymentRoutes = require('../routes/payments');
-const fileRoutes = require('../routes/files');
+const authRoutes = require('./routes/auth');
+const nlpRoutes = require('./routes/nlp');
+const subscriptionRoutes = require('./routes/subscriptions');
+const paymentRoutes = require('./routes/payments');
+const billingRoutes = require('./routes/billing');
+const organizationRoutes = require('./routes/organizations');
+const apiKeyRoutes = require('./routes/apiKeys');
+const fileRoutes = require('./routes/files');
+const jobRoutes = require('./routes/jobs');
+const tierRoutes = require('./routes/tiers');
+const adminRoutes = require('./routes/admin');
+const simulatorRoutes = require('./routes/simulator');
+const billingSimulator = require('./services/billingSimulator');
+const jobQueue = require('./services/jobQueue');
+const dunningService = require('./services/dunningService');
+const prepaidPlanService = require('./services/prepaidPlanService');
+const conversionService = require('./services/conversionService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Initialize services
-const bedrockClient = new BedrockRuntimeClient({ 
-    region: process.env.AWS_REGION || 'us-east-1' 
-});
 const costOptimizer = new CostOptimizer();
 
 // Middleware
 app.use(helmet());
 app.use(compression());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for webhook signature verification
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Global rate limiting
@@ -63,7 +79,21 @@ app.use('/api/auth', authRoutes);
 app.use('/api/nlp', nlpRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/tiers', tierRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Local Stripe and PayPal simulator, never mounted in production
+if (billingSimulator.enabled) {
+    app.use('/api/simulator', simulatorRoutes);
+}
+
+// Background conversion jobs
+jobQueue.process(job => conversionService.processJob(job));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -100,19 +130,146 @@ app.get('/ready', async (req, res) => {
     }
 });
 
-// User tier middleware
-const getUserTier = (req, res, next) => {
-    // In a real app, this would come from authentication/database
-    const tier = req.headers['x-user-tier'] || 'FREE';
-    const userId = req.headers['x-user-id'] || 'anonymous';
-    
-    req.userTier = tier.toUpperCase();
-    req.userId = userId;
-    next();
+// Tier and user of an NLP request, from the login or API key and the users table. Requests
+// without credentials run as rate-limited guests on the free plan
+const getUserTier = (scope) => [
+    authenticateOrGuest({ scope }),
+    (req, res, next) => {
+        req.userTier = req.user.subscriptionTier.toUpperCase();
+        req.userId = req.user.userId;
+        next();
+    }
+];
+
+// Streaming is requested with `Accept: text/event-stream` or `?stream=1`
+const wantsEventStream = (req) => {
+    if (['1', 'true'].includes(String(req.query.stream))) {
+        return true;
+    }
+    return (req.headers.accept || '').includes('text/event-stream');
+};
+
+const openEventStream = (res) => {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+    res.flushHeaders();
+};
+
+const sendEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression() buffers output until flushed
+    if (typeof res.flush === 'function') {
+        res.flush();
+    }
+};
+
+// Replay a cached response as a single token event followed by the metadata event
+const sendCachedEventStream = (res, response, resultField) => {
+    openEventStream(res);
+    sendEvent(res, 'token', { text: response[resultField] });
+    sendEvent(res, 'done', response);
+    res.end();
+};
+
+// Track tokens and cost for a completed model call and build the response body.
+// Uses provider-reported token counts when available, priced at the model's input and output rates
+const recordCompletion = async (completion, { userId, userTier, useCase, resultField, limits, reservation }) => {
+    const { inputTokens, outputTokens, source } = completion.usage;
+    const cost = calculateUsageCost(completion.modelId, inputTokens, outputTokens);
+
+    await costOptimizer.trackUsage(userId, userTier, useCase, completion.usage, cost, reservation);
+
+    return {
+        [resultField]: completion.text,
+        metadata: {
+            modelUsed: completion.modelId,
+            tokensUsed: inputTokens + outputTokens,
+            inputTokens,
+            outputTokens,
+            usageSource: source,
+            inputCost: cost.inputCost,
+            outputCost: cost.outputCost,
+            cost: cost.totalCost,
+            tier: userTier,
+            timestamp: new Date().toISOString()
+        },
+        limits
+    };
+};
+
+// Forward model output to the client as it is generated, then send tokens and cost
+const streamModelResponse = async (req, res, options) => {
+    const { modelRequest, userId, userTier, useCase, resultField, cacheKey, limits, reservation, errorCode } = options;
+
+    const abortController = new AbortController();
+    let clientClosed = false;
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            clientClosed = true;
+            abortController.abort();
+        }
+    });
+
+    openEventStream(res);
+
+    // The stream is open, so errors are reported as an event and never reach the route's handler
+    try {
+        let completion;
+        try {
+            completion = await modelProviders.invokeStream(modelRequest, {
+                abortSignal: abortController.signal,
+                onToken: (text) => sendEvent(res, 'token', { text })
+            });
+        } catch (error) {
+            // Tokens generated before a disconnect are still billed by the provider. Errors raised
+            // before the stream started carry no partial output
+            if (clientClosed && error.partial) {
+                await recordCompletion({ ...error.partial, modelId: modelRequest.modelId }, { userId, userTier, useCase, resultField, limits, reservation });
+                return;
+            }
+
+            // Failed calls do not count against the limits
+            await costOptimizer.releaseRequest(userId, reservation);
+            if (clientClosed) {
+                return;
+            }
+            throw error;
+        }
+
+        const result = await recordCompletion(completion, { userId, userTier, useCase, resultField, limits, reservation });
+        await costOptimizer.cacheResult(cacheKey, result, userTier);
+
+        if (!clientClosed) {
+            sendEvent(res, 'done', result);
+            res.end();
+        }
+    } catch (error) {
+        console.error('Error in streaming response:', error);
+        if (!clientClosed && !res.writableEnded) {
+            sendEvent(res, 'error', {
+                error: error.statusCode ? error.message : 'Internal server error',
+                code: error.code || errorCode,
+                message: error.message
+            });
+            res.end();
+        }
+    }
+};
+
+// Respond with the provider's status for model errors, 500 otherwise
+const sendProcessingError = (res, error, code) => {
+    res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Internal server error',
+        code: error.code || code,
+        message: error.message
+    });
 };
 
 // Text Analysis endpoint
-app.post('/api/nlp/analyze', getUserTier, async (req, res) => {
+app.post('/api/nlp/analyze', getUserTier('nlp:analyze'), async (req, res) => {
     try {
         const { content, prompt, options = {} } = req.body;
         const { userTier, userId } = req;
@@ -140,11 +297,12 @@ app.post('/api/nlp/analyze', getUserTier, async (req, res) => {
         // Check cache first
         const cachedResult = await costOptimizer.getCachedResult(cacheKey, userTier);
         if (cachedResult) {
-            return res.json({
-                ...cachedResult,
-                cached: true,
-                tier: userTier
-            });
+            // Cached results do not count against the limits
+            const response = await costOptimizer.buildCachedResponse(userId, userTier, cachedResult, requestCheck.reservation);
+            if (wantsEventStream(req)) {
+                return sendCachedEventStream(res, response, 'analysis');
+            }
+            return res.json(response);
         }
         
         // Get optimal model configuration
@@ -164,63 +322,60 @@ Please provide:
 
 Format the response as JSON.`;
 
-        // Calculate input tokens (rough estimate)
-        const inputTokens = Math.ceil(analysisPrompt.length / 4);
-        
-        // Invoke Bedrock model
-        const command = new InvokeModelCommand({
+        const modelRequest = {
             modelId: modelConfig.modelId,
-            body: JSON.stringify({
-                prompt: `Human: ${analysisPrompt}\n\nAssistant:`,
-                max_tokens: modelConfig.maxTokens,
-                temperature: modelConfig.temperature,
-                top_p: 0.9,
-                stop_sequences: ["Human:"]
-            }),
-            contentType: 'application/json',
-            accept: 'application/json'
-        });
-        
-        const response = await bedrockClient.send(command);
-        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-        
-        // Calculate output tokens and cost
-        const outputTokens = Math.ceil(responseBody.completion.length / 4);
-        const cost = calculateCost(userTier, 'textGeneration', inputTokens, outputTokens);
-        
-        // Track usage
-        await costOptimizer.trackUsage(userId, userTier, 'textGeneration', inputTokens, outputTokens, cost);
-        
-        // Prepare result
-        const result = {
-            analysis: responseBody.completion,
-            metadata: {
-                modelUsed: modelConfig.modelId,
-                tokensUsed: inputTokens + outputTokens,
-                cost: cost,
-                tier: userTier,
-                timestamp: new Date().toISOString()
-            },
-            limits: requestCheck.limits
+            prompt: analysisPrompt,
+            maxTokens: modelConfig.maxTokens,
+            temperature: modelConfig.temperature,
+            topP: 0.9
         };
-        
+
+        // Forward tokens as Server-Sent Events when the client asks for a stream
+        if (wantsEventStream(req)) {
+            await streamModelResponse(req, res, {
+                modelRequest,
+                userId,
+                userTier,
+                useCase: 'textGeneration',
+                resultField: 'analysis',
+                cacheKey,
+                limits: requestCheck.limits,
+                reservation: requestCheck.reservation,
+                errorCode: 'ANALYSIS_FAILED'
+            });
+            return;
+        }
+
+        let completion;
+        try {
+            completion = await modelProviders.invoke(modelRequest);
+        } catch (error) {
+            // Failed calls do not count against the limits
+            await costOptimizer.releaseRequest(userId, requestCheck.reservation);
+            throw error;
+        }
+        const result = await recordCompletion(completion, {
+            userId,
+            userTier,
+            useCase: 'textGeneration',
+            resultField: 'analysis',
+            limits: requestCheck.limits,
+            reservation: requestCheck.reservation
+        });
+
         // Cache result
         await costOptimizer.cacheResult(cacheKey, result, userTier);
-        
+
         res.json(result);
         
     } catch (error) {
         console.error('Error in text analysis:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            code: 'ANALYSIS_FAILED',
-            message: error.message
-        });
+        sendProcessingError(res, error, 'ANALYSIS_FAILED');
     }
 });
 
 // Text Generation endpoint
-app.post('/api/nlp/generate', getUserTier, async (req, res) => {
+app.post('/api/nlp/generate', getUserTier('nlp:analyze'), async (req, res) => {
     try {
         const { prompt, context, options = {} } = req.body;
         const { userTier, userId } = req;
@@ -248,11 +403,12 @@ app.post('/api/nlp/generate', getUserTier, async (req, res) => {
         // Check cache first
         const cachedResult = await costOptimizer.getCachedResult(cacheKey, userTier);
         if (cachedResult) {
-            return res.json({
-                ...cachedResult,
-                cached: true,
-                tier: userTier
-            });
+            // Cached results do not count against the limits
+            const response = await costOptimizer.buildCachedResponse(userId, userTier, cachedResult, requestCheck.reservation);
+            if (wantsEventStream(req)) {
+                return sendCachedEventStream(res, response, 'generatedText');
+            }
+            return res.json(response);
         }
         
         // Get optimal model configuration
@@ -261,61 +417,60 @@ app.post('/api/nlp/generate', getUserTier, async (req, res) => {
         // Prepare prompt for text generation
         const fullPrompt = `${context ? `Context: ${context}\n\n` : ''}${prompt}`;
 
-        // Calculate input tokens
-        const inputTokens = Math.ceil(fullPrompt.length / 4);
-        
-        // Invoke Bedrock model
-        const command = new InvokeModelCommand({
+        const modelRequest = {
             modelId: modelConfig.modelId,
-            body: JSON.stringify({
-                prompt: `Human: ${fullPrompt}\n\nAssistant:`,
-                max_tokens: modelConfig.maxTokens,
-                temperature: modelConfig.temperature,
-                top_p: 0.9,
-                stop_sequences: ["Human:"]
-            }),
-            contentType: 'application/json',
-            accept: 'application/json'
-        });
-        
-        const response = await bedrockClient.send(command);
-        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-        
-        // Calculate cost and track usage
-        const outputTokens = Math.ceil(responseBody.completion.length / 4);
-        const cost = calculateCost(userTier, 'textGeneration', inputTokens, outputTokens);
-        
-        await costOptimizer.trackUsage(userId, userTier, 'textGeneration', inputTokens, outputTokens, cost);
-        
-        const result = {
-            generatedText: responseBody.completion,
-            metadata: {
-                modelUsed: modelConfig.modelId,
-                tokensUsed: inputTokens + outputTokens,
-                cost: cost,
-                tier: userTier,
-                timestamp: new Date().toISOString()
-            },
-            limits: requestCheck.limits
+            prompt: fullPrompt,
+            maxTokens: modelConfig.maxTokens,
+            temperature: modelConfig.temperature,
+            topP: 0.9
         };
-        
+
+        // Forward tokens as Server-Sent Events when the client asks for a stream
+        if (wantsEventStream(req)) {
+            await streamModelResponse(req, res, {
+                modelRequest,
+                userId,
+                userTier,
+                useCase: 'textGeneration',
+                resultField: 'generatedText',
+                cacheKey,
+                limits: requestCheck.limits,
+                reservation: requestCheck.reservation,
+                errorCode: 'GENERATION_FAILED'
+            });
+            return;
+        }
+
+        let completion;
+        try {
+            completion = await modelProviders.invoke(modelRequest);
+        } catch (error) {
+            // Failed calls do not count against the limits
+            await costOptimizer.releaseRequest(userId, requestCheck.reservation);
+            throw error;
+        }
+        const result = await recordCompletion(completion, {
+            userId,
+            userTier,
+            useCase: 'textGeneration',
+            resultField: 'generatedText',
+            limits: requestCheck.limits,
+            reservation: requestCheck.reservation
+        });
+
         // Cache result
         await costOptimizer.cacheResult(cacheKey, result, userTier);
-        
+
         res.json(result);
         
     } catch (error) {
         console.error('Error in text generation:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            code: 'GENERATION_FAILED',
-            message: error.message
-        });
+        sendProcessingError(res, error, 'GENERATION_FAILED');
     }
 });
 
 // Text Transformation endpoint
-app.post('/api/nlp/transform', getUserTier, async (req, res) => {
+app.post('/api/nlp/transform', getUserTier('nlp:analyze'), async (req, res) => {
     try {
         const { content, transformationType, instructions, options = {} } = req.body;
         const { userTier, userId } = req;
@@ -353,11 +508,12 @@ app.post('/api/nlp/transform', getUserTier, async (req, res) => {
         // Check cache
         const cachedResult = await costOptimizer.getCachedResult(cacheKey, userTier);
         if (cachedResult) {
-            return res.json({
-                ...cachedResult,
-                cached: true,
-                tier: userTier
-            });
+            // Cached results do not count against the limits
+            const response = await costOptimizer.buildCachedResponse(userId, userTier, cachedResult, requestCheck.reservation);
+            if (wantsEventStream(req)) {
+                return sendCachedEventStream(res, response, 'transformedContent');
+            }
+            return res.json(response);
         }
         
         // Get model configuration
@@ -380,57 +536,60 @@ Please provide:
 
 Format the response as JSON with clear sections.`;
 
-        const inputTokens = Math.ceil(prompt.length / 4);
-        
-        const command = new InvokeModelCommand({
+        const modelRequest = {
             modelId: modelConfig.modelId,
-            body: JSON.stringify({
-                prompt: `Human: ${prompt}\n\nAssistant:`,
-                max_tokens: modelConfig.maxTokens,
-                temperature: modelConfig.temperature,
-                top_p: 0.9,
-                stop_sequences: ["Human:"]
-            }),
-            contentType: 'application/json',
-            accept: 'application/json'
-        });
-        
-        const response = await bedrockClient.send(command);
-        const responseBody = JSON.parse(new TextDecoder().decode(response.body));
-        
-        const outputTokens = Math.ceil(responseBody.completion.length / 4);
-        const cost = calculateCost(userTier, 'contentOptimization', inputTokens, outputTokens);
-        
-        await costOptimizer.trackUsage(userId, userTier, 'contentOptimization', inputTokens, outputTokens, cost);
-        
-        const result = {
-            transformedContent: responseBody.completion,
-            metadata: {
-                modelUsed: modelConfig.modelId,
-                tokensUsed: inputTokens + outputTokens,
-                cost: cost,
-                tier: userTier,
-                timestamp: new Date().toISOString()
-            },
-            limits: requestCheck.limits
+            prompt: prompt,
+            maxTokens: modelConfig.maxTokens,
+            temperature: modelConfig.temperature,
+            topP: 0.9
         };
-        
+
+        // Forward tokens as Server-Sent Events when the client asks for a stream
+        if (wantsEventStream(req)) {
+            await streamModelResponse(req, res, {
+                modelRequest,
+                userId,
+                userTier,
+                useCase: 'contentOptimization',
+                resultField: 'transformedContent',
+                cacheKey,
+                limits: requestCheck.limits,
+                reservation: requestCheck.reservation,
+                errorCode: 'TRANSFORMATION_FAILED'
+            });
+            return;
+        }
+
+        let completion;
+        try {
+            completion = await modelProviders.invoke(modelRequest);
+        } catch (error) {
+            // Failed calls do not count against the limits
+            await costOptimizer.releaseRequest(userId, requestCheck.reservation);
+            throw error;
+        }
+        const result = await recordCompletion(completion, {
+            userId,
+            userTier,
+            useCase: 'contentOptimization',
+            resultField: 'transformedContent',
+            limits: requestCheck.limits,
+            reservation: requestCheck.reservation
+        });
+
+        // Cache result
         await costOptimizer.cacheResult(cacheKey, result, userTier);
-        
+
         res.json(result);
         
     } catch (error) {
         console.error('Error in text transformation:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            code: 'TRANSFORMATION_FAILED',
-            message: error.message
-        });
+        sendProcessingError(res, error, 'TRANSFORMATION_FAILED');
     }
 });
 
 // User usage statistics endpoint
-app.get('/api/user/usage', getUserTier, async (req, res) => {
+app.get('/api/user/usage', getUserTier('usage:read'), async (req, res) => {
     try {
         const { userId, userTier } = req;
         
@@ -441,6 +600,7 @@ app.get('/api/user/usage', getUserTier, async (req, res) => {
         res.json({
             usage,
             tier: userTier,
+            guest: req.user.authMethod === 'guest',
             features,
             recommendations,
             timestamp: new Date().toISOString()
@@ -478,6 +638,11 @@ app.get('/api/metrics', async (req, res) => {
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // Errors raised by middleware such as the upload filter carry their status
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({
         error: 'Internal server error',
@@ -506,16 +671,34 @@ process.on('SIGINT', () => {
     process.exit(0);
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`NLP Tool App server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    
-    // Start cost optimization
-    setInterval(() => {
-        costOptimizer.optimizeResources().catch(console.error);
-    }, 5 * 60 * 1000); // Every 5 minutes
-});
+// Start server when run directly, tests import the app without listening
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`NLP Tool App server running on port ${PORT}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`Health check: http://localhost:${PORT}/health`);
+
+        // Start consuming queued conversion jobs
+        jobQueue.start();
+
+        // Jobs of the in-process queue do not survive a restart, so queue again those left unfinished
+        if (jobQueue.driver === 'memory') {
+            conversionService.requeueUnfinishedJobs()
+                .then(count => count > 0 && console.log(`Requeued ${count} unfinished conversion jobs`))
+                .catch(error => console.error('Job requeue error:', error));
+        }
+
+        // Retry failed subscription payments and expire dunning grace periods
+        dunningService.start();
+
+        // Move plans paid for with one-time orders to the free tier when their period ends
+        prepaidPlanService.start();
+
+        // Start cost optimization
+        setInterval(() => {
+            costOptimizer.optimizeResources().catch(console.error);
+        }, 5 * 60 * 1000); // Every 5 minutes
+    });
+}
 
 module.exports = app;
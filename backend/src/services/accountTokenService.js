@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const HttpError = require('../utils/httpError');
+
+// How long the links in verification and password reset emails work
+const EMAIL_VERIFICATION_TOKEN_TTL = process.env.EMAIL_VERIFICATION_TOKEN_TTL || '24h';
+const PASSWORD_RESET_TOKEN_TTL = process.env.PASSWORD_RESET_TOKEN_TTL || '1h';
+
+const FRONTEND_URL = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Short fingerprint of the user's password hash. Reset tokens carry it, so they stop working as
+// soon as the password changes and each link can only be used once. Accounts whose password is in
+// Cognito have no hash here, and use the time of their last password change instead
+const passwordFingerprint = (user) => crypto
+  .createHash('sha256')
+  .update(String(user.password || user.passwordChangedAt || user.createdAt))
+  .digest('hex')
+  .slice(0, 16);
+
+// "24h" -> "24 hours", for the emails
+const describeTtl = (ttl) => {
+  const match = /^(\d+)\s*([smhd])$/.exec(String(ttl));
+  if (!match) {
+    return String(ttl);
+  }
+  const unit = { s: 'second', m: 'minute', h: 'hour', d: 'day' }[match[2]];
+  return `${match[1]} ${unit}${match[1] === '1' ? '' : 's'}`;
+};
+
+// Signed, expiring tokens for the links in account emails. They are JWTs with a purpose claim,
+// which the auth middleware refuses as logins
+class AccountTokenService {
+  createVerificationToken(user) {
+    return jwt.sign(
+      { userId: user.userId, email: user.email, purpose: 'verify_email' },
+      process.env.JWT_SECRET,
+      { expiresIn: EMAIL_VERIFICATION_TOKEN_TTL }
+    );
+  }
+
+  createPasswordResetToken(user) {
+    return jwt.sign(
+      { userId: user.userId, purpose: 'reset_password', pwd: passwordFingerprint(user) },
+      process.env.JWT_SECRET,
+      { expiresIn: PASSWORD_RESET_TOKEN_TTL }
+    );
+  }
+
+  verificationUrl(user) {
+    return `${FRONTEND_URL()}/verify-email?token=${this.createVerificationToken(user)}`;
+  }
+
+  passwordResetUrl(user) {
+    return `${FRONTEND_URL()}/reset-password?token=${this.createPasswordResetToken(user)}`;
+  }
+
+  // Claims of a token made for the purpose, or a 400 for bad, expired or other tokens
+  decode(token, purpose) {
+    let claims;
+    try {
+      claims = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+      throw new HttpError('This link is invalid or has expired');
+    }
+    if (claims.purpose !== purpose) {
+      throw new HttpError('This link is invalid or has expired');
+    }
+    return claims;
+  }
+
+  // The verification token must still match the account's email address
+  checkVerificationToken(claims, user) {
+    if (!user || user.email !== claims.email) {
+      throw new HttpError('This link is invalid or has expired');
+    }
+  }
+
+  // The reset token must have been issued for the current password
+  checkPasswordResetToken(claims, user) {
+    if (!user || passwordFingerprint(user) !== claims.pwd) {
+      throw new HttpError('This link has already been used or is no longer valid');
+    }
+  }
+}
+
+module.exports = new AccountTokenService();
+module.exports.verificationExpiresIn = describeTtl(EMAIL_VERIFICATION_TOKEN_TTL);
+module.exports.passwordResetExpiresIn = describeTtl(PASSWORD_RESET_TOKEN_TTL);
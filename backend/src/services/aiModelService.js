@@ -1,54 +1,25 @@
-const { BedrockRuntimeClient, InvokeModelCommand } = require('@aws-sdk/client-bedrock-runtime');
+const modelProviders = require('./modelProviders');
+const usageStore = require('./usageStore');
+const { calculateUsageCost, getModelPricing } = require('../config/ai-models');
+const { TIERS, getTier } = require('../config/tiers');
 
 class AIModelService {
     constructor() {
-        this.client = new BedrockRuntimeClient({
-            region: process.env.AWS_REGION || 'us-east-1'
-        });
-
-        // Cost-optimized AI model configuration by subscription tier
-        this.modelConfig = {
-            free: {
-                modelId: process.env.FREE_TIER_MODEL || 'amazon.titan-text-lite-v1',
-                maxTokens: 512,
-                temperature: 0.7,
-                topP: 0.9,
-                dailyLimit: 10, // 10 requests per day
-                monthlyLimit: 100, // 100 requests per month
-                costPerToken: 0.0001, // Lowest cost
-                features: ['basic_seo_analysis', 'keyword_extraction']
-            },
-            basic: {
-                modelId: process.env.BASIC_TIER_MODEL || 'amazon.titan-text-express-v1',
-                maxTokens: 1024,
-                temperature: 0.7,
+        // AI model configuration by subscription tier, from the tier catalog.
+        // <TIER>_TIER_MODEL environment variables override the model per tier
+        this.modelConfig = TIERS.reduce((config, tier) => {
+            const model = tier.models.textGeneration;
+            config[tier.id] = {
+                modelId: process.env[`${tier.id.toUpperCase()}_TIER_MODEL`] || model.modelId,
+                maxTokens: model.maxTokens,
+                temperature: model.temperature,
                 topP: 0.9,
-                dailyLimit: 50,
-                monthlyLimit: 1000,
-                costPerToken: 0.0003,
-                features: ['basic_seo_analysis', 'keyword_extraction', 'content_optimization', 'meta_description']
-            },
-            pro: {
-                modelId: process.env.PRO_TIER_MODEL || 'anthropic.claude-3-haiku-20240307-v1:0',
-                maxTokens: 2048,
-                temperature: 0.6,
-                topP: 0.8,
-                dailyLimit: 200,
-                monthlyLimit: 5000,
-                costPerToken: 0.0008,
-                features: ['advanced_seo_analysis', 'keyword_extraction', 'content_optimization', 'meta_description', 'competitor_analysis', 'content_strategy']
-            },
-            enterprise: {
-                modelId: process.env.ENTERPRISE_TIER_MODEL || 'anthropic.claude-3-sonnet-20240229-v1:0',
-                maxTokens: 4096,
-                temperature: 0.5,
-                topP: 0.7,
-                dailyLimit: 1000,
-                monthlyLimit: 25000,
-                costPerToken: 0.003,
-                features: ['premium_seo_analysis', 'keyword_extraction', 'content_optimization', 'meta_description', 'competitor_analysis', 'content_strategy', 'technical_seo', 'schema_markup', 'performance_optimization']
-            }
-        };
+                dailyLimit: tier.quotas.aiRequestsPerDay,
+                monthlyLimit: tier.quotas.aiRequestsPerMonth,
+                features: tier.analysisTypes
+            };
+            return config;
+        }, {});
 
         // Usage tracking
         this.usageCache = new Map();
@@ -58,24 +29,29 @@ class AIModelService {
      * Get model configuration for user's subscription tier
      */
     getModelConfig(subscriptionTier = 'free') {
-        const tier = subscriptionTier.toLowerCase();
-        return this.modelConfig[tier] || this.modelConfig.free;
+        return this.modelConfig[getTier(subscriptionTier).id];
     }
 
     /**
-     * Check if user has exceeded their usage limits
+     * Check the user's usage limits and reserve one request against them.
+     * The daily and monthly counters are incremented atomically, so concurrent
+     * requests cannot overshoot; call releaseUsage if the request does not go ahead
      */
     async checkUsageLimits(userId, subscriptionTier) {
         const config = this.getModelConfig(subscriptionTier);
-        const today = new Date().toISOString().split('T')[0];
-        const month = new Date().toISOString().substring(0, 7);
 
-        // Get usage from DynamoDB (implement based on your table structure)
-        const dailyUsage = await this.getDailyUsage(userId, today);
-        const monthlyUsage = await this.getMonthlyUsage(userId, month);
+        const reservation = await usageStore.reserveRequest(userId, {
+            dailyLimit: config.dailyLimit,
+            monthlyLimit: config.monthlyLimit,
+            tier: getTier(subscriptionTier).id
+        });
+
+        const dailyUsage = reservation.daily.requests;
+        const monthlyUsage = reservation.monthly.requests;
 
         return {
-            canUse: dailyUsage < config.dailyLimit && monthlyUsage < config.monthlyLimit,
+            canUse: reservation.reserved,
+            reservation,
             dailyUsage,
             monthlyUsage,
             dailyLimit: config.dailyLimit,
@@ -85,6 +61,15 @@ class AIModelService {
         };
     }
 
+    /**
+     * Give back a request reserved by checkUsageLimits
+     */
+    async releaseUsage(userId, usageCheck) {
+        if (usageCheck && usageCheck.canUse) {
+            await usageStore.releaseRequest(userId, usageCheck.reservation);
+        }
+    }
+
     /**
      * Invoke AI model with tier-specific configuration
      */
@@ -97,98 +82,53 @@ class AIModelService {
                 throw new Error(`Analysis type '${analysisType}' not available for ${subscriptionTier} tier. Please upgrade your subscription.`);
             }
 
-            // Check usage limits
+            // Check usage limits, reserving this request
             const usageCheck = await this.checkUsageLimits(userId, subscriptionTier);
             if (!usageCheck.canUse) {
                 throw new Error(`Usage limit exceeded. Daily: ${usageCheck.dailyUsage}/${usageCheck.dailyLimit}, Monthly: ${usageCheck.monthlyUsage}/${usageCheck.monthlyLimit}`);
             }
 
-            // Prepare model-specific payload
-            const payload = this.preparePayload(config, prompt, analysisType);
-            
-            const command = new InvokeModelCommand({
-                modelId: config.modelId,
-                contentType: 'application/json',
-                accept: 'application/json',
-                body: JSON.stringify(payload)
-            });
+            const enhancedPrompt = this.enhancePromptForAnalysisType(prompt, analysisType, config.features);
 
             console.log(`🤖 Invoking ${config.modelId} for user ${userId} (${subscriptionTier} tier)`);
             
-            const response = await this.client.send(command);
-            const responseBody = JSON.parse(new TextDecoder().decode(response.body));
+            let completion;
+            try {
+                completion = await modelProviders.invoke({
+                    modelId: config.modelId,
+                    prompt: enhancedPrompt,
+                    maxTokens: config.maxTokens,
+                    temperature: config.temperature,
+                    topP: config.topP
+                });
+            } catch (error) {
+                // Failed calls do not count against the limits
+                await this.releaseUsage(userId, usageCheck);
+                throw error;
+            }
             
             // Track usage
-            await this.trackUsage(userId, subscriptionTier, config.modelId, payload, responseBody);
+            await this.trackUsage(userId, subscriptionTier, completion, usageCheck.reservation);
             
             return {
                 success: true,
-                result: this.parseResponse(responseBody, config.modelId),
-                modelUsed: config.modelId,
-                tokensUsed: this.calculateTokens(responseBody),
-                costEstimate: this.calculateCost(responseBody, config.costPerToken),
+                result: completion.text,
+                modelUsed: completion.modelId,
+                tokensUsed: this.calculateTokens(completion.usage),
+                costEstimate: this.calculateCost(completion.modelId, completion.usage),
                 remainingUsage: {
-                    daily: usageCheck.remainingDaily - 1,
-                    monthly: usageCheck.remainingMonthly - 1
+                    daily: usageCheck.remainingDaily,
+                    monthly: usageCheck.remainingMonthly
                 }
             };
 
         } catch (error) {
+            // Bedrock errors are already mapped to user-facing messages by modelProviders
             console.error('AI Model invocation error:', error);
-            
-            // Handle specific AWS Bedrock errors
-            if (error.name === 'ThrottlingException') {
-                throw new Error('Service is temporarily busy. Please try again in a few moments.');
-            } else if (error.name === 'ValidationException') {
-                throw new Error('Invalid request format. Please check your input.');
-            } else if (error.name === 'AccessDeniedException') {
-                throw new Error('Access denied to AI model. Please contact support.');
-            }
-            
             throw error;
         }
     }
 
-    /**
-     * Prepare model-specific payload
-     */
-    preparePayload(config, prompt, analysisType) {
-        const enhancedPrompt = this.enhancePromptForAnalysisType(prompt, analysisType, config.features);
-        
-        if (config.modelId.includes('titan')) {
-            return {
-                inputText: enhancedPrompt,
-                textGenerationConfig: {
-                    maxTokenCount: config.maxTokens,
-                    temperature: config.temperature,
-                    topP: config.topP,
-                    stopSequences: []
-                }
-            };
-        } else if (config.modelId.includes('claude')) {
-            return {
-                anthropic_version: "bedrock-2023-05-31",
-                max_tokens: config.maxTokens,
-                temperature: config.temperature,
-                top_p: config.topP,
-                messages: [
-                    {
-                        role: "user",
-                        content: enhancedPrompt
-                    }
-                ]
-            };
-        }
-        
-        // Default payload
-        return {
-            prompt: enhancedPrompt,
-            max_tokens: config.maxTokens,
-            temperature: config.temperature,
-            top_p: config.topP
-        };
-    }
-
     /**
      * Enhance prompt based on analysis type and available features
      */
@@ -217,72 +157,58 @@ class AIModelService {
     }
 
     /**
-     * Parse response based on model type
-     */
-    parseResponse(responseBody, modelId) {
-        if (modelId.includes('titan')) {
-            return responseBody.results?.[0]?.outputText || responseBody.outputText || '';
-        } else if (modelId.includes('claude')) {
-            return responseBody.content?.[0]?.text || responseBody.completion || '';
-        }
-        
-        return responseBody.text || responseBody.completion || JSON.stringify(responseBody);
-    }
-
-    /**
-     * Calculate tokens used (approximate)
+     * Total tokens used, as reported by the provider
      */
-    calculateTokens(responseBody) {
-        const text = JSON.stringify(responseBody);
-        return Math.ceil(text.length / 4); // Rough approximation: 1 token ≈ 4 characters
+    calculateTokens(usage) {
+        return usage.inputTokens + usage.outputTokens;
     }
 
     /**
-     * Calculate cost estimate
+     * Calculate cost, pricing input and output tokens at the model's own rates
      */
-    calculateCost(responseBody, costPerToken) {
-        const tokens = this.calculateTokens(responseBody);
-        return (tokens * costPerToken).toFixed(6);
+    calculateCost(modelId, usage) {
+        return calculateUsageCost(modelId, usage.inputTokens, usage.outputTokens).totalCost.toFixed(6);
     }
 
     /**
      * Track usage in DynamoDB
      */
-    async trackUsage(userId, subscriptionTier, modelId, request, response) {
+    async trackUsage(userId, subscriptionTier, completion, reservation) {
+        const cost = calculateUsageCost(completion.modelId, completion.usage.inputTokens, completion.usage.outputTokens);
         const usage = {
-            userId,
-            timestamp: new Date().toISOString(),
             subscriptionTier,
-            modelId,
-            tokensUsed: this.calculateTokens(response),
-            costEstimate: this.calculateCost(response, this.getModelConfig(subscriptionTier).costPerToken),
-            requestSize: JSON.stringify(request).length,
-            responseSize: JSON.stringify(response).length
+            modelId: completion.modelId,
+            inputTokens: completion.usage.inputTokens,
+            outputTokens: completion.usage.outputTokens,
+            usageSource: completion.usage.source,
+            tokensUsed: this.calculateTokens(completion.usage),
+            inputCost: cost.inputCost,
+            outputCost: cost.outputCost,
+            cost: cost.totalCost
         };
 
-        // Store in DynamoDB (implement based on your table structure)
-        console.log('📊 Usage tracked:', usage);
-        
-        // You can implement actual DynamoDB storage here
-        // await this.storeUsageInDynamoDB(usage);
+        try {
+            await usageStore.recordEvent(userId, usage, reservation);
+        } catch (error) {
+            // The request was already counted against the limits, a lost event only affects reporting
+            console.error('Usage tracking error:', error);
+        }
     }
 
     /**
-     * Get daily usage from DynamoDB
+     * Get daily request count from DynamoDB, date is YYYY-MM-DD
      */
     async getDailyUsage(userId, date) {
-        // Implement DynamoDB query for daily usage
-        // This is a placeholder - implement based on your table structure
-        return 0;
+        const counters = await usageStore.getCounters(userId, usageStore.dayPeriod(date));
+        return counters.requests;
     }
 
     /**
-     * Get monthly usage from DynamoDB
+     * Get monthly request count from DynamoDB, month is YYYY-MM
      */
     async getMonthlyUsage(userId, month) {
-        // Implement DynamoDB query for monthly usage
-        // This is a placeholder - implement based on your table structure
-        return 0;
+        const counters = await usageStore.getCounters(userId, usageStore.monthPeriod(month));
+        return counters.requests;
     }
 
     /**
@@ -301,15 +227,18 @@ class AIModelService {
     }
 
     /**
-     * Get cost estimate for analysis
+     * Get cost estimate for analysis, assuming the full output budget is used
      */
-    getCostEstimate(subscriptionTier, estimatedTokens = 1000) {
+    getCostEstimate(subscriptionTier, estimatedTokens = 1000, estimatedOutputTokens) {
         const config = this.getModelConfig(subscriptionTier);
+        const outputTokens = estimatedOutputTokens !== undefined ? estimatedOutputTokens : config.maxTokens;
+        const cost = calculateUsageCost(config.modelId, estimatedTokens, outputTokens);
         return {
             tier: subscriptionTier,
             estimatedTokens,
-            costPerToken: config.costPerToken,
-            estimatedCost: (estimatedTokens * config.costPerToken).toFixed(6),
+            estimatedOutputTokens: outputTokens,
+            pricePer1kTokens: getModelPricing(config.modelId),
+            estimatedCost: cost.totalCost.toFixed(6),
             currency: 'USD'
         };
     }
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { API_KEYS_TABLE } = require('../config/aws');
+const HttpError = require('../utils/httpError');
+const { createTableStore } = require('./tableStore');
+
+// What a key can be used for; routes that accept keys name the scope they need
+const API_KEY_SCOPES = ['files:read', 'files:convert', 'files:delete', 'nlp:analyze', 'usage:read'];
+
+const KEY_PREFIX = 'nlpk';
+const MAX_KEYS_PER_USER = 10;
+
+// Requests per minute a key may make, unless its owner sets another limit up to the maximum
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT = parseInt(process.env.API_KEY_MAX_RATE_LIMIT, 10) || 600;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// API keys for programmatic access: nlpk_<keyId>_<secret>. Only a SHA-256 hash of the secret is
+// stored, so the full key is shown once, when it is created or rotated. Each key has scopes and a
+// per-minute rate limit, counted in this process like the global limiter. Stored by
+// API_KEY_STORE_DRIVER
+class ApiKeyService {
+  constructor() {
+    this.store = createTableStore(API_KEYS_TABLE, 'API_KEY_STORE_DRIVER');
+    this.windows = new Map();
+  }
+
+  async get(keyId) {
+    return this.store.get({ keyId });
+  }
+
+  async save(apiKey) {
+    return this.store.put({ ...apiKey, updatedAt: new Date().toISOString() });
+  }
+
+  // A user's keys, revoked ones included, newest first
+  async listByUser(userId) {
+    const items = await this.store.queryIndex('userId-index', 'userId', userId);
+    return items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  validateName(name) {
+    const keyName = String(name || '').trim();
+    if (!keyName || keyName.length > 100) {
+      throw new HttpError('Key name must be 1-100 characters');
+    }
+    return keyName;
+  }
+
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new HttpError(`scopes must list at least one of ${API_KEY_SCOPES.join(', ')}`);
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new HttpError(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    return [...new Set(scopes)];
+  }
+
+  validateRateLimit(rateLimitPerMinute) {
+    if (rateLimitPerMinute === undefined || rateLimitPerMinute === null) {
+      return DEFAULT_RATE_LIMIT;
+    }
+    const limit = Number(rateLimitPerMinute);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RATE_LIMIT) {
+      throw new HttpError(`rateLimitPerMinute must be a whole number from 1 to ${MAX_RATE_LIMIT}`);
+    }
+    return limit;
+  }
+
+  // New secret for a key; returns the full key and the hash to store
+  generateSecret(keyId) {
+    const secret = crypto.randomBytes(24).toString('hex');
+    return { key: `${KEY_PREFIX}_${keyId}_${secret}`, secretHash: hashSecret(secret), lastFour: secret.slice(-4) };
+  }
+
+  // Create a key; the response is the only time the full key is returned
+  async create(userId, { name, scopes, rateLimitPerMinute }) {
+    const active = (await this.listByUser(userId)).filter(apiKey => !apiKey.revokedAt);
+    if (active.length >= MAX_KEYS_PER_USER) {
+      throw new HttpError(`You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first`, 409);
+    }
+
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const { key, secretHash, lastFour } = this.generateSecret(keyId);
+    const now = new Date().toISOString();
+    const apiKey = await this.save({
+      keyId,
+      userId,
+      name: this.validateName(name),
+      scopes: this.validateScopes(scopes),
+      rateLimitPerMinute: this.validateRateLimit(rateLimitPerMinute),
+      secretHash,
+      lastFour,
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      rotatedAt: null,
+      createdAt: now
+    });
+    return { ...this.toPublic(apiKey), key };
+  }
+
+  async getOwn(userId, keyId) {
+    const apiKey = await this.get(keyId);
+    if (!apiKey || apiKey.userId !== userId) {
+      throw new HttpError('API key not found', 404);
+    }
+    return apiKey;
+  }
+
+  // Rename, rescope or change the rate limit of a key
+  async update(userId, keyId, changes) {
+    const apiKey = await this.getOwn(userId, keyId);
+    if (apiKey.revokedAt) {
+      throw new HttpError('A revoked key cannot be changed', 409);
+    }
+
+    const updated = { ...apiKey };
+    if (changes.name !== undefined) {
+      updated.name = this.validateName(changes.name);
+    }
+    if (changes.scopes !== undefined) {
+      updated.scopes = this.validateScopes(changes.scopes);
+    }
+    if (changes.rateLimitPerMinute !== undefined) {
+      updated.rateLimitPerMinute = this.validateRateLimit(changes.rateLimitPerMinute);
+    }
+    return this.toPublic(await this.save(updated));
+  }
+
+  // Replace the secret of a key, keeping its id and settings. The old secret stops working at once
+  async rotate(userId, keyId) {
+    const apiKey = await this.getOwn(userId, keyId);
+    if (apiKey.revokedAt) {
+      throw new HttpError('A revoked key cannot be rotated', 409);
+    }
+
+    const { key, secretHash, lastFour } = this.generateSecret(keyId);
+    const rotated = await this.save({ ...apiKey, secretHash, lastFour, rotatedAt: new Date().toISOString() });
+    return { ...this.toPublic(rotated), key };
+  }
+
+  // Revoked keys are kept, so their last use stays visible
+  async revoke(userId, keyId) {
+    const apiKey = await this.getOwn(userId, keyId);
+    if (!apiKey.revokedAt) {
+      await this.save({ ...apiKey, revokedAt: new Date().toISOString() });
+    }
+  }
+
+  // The active key for a raw key, or a 401
+  async verify(rawKey) {
+    const [prefix, keyId, secret] = String(rawKey || '').split('_');
+    const apiKey = prefix === KEY_PREFIX && keyId && secret ? await this.get(keyId) : null;
+
+    const expected = Buffer.from((apiKey && apiKey.secretHash) || '', 'hex');
+    const actual = Buffer.from(hashSecret(secret || ''), 'hex');
+    if (!apiKey || apiKey.revokedAt || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new HttpError('Invalid or revoked API key', 401);
+    }
+    return apiKey;
+  }
+
+  // Count a request against the key's limit for the current minute. Returns the limit and the
+  // requests left, or throws a 429 with retryAfter seconds
+  consumeRateLimit(apiKey, now = Date.now()) {
+    let window = this.windows.get(apiKey.keyId);
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(apiKey.keyId, window);
+    }
+
+    const limit = apiKey.rateLimitPerMinute || DEFAULT_RATE_LIMIT;
+    if (window.count >= limit) {
+      const error = new HttpError(`API key rate limit of ${limit} requests per minute exceeded`, 429);
+      error.retryAfter = Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000);
+      error.limit = limit;
+      throw error;
+    }
+    window.count += 1;
+    return { limit, remaining: limit - window.count };
+  }
+
+  // Remember when and from where the key was last used; a failed write does not fail the request.
+  // Only those fields are written, and only while the key is neither revoked nor rotated since it
+  // was read, so a request finishing after a revoke or rotation cannot undo it
+  async recordUse(apiKey, ip, now = new Date()) {
+    if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt) < LAST_USED_WRITE_INTERVAL_MS) {
+      return;
+    }
+    try {
+      await this.store.updateIf(
+        { keyId: apiKey.keyId },
+        { lastUsedAt: now.toISOString(), lastUsedIp: ip || null },
+        {
+          condition: '(attribute_not_exists(revokedAt) OR revokedAt = :notRevoked) AND secretHash = :secretHash',
+          values: { ':notRevoked': null, ':secretHash': apiKey.secretHash }
+        },
+        stored => Boolean(stored) && !stored.revokedAt && stored.secretHash === apiKey.secretHash
+      );
+    } catch (error) {
+      console.error(`Failed to record use of API key ${apiKey.keyId}:`, error);
+    }
+  }
+
+  // Key as shown to its owner: never the secret or its hash
+  toPublic(apiKey) {
+    return {
+      keyId: apiKey.keyId,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+      preview: `${KEY_PREFIX}_${apiKey.keyId}_...${apiKey.lastFour}`,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt,
+      rotatedAt: apiKey.rotatedAt,
+      createdAt: apiKey.createdAt
+    };
+  }
+
+  // Drop the rate-limit windows (tests)
+  reset() {
+    this.windows.clear();
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,254 @@
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { DynamoDBService } = require('../config/aws');
+const { DEFAULT_TIER_ID } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const cognitoService = require('./cognitoService');
+const { createTableStore } = require('./tableStore');
+
+const BCRYPT_ROUNDS = 12;
+
+const users = createTableStore(process.env.DYNAMODB_TABLE_USERS, 'USER_STORE_DRIVER');
+
+const findUserByEmail = (email) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { email });
+
+// Users-table record of a new account, with the provider's credential fields
+const newUser = ({ email, name, emailVerified = false }, credentials) => ({
+  userId: uuidv4(),
+  email,
+  name,
+  ...credentials,
+  subscriptionTier: DEFAULT_TIER_ID,
+  tier: DEFAULT_TIER_ID.toUpperCase(),
+  active: true,
+  emailVerified,
+  createdAt: new Date().toISOString(),
+  lastLogin: new Date().toISOString()
+});
+
+// Passwords as bcrypt hashes in the users table
+class LocalAuthProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async register({ email, password, name }) {
+    if (await findUserByEmail(email)) {
+      throw new HttpError('User already exists');
+    }
+    const user = newUser({ email, name }, { password: await bcrypt.hash(password, BCRYPT_ROUNDS) });
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, user);
+    return user;
+  }
+
+  // The account of an email address and password, or null when they do not match
+  async signIn(email, password) {
+    const user = await findUserByEmail(email);
+    if (!user || !user.password || !(await bcrypt.compare(password, user.password))) {
+      return null;
+    }
+    return user;
+  }
+
+  // Whether the account has a password that a reset link can replace. Accounts moved to Cognito
+  // get a local one again this way, after switching back
+  hasPassword(user) {
+    return Boolean(user.password || user.cognitoSub);
+  }
+
+  async setPassword(user, password) {
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: user.userId },
+      'SET password = :password',
+      { ':password': await bcrypt.hash(password, BCRYPT_ROUNDS) }
+    );
+  }
+
+  // The users table's emailVerified flag is all there is to update
+  async confirmEmail() {}
+}
+
+// Passwords in a Cognito user pool (AWS_COGNITO_USER_POOL_ID, with email addresses as usernames).
+// The users table keeps the rest of the account under its own userId, linked by cognitoSub, and
+// still decides about email verification: the app sends its own verification and reset links, and
+// confirms them in the pool. Cognito only checks passwords; the app issues its own session tokens
+// as for local accounts, so the auth middleware, sessions and API keys work the same.
+//
+// Local accounts move over on their first sign-in with this provider: the password is checked
+// against the bcrypt hash, set in the pool, and the hash dropped. migrateUser creates the Cognito
+// user of a local account in advance, keeping the hash until then
+class CognitoAuthProvider {
+  constructor() {
+    this.name = 'cognito';
+  }
+
+  async register({ email, password, name }) {
+    if (await findUserByEmail(email)) {
+      throw new HttpError('User already exists');
+    }
+    const { userSub } = await cognitoService.registerUser(email, password, name);
+    const user = newUser({ email, name }, { cognitoSub: userSub });
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, user);
+    return user;
+  }
+
+  async signIn(email, password) {
+    const user = await findUserByEmail(email);
+    if (user && user.password) {
+      if (!(await bcrypt.compare(password, user.password))) {
+        return null;
+      }
+      return this.movePassword(user, password);
+    }
+
+    try {
+      // Cognito only answers with a challenge (such as its own MFA) once the password is right
+      await cognitoService.signInUser(email, password);
+    } catch (error) {
+      // Unconfirmed pool users are accounts waiting for verification, which login answers for
+      if (error.code === 'UserNotConfirmedException' && user && user.emailVerified === false) {
+        return user;
+      }
+      if (['NotAuthorizedException', 'UserNotFoundException', 'UserNotConfirmedException'].includes(error.code)) {
+        return null;
+      }
+      throw error;
+    }
+    return user || this.provisionUser(email);
+  }
+
+  hasPassword(user) {
+    return Boolean(user.password || user.cognitoSub);
+  }
+
+  async setPassword(user, password) {
+    const account = user.cognitoSub ? user : await this.migrateUser(user);
+    await cognitoService.adminSetUserPassword(account.email, password);
+    if (account.password) {
+      await this.dropLocalPassword(account);
+    }
+  }
+
+  async confirmEmail(user) {
+    try {
+      await cognitoService.adminConfirmSignUp(user.email);
+    } catch (error) {
+      // Migrated and provisioned users are confirmed already
+      if (error.code !== 'NotAuthorizedException') {
+        throw error;
+      }
+    }
+    await cognitoService.adminUpdateUserAttributes(user.email, { email_verified: 'true' });
+  }
+
+  // Create the Cognito user of a local account, with a random password nobody knows. The account
+  // keeps signing in with its bcrypt hash until the first sign-in or password reset replaces it
+  async migrateUser(user) {
+    if (user.cognitoSub) {
+      return user;
+    }
+
+    let cognitoUser;
+    try {
+      // The suffix meets the pool's character class rules whatever the random part holds
+      const { user: created } = await cognitoService.adminCreateUser(
+        user.email,
+        user.name || user.email,
+        `${cognitoService.generateSecurePassword(16)}aA1!`
+      );
+      cognitoUser = { attributes: Object.fromEntries(created.Attributes.map(attribute => [attribute.Name, attribute.Value])) };
+    } catch (error) {
+      // Left over from an earlier, interrupted migration
+      if (error.code !== 'UsernameExistsException') {
+        throw error;
+      }
+      ({ user: cognitoUser } = await cognitoService.adminGetUser(user.email));
+    }
+
+    const cognitoSub = cognitoUser.attributes.sub;
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: user.userId },
+      'SET cognitoSub = :cognitoSub',
+      { ':cognitoSub': cognitoSub }
+    );
+    return { ...user, cognitoSub };
+  }
+
+  // Create the Cognito users of every local account. Failures are reported and do not stop the
+  // others, so the migration can be run again until none are left
+  async migrateUsers() {
+    const pending = await users.scan({ condition: 'attribute_not_exists(cognitoSub)' }, user => !user.cognitoSub);
+    const summary = { migrated: 0, failed: [] };
+    for (const user of pending) {
+      try {
+        await this.migrateUser(user);
+        summary.migrated += 1;
+      } catch (error) {
+        console.error(`Cognito migration of ${user.email} failed:`, error);
+        summary.failed.push({ userId: user.userId, email: user.email, error: error.message });
+      }
+    }
+    return summary;
+  }
+
+  // Move a local account's password into the pool on sign-in. A password the pool's policy
+  // refuses stays local, and the account keeps signing in with it until it is reset
+  async movePassword(user, password) {
+    let account;
+    try {
+      account = await this.migrateUser(user);
+      await cognitoService.adminSetUserPassword(account.email, password);
+    } catch (error) {
+      if (error.code !== 'InvalidPasswordException') {
+        throw error;
+      }
+      console.warn(`Password of ${user.email} does not meet the Cognito password policy, kept local`);
+      return account || user;
+    }
+    await this.dropLocalPassword(account);
+    const moved = { ...account };
+    delete moved.password;
+    return moved;
+  }
+
+  async dropLocalPassword(user) {
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId: user.userId },
+      'SET migratedToCognitoAt = :migratedToCognitoAt REMOVE password',
+      { ':migratedToCognitoAt': new Date().toISOString() }
+    );
+  }
+
+  // Users-table record for a pool user created outside the app, e.g. in the AWS console
+  async provisionUser(email) {
+    const { user: cognitoUser } = await cognitoService.adminGetUser(email);
+    const { attributes } = cognitoUser;
+    const user = newUser(
+      { email, name: attributes.name || email, emailVerified: attributes.email_verified === 'true' },
+      { cognitoSub: attributes.sub }
+    );
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, user);
+    return user;
+  }
+}
+
+// Provider for a name: local (bcrypt hashes in the users table) or cognito
+const createAuthProvider = (name) => {
+  switch (name) {
+    case 'local':
+      return new LocalAuthProvider();
+    case 'cognito':
+      return new CognitoAuthProvider();
+    default:
+      throw new Error(`Unknown auth provider: ${name}`);
+  }
+};
+
+// The provider the routes use, chosen by AUTH_PROVIDER
+module.exports = createAuthProvider(process.env.AUTH_PROVIDER || 'local');
+module.exports.createAuthProvider = createAuthProvider;
+module.exports.LocalAuthProvider = LocalAuthProvider;
+module.exports.CognitoAuthProvider = CognitoAuthProvider;
@@ -1,174 +1,60 @@
 const { bedrock } = require('../config/aws');
+const modelProviders = require('./modelProviders');
+const { calculateUsageCost } = require('../config/ai-models');
 
 class BedrockService {
-  // Main processText method - entry point for text processing
+  // Main processText method - entry point for text processing. Failures are thrown, callers decide
+  // what a conversion without the model's answer means
   async processText(text, prompt, options = {}) {
-    try {
-      // Use the best model selection by default
-      const result = await this.processWithBestModel(text, prompt, options);
-      return result.content;
-    } catch (error) {
-      console.error('BedrockService processText error:', error);
-      // Fallback to simple text processing if AI fails
-      return `Processed content based on prompt: "${prompt}"\n\nOriginal text:\n${text}\n\n[Note: AI processing temporarily unavailable]`;
-    }
+    // Use the best model selection by default
+    const result = await this.processWithBestModel(text, prompt, options);
+    return result.content;
   }
 
-  // Process text with Claude 3
-  async processWithClaude(text, prompt, options = {}) {
-    const modelId = options.modelId || 'anthropic.claude-3-sonnet-20240229-v1:0';
-    
-    const body = {
-      anthropic_version: "bedrock-2023-05-31",
-      max_tokens: options.maxTokens || 2000,
-      temperature: options.temperature || 0.7,
-      messages: [
-        {
-          role: "user",
-          content: `${prompt}\n\nContent to transform:\n${text}`
-        }
-      ]
-    };
-
-    const params = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(body)
+  // Default model for each family used by processWithBestModel
+  getDefaultModels() {
+    return {
+      claude: process.env.BEDROCK_MODEL_ID || 'anthropic.claude-3-sonnet-20240229-v1:0',
+      titan: 'amazon.titan-text-express-v1',
+      cohere: 'cohere.command-text-v14',
+      ai21: 'ai21.j2-ultra-v1'
     };
-
-    try {
-      const result = await bedrock.invokeModel(params).promise();
-      const response = JSON.parse(result.body.toString());
-      
-      return {
-        success: true,
-        content: response.content[0].text,
-        usage: response.usage,
-        model: modelId
-      };
-    } catch (error) {
-      console.error('Bedrock Claude processing error:', error);
-      throw new Error('Failed to process text with Claude');
-    }
   }
 
-  // Process text with Titan
-  async processWithTitan(text, prompt, options = {}) {
-    const modelId = options.modelId || 'amazon.titan-text-express-v1';
-    
-    const body = {
-      inputText: `${prompt}\n\nContent to transform:\n${text}`,
-      textGenerationConfig: {
-        maxTokenCount: options.maxTokens || 2000,
-        temperature: options.temperature || 0.7,
-        topP: options.topP || 0.9,
-        stopSequences: options.stopSequences || []
-      }
-    };
-
-    const params = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(body)
-    };
-
-    try {
-      const result = await bedrock.invokeModel(params).promise();
-      const response = JSON.parse(result.body.toString());
-      
-      return {
-        success: true,
-        content: response.results[0].outputText,
-        usage: response.inputTextTokenCount + response.results[0].tokenCount,
-        model: modelId
-      };
-    } catch (error) {
-      console.error('Bedrock Titan processing error:', error);
-      throw new Error('Failed to process text with Titan');
-    }
+  // Build the prompt shared by every model family
+  buildPrompt(text, prompt) {
+    return `${prompt}\n\nContent to transform:\n${text}`;
   }
 
-  // Process text with Cohere Command
-  async processWithCohere(text, prompt, options = {}) {
-    const modelId = options.modelId || 'cohere.command-text-v14';
-    
-    const body = {
-      prompt: `${prompt}\n\nContent to transform:\n${text}`,
-      max_tokens: options.maxTokens || 2000,
+  // Process text with any registered model family
+  async processWithModel(text, prompt, modelId, options = {}) {
+    const completion = await modelProviders.invoke({
+      modelId,
+      prompt: this.buildPrompt(text, prompt),
+      maxTokens: options.maxTokens || 2000,
       temperature: options.temperature || 0.7,
-      p: options.topP || 0.9,
-      k: options.topK || 0,
-      stop_sequences: options.stopSequences || [],
-      return_likelihoods: 'NONE'
-    };
+      topP: options.topP,
+      stopSequences: options.stopSequences
+    });
 
-    const params = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(body)
+    return {
+      success: true,
+      content: completion.text,
+      usage: completion.usage,
+      model: completion.modelId
     };
-
-    try {
-      const result = await bedrock.invokeModel(params).promise();
-      const response = JSON.parse(result.body.toString());
-      
-      return {
-        success: true,
-        content: response.generations[0].text,
-        usage: response.meta.billed_units,
-        model: modelId
-      };
-    } catch (error) {
-      console.error('Bedrock Cohere processing error:', error);
-      throw new Error('Failed to process text with Cohere');
-    }
   }
 
-  // Process text with AI21 Jurassic
-  async processWithAI21(text, prompt, options = {}) {
-    const modelId = options.modelId || 'ai21.j2-ultra-v1';
-    
-    const body = {
-      prompt: `${prompt}\n\nContent to transform:\n${text}`,
-      maxTokens: options.maxTokens || 2000,
-      temperature: options.temperature || 0.7,
-      topP: options.topP || 0.9,
-      stopSequences: options.stopSequences || [],
-      countPenalty: {
-        scale: 0
-      },
-      presencePenalty: {
-        scale: 0
-      },
-      frequencyPenalty: {
-        scale: 0
-      }
-    };
-
-    const params = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(body)
-    };
+  // Single prompt invocation, same interface as the local mock service
+  async invokeModel(prompt, modelId = this.getDefaultModels().claude) {
+    const completion = await modelProviders.invoke({ modelId, prompt, maxTokens: 2000 });
+    return completion.text;
+  }
 
-    try {
-      const result = await bedrock.invokeModel(params).promise();
-      const response = JSON.parse(result.body.toString());
-      
-      return {
-        success: true,
-        content: response.completions[0].data.text,
-        usage: response.completions[0].finishReason,
-        model: modelId
-      };
-    } catch (error) {
-      console.error('Bedrock AI21 processing error:', error);
-      throw new Error('Failed to process text with AI21');
-    }
+  // Process extracted file content with the user's instructions
+  async processFileContent(content, userPrompt, fileType) {
+    const result = await this.processWithBestModel(content, `${userPrompt}\n\n(Source file type: ${fileType})`);
+    return result.content;
   }
 
   // Smart model selection based on content type and requirements
@@ -190,57 +76,32 @@ class BedrockService {
       selectedModel = options.preferredModel || 'claude';
     }
 
-    // Process with selected model
-    switch (selectedModel) {
-      case 'claude':
-        return await this.processWithClaude(text, prompt, options);
-      case 'titan':
-        return await this.processWithTitan(text, prompt, options);
-      case 'cohere':
-        return await this.processWithCohere(text, prompt, options);
-      case 'ai21':
-        return await this.processWithAI21(text, prompt, options);
-      default:
-        return await this.processWithClaude(text, prompt, options);
-    }
+    const defaultModels = this.getDefaultModels();
+    const modelId = options.modelId || defaultModels[selectedModel] || defaultModels.claude;
+
+    return await this.processWithModel(text, prompt, modelId, options);
   }
 
-  // Process with streaming response
+  // Process with streaming response, options.onToken receives text as it is generated
   async processWithStreaming(text, prompt, options = {}) {
-    const modelId = options.modelId || 'anthropic.claude-3-sonnet-20240229-v1:0';
-    
-    const body = {
-      anthropic_version: "bedrock-2023-05-31",
-      max_tokens: options.maxTokens || 2000,
-      temperature: options.temperature || 0.7,
-      messages: [
-        {
-          role: "user",
-          content: `${prompt}\n\nContent to transform:\n${text}`
-        }
-      ],
-      stream: true
-    };
+    const modelId = options.modelId || this.getDefaultModels().claude;
 
-    const params = {
-      modelId: modelId,
-      contentType: 'application/json',
-      accept: 'application/json',
-      body: JSON.stringify(body)
-    };
+    const completion = await modelProviders.invokeStream({
+      modelId,
+      prompt: this.buildPrompt(text, prompt),
+      maxTokens: options.maxTokens || 2000,
+      temperature: options.temperature || 0.7
+    }, {
+      onToken: options.onToken,
+      abortSignal: options.abortSignal
+    });
 
-    try {
-      const result = await bedrock.invokeModelWithResponseStream(params).promise();
-      
-      return {
-        success: true,
-        stream: result.body,
-        model: modelId
-      };
-    } catch (error) {
-      console.error('Bedrock streaming error:', error);
-      throw new Error('Failed to process with streaming');
-    }
+    return {
+      success: true,
+      content: completion.text,
+      usage: completion.usage,
+      model: completion.modelId
+    };
   }
 
   // Batch process multiple texts
@@ -324,24 +185,16 @@ class BedrockService {
 
   // Estimate processing cost
   estimateCost(text, model = 'claude') {
-    const tokenCount = Math.ceil(text.length / 4); // Rough token estimation
-    
-    const pricing = {
-      claude: { input: 0.003, output: 0.015 }, // per 1K tokens
-      titan: { input: 0.0008, output: 0.0016 },
-      cohere: { input: 0.0015, output: 0.002 },
-      ai21: { input: 0.0125, output: 0.0125 }
-    };
+    const modelId = this.getDefaultModels()[model] || this.getDefaultModels().claude;
+    const tokenCount = modelProviders.estimateTokens(text);
+    // Assuming similar output length
+    const { inputCost, outputCost, totalCost } = calculateUsageCost(modelId, tokenCount, tokenCount);
 
-    const modelPricing = pricing[model] || pricing.claude;
-    const inputCost = (tokenCount / 1000) * modelPricing.input;
-    const outputCost = (tokenCount / 1000) * modelPricing.output; // Assuming similar output length
-    
     return {
       estimatedTokens: tokenCount,
       estimatedInputCost: inputCost,
       estimatedOutputCost: outputCost,
-      totalEstimatedCost: inputCost + outputCost,
+      totalEstimatedCost: totalCost,
       currency: 'USD'
     };
   }
@@ -0,0 +1,838 @@
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const mockPaypalService = require('./mockPaypalService');
+const { OVERAGE_STRIPE_PRICE_ID, findTierByStripePrice } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+
+const OUTCOMES = ['approve', 'decline', 'cancel'];
+
+// Local stand-in for Stripe and PayPal. Keeps customers, checkout sessions, subscriptions,
+// invoices, coupons, meter events and PayPal orders in memory and delivers signed webhook events to our own endpoints,
+// so the purchase lifecycle can run end-to-end without network access. Never used in production
+class BillingSimulator {
+  constructor() {
+    this.enabled = process.env.NODE_ENV !== 'production' && process.env.BILLING_SIMULATOR !== 'false';
+    this.baseUrl = process.env.BILLING_SIMULATOR_URL || `http://localhost:${process.env.PORT || 3000}`;
+    this.stripeWebhookSecret = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_simulator';
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+    // Signing and verification come from the Stripe library itself, so signatures are genuine
+    this.stripeWebhooks = Stripe('sk_test_simulator').webhooks;
+
+    this.customers = new Map();
+    this.sessions = new Map();
+    this.subscriptions = new Map();
+    this.invoices = new Map();
+    this.schedules = new Map();
+    this.coupons = new Map();
+    this.meterEvents = [];
+    this.events = [];
+
+    this.stripe = this.createStripeClient();
+  }
+
+  // The subset of the Stripe client the subscription routes use
+  createStripeClient() {
+    return {
+      checkout: {
+        sessions: {
+          create: async (params) => this.createCheckoutSession(params),
+          retrieve: async (id) => this.find(this.sessions, id, 'checkout.session')
+        }
+      },
+      customers: {
+        retrieve: async (id) => this.find(this.customers, id, 'customer')
+      },
+      subscriptions: {
+        retrieve: async (id) => this.find(this.subscriptions, id, 'subscription'),
+        update: async (id, params) => this.updateSubscription(id, params),
+        cancel: async (id) => (await this.cancelSubscription(id)).subscription
+      },
+      subscriptionItems: {
+        create: async (params) => this.createSubscriptionItem(params)
+      },
+      subscriptionSchedules: {
+        create: async (params) => this.createSchedule(params),
+        retrieve: async (id) => this.find(this.schedules, id, 'subscription_schedule'),
+        update: async (id, params) => this.updateSchedule(id, params),
+        release: async (id) => this.releaseSchedule(id)
+      },
+      coupons: {
+        create: async (params) => this.createCoupon(params),
+        retrieve: async (id) => this.find(this.coupons, id, 'coupon'),
+        del: async (id) => this.deleteCoupon(id)
+      },
+      invoices: {
+        retrieve: async (id) => this.find(this.invoices, id, 'invoice'),
+        createPreview: async (params) => this.previewInvoice(params),
+        pay: async (id) => (await this.payInvoice(id)).invoice
+      },
+      billing: {
+        meterEvents: {
+          create: async (params) => this.createMeterEvent(params)
+        }
+      },
+      webhooks: this.stripeWebhooks
+    };
+  }
+
+  id(prefix) {
+    return `${prefix}_sim_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  // Copy of a stored object, as the Stripe API would return it
+  find(store, id, type) {
+    const object = store.get(id);
+    if (!object) {
+      throw new HttpError(`No such ${type}: '${id}'`, 404);
+    }
+    return JSON.parse(JSON.stringify(object));
+  }
+
+  validateOutcome(outcome) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw new HttpError(`Outcome must be one of ${OUTCOMES.join(', ')}`, 400);
+    }
+  }
+
+  // Stripe price object for a catalog price id, with its amount in cents and billing interval
+  catalogPrice(priceId) {
+    if (priceId === OVERAGE_STRIPE_PRICE_ID) {
+      return {
+        id: priceId,
+        nickname: 'Conversion overage',
+        unit_amount: 1,
+        recurring: { interval: 'month', usage_type: 'metered' }
+      };
+    }
+
+    const match = findTierByStripePrice(priceId);
+    const billingCycle = match ? match.billingCycle : 'monthly';
+    return {
+      id: priceId,
+      nickname: match ? `${match.tier.name} (${billingCycle})` : priceId,
+      unit_amount: match ? Math.round(match.tier.price[billingCycle] * 100) : 0,
+      recurring: { interval: billingCycle === 'yearly' ? 'year' : 'month' }
+    };
+  }
+
+  periodEnd(start, interval) {
+    const end = new Date(start * 1000);
+    if (interval === 'year') {
+      end.setFullYear(end.getFullYear() + 1);
+    } else {
+      end.setMonth(end.getMonth() + 1);
+    }
+    return Math.floor(end.getTime() / 1000);
+  }
+
+  createCheckoutSession(params) {
+    const id = this.id('cs');
+    const session = {
+      id,
+      object: 'checkout.session',
+      mode: params.mode,
+      status: 'open',
+      payment_status: 'unpaid',
+      customer: null,
+      customer_email: params.customer_email,
+      subscription: null,
+      line_items: params.line_items,
+      discounts: params.discounts || [],
+      metadata: params.metadata || {},
+      subscription_data: params.subscription_data || {},
+      success_url: params.success_url,
+      cancel_url: params.cancel_url,
+      url: `${this.baseUrl}/api/simulator/stripe/checkout/${id}`,
+      created: this.now()
+    };
+
+    this.sessions.set(id, session);
+    return { ...session };
+  }
+
+  findOrCreateCustomer(email) {
+    const existing = Array.from(this.customers.values()).find(customer => customer.email === email);
+    if (existing) {
+      return existing;
+    }
+
+    // card_declines marks a failing card: payments are declined until a successful one replaces it
+    const customer = { id: this.id('cus'), object: 'customer', email, card_declines: false, created: this.now() };
+    this.customers.set(customer.id, customer);
+    return customer;
+  }
+
+  // Invoice lines for a full period of the subscription's price, and the metered usage reported
+  // since the last invoice, which is billed in arrears
+  subscriptionLines(subscription) {
+    const { price, quantity } = subscription.items.data[0];
+    return [{
+      description: `${quantity} × ${price.nickname}`,
+      amount: price.unit_amount * quantity,
+      proration: false,
+      price: { id: price.id },
+      period: { start: subscription.current_period_start, end: subscription.current_period_end }
+    }, ...this.usageLines(subscription)];
+  }
+
+  usageLines(subscription) {
+    return subscription.items.data
+      .filter(item => item.price.recurring.usage_type === 'metered' && item.usage > 0)
+      .map(item => ({
+        description: `${item.price.nickname} (${item.usage} units)`,
+        amount: item.price.unit_amount * item.usage,
+        proration: false,
+        price: { id: item.price.id },
+        period: { start: item.usage_since, end: this.now() }
+      }));
+  }
+
+  // Metered item added to an existing subscription, e.g. overage billing
+  createSubscriptionItem(params) {
+    const subscription = this.subscriptions.get(params.subscription);
+    if (!subscription) {
+      throw new HttpError(`No such subscription: '${params.subscription}'`, 404);
+    }
+
+    const price = this.catalogPrice(params.price);
+    if (subscription.items.data.some(item => item.price.id === price.id)) {
+      throw new HttpError(`The price ${price.id} is already on subscription ${subscription.id}`, 400);
+    }
+
+    const item = { id: this.id('si'), price, usage: 0, usage_since: this.now() };
+    subscription.items.data.push(item);
+    return { ...item, subscription: subscription.id };
+  }
+
+  // Usage reported to a billing meter, added to the metered item of the customer's subscription.
+  // Events repeating an identifier are dropped, as Stripe does
+  createMeterEvent(params) {
+    const { stripe_customer_id: customerId, value } = params.payload || {};
+    if (!this.customers.has(customerId)) {
+      throw new HttpError(`No such customer: '${customerId}'`, 404);
+    }
+
+    const identifier = params.identifier || this.id('mev');
+    const event = { object: 'billing.meter_event', event_name: params.event_name, identifier, payload: params.payload, created: this.now() };
+    if (this.meterEvents.some(existing => existing.identifier === identifier)) {
+      return event;
+    }
+    this.meterEvents.push(event);
+
+    const subscription = Array.from(this.subscriptions.values())
+      .find(entry => entry.customer === customerId && entry.status !== 'canceled');
+    const item = subscription && subscription.items.data.find(entry => entry.price.recurring.usage_type === 'metered');
+    if (item) {
+      item.usage += Number(value);
+    }
+    return event;
+  }
+
+  // Lines for moving the subscription to newPrice and newQuantity at prorationDate: a credit for the
+  // unused time on the current price, then the remaining time on the new one, or a full period of it
+  // when the billing interval changes and the cycle restarts
+  prorationLines(subscription, newPrice, prorationDate, newQuantity) {
+    const { price, quantity } = subscription.items.data[0];
+    const seats = newQuantity || quantity;
+    const label = (count, nickname) => (count === 1 ? nickname : `${count} × ${nickname}`);
+    const start = subscription.current_period_start;
+    const end = subscription.current_period_end;
+    const unused = Math.max(0, end - prorationDate) / (end - start);
+
+    const lines = [{
+      description: `Unused time on ${label(quantity, price.nickname)}`,
+      amount: -Math.round(price.unit_amount * quantity * unused),
+      proration: true,
+      price: { id: price.id },
+      period: { start: prorationDate, end }
+    }];
+
+    if (newPrice.recurring.interval === price.recurring.interval) {
+      lines.push({
+        description: `Remaining time on ${label(seats, newPrice.nickname)}`,
+        amount: Math.round(newPrice.unit_amount * seats * unused),
+        proration: true,
+        price: { id: newPrice.id },
+        period: { start: prorationDate, end }
+      });
+    } else {
+      lines.push({
+        description: `${seats} × ${newPrice.nickname}`,
+        amount: newPrice.unit_amount * seats,
+        proration: false,
+        price: { id: newPrice.id },
+        period: { start: prorationDate, end: this.periodEnd(prorationDate, newPrice.recurring.interval) }
+      });
+    }
+    return lines;
+  }
+
+  createInvoice(subscription, billingReason, paid, lines = this.subscriptionLines(subscription)) {
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const discount = this.discountAmount(subscription, subtotal);
+    const total = subtotal - discount;
+    const amountDue = Math.max(0, total);
+    const invoice = {
+      id: this.id('in'),
+      object: 'invoice',
+      customer: subscription.customer,
+      subscription: subscription.id,
+      billing_reason: billingReason,
+      status: paid ? 'paid' : 'open',
+      currency: 'usd',
+      subtotal,
+      total,
+      total_discount_amounts: discount > 0 ? [{ amount: discount, discount: subscription.discount.id }] : [],
+      amount_due: amountDue,
+      amount_paid: paid ? amountDue : 0,
+      lines: { data: lines },
+      attempt_count: 1,
+      period_start: subscription.current_period_start,
+      period_end: subscription.current_period_end,
+      created: this.now()
+    };
+
+    this.invoices.set(invoice.id, invoice);
+
+    // Metered usage is billed once
+    subscription.items.data
+      .filter(item => lines.some(line => line.price.id === item.price.id) && item.price.recurring.usage_type === 'metered')
+      .forEach(item => {
+        item.usage = 0;
+        item.usage_since = this.now();
+      });
+
+    // A once-only discount is used up by the first invoice it reduces
+    if (discount > 0 && subscription.discount.coupon.duration === 'once') {
+      subscription.discount = null;
+    }
+    return invoice;
+  }
+
+  createCoupon(params) {
+    const coupon = {
+      id: params.id || this.id('coupon'),
+      object: 'coupon',
+      name: params.name || null,
+      percent_off: params.percent_off || null,
+      amount_off: params.amount_off || null,
+      currency: params.currency || null,
+      duration: params.duration,
+      duration_in_months: params.duration_in_months || null,
+      metadata: params.metadata || {},
+      valid: true,
+      created: this.now()
+    };
+    this.coupons.set(coupon.id, coupon);
+    return { ...coupon };
+  }
+
+  deleteCoupon(couponId) {
+    if (!this.coupons.delete(couponId)) {
+      throw new HttpError(`No such coupon: '${couponId}'`, 404);
+    }
+    return { id: couponId, object: 'coupon', deleted: true };
+  }
+
+  // Discount attaching a coupon to a subscription; a repeating one ends after its months
+  createDiscount(couponId, start) {
+    const coupon = this.find(this.coupons, couponId, 'coupon');
+    let end = null;
+    if (coupon.duration === 'repeating') {
+      const date = new Date(start * 1000);
+      date.setMonth(date.getMonth() + coupon.duration_in_months);
+      end = Math.floor(date.getTime() / 1000);
+    }
+    return { id: this.id('di'), object: 'discount', coupon, start, end };
+  }
+
+  // Discount in cents on an invoice for the subscription's current period
+  discountAmount(subscription, subtotal) {
+    const discount = subscription.discount;
+    if (!discount || subtotal <= 0 || (discount.end && subscription.current_period_start >= discount.end)) {
+      return 0;
+    }
+    const { percent_off: percentOff, amount_off: amountOff } = discount.coupon;
+    return percentOff ? Math.round(subtotal * percentOff / 100) : Math.min(subtotal, amountOff);
+  }
+
+  // Payer finishes (approve), fails (decline) or abandons (cancel) a Stripe checkout session
+  async completeCheckout(sessionId, outcome, baseUrl = this.baseUrl) {
+    this.validateOutcome(outcome);
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new HttpError(`No such checkout.session: '${sessionId}'`, 404);
+    }
+    if (session.status !== 'open') {
+      throw new HttpError(`Checkout session ${sessionId} is ${session.status}`, 409);
+    }
+
+    if (outcome === 'cancel') {
+      session.status = 'expired';
+      return { session, deliveries: [await this.emitStripe('checkout.session.expired', session, baseUrl)] };
+    }
+
+    if (outcome === 'decline') {
+      session.last_payment_error = { code: 'card_declined', message: 'Your card was declined.' };
+      return { session, deliveries: [await this.emitStripe('checkout.session.async_payment_failed', session, baseUrl)] };
+    }
+
+    const customer = this.findOrCreateCustomer(session.customer_email);
+    const metadata = session.subscription_data.metadata || session.metadata;
+    const price = this.catalogPrice(session.line_items[0].price);
+    const interval = price.recurring.interval;
+    const start = this.now();
+    const trialDays = session.subscription_data.trial_period_days || 0;
+    const trialEnd = trialDays > 0 ? start + trialDays * 24 * 60 * 60 : null;
+
+    const subscription = {
+      id: this.id('sub'),
+      object: 'subscription',
+      customer: customer.id,
+      status: trialEnd ? 'trialing' : 'active',
+      items: {
+        data: [{
+          id: this.id('si'),
+          price,
+          quantity: session.line_items[0].quantity || 1
+        }]
+      },
+      metadata: { ...metadata },
+      current_period_start: start,
+      current_period_end: trialEnd || this.periodEnd(start, interval),
+      trial_start: trialEnd ? start : null,
+      trial_end: trialEnd,
+      discount: session.discounts.length > 0 ? this.createDiscount(session.discounts[0].coupon, start) : null,
+      cancel_at_period_end: false,
+      created: start
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    session.status = 'complete';
+    session.payment_status = 'paid';
+    session.customer = customer.id;
+    session.subscription = subscription.id;
+
+    // A trial starts with a zero invoice, the first payment is the renewal at its end
+    const invoice = trialEnd
+      ? this.createInvoice(subscription, 'subscription_create', true, [{
+        description: `Trial period for ${price.nickname}`,
+        amount: 0,
+        proration: false,
+        price: { id: price.id },
+        period: { start, end: trialEnd }
+      }])
+      : this.createInvoice(subscription, 'subscription_create', true);
+
+    const deliveries = [];
+    deliveries.push(await this.emitStripe('customer.subscription.created', subscription, baseUrl));
+    deliveries.push(await this.emitStripe('checkout.session.completed', session, baseUrl));
+    deliveries.push(await this.emitStripe('invoice.payment_succeeded', invoice, baseUrl));
+    return { session, subscription, invoice, deliveries };
+  }
+
+  // Bill the next period. A declined renewal leaves the invoice open and the subscription past_due
+  async renewSubscription(subscriptionId, outcome, baseUrl = this.baseUrl) {
+    this.validateOutcome(outcome);
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new HttpError(`No such subscription: '${subscriptionId}'`, 404);
+    }
+    if (subscription.status === 'canceled') {
+      throw new HttpError(`Subscription ${subscriptionId} is canceled`, 409);
+    }
+
+    if (outcome === 'cancel') {
+      return this.cancelSubscription(subscriptionId, baseUrl);
+    }
+
+    // The next period is billed at the price of a scheduled phase starting with it
+    this.advanceSchedule(subscription);
+
+    const deliveries = [];
+    if (outcome === 'decline') {
+      this.customers.get(subscription.customer).card_declines = true;
+      subscription.status = 'past_due';
+      const invoice = this.createInvoice(subscription, 'subscription_cycle', false);
+      deliveries.push(await this.emitStripe('invoice.payment_failed', invoice, baseUrl));
+      deliveries.push(await this.emitStripe('customer.subscription.updated', subscription, baseUrl));
+      return { subscription, invoice, deliveries };
+    }
+
+    const interval = subscription.items.data[0].price.recurring.interval;
+    this.customers.get(subscription.customer).card_declines = false;
+    subscription.status = 'active';
+    subscription.current_period_start = subscription.current_period_end;
+    subscription.current_period_end = this.periodEnd(subscription.current_period_start, interval);
+
+    const invoice = this.createInvoice(subscription, 'subscription_cycle', true);
+    deliveries.push(await this.emitStripe('invoice.payment_succeeded', invoice, baseUrl));
+    deliveries.push(await this.emitStripe('customer.subscription.updated', subscription, baseUrl));
+    return { subscription, invoice, deliveries };
+  }
+
+  // Collect an open invoice: a retry by Stripe, by our dunning, or the payer paying with a new card.
+  // Without an outcome the customer's card decides; approve or decline also set it for later attempts
+  async payInvoice(invoiceId, outcome, baseUrl = this.baseUrl) {
+    const invoice = this.invoices.get(invoiceId);
+    if (!invoice) {
+      throw new HttpError(`No such invoice: '${invoiceId}'`, 404);
+    }
+    if (invoice.status !== 'open') {
+      throw new HttpError(`Invoice ${invoiceId} is ${invoice.status}`, 400);
+    }
+    if (outcome !== undefined && !['approve', 'decline'].includes(outcome)) {
+      throw new HttpError('Outcome must be one of approve, decline', 400);
+    }
+
+    const customer = this.customers.get(invoice.customer);
+    if (outcome !== undefined) {
+      customer.card_declines = outcome === 'decline';
+    }
+
+    const subscription = this.subscriptions.get(invoice.subscription);
+    const deliveries = [];
+    invoice.attempt_count += 1;
+
+    if (customer.card_declines) {
+      deliveries.push(await this.emitStripe('invoice.payment_failed', invoice, baseUrl));
+      const error = new HttpError('Your card was declined.', 402);
+      error.type = 'StripeCardError';
+      error.code = 'card_declined';
+      error.deliveries = deliveries;
+      throw error;
+    }
+
+    invoice.status = 'paid';
+    invoice.amount_paid = invoice.amount_due;
+    deliveries.push(await this.emitStripe('invoice.payment_succeeded', invoice, baseUrl));
+    if (subscription && subscription.status === 'past_due') {
+      subscription.status = 'active';
+      deliveries.push(await this.emitStripe('customer.subscription.updated', subscription, baseUrl));
+    }
+    return { invoice: JSON.parse(JSON.stringify(invoice)), subscription, deliveries };
+  }
+
+  async updateSubscription(subscriptionId, params = {}) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new HttpError(`No such subscription: '${subscriptionId}'`, 404);
+    }
+
+    if (params.cancel_at_period_end !== undefined) {
+      subscription.cancel_at_period_end = params.cancel_at_period_end;
+    }
+    if (params.metadata) {
+      subscription.metadata = { ...subscription.metadata, ...params.metadata };
+    }
+
+    let invoice = null;
+    if (params.items) {
+      // A change of price, of quantity (seats), or both
+      const change = params.items[0];
+      const item = subscription.items.data.find(entry => entry.id === change.id) || subscription.items.data[0];
+      const price = this.catalogPrice(change.price || item.price.id);
+      const prorationDate = params.proration_date || this.now();
+      const lines = this.prorationLines(subscription, price, prorationDate, change.quantity);
+
+      if (price.recurring.interval !== item.price.recurring.interval) {
+        // A new billing interval restarts the billing cycle
+        subscription.current_period_start = prorationDate;
+        subscription.current_period_end = this.periodEnd(prorationDate, price.recurring.interval);
+      }
+      item.price = price;
+      item.quantity = change.quantity || item.quantity;
+
+      if (params.proration_behavior === 'always_invoice') {
+        invoice = this.createInvoice(subscription, 'subscription_update', true, lines);
+        subscription.latest_invoice = invoice.id;
+      }
+    }
+
+    await this.emitStripe('customer.subscription.updated', subscription);
+    if (invoice) {
+      await this.emitStripe('invoice.payment_succeeded', invoice);
+    }
+
+    const result = JSON.parse(JSON.stringify(subscription));
+    if (invoice && params.expand && params.expand.includes('latest_invoice')) {
+      result.latest_invoice = JSON.parse(JSON.stringify(invoice));
+    }
+    return result;
+  }
+
+  // Upcoming invoice for a proposed change to a subscription's price, without applying it
+  previewInvoice(params) {
+    const subscription = this.find(this.subscriptions, params.subscription, 'subscription');
+    const details = params.subscription_details || {};
+    const change = details.items && details.items[0];
+
+    const lines = change && details.proration_behavior !== 'none'
+      ? this.prorationLines(
+        subscription,
+        this.catalogPrice(change.price || subscription.items.data[0].price.id),
+        details.proration_date || this.now(),
+        change.quantity
+      )
+      : this.subscriptionLines(subscription);
+    const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+    const total = subtotal - this.discountAmount(subscription, subtotal);
+
+    return {
+      id: null,
+      object: 'invoice',
+      customer: subscription.customer,
+      subscription: subscription.id,
+      billing_reason: change ? 'subscription_update' : 'upcoming',
+      status: 'draft',
+      currency: 'usd',
+      subtotal,
+      total,
+      amount_due: Math.max(0, total),
+      lines: { data: lines },
+      created: this.now()
+    };
+  }
+
+  // Schedule mirroring the subscription's current period, which phases can then be added to
+  createSchedule(params) {
+    const subscription = this.subscriptions.get(params.from_subscription);
+    if (!subscription) {
+      throw new HttpError(`No such subscription: '${params.from_subscription}'`, 404);
+    }
+    if (subscription.schedule) {
+      throw new HttpError(`Subscription ${subscription.id} is already attached to schedule ${subscription.schedule}`, 400);
+    }
+
+    const schedule = {
+      id: this.id('sub_sched'),
+      object: 'subscription_schedule',
+      subscription: subscription.id,
+      status: 'active',
+      end_behavior: 'release',
+      phases: [{
+        items: subscription.items.data.map(item => ({ price: item.price.id, quantity: item.quantity })),
+        start_date: subscription.current_period_start,
+        end_date: subscription.current_period_end,
+        metadata: {}
+      }],
+      created: this.now()
+    };
+    this.schedules.set(schedule.id, schedule);
+    subscription.schedule = schedule.id;
+    return JSON.parse(JSON.stringify(schedule));
+  }
+
+  // Replace the schedule's phases; each phase without dates starts when the previous one ends
+  updateSchedule(scheduleId, params = {}) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new HttpError(`No such subscription_schedule: '${scheduleId}'`, 404);
+    }
+    if (schedule.status !== 'active') {
+      throw new HttpError(`Subscription schedule ${scheduleId} is ${schedule.status}`, 400);
+    }
+
+    if (params.phases) {
+      let previousEnd = null;
+      schedule.phases = params.phases.map(phase => {
+        const interval = this.catalogPrice(phase.items[0].price).recurring.interval;
+        const start = phase.start_date || previousEnd;
+        let end = phase.end_date;
+        if (!end) {
+          end = start;
+          for (let iteration = 0; iteration < (phase.iterations || 1); iteration++) {
+            end = this.periodEnd(end, interval);
+          }
+        }
+        previousEnd = end;
+        return { items: phase.items, start_date: start, end_date: end, metadata: phase.metadata || {} };
+      });
+    }
+    if (params.end_behavior) {
+      schedule.end_behavior = params.end_behavior;
+    }
+    return JSON.parse(JSON.stringify(schedule));
+  }
+
+  releaseSchedule(scheduleId) {
+    const schedule = this.schedules.get(scheduleId);
+    if (!schedule) {
+      throw new HttpError(`No such subscription_schedule: '${scheduleId}'`, 404);
+    }
+    if (schedule.status !== 'active') {
+      throw new HttpError(`Subscription schedule ${scheduleId} is ${schedule.status}`, 400);
+    }
+
+    schedule.status = 'released';
+    schedule.released_subscription = schedule.subscription;
+    const subscription = this.subscriptions.get(schedule.subscription);
+    if (subscription) {
+      subscription.schedule = null;
+    }
+    return JSON.parse(JSON.stringify(schedule));
+  }
+
+  // Move the subscription onto the schedule phase that starts with its next period
+  advanceSchedule(subscription) {
+    const schedule = subscription.schedule && this.schedules.get(subscription.schedule);
+    if (!schedule) {
+      return;
+    }
+
+    const index = schedule.phases.findIndex(phase => phase.start_date === subscription.current_period_end);
+    if (index === -1) {
+      return;
+    }
+
+    const phase = schedule.phases[index];
+    subscription.items.data[0].price = this.catalogPrice(phase.items[0].price);
+    subscription.metadata = { ...subscription.metadata, ...phase.metadata };
+
+    if (index === schedule.phases.length - 1 && schedule.end_behavior === 'release') {
+      this.releaseSchedule(schedule.id);
+    }
+  }
+
+  async cancelSubscription(subscriptionId, baseUrl = this.baseUrl) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new HttpError(`No such subscription: '${subscriptionId}'`, 404);
+    }
+
+    subscription.status = 'canceled';
+    subscription.ended_at = this.now();
+
+    const deliveries = [await this.emitStripe('customer.subscription.deleted', subscription, baseUrl)];
+    return { subscription, deliveries };
+  }
+
+  // Payer approves, declines or cancels a PayPal order before it is captured
+  completePaypalOrder(orderId, outcome) {
+    this.validateOutcome(outcome);
+    const statuses = { approve: 'APPROVED', decline: 'DECLINED', cancel: 'VOIDED' };
+    const order = mockPaypalService.setOrderStatus(orderId, statuses[outcome]);
+    if (!order) {
+      throw new HttpError(`Order ${orderId} not found`, 404);
+    }
+    return { orderId, ...order };
+  }
+
+  // Payer approves a PayPal subscription, a payment on it is declined, or it is cancelled
+  async completePaypalSubscription(subscriptionId, outcome, baseUrl = this.baseUrl) {
+    this.validateOutcome(outcome);
+    const subscription = mockPaypalService.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new HttpError(`Subscription ${subscriptionId} not found`, 404);
+    }
+
+    const eventTypes = {
+      approve: 'BILLING.SUBSCRIPTION.ACTIVATED',
+      decline: 'BILLING.SUBSCRIPTION.PAYMENT.FAILED',
+      cancel: 'BILLING.SUBSCRIPTION.CANCELLED'
+    };
+    if (outcome === 'approve') {
+      mockPaypalService.setSubscriptionStatus(subscriptionId, 'ACTIVE');
+    } else if (outcome === 'cancel') {
+      mockPaypalService.setSubscriptionStatus(subscriptionId, 'CANCELLED');
+    }
+
+    const nextBilling = new Date();
+    nextBilling.setMonth(nextBilling.getMonth() + 1);
+    const resource = {
+      id: subscriptionId,
+      status: subscription.status,
+      plan_id: subscription.planId,
+      custom_id: subscription.customId,
+      subscriber: { email_address: subscription.subscriberEmail },
+      billing_info: { next_billing_time: nextBilling.toISOString() }
+    };
+
+    const deliveries = [await this.emitPaypal(eventTypes[outcome], resource, baseUrl)];
+    return { subscription: resource, deliveries };
+  }
+
+  async emitStripe(type, object, baseUrl = this.baseUrl) {
+    const event = {
+      id: this.id('evt'),
+      object: 'event',
+      type,
+      created: this.now(),
+      livemode: false,
+      data: { object: JSON.parse(JSON.stringify(object)) }
+    };
+    const payload = JSON.stringify(event);
+    const signature = this.stripeWebhooks.generateTestHeaderString({ payload, secret: this.stripeWebhookSecret });
+
+    return this.deliver('stripe', event, `${baseUrl}/api/subscriptions/webhook`, { 'Stripe-Signature': signature }, payload);
+  }
+
+  async emitPaypal(eventType, resource, baseUrl = this.baseUrl) {
+    const event = {
+      id: `WH-SIM-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+      event_version: '1.0',
+      create_time: new Date().toISOString(),
+      resource_type: 'subscription',
+      event_type: eventType,
+      resource
+    };
+    const payload = JSON.stringify(event);
+
+    return this.deliver('paypal', event, `${baseUrl}/api/payments/webhook`, mockPaypalService.signWebhook(payload), payload);
+  }
+
+  // POST a signed event and keep a record of the delivery
+  async deliver(provider, event, url, headers, payload) {
+    const delivery = { provider, id: event.id, type: event.type || event.event_type, url };
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: payload,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      delivery.status = response.status;
+    } catch (error) {
+      console.warn(`Billing simulator could not deliver ${delivery.type} to ${url}:`, error.message);
+      delivery.error = error.message;
+    }
+
+    this.events.push({ ...delivery, deliveredAt: new Date().toISOString() });
+    return delivery;
+  }
+
+  getState() {
+    return {
+      customers: Array.from(this.customers.values()),
+      checkoutSessions: Array.from(this.sessions.values()),
+      subscriptions: Array.from(this.subscriptions.values()),
+      invoices: Array.from(this.invoices.values()),
+      subscriptionSchedules: Array.from(this.schedules.values()),
+      coupons: Array.from(this.coupons.values()),
+      meterEvents: this.meterEvents,
+      paypalOrders: Array.from(mockPaypalService.orders, ([id, order]) => ({ id, ...order })),
+      paypalSubscriptions: Array.from(mockPaypalService.subscriptions, ([id, subscription]) => ({ id, ...subscription })),
+      events: this.events
+    };
+  }
+
+  reset() {
+    this.customers.clear();
+    this.sessions.clear();
+    this.subscriptions.clear();
+    this.invoices.clear();
+    this.schedules.clear();
+    this.coupons.clear();
+    this.meterEvents = [];
+    this.events = [];
+    mockPaypalService.reset();
+  }
+}
+
+module.exports = new BillingSimulator();
@@ -1,6 +1,20 @@
 const { cognito, COGNITO_USER_POOL_ID, COGNITO_CLIENT_ID } = require('../config/aws');
 const crypto = require('crypto');
 
+// HTTP status for Cognito errors the user can act on; others are server errors
+const COGNITO_ERROR_STATUS = {
+  UsernameExistsException: 400,
+  InvalidPasswordException: 400,
+  InvalidParameterException: 400,
+  UserNotConfirmedException: 403,
+  NotAuthorizedException: 401,
+  UserNotFoundException: 404,
+  CodeMismatchException: 400,
+  ExpiredCodeException: 400,
+  LimitExceededException: 429,
+  TooManyRequestsException: 429
+};
+
 class CognitoService {
   // Register a new user
   async registerUser(email, password, name, attributes = {}) {
@@ -33,7 +47,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito sign up error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -50,7 +64,7 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito confirm sign up error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -69,7 +83,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito resend confirmation error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -107,7 +121,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito sign in error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -133,7 +147,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito refresh token error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -148,7 +162,7 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito sign out error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -179,7 +193,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito get user error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -203,7 +217,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito update user attributes error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -220,7 +234,7 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito change password error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -239,7 +253,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito forgot password error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -257,7 +271,7 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito confirm forgot password error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -272,7 +286,7 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito delete user error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -304,7 +318,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito admin get user error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -342,7 +356,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito admin create user error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 
@@ -357,7 +371,60 @@ class CognitoService {
       return { success: true };
     } catch (error) {
       console.error('Cognito admin delete user error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
+    }
+  }
+
+  // Set a user's password, permanent unless the user must change it at the next sign-in
+  async adminSetUserPassword(username, password, permanent = true) {
+    const params = {
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+      Password: password,
+      Permanent: permanent
+    };
+
+    try {
+      await cognito.adminSetUserPassword(params).promise();
+      return { success: true };
+    } catch (error) {
+      console.error('Cognito admin set user password error:', error);
+      throw this.toError(error);
+    }
+  }
+
+  // Confirm a sign-up without its verification code
+  async adminConfirmSignUp(username) {
+    const params = {
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username
+    };
+
+    try {
+      await cognito.adminConfirmSignUp(params).promise();
+      return { success: true };
+    } catch (error) {
+      console.error('Cognito admin confirm sign up error:', error);
+      throw this.toError(error);
+    }
+  }
+
+  async adminUpdateUserAttributes(username, attributes) {
+    const params = {
+      UserPoolId: COGNITO_USER_POOL_ID,
+      Username: username,
+      UserAttributes: Object.entries(attributes).map(([key, value]) => ({
+        Name: key,
+        Value: value
+      }))
+    };
+
+    try {
+      await cognito.adminUpdateUserAttributes(params).promise();
+      return { success: true };
+    } catch (error) {
+      console.error('Cognito admin update user attributes error:', error);
+      throw this.toError(error);
     }
   }
 
@@ -399,6 +466,14 @@ class CognitoService {
     }
   }
 
+  // Error with the user-facing message, the Cognito error code and the HTTP status to answer with
+  toError(error) {
+    const wrapped = new Error(this.handleCognitoError(error));
+    wrapped.code = error.code;
+    wrapped.statusCode = COGNITO_ERROR_STATUS[error.code];
+    return wrapped;
+  }
+
   // Generate secure random password
   generateSecurePassword(length = 12) {
     const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
@@ -432,7 +507,7 @@ class CognitoService {
       };
     } catch (error) {
       console.error('Cognito list users error:', error);
-      throw new Error(this.handleCognitoError(error));
+      throw this.toError(error);
     }
   }
 }
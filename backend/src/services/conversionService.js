@@ -0,0 +1,327 @@
+const mammoth = require('mammoth');
+const pdfParse = require('pdf-parse');
+const jwt = require('jsonwebtoken');
+const { S3Service, DynamoDBService } = require('../config/aws');
+const HttpError = require('../utils/httpError');
+const bedrockService = require('./bedrockService');
+const documentRenderer = require('./documentRenderer');
+const spreadsheetExtractor = require('./spreadsheetExtractor');
+const ocrService = require('./ocrService');
+const jobQueue = require('./jobQueue');
+const conversionUsageService = require('./conversionUsageService');
+const organizationService = require('./organizationService');
+const { createTableStore } = require('./tableStore');
+const webhookService = require('./webhookService');
+
+const files = createTableStore('seo-nlp-files', 'FILE_STORE_DRIVER');
+
+// Index of the files table on status and updatedAt
+const STATUS_INDEX = 'StatusFilesIndex';
+// How long a worker holds a job it has claimed. Keep it longer than a conversion takes
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 15 * 60 * 1000;
+
+// File conversion pipeline shared by the synchronous route and the job worker
+class ConversionService {
+  // Extract content from different file types
+  // Returns the text sent to the model plus any structured data (e.g. spreadsheet tables)
+  async extractContent(file) {
+    const { buffer, mimetype, originalname } = file;
+
+    try {
+      // Spreadsheets are matched first since browsers report CSV files as application/vnd.ms-excel
+      if (spreadsheetExtractor.isSpreadsheet(mimetype, originalname)) {
+        const workbook = await spreadsheetExtractor.extract(buffer, { mimeType: mimetype, fileName: originalname });
+        return {
+          text: spreadsheetExtractor.toPromptText(workbook),
+          structuredData: { type: 'spreadsheet', sheets: workbook.sheets }
+        };
+      }
+
+      switch (mimetype) {
+        case 'text/plain':
+        case 'text/html':
+        case 'text/markdown':
+          return { text: buffer.toString('utf-8') };
+
+        case 'application/pdf': {
+          const pdfData = await pdfParse(buffer);
+          if (pdfData.text.trim()) {
+            return { text: pdfData.text };
+          }
+
+          // No text layer, treat it as a scanned document
+          const ocrResult = await ocrService.recognizePdf(buffer);
+          return { text: ocrResult.text, structuredData: { type: 'ocr', ...ocrResult } };
+        }
+
+        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+        case 'application/msword': {
+          const docxResult = await mammoth.extractRawText({ buffer });
+          return { text: docxResult.value };
+        }
+
+        case 'image/jpeg':
+        case 'image/png':
+        case 'image/bmp': {
+          const ocrResult = await ocrService.recognizeImage(buffer, mimetype);
+          return { text: ocrResult.text, structuredData: { type: 'ocr', ...ocrResult } };
+        }
+
+        default:
+          throw new Error('Unsupported file type');
+      }
+    } catch (error) {
+      console.error('Text extraction error:', error);
+      // Files that cannot be read keep their explanation
+      if (error.statusCode) {
+        throw error;
+      }
+      throw new Error(`Failed to extract text from ${originalname}`);
+    }
+  }
+
+  // Small structured-data overview stored on the file record
+  summarizeStructuredData(structuredData) {
+    if (structuredData && structuredData.type === 'spreadsheet') {
+      return { type: 'spreadsheet', sheets: spreadsheetExtractor.summarize(structuredData) };
+    }
+    if (structuredData && structuredData.type === 'ocr') {
+      const { provider, confidence, blocks } = structuredData;
+      return {
+        type: 'ocr',
+        provider,
+        confidence,
+        blockCount: blocks.length,
+        blocks: blocks.slice(0, 200).map(({ text, confidence: blockConfidence, page }) => ({
+          text: text.substring(0, 500),
+          confidence: blockConfidence,
+          page
+        }))
+      };
+    }
+    return undefined;
+  }
+
+  // Build the base name for a converted output file
+  getOutputName(originalName, extension) {
+    const baseName = originalName.replace(/\.[^.]+$/, '') || 'converted';
+    return `${baseName}.${extension}`;
+  }
+
+  // Short-lived link that lets a plain <a href> download a converted file
+  createDownloadUrl(fileId, userId) {
+    const token = jwt.sign(
+      { fileId, userId, purpose: 'download' },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+    return `/api/files/${fileId}/download?token=${token}`;
+  }
+
+  // Render processed content into the target format and store it in S3
+  async storeConvertedOutput({ fileId, userId, originalName, processedContent, targetFormat }) {
+    const rendered = await documentRenderer.render(processedContent, targetFormat, { title: originalName });
+    const outputName = this.getOutputName(originalName, rendered.extension);
+    const outputKey = `files/${userId}/${fileId}/converted_${outputName}`;
+
+    await S3Service.uploadFile(outputKey, rendered.buffer, rendered.mimeType);
+
+    return {
+      outputKey,
+      outputName,
+      outputFormat: rendered.format,
+      outputMimeType: rendered.mimeType,
+      outputSize: rendered.buffer.length
+    };
+  }
+
+  // Run the full pipeline: extract, process with AI, render and store the output file
+  async convert({ fileId, userId, file, prompt, targetFormat }) {
+    const { text: textContent, structuredData } = await this.extractContent(file);
+
+    // Process with AI (Bedrock); without the model's answer there is nothing to convert, so the
+    // conversion fails and is not counted
+    let processedContent;
+    try {
+      processedContent = await bedrockService.processText(textContent, prompt);
+    } catch (aiError) {
+      console.error('AI processing error:', aiError);
+      throw new HttpError('AI processing is temporarily unavailable. Please try again.', 502);
+    }
+
+    // Render the converted file and store it in S3; a conversion without its file failed
+    let output;
+    try {
+      output = await this.storeConvertedOutput({
+        fileId,
+        userId,
+        originalName: file.originalname,
+        processedContent,
+        targetFormat
+      });
+    } catch (outputError) {
+      console.error('Output rendering error:', outputError);
+      throw new HttpError(`Failed to produce the ${targetFormat} file`, 500);
+    }
+
+    return {
+      textContent,
+      structuredData: this.summarizeStructuredData(structuredData),
+      processedContent,
+      output
+    };
+  }
+
+  // Job queue handler for conversions submitted with async=1
+  async processJob({ jobId }) {
+    // Queues deliver at least once, so a job only runs once a worker claims it: while it is still
+    // processing and nobody else holds it
+    const now = new Date().toISOString();
+    const claimedUntil = new Date(Date.now() + JOB_LEASE_MS).toISOString();
+    const record = await files.updateIf(
+      { fileId: jobId },
+      { claimedUntil },
+      {
+        condition: '#status = :processing AND (attribute_not_exists(claimedUntil) OR claimedUntil < :now)',
+        names: { '#status': 'status' },
+        values: { ':processing': 'processing', ':now': now }
+      },
+      stored => Boolean(stored) && stored.status === 'processing' && (!stored.claimedUntil || stored.claimedUntil < now)
+    );
+
+    if (!record) {
+      const stored = await files.get({ fileId: jobId });
+      if (stored && stored.status === 'processing') {
+        // Fail the delivery so the queue offers the job again once the claim has expired
+        throw new Error(`Job ${jobId} is claimed by another worker`);
+      }
+      return;
+    }
+
+    let update;
+
+    try {
+      const buffer = await S3Service.getFile(record.s3Key);
+      const { textContent, structuredData, processedContent, output } = await this.convert({
+        fileId: jobId,
+        userId: record.userId,
+        file: { buffer, mimetype: record.mimeType, originalname: record.originalName },
+        prompt: record.prompt,
+        targetFormat: record.targetFormat
+      });
+
+      // Queued conversions count once they succeeded, like the others
+      await this.countJob(record);
+
+      const completedAt = new Date().toISOString();
+      update = {
+        status: 'completed',
+        textContent: textContent.substring(0, 1000),
+        structuredData: structuredData || null,
+        processedContent,
+        ...output,
+        completedAt,
+        updatedAt: completedAt
+      };
+    } catch (error) {
+      console.error('Conversion job error:', error);
+      const completedAt = new Date().toISOString();
+      update = {
+        status: 'failed',
+        errorMessage: error.message,
+        completedAt,
+        updatedAt: completedAt
+      };
+    }
+
+    // Only the worker still holding the claim records the result
+    const finished = await files.updateIf(
+      { fileId: jobId },
+      update,
+      { condition: 'claimedUntil = :claimedUntil', values: { ':claimedUntil': claimedUntil } },
+      stored => Boolean(stored) && stored.claimedUntil === claimedUntil
+    );
+    if (!finished) {
+      console.warn(`Conversion job ${jobId} was claimed by another worker before it finished`);
+      return;
+    }
+
+    // Webhook retries back off for seconds, so they run without holding the worker
+    this.notifyJobResult(finished);
+  }
+
+  // Count a finished job against the account it was submitted for: its organization's, when it
+  // was submitted in one, or its owner's
+  async countJob(record) {
+    const organization = record.organizationId ? await organizationService.get(record.organizationId) : null;
+    const account = await conversionUsageService.getAccount({ userId: record.userId }, organization);
+    await conversionUsageService.reserve(account);
+  }
+
+  // Jobs of the in-process queue are lost when the server stops. Run at startup to queue again every
+  // job left processing. A claim is never taken away: jobs whose claim is stale are queued now, the
+  // others once their claim expires, and skipped then if their worker finished them
+  async requeueUnfinishedJobs() {
+    const jobs = await files.queryIndex(STATUS_INDEX, 'status', 'processing');
+    const now = Date.now();
+
+    for (const job of jobs) {
+      // Just past the end of the claim, a claim is only stale once it is before now
+      const delay = job.claimedUntil ? Math.max(0, new Date(job.claimedUntil).getTime() - now + 1) : 0;
+      await jobQueue.enqueue({ type: 'conversion', jobId: job.fileId }, { delay });
+    }
+    return jobs.length;
+  }
+
+  // Send job.completed / job.failed to the owner's webhook, if one is configured
+  async notifyJobResult(job) {
+    try {
+      const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: job.userId });
+      if (!user || !user.webhookUrl) {
+        return;
+      }
+
+      const eventType = job.status === 'completed' ? 'job.completed' : 'job.failed';
+      await webhookService.deliver(user.webhookUrl, user.webhookSecret, eventType, this.formatJob(job));
+    } catch (error) {
+      console.error('Job webhook error:', error);
+    }
+  }
+
+  // Files converted in an organization's context are shared with its members; only the owner of a
+  // file and the organization's owner and admins can delete it
+  canAccessFile(file, user, { manage = false } = {}) {
+    if (!file) {
+      return false;
+    }
+    if (file.userId === user.userId) {
+      return true;
+    }
+    if (!file.organizationId || file.organizationId !== user.organizationId) {
+      return false;
+    }
+    return !manage || organizationService.canManage({ role: user.organizationRole });
+  }
+
+  // Public view of a conversion job, used by the jobs route and webhooks
+  formatJob(job) {
+    const completed = job.status === 'completed';
+
+    return {
+      jobId: job.fileId,
+      status: job.status,
+      originalName: job.originalName,
+      outputFormat: job.outputFormat || job.targetFormat || null,
+      result: completed ? job.processedContent : null,
+      structuredData: completed ? job.structuredData || null : null,
+      fileName: job.outputName || null,
+      fileSize: job.outputSize || null,
+      downloadUrl: completed && job.outputKey ? this.createDownloadUrl(job.fileId, job.userId) : null,
+      error: job.status === 'failed' ? job.errorMessage : null,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt || null
+    };
+  }
+}
+
+module.exports = new ConversionService();
@@ -0,0 +1,121 @@
+const { DynamoDBService } = require('../config/aws');
+const { getUserTier } = require('../config/tiers');
+const { createTableStore } = require('./tableStore');
+const organizationService = require('./organizationService');
+const overageService = require('./overageService');
+
+const USAGE_TABLE = process.env.DYNAMODB_TABLE_USAGE || 'user-usage';
+
+// Monthly conversion counting. A conversion counts against an account: the user's own quota, or in
+// an organization's context the organization's pooled quota and the member's own cap. The usage
+// record of the account and month holds conversions, overageConversions and memberConversions, and
+// each is only ever changed by an atomic ADD, so concurrent conversions cannot slip past a limit
+class ConversionUsageService {
+  constructor() {
+    this.store = createTableStore(USAGE_TABLE, 'CONVERSION_USAGE_STORE_DRIVER');
+  }
+
+  // Month of the usage record conversions count in, like 2024-05
+  getMonthKey(now = new Date()) {
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // Account a user's conversions count against, with its quota and the user's membership
+  async getAccount(requestUser, organization) {
+    if (organization) {
+      return {
+        accountId: organization.orgId,
+        maxConversions: await organizationService.getPooledQuota(organization),
+        member: organizationService.getMember(organization, requestUser.userId)
+      };
+    }
+
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: requestUser.userId });
+    return { accountId: requestUser.userId, maxConversions: getUserTier(user).quotas.conversionsPerMonth, member: null };
+  }
+
+  // This month's usage record of an account, created when missing
+  async getUsage(accountId, maxConversions) {
+    const key = { userId: accountId, monthKey: this.getMonthKey() };
+    const usage = await this.store.get(key);
+    if (usage) {
+      return usage;
+    }
+
+    const resetDate = new Date();
+    resetDate.setMonth(resetDate.getMonth() + 1, 1);
+    resetDate.setHours(0, 0, 0, 0);
+
+    try {
+      return await this.store.putIf(
+        { ...key, conversions: 0, maxConversions, resetDate: resetDate.toISOString(), createdAt: new Date().toISOString() },
+        { condition: 'attribute_not_exists(userId)' },
+        stored => !stored
+      );
+    } catch (error) {
+      if (error.code !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+      // Created by a concurrent request
+      return this.store.get(key);
+    }
+  }
+
+  // Refuse a conversion that is past the member's cap, the quota or the overage allowance, without
+  // counting it. Returns the usage record
+  async check(account) {
+    const { accountId, maxConversions, member } = account;
+    const usage = await this.getUsage(accountId, maxConversions);
+    if (member) {
+      organizationService.checkMemberCap(usage, member);
+    }
+    if ((usage.conversions || 0) >= maxConversions) {
+      await overageService.checkConversion(accountId, usage, maxConversions);
+    }
+    return usage;
+  }
+
+  // Count one conversion, or refuse it with a 429 when it is past the member's cap, the quota or
+  // the overage allowance. Past the quota, subscriptions that opted into overage pay per
+  // conversion up to their spending cap: the conversion is reported to Stripe with the overage
+  // sequence number this reservation took. Returns the updated usage record
+  async reserve(account) {
+    const { accountId, maxConversions, member } = account;
+    const monthKey = this.getMonthKey();
+    const key = { userId: accountId, monthKey };
+    await this.getUsage(accountId, maxConversions);
+
+    if (member) {
+      const cap = organizationService.hasConversionCap(member) ? member.conversionCap : undefined;
+      if (!await this.store.incrementEntry(key, 'memberConversions', member.userId, 1, { limit: cap })) {
+        throw organizationService.memberCapError(member);
+      }
+    }
+
+    try {
+      const counted = await this.store.increment(key, { conversions: 1 }, { limitField: 'conversions', limit: maxConversions });
+      if (counted) {
+        return counted;
+      }
+
+      const { record, price, limit } = await overageService.getAllowance(accountId, maxConversions);
+      const charged = await this.store.increment(
+        key,
+        { conversions: 1, overageConversions: 1 },
+        { limitField: 'overageConversions', limit }
+      );
+      if (!charged) {
+        throw overageService.capReachedError(record);
+      }
+      await overageService.report(record, monthKey, charged.overageConversions, price);
+      return charged;
+    } catch (error) {
+      if (member) {
+        await this.store.incrementEntry(key, 'memberConversions', member.userId, -1);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new ConversionUsageService();
@@ -0,0 +1,543 @@
+/**
+ * Cost Optimizer - request throttling, response caching and usage tracking per tier
+ */
+
+const crypto = require('crypto');
+const { CloudWatchClient, PutMetricDataCommand } = require('@aws-sdk/client-cloudwatch');
+const {
+    checkLimits,
+    getTierLimits,
+    getCacheConfig,
+    getThrottleConfig
+} = require('../config/ai-models');
+const usageStore = require('./usageStore');
+
+// Request metrics kept in memory for /api/metrics and recommendations
+const METRICS_WINDOW_MS = 60 * 60 * 1000;
+const MAX_METRIC_ENTRIES = 10000;
+
+const DAY_TTL_SECONDS = 2 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 32 * 24 * 60 * 60;
+
+class CostOptimizer {
+    constructor(options = {}) {
+        this.config = {
+            cachingEnabled: process.env.ENABLE_CACHING !== 'false',
+            metricsEnabled: process.env.ENABLE_METRICS === 'true',
+            metricsNamespace: process.env.CLOUDWATCH_NAMESPACE || 'SEO-NLP-App/CostOptimization',
+            redisUrl: options.redisUrl || process.env.REDIS_URL || this.buildRedisUrl()
+        };
+
+        this.redis = null;
+        this.redisPromise = null;
+
+        // In-memory fallbacks used when Redis is not configured or unreachable
+        this.memoryCache = new Map();
+        this.memoryCounters = new Map();
+        this.throttleWindows = new Map();
+
+        this.metrics = [];
+        this.cacheStats = { hits: 0, misses: 0 };
+        this.throttleEvents = [];
+    }
+
+    buildRedisUrl() {
+        if (!process.env.REDIS_HOST) {
+            return null;
+        }
+
+        const auth = process.env.REDIS_PASSWORD ? `:${encodeURIComponent(process.env.REDIS_PASSWORD)}@` : '';
+        return `redis://${auth}${process.env.REDIS_HOST}:${process.env.REDIS_PORT || 6379}`;
+    }
+
+    // Connect to Redis on first use, resolves to null when only the memory store is available
+    async getRedis() {
+        if (!this.config.redisUrl) {
+            return null;
+        }
+
+        if (!this.redisPromise) {
+            const { createClient } = require('redis');
+            const client = createClient({
+                url: this.config.redisUrl,
+                socket: {
+                    connectTimeout: 5000,
+                    reconnectStrategy: false
+                }
+            });
+
+            client.on('error', (error) => {
+                console.error('Redis error, using in-memory cache:', error.message);
+                this.redis = null;
+            });
+
+            this.redisPromise = client.connect()
+                .then(() => {
+                    this.redis = client;
+                    return client;
+                })
+                .catch((error) => {
+                    console.error('Redis connection failed, using in-memory cache:', error.message);
+                    return null;
+                });
+        }
+
+        await this.redisPromise;
+        return this.redis;
+    }
+
+    getDayKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    getMonthKey(date = new Date()) {
+        return date.toISOString().slice(0, 7);
+    }
+
+    // Check throttling, then reserve the request against the daily and monthly limits before
+    // calling a model. The usage store reserves atomically, so concurrent requests cannot overshoot;
+    // releaseRequest gives the reservation back when the model call fails or is not made
+    async shouldProcessRequest(userId, userTier, useCase) {
+        const throttle = getThrottleConfig(userTier);
+        const now = Date.now();
+        const windowKey = `${userId}:${useCase}`;
+        const recent = (this.throttleWindows.get(windowKey) || []).filter(time => now - time < throttle.window);
+
+        if (recent.length >= throttle.requests) {
+            this.throttleEvents.push(now);
+            this.throttleWindows.set(windowKey, recent);
+
+            return {
+                allowed: false,
+                reason: 'RATE_LIMITED',
+                retryAfter: Math.ceil((recent[0] + throttle.window - now) / 1000),
+                throttle
+            };
+        }
+
+        // Taken before reserving, so concurrent requests see each other in the window, and given
+        // back when the reservation is refused: only accepted requests count towards the throttle
+        recent.push(now);
+        this.throttleWindows.set(windowKey, recent);
+
+        const { dailyRequests, monthlyRequests } = getTierLimits(userTier);
+        const reservation = await usageStore.reserveRequest(userId, {
+            dailyLimit: dailyRequests,
+            monthlyLimit: monthlyRequests,
+            tier: userTier
+        });
+        const limits = checkLimits(userTier, reservation.daily.requests, reservation.monthly.requests);
+
+        if (!reservation.reserved) {
+            const window = this.throttleWindows.get(windowKey) || [];
+            const index = window.indexOf(now);
+            if (index !== -1) {
+                window.splice(index, 1);
+            }
+
+            return {
+                allowed: false,
+                reason: reservation.reason === 'daily' ? 'DAILY_LIMIT_EXCEEDED' : 'MONTHLY_LIMIT_EXCEEDED',
+                limits
+            };
+        }
+
+        return { allowed: true, limits, reservation };
+    }
+
+    // Give back the request reserved by shouldProcessRequest
+    async releaseRequest(userId, reservation) {
+        if (reservation) {
+            await usageStore.releaseRequest(userId, reservation);
+        }
+    }
+
+    // Deterministic key for identical requests within a tier
+    generateCacheKey(userTier, operation, content, options = {}) {
+        const hash = crypto
+            .createHash('sha256')
+            .update(JSON.stringify({ content, options }))
+            .digest('hex');
+
+        return `nlp:cache:${String(userTier).toUpperCase()}:${operation}:${hash}`;
+    }
+
+    async getCachedResult(cacheKey, userTier) {
+        if (!this.config.cachingEnabled || !getCacheConfig(userTier).enabled) {
+            return null;
+        }
+
+        let cached = null;
+
+        try {
+            const redis = await this.getRedis();
+            if (redis) {
+                const value = await redis.get(cacheKey);
+                cached = value ? JSON.parse(value) : null;
+            } else {
+                const entry = this.memoryCache.get(cacheKey);
+                if (entry && entry.expiresAt > Date.now()) {
+                    cached = entry.value;
+                } else if (entry) {
+                    this.memoryCache.delete(cacheKey);
+                }
+            }
+        } catch (error) {
+            console.error('Cache read error:', error);
+        }
+
+        if (cached) {
+            this.cacheStats.hits++;
+        } else {
+            this.cacheStats.misses++;
+        }
+
+        return cached;
+    }
+
+    // Cache entries are shared by every user of the tier, so they keep the model's output and the
+    // model that produced it, but not the limits, tokens and cost of the request that filled them
+    async cacheResult(cacheKey, result, userTier) {
+        const cacheConfig = getCacheConfig(userTier);
+        if (!this.config.cachingEnabled || !cacheConfig.enabled) {
+            return;
+        }
+
+        const entry = { ...result };
+        delete entry.limits;
+        if (entry.metadata) {
+            entry.metadata = { modelUsed: entry.metadata.modelUsed };
+        }
+
+        try {
+            const redis = await this.getRedis();
+            if (redis) {
+                await redis.set(cacheKey, JSON.stringify(entry), { EX: cacheConfig.ttl });
+            } else {
+                this.memoryCache.set(cacheKey, {
+                    value: entry,
+                    expiresAt: Date.now() + cacheConfig.ttl * 1000
+                });
+            }
+        } catch (error) {
+            console.error('Cache write error:', error);
+        }
+    }
+
+    // Response for a cached result, with this request's own limits and usage. Cached results do not
+    // call a model, so the request reserved by shouldProcessRequest is given back first
+    async buildCachedResponse(userId, userTier, cachedResult, reservation) {
+        await this.releaseRequest(userId, reservation);
+
+        return {
+            ...cachedResult,
+            metadata: {
+                ...cachedResult.metadata,
+                tokensUsed: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                usageSource: 'cache',
+                inputCost: 0,
+                outputCost: 0,
+                cost: 0,
+                tier: userTier,
+                timestamp: new Date().toISOString()
+            },
+            limits: checkLimits(userTier, reservation.daily.requests - 1, reservation.monthly.requests - 1),
+            cached: true,
+            tier: userTier
+        };
+    }
+
+    // Record a processed request against the user's daily and monthly counters, and its tokens and
+    // cost in the usage store next to the request reserved by shouldProcessRequest.
+    // usage is { inputTokens, outputTokens, source }, cost is { inputCost, outputCost, totalCost }
+    async trackUsage(userId, userTier, useCase, usage, cost, reservation) {
+        const increments = {
+            requests: 1,
+            inputTokens: usage.inputTokens || 0,
+            outputTokens: usage.outputTokens || 0,
+            estimatedRequests: usage.source === 'estimate' ? 1 : 0,
+            inputCost: cost.inputCost || 0,
+            outputCost: cost.outputCost || 0,
+            cost: cost.totalCost || 0
+        };
+
+        this.metrics.push({
+            timestamp: Date.now(),
+            userId,
+            tier: userTier,
+            useCase,
+            inputTokens: increments.inputTokens,
+            outputTokens: increments.outputTokens,
+            usageSource: usage.source || 'provider',
+            inputCost: increments.inputCost,
+            outputCost: increments.outputCost,
+            cost: increments.cost
+        });
+        if (this.metrics.length > MAX_METRIC_ENTRIES) {
+            this.metrics.splice(0, this.metrics.length - MAX_METRIC_ENTRIES);
+        }
+
+        try {
+            await this.incrementCounters(`nlp:usage:${userId}:day:${this.getDayKey()}`, increments, userTier, DAY_TTL_SECONDS);
+            await this.incrementCounters(`nlp:usage:${userId}:month:${this.getMonthKey()}`, increments, userTier, MONTH_TTL_SECONDS);
+            await usageStore.recordEvent(userId, {
+                tier: userTier,
+                useCase,
+                inputTokens: increments.inputTokens,
+                outputTokens: increments.outputTokens,
+                usageSource: usage.source || 'provider',
+                inputCost: increments.inputCost,
+                outputCost: increments.outputCost,
+                cost: increments.cost
+            }, reservation);
+        } catch (error) {
+            console.error('Usage tracking error:', error);
+        }
+    }
+
+    async incrementCounters(key, increments, userTier, ttlSeconds) {
+        const redis = await this.getRedis();
+
+        if (redis) {
+            const multi = redis.multi();
+            multi.hIncrBy(key, 'requests', increments.requests);
+            multi.hIncrBy(key, 'inputTokens', increments.inputTokens);
+            multi.hIncrBy(key, 'outputTokens', increments.outputTokens);
+            multi.hIncrBy(key, 'estimatedRequests', increments.estimatedRequests);
+            multi.hIncrByFloat(key, 'inputCost', increments.inputCost);
+            multi.hIncrByFloat(key, 'outputCost', increments.outputCost);
+            multi.hIncrByFloat(key, 'cost', increments.cost);
+            multi.hSet(key, 'tier', userTier);
+            multi.expire(key, ttlSeconds);
+            await multi.exec();
+            return;
+        }
+
+        const counters = this.memoryCounters.get(key) || {
+            requests: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            estimatedRequests: 0,
+            inputCost: 0,
+            outputCost: 0,
+            cost: 0,
+            expiresAt: Date.now() + ttlSeconds * 1000
+        };
+
+        Object.entries(increments).forEach(([field, value]) => {
+            counters[field] += value;
+        });
+        counters.tier = userTier;
+
+        this.memoryCounters.set(key, counters);
+    }
+
+    async getCounters(key) {
+        const redis = await this.getRedis();
+        let counters;
+
+        if (redis) {
+            counters = await redis.hGetAll(key);
+        } else {
+            const entry = this.memoryCounters.get(key);
+            counters = entry && entry.expiresAt > Date.now() ? entry : {};
+        }
+
+        return {
+            requests: Number(counters.requests) || 0,
+            inputTokens: Number(counters.inputTokens) || 0,
+            outputTokens: Number(counters.outputTokens) || 0,
+            estimatedRequests: Number(counters.estimatedRequests) || 0,
+            inputCost: Number(counters.inputCost) || 0,
+            outputCost: Number(counters.outputCost) || 0,
+            cost: Number(counters.cost) || 0,
+            tier: counters.tier || null
+        };
+    }
+
+    async getUserUsage(userId) {
+        const [daily, monthly] = await Promise.all([
+            this.getCounters(`nlp:usage:${userId}:day:${this.getDayKey()}`),
+            this.getCounters(`nlp:usage:${userId}:month:${this.getMonthKey()}`)
+        ]);
+
+        return {
+            userId,
+            tier: monthly.tier || daily.tier,
+            daily: { date: this.getDayKey(), ...daily },
+            monthly: { month: this.getMonthKey(), ...monthly }
+        };
+    }
+
+    async getCostOptimizationRecommendations(userId) {
+        const usage = await this.getUserUsage(userId);
+        const recommendations = [];
+
+        if (!usage.tier) {
+            return recommendations;
+        }
+
+        const limits = checkLimits(usage.tier, usage.daily.requests, usage.monthly.requests);
+        const dailyLimit = usage.daily.requests + limits.remainingDaily;
+        const monthlyLimit = usage.monthly.requests + limits.remainingMonthly;
+
+        if (dailyLimit > 0 && usage.daily.requests / dailyLimit >= 0.8) {
+            recommendations.push({
+                type: 'UPGRADE_TIER',
+                priority: 'high',
+                message: `You have used ${usage.daily.requests} of ${dailyLimit} daily requests. Upgrade your plan for higher limits.`
+            });
+        }
+
+        if (monthlyLimit > 0 && usage.monthly.requests / monthlyLimit >= 0.8) {
+            recommendations.push({
+                type: 'MONTHLY_LIMIT',
+                priority: 'high',
+                message: `You have used ${usage.monthly.requests} of ${monthlyLimit} monthly requests.`
+            });
+        }
+
+        if (usage.monthly.requests > 0) {
+            const averageInputTokens = usage.monthly.inputTokens / usage.monthly.requests;
+            if (averageInputTokens > 2000) {
+                recommendations.push({
+                    type: 'REDUCE_INPUT_SIZE',
+                    priority: 'medium',
+                    message: `Requests average ${Math.round(averageInputTokens)} input tokens. Sending shorter excerpts lowers cost per request.`
+                });
+            }
+        }
+
+        const { cacheHitRate, requests } = this.getCacheSummary();
+        if (requests >= 20 && cacheHitRate < 0.1) {
+            recommendations.push({
+                type: 'REUSE_RESULTS',
+                priority: 'low',
+                message: 'Repeated requests with identical content and options are served from cache at no cost.'
+            });
+        }
+
+        return recommendations;
+    }
+
+    getCacheSummary() {
+        const requests = this.cacheStats.hits + this.cacheStats.misses;
+        return {
+            hits: this.cacheStats.hits,
+            misses: this.cacheStats.misses,
+            requests,
+            cacheHitRate: requests > 0 ? this.cacheStats.hits / requests : 0
+        };
+    }
+
+    // Aggregate metrics for the last hour
+    async getRecentMetrics() {
+        const since = Date.now() - METRICS_WINDOW_MS;
+        const recent = this.metrics.filter(entry => entry.timestamp >= since);
+
+        const summarize = (key) => recent.reduce((groups, entry) => {
+            const group = groups[entry[key]] || { requests: 0, inputTokens: 0, outputTokens: 0, tokens: 0, cost: 0 };
+            group.requests++;
+            group.inputTokens += entry.inputTokens;
+            group.outputTokens += entry.outputTokens;
+            group.tokens += entry.inputTokens + entry.outputTokens;
+            group.cost += entry.cost;
+            groups[entry[key]] = group;
+            return groups;
+        }, {});
+
+        const sum = (field) => recent.reduce((total, entry) => total + entry[field], 0);
+        const totalCost = sum('cost');
+        const inputTokens = sum('inputTokens');
+        const outputTokens = sum('outputTokens');
+
+        return {
+            windowMinutes: METRICS_WINDOW_MS / 60000,
+            requests: recent.length,
+            inputTokens,
+            outputTokens,
+            totalTokens: inputTokens + outputTokens,
+            estimatedUsageRequests: recent.filter(entry => entry.usageSource === 'estimate').length,
+            inputCost: sum('inputCost'),
+            outputCost: sum('outputCost'),
+            totalCost,
+            averageCostPerRequest: recent.length > 0 ? totalCost / recent.length : 0,
+            cache: {
+                backend: this.redis ? 'redis' : 'memory',
+                ...this.getCacheSummary()
+            },
+            throttledRequests: this.throttleEvents.filter(time => time >= since).length,
+            byTier: summarize('tier'),
+            byUseCase: summarize('useCase')
+        };
+    }
+
+    // Periodic housekeeping: drop expired entries and publish metrics to CloudWatch
+    async optimizeResources() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.memoryCache) {
+            if (entry.expiresAt <= now) {
+                this.memoryCache.delete(key);
+            }
+        }
+
+        for (const [key, entry] of this.memoryCounters) {
+            if (entry.expiresAt <= now) {
+                this.memoryCounters.delete(key);
+            }
+        }
+
+        for (const [key, times] of this.throttleWindows) {
+            // Throttle windows are at most a minute long
+            if (times.every(time => now - time > 60000)) {
+                this.throttleWindows.delete(key);
+            }
+        }
+
+        this.metrics = this.metrics.filter(entry => now - entry.timestamp < METRICS_WINDOW_MS);
+        this.throttleEvents = this.throttleEvents.filter(time => now - time < METRICS_WINDOW_MS);
+
+        const metrics = await this.getRecentMetrics();
+
+        if (this.config.metricsEnabled) {
+            await this.publishMetrics(metrics);
+        }
+
+        return metrics;
+    }
+
+    async publishMetrics(metrics) {
+        try {
+            if (!this.cloudWatch) {
+                this.cloudWatch = new CloudWatchClient({ region: process.env.AWS_REGION || 'us-east-1' });
+            }
+
+            const timestamp = new Date();
+            await this.cloudWatch.send(new PutMetricDataCommand({
+                Namespace: this.config.metricsNamespace,
+                MetricData: [
+                    { MetricName: 'TotalCost', Value: metrics.totalCost, Unit: 'None', Timestamp: timestamp },
+                    { MetricName: 'InputTokens', Value: metrics.inputTokens, Unit: 'Count', Timestamp: timestamp },
+                    { MetricName: 'OutputTokens', Value: metrics.outputTokens, Unit: 'Count', Timestamp: timestamp },
+                    { MetricName: 'CacheHitRate', Value: metrics.cache.cacheHitRate * 100, Unit: 'Percent', Timestamp: timestamp },
+                    { MetricName: 'ThrottledRequests', Value: metrics.throttledRequests, Unit: 'Count', Timestamp: timestamp },
+                    { MetricName: 'Requests', Value: metrics.requests, Unit: 'Count', Timestamp: timestamp }
+                ]
+            }));
+        } catch (error) {
+            console.error('Failed to publish cost metrics:', error.message);
+        }
+    }
+
+    async close() {
+        if (this.redis) {
+            await this.redis.quit();
+            this.redis = null;
+        }
+    }
+}
+
+module.exports = CostOptimizer;
@@ -0,0 +1,270 @@
+const { COUPONS_TABLE } = require('../config/aws');
+const { stripe } = require('../config/stripe');
+const { findTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const { createTableStore } = require('./tableStore');
+
+const DURATIONS = ['once', 'repeating', 'forever'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Fields an admin can change after creation; the discount itself is fixed, as Stripe coupons are
+const MUTABLE_FIELDS = ['description', 'active', 'expiresAt', 'maxRedemptions', 'planIds'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Promotion codes: percent-off or amount-off discounts, optionally limited to some plans, an
+// expiry date and a number of redemptions, applied once, for the first N months or forever.
+// Stored by COUPON_STORE_DRIVER
+class CouponService {
+  constructor() {
+    this.store = createTableStore(COUPONS_TABLE, 'COUPON_STORE_DRIVER');
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  async get(code) {
+    return this.store.get({ code: this.normalizeCode(code) });
+  }
+
+  async list() {
+    const items = await this.store.scan();
+    return items.sort((a, b) => a.code.localeCompare(b.code));
+  }
+
+  async create(input) {
+    const coupon = {
+      ...this.validateDiscount(input),
+      ...this.validateRestrictions(input),
+      timesRedeemed: 0,
+      stripeCouponId: null,
+      createdAt: new Date().toISOString()
+    };
+    coupon.updatedAt = coupon.createdAt;
+
+    try {
+      await this.store.putIf(coupon, { condition: 'attribute_not_exists(code)' }, existing => !existing);
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        throw new HttpError(`Coupon ${coupon.code} already exists`, 409);
+      }
+      throw error;
+    }
+    return coupon;
+  }
+
+  async update(code, changes) {
+    const coupon = await this.get(code);
+    if (!coupon) {
+      throw new HttpError('Coupon not found', 404);
+    }
+
+    const immutable = Object.keys(changes).filter(field => !MUTABLE_FIELDS.includes(field));
+    if (immutable.length > 0) {
+      throw new HttpError(`Cannot change ${immutable.join(', ')}; create a new coupon instead`);
+    }
+
+    // Only the restrictions are written: timesRedeemed changes concurrently with checkouts
+    const updated = await this.store.updateIf(
+      { code: coupon.code },
+      { ...this.validateRestrictions({ ...coupon, ...changes }), updatedAt: new Date().toISOString() },
+      { condition: 'attribute_exists(code)' },
+      stored => Boolean(stored)
+    );
+    if (!updated) {
+      throw new HttpError('Coupon not found', 404);
+    }
+    return updated;
+  }
+
+  // Subscriptions that already carry the discount keep it
+  async remove(code) {
+    const coupon = await this.get(code);
+    if (!coupon) {
+      throw new HttpError('Coupon not found', 404);
+    }
+
+    if (coupon.stripeCouponId) {
+      await stripe.coupons.del(coupon.stripeCouponId);
+    }
+    await this.store.delete({ code: coupon.code });
+  }
+
+  // Code, discount and duration of a new coupon
+  validateDiscount(input) {
+    const code = this.normalizeCode(input.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new HttpError('Code must be 3-32 letters, digits, dashes or underscores');
+    }
+
+    const hasPercent = input.percentOff !== undefined && input.percentOff !== null;
+    const hasAmount = input.amountOff !== undefined && input.amountOff !== null;
+    if (hasPercent === hasAmount) {
+      throw new HttpError('Set exactly one of percentOff or amountOff');
+    }
+    const percentOff = hasPercent ? Number(input.percentOff) : null;
+    const amountOff = hasAmount ? roundCents(Number(input.amountOff)) : null;
+    if (hasPercent && !(percentOff > 0 && percentOff <= 100)) {
+      throw new HttpError('percentOff must be greater than 0 and at most 100');
+    }
+    if (hasAmount && !(amountOff > 0)) {
+      throw new HttpError('amountOff must be greater than 0');
+    }
+
+    const duration = input.duration || 'once';
+    if (!DURATIONS.includes(duration)) {
+      throw new HttpError(`Duration must be one of ${DURATIONS.join(', ')}`);
+    }
+    const durationInMonths = duration === 'repeating' ? parseInt(input.durationInMonths, 10) : null;
+    if (duration === 'repeating' && !(durationInMonths >= 1)) {
+      throw new HttpError('durationInMonths must be at least 1 for a repeating coupon');
+    }
+
+    return { code, percentOff, amountOff, duration, durationInMonths };
+  }
+
+  // Description, expiry, redemption limit and plan restriction, which can also be changed later
+  validateRestrictions(input) {
+    const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+      throw new HttpError('expiresAt must be a date');
+    }
+
+    const maxRedemptions = input.maxRedemptions !== undefined && input.maxRedemptions !== null
+      ? parseInt(input.maxRedemptions, 10)
+      : null;
+    if (maxRedemptions !== null && !(maxRedemptions >= 1)) {
+      throw new HttpError('maxRedemptions must be at least 1');
+    }
+
+    const planIds = (input.planIds || []).map(planId => {
+      const tier = findTier(planId);
+      if (!tier || tier.price.monthly <= 0) {
+        throw new HttpError(`Unknown paid plan: ${planId}`);
+      }
+      return tier.id;
+    });
+
+    return {
+      description: input.description || null,
+      active: input.active !== false,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      maxRedemptions,
+      planIds
+    };
+  }
+
+  // The coupon for a code entered at checkout, or a 400/404 error saying why it cannot be used
+  async validate(code, planId, now = new Date()) {
+    const coupon = code ? await this.get(code) : null;
+    if (!coupon || !coupon.active) {
+      throw new HttpError('Invalid coupon code', 404);
+    }
+    if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+      throw new HttpError('This coupon has expired');
+    }
+    if (coupon.maxRedemptions !== null && coupon.timesRedeemed >= coupon.maxRedemptions) {
+      throw new HttpError('This coupon has reached its redemption limit');
+    }
+    if (coupon.planIds.length > 0 && !coupon.planIds.includes(planId)) {
+      throw new HttpError(`This coupon does not apply to the ${findTier(planId).shortName} plan`);
+    }
+    return coupon;
+  }
+
+  // Discount on one payment of price, in dollars
+  discountOn(coupon, price) {
+    const discount = coupon.percentOff !== null ? price * coupon.percentOff / 100 : coupon.amountOff;
+    return roundCents(Math.min(price, discount));
+  }
+
+  // e.g. "20% off for 3 months", "$5.00 off once"
+  describe(coupon) {
+    const amount = coupon.percentOff !== null ? `${coupon.percentOff}% off` : `$${coupon.amountOff.toFixed(2)} off`;
+    const durations = {
+      once: 'the first payment',
+      repeating: `${coupon.durationInMonths} month${coupon.durationInMonths === 1 ? '' : 's'}`,
+      forever: 'as long as you stay subscribed'
+    };
+    return coupon.duration === 'forever'
+      ? `${amount} ${durations.forever}`
+      : `${amount} ${coupon.duration === 'once' ? 'on' : 'for'} ${durations[coupon.duration]}`;
+  }
+
+  // Price of a plan with the coupon applied, as shown before checkout
+  quote(coupon, tier, billingCycle) {
+    const price = tier.price[billingCycle];
+    const discount = this.discountOn(coupon, price);
+    return {
+      code: coupon.code,
+      description: this.describe(coupon),
+      percentOff: coupon.percentOff,
+      amountOff: coupon.amountOff,
+      duration: coupon.duration,
+      durationInMonths: coupon.durationInMonths,
+      originalPrice: price,
+      discount,
+      discountedPrice: roundCents(price - discount)
+    };
+  }
+
+  // Count a completed checkout against the redemption limit; false when the limit was reached meanwhile
+  async redeem(code) {
+    const coupon = await this.get(code);
+    if (!coupon) {
+      return false;
+    }
+
+    const limit = coupon.maxRedemptions !== null ? coupon.maxRedemptions : undefined;
+    const redeemed = await this.store.increment({ code: coupon.code }, { timesRedeemed: 1 }, { limitField: 'timesRedeemed', limit });
+    return redeemed !== null;
+  }
+
+  // Undo a redemption whose payment did not go through
+  async release(code) {
+    await this.store.increment({ code: this.normalizeCode(code) }, { timesRedeemed: -1 });
+  }
+
+  // Stripe coupon carrying the same discount, created the first time the code is used with Stripe.
+  // Of concurrent first checkouts, the one that stores its id wins and the others delete theirs
+  async ensureStripeCoupon(coupon) {
+    if (coupon.stripeCouponId) {
+      return coupon.stripeCouponId;
+    }
+
+    const stripeCoupon = await stripe.coupons.create({
+      name: coupon.code,
+      ...(coupon.percentOff !== null
+        ? { percent_off: coupon.percentOff }
+        : { amount_off: Math.round(coupon.amountOff * 100), currency: 'usd' }),
+      duration: coupon.duration,
+      ...(coupon.duration === 'repeating' ? { duration_in_months: coupon.durationInMonths } : {}),
+      metadata: { code: coupon.code }
+    });
+
+    const stored = await this.store.updateIf(
+      { code: coupon.code },
+      { stripeCouponId: stripeCoupon.id, updatedAt: new Date().toISOString() },
+      { condition: 'attribute_exists(code) AND (attribute_not_exists(stripeCouponId) OR stripeCouponId = :none)', values: { ':none': null } },
+      existing => Boolean(existing) && !existing.stripeCouponId
+    );
+    if (stored) {
+      return stripeCoupon.id;
+    }
+
+    await stripe.coupons.del(stripeCoupon.id);
+    const current = await this.get(coupon.code);
+    if (!current || !current.stripeCouponId) {
+      throw new HttpError('Invalid coupon code', 404);
+    }
+    return current.stripeCouponId;
+  }
+
+  // Coupon as returned by the admin API
+  toPublic(coupon) {
+    return { ...coupon, summary: this.describe(coupon) };
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,404 @@
+const { Marked, marked } = require('marked');
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType
+} = require('docx');
+
+// Supported output formats
+const OUTPUT_FORMATS = {
+  docx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx'
+  },
+  pdf: {
+    mimeType: 'application/pdf',
+    extension: 'pdf'
+  },
+  markdown: {
+    mimeType: 'text/markdown',
+    extension: 'md'
+  },
+  html: {
+    mimeType: 'text/html',
+    extension: 'html'
+  },
+  csv: {
+    mimeType: 'text/csv',
+    extension: 'csv'
+  },
+  text: {
+    mimeType: 'text/plain',
+    extension: 'txt'
+  }
+};
+
+// Aliases accepted from the client and phrases recognised in prompts
+const FORMAT_ALIASES = {
+  docx: 'docx',
+  doc: 'docx',
+  word: 'docx',
+  pdf: 'pdf',
+  md: 'markdown',
+  markdown: 'markdown',
+  html: 'html',
+  htm: 'html',
+  web: 'html',
+  csv: 'csv',
+  spreadsheet: 'csv',
+  excel: 'csv',
+  txt: 'text',
+  text: 'text',
+  plain: 'text'
+};
+
+const PROMPT_PATTERNS = [
+  { format: 'docx', pattern: /\b(word|docx|\.doc)\b/i },
+  { format: 'pdf', pattern: /\bpdf\b/i },
+  { format: 'markdown', pattern: /\b(markdown|\.md)\b/i },
+  { format: 'html', pattern: /\b(html|web ?page)\b/i },
+  { format: 'csv', pattern: /\b(csv|spreadsheet|excel)\b/i }
+];
+
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// The URL of a link or image, without the whitespace and control characters browsers ignore in
+// URLs; null unless it is relative or http(s)/mailto, so javascript: and data: URLs are dropped
+const safeUrl = (href) => {
+  const url = Array.from(String(href || '')).filter(char => char > ' ').join('');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+  return !scheme || ['http', 'https', 'mailto'].includes(scheme[1].toLowerCase()) ? url : null;
+};
+
+// Markdown to HTML for generated documents. Model output is untrusted: raw HTML in it is shown as
+// text, and links and images keep only safe URLs
+const htmlMarked = new Marked({
+  renderer: {
+    html(html) {
+      return escapeHtml(html);
+    },
+    link(href, title, text) {
+      const url = safeUrl(href);
+      if (url === null) {
+        return text;
+      }
+      return `<a href="${escapeHtml(url)}"${title ? ` title="${escapeHtml(title)}"` : ''}>${text}</a>`;
+    },
+    image(href, title, text) {
+      const url = safeUrl(href);
+      if (url === null) {
+        return escapeHtml(text);
+      }
+      return `<img src="${escapeHtml(url)}" alt="${escapeHtml(text)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`;
+    }
+  }
+});
+
+class DocumentRenderer {
+  // Normalize an explicit format parameter, returns null when unrecognised
+  normalizeFormat(format) {
+    if (!format) {
+      return null;
+    }
+    return FORMAT_ALIASES[String(format).toLowerCase().replace(/^\./, '')] || null;
+  }
+
+  // Detect the requested output format from a free-text prompt
+  detectFormatFromPrompt(prompt = '') {
+    const conversionPhrase = prompt.match(/\b(?:to|into|as)\s+(?:an?\s+)?([\w.]+(?:\s+page)?)/gi) || [];
+
+    // Prefer formats mentioned right after "to"/"into"/"as"
+    for (const phrase of conversionPhrase) {
+      const match = PROMPT_PATTERNS.find(({ pattern }) => pattern.test(phrase));
+      if (match) {
+        return match.format;
+      }
+    }
+
+    const match = PROMPT_PATTERNS.find(({ pattern }) => pattern.test(prompt));
+    return match ? match.format : null;
+  }
+
+  // Resolve the target format from an explicit parameter or the prompt
+  resolveTargetFormat(targetFormat, prompt) {
+    if (targetFormat) {
+      const normalized = this.normalizeFormat(targetFormat);
+      if (!normalized) {
+        throw new Error(`Unsupported target format: ${targetFormat}`);
+      }
+      return normalized;
+    }
+
+    return this.detectFormatFromPrompt(prompt) || 'text';
+  }
+
+  getFormatInfo(format) {
+    return OUTPUT_FORMATS[format];
+  }
+
+  getSupportedFormats() {
+    return Object.keys(OUTPUT_FORMATS);
+  }
+
+  // Render AI output (Markdown-flavoured text) into the requested file format
+  async render(content, format, options = {}) {
+    const info = OUTPUT_FORMATS[format];
+    if (!info) {
+      throw new Error(`Unsupported target format: ${format}`);
+    }
+
+    const title = options.title || 'Converted document';
+    let buffer;
+
+    switch (format) {
+      case 'docx':
+        buffer = await this.renderDocx(content, title);
+        break;
+      case 'pdf':
+        buffer = await this.renderPdf(content, title);
+        break;
+      case 'html':
+        buffer = Buffer.from(this.renderHtml(content, title), 'utf-8');
+        break;
+      case 'csv':
+        buffer = Buffer.from(this.renderCsv(content), 'utf-8');
+        break;
+      case 'markdown':
+      case 'text':
+      default:
+        buffer = Buffer.from(content, 'utf-8');
+    }
+
+    return {
+      buffer,
+      format,
+      mimeType: info.mimeType,
+      extension: info.extension
+    };
+  }
+
+  // Build a DOCX document from Markdown block tokens
+  async renderDocx(content, title) {
+    const children = [];
+
+    marked.lexer(content).forEach(token => {
+      switch (token.type) {
+        case 'heading':
+          children.push(new Paragraph({
+            heading: HEADING_LEVELS[token.depth - 1] || HeadingLevel.HEADING_6,
+            children: this.toTextRuns(token.tokens)
+          }));
+          break;
+        case 'paragraph':
+        case 'text':
+          children.push(new Paragraph({ children: this.toTextRuns(token.tokens || [token]) }));
+          break;
+        case 'list':
+          token.items.forEach((item, index) => {
+            const prefix = token.ordered ? `${(token.start || 1) + index}. ` : '';
+            children.push(new Paragraph({
+              bullet: token.ordered ? undefined : { level: 0 },
+              children: [new TextRun(prefix), ...this.toTextRuns(this.flattenListItem(item))]
+            }));
+          });
+          break;
+        case 'table':
+          children.push(new Table({
+            width: { size: 100, type: WidthType.PERCENTAGE },
+            rows: [token.header, ...token.rows].map((row, rowIndex) => new TableRow({
+              children: row.map(cell => new TableCell({
+                children: [new Paragraph({
+                  children: this.toTextRuns(cell.tokens, { bold: rowIndex === 0 })
+                })]
+              }))
+            }))
+          }));
+          break;
+        case 'code':
+          token.text.split('\n').forEach(line => {
+            children.push(new Paragraph({ children: [new TextRun({ text: line, font: 'Courier New' })] }));
+          });
+          break;
+        case 'blockquote':
+          children.push(new Paragraph({
+            indent: { left: 720 },
+            children: [new TextRun({ text: token.text, italics: true })]
+          }));
+          break;
+        default:
+          break;
+      }
+    });
+
+    const doc = new Document({
+      title,
+      sections: [{ children }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  // Build a PDF document from Markdown block tokens
+  renderPdf(content, title) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: title } });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      marked.lexer(content).forEach(token => {
+        switch (token.type) {
+          case 'heading':
+            doc.moveDown(0.5)
+              .font('Helvetica-Bold')
+              .fontSize(Math.max(12, 22 - token.depth * 2))
+              .text(this.toPlainText(token.tokens));
+            doc.moveDown(0.3);
+            break;
+          case 'paragraph':
+          case 'text':
+            doc.font('Helvetica').fontSize(11).text(this.toPlainText(token.tokens || [token]));
+            doc.moveDown(0.5);
+            break;
+          case 'list':
+            doc.font('Helvetica').fontSize(11);
+            token.items.forEach((item, index) => {
+              const prefix = token.ordered ? `${(token.start || 1) + index}.` : '•';
+              doc.text(`${prefix} ${this.toPlainText(this.flattenListItem(item))}`, { indent: 15 });
+            });
+            doc.moveDown(0.5);
+            break;
+          case 'table':
+            doc.font('Helvetica-Bold').fontSize(10)
+              .text(token.header.map(cell => cell.text).join('  |  '));
+            doc.font('Helvetica');
+            token.rows.forEach(row => {
+              doc.text(row.map(cell => cell.text).join('  |  '));
+            });
+            doc.moveDown(0.5);
+            break;
+          case 'code':
+            doc.font('Courier').fontSize(9).text(token.text);
+            doc.moveDown(0.5);
+            break;
+          case 'blockquote':
+            doc.font('Helvetica-Oblique').fontSize(11).text(token.text, { indent: 20 });
+            doc.moveDown(0.5);
+            break;
+          default:
+            break;
+        }
+      });
+
+      doc.end();
+    });
+  }
+
+  renderHtml(content, title) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src https:">
+    <title>${this.escapeHtml(title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; max-width: 800px; margin: 0 auto; padding: 20px; }
+        h1, h2, h3 { color: #333; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+        pre { background: #f5f5f5; padding: 10px; overflow-x: auto; }
+    </style>
+</head>
+<body>
+${htmlMarked.parse(content)}
+</body>
+</html>`;
+  }
+
+  // Use the first Markdown table in the output, otherwise one row per line
+  renderCsv(content) {
+    const table = marked.lexer(content).find(token => token.type === 'table');
+
+    const rows = table
+      ? [table.header, ...table.rows].map(row => row.map(cell => cell.text))
+      : content.split('\n').filter(line => line.trim()).map(line => [line.trim()]);
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Collect inline tokens from a list item, skipping nested block wrappers
+  flattenListItem(item) {
+    return (item.tokens || []).flatMap(token => token.tokens || [token]);
+  }
+
+  toTextRuns(tokens = [], style = {}) {
+    return tokens.flatMap(token => {
+      switch (token.type) {
+        case 'strong':
+          return this.toTextRuns(token.tokens, { ...style, bold: true });
+        case 'em':
+          return this.toTextRuns(token.tokens, { ...style, italics: true });
+        case 'codespan':
+          return [new TextRun({ ...style, text: token.text, font: 'Courier New' })];
+        case 'br':
+          return [new TextRun({ ...style, break: 1 })];
+        default:
+          if (token.tokens) {
+            return this.toTextRuns(token.tokens, style);
+          }
+          return [new TextRun({ ...style, text: this.decodeEntities(token.text || '') })];
+      }
+    });
+  }
+
+  toPlainText(tokens = []) {
+    return tokens.map(token => (
+      token.tokens ? this.toPlainText(token.tokens) : this.decodeEntities(token.text || '')
+    )).join('');
+  }
+
+  decodeEntities(text) {
+    return text
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, '\'')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+
+  escapeHtml(text) {
+    return escapeHtml(text);
+  }
+
+  // Spreadsheet apps run cells starting with =, +, - or @ as formulas, so those are quoted with '
+  escapeCsv(value) {
+    const decoded = this.decodeEntities(String(value));
+    const text = /^[=+\-@]/.test(decoded) ? `'${decoded}` : decoded;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = new DocumentRenderer();
@@ -0,0 +1,204 @@
+const { stripe } = require('../config/stripe');
+const { DEFAULT_TIER_ID, getTier } = require('../config/tiers');
+const subscriptionRecords = require('./subscriptionRecords');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a past_due subscription keeps its paid tier, and days after the first failure to retry the payment
+const GRACE_PERIOD_DAYS = parseFloat(process.env.DUNNING_GRACE_PERIOD_DAYS) || 7;
+const RETRY_SCHEDULE_DAYS = (process.env.DUNNING_RETRY_SCHEDULE_DAYS || '1,3,5')
+  .split(',')
+  .map(days => parseFloat(days))
+  .filter(days => days > 0 && days < GRACE_PERIOD_DAYS)
+  .sort((a, b) => a - b);
+const CHECK_INTERVAL_MS = parseInt(process.env.DUNNING_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Index of the subscriptions table on status and dunningNextActionAt. Records out of dunning have
+// no dunningNextActionAt, so the index only holds those in dunning
+const DUNNING_INDEX = 'status-dunningNextActionAt-index';
+// Statuses of subscriptions in dunning; Stripe marks them unpaid once its own retries are exhausted
+const DUNNING_STATUSES = ['past_due', 'unpaid'];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS).toISOString();
+
+// Dunning for Stripe subscriptions whose renewal payment failed. The subscription keeps its paid
+// tier for a grace period while the invoice is retried on a schedule, with a reminder after each
+// failed retry. When the grace period runs out the user moves to the free tier; a payment that
+// succeeds at any point, even after that, restores their plan
+class DunningService {
+  constructor() {
+    this.gracePeriodDays = GRACE_PERIOD_DAYS;
+    this.retryScheduleDays = RETRY_SCHEDULE_DAYS;
+    this.timer = null;
+  }
+
+  // Check for due retries and expired grace periods periodically
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => console.error('Dunning run error:', error));
+    }, CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Next scheduled retry after the given number of retries, or the end of the grace period
+  nextActionAt(record, retries) {
+    const days = this.retryScheduleDays[retries];
+    return days === undefined ? record.dunningGraceEndsAt : addDays(record.dunningStartedAt, days);
+  }
+
+  // Begin dunning for a failed invoice. Further failures while dunning (Stripe's own retries,
+  // or ours) leave the schedule unchanged
+  async begin(record, invoice) {
+    if (record.dunningStartedAt) {
+      return false;
+    }
+
+    const startedAt = new Date().toISOString();
+    const dunning = {
+      dunningStartedAt: startedAt,
+      dunningGraceEndsAt: addDays(startedAt, this.gracePeriodDays),
+      dunningInvoiceId: invoice.id,
+      dunningRetries: 0,
+      dunningExpiredAt: null
+    };
+    dunning.dunningNextActionAt = this.nextActionAt(dunning, 0);
+
+    await subscriptionRecords.update(record.userId, dunning);
+    await subscriptionRecords.notifyOwner(record, 'payment_failed', { graceEndsAt: dunning.dunningGraceEndsAt });
+    return true;
+  }
+
+  // End dunning after a successful payment, restoring the paid tier if the grace period had run out
+  async recover(record) {
+    if (!record.dunningStartedAt) {
+      return false;
+    }
+
+    const downgraded = Boolean(record.dunningExpiredAt);
+    await subscriptionRecords.update(record.userId, this.clearedDunning());
+    if (downgraded) {
+      await subscriptionRecords.setTier(record.userId, record.tier);
+    }
+    await subscriptionRecords.notifyOwner(record, 'payment_recovered');
+    return true;
+  }
+
+  // Drop dunning for a subscription that has ended, without notifying
+  async abandon(record) {
+    if (record.dunningStartedAt) {
+      await subscriptionRecords.update(record.userId, this.clearedDunning());
+    }
+  }
+
+  // Retry or expire every dunning record whose next action is due
+  async processDue(now = new Date()) {
+    const due = [];
+    for (const status of DUNNING_STATUSES) {
+      due.push(...await subscriptionRecords.store.queryIndex(DUNNING_INDEX, 'status', status, {
+        upTo: { attribute: 'dunningNextActionAt', value: now.toISOString() }
+      }));
+    }
+
+    const results = [];
+    for (const record of due) {
+      try {
+        results.push(await this.processRecord(record, now));
+      } catch (error) {
+        console.error(`Dunning failed for user ${record.userId}:`, error);
+        results.push({ userId: record.userId, action: 'error', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  async processRecord(record, now) {
+    if (now >= new Date(record.dunningGraceEndsAt)) {
+      return this.expire(record, now);
+    }
+    return this.retry(record);
+  }
+
+  async retry(record) {
+    const retries = (record.dunningRetries || 0) + 1;
+
+    try {
+      await stripe.invoices.pay(record.dunningInvoiceId);
+    } catch (error) {
+      if (error.type !== 'StripeCardError') {
+        throw error;
+      }
+
+      await subscriptionRecords.update(record.userId, {
+        dunningRetries: retries,
+        dunningNextActionAt: this.nextActionAt(record, retries)
+      });
+      await subscriptionRecords.notifyOwner(record, 'payment_reminder', { attempt: retries, graceEndsAt: record.dunningGraceEndsAt });
+      return { userId: record.userId, action: 'retry_failed', retries };
+    }
+
+    // Paid; the invoice.payment_succeeded webhook that follows marks the subscription active again,
+    // the plan is restored without waiting for it
+    await this.recover(record);
+    return { userId: record.userId, action: 'recovered', retries };
+  }
+
+  // Grace period is over: move the user to the free tier, keeping the subscription so a later payment restores it
+  async expire(record, now) {
+    await subscriptionRecords.update(record.userId, {
+      dunningExpiredAt: now.toISOString(),
+      dunningNextActionAt: null
+    });
+    await subscriptionRecords.setTier(record.userId, DEFAULT_TIER_ID);
+    await subscriptionRecords.notifyOwner(record, 'subscription_downgraded');
+    return { userId: record.userId, action: 'downgraded' };
+  }
+
+  // Banner for the current subscription endpoint, or null when the subscription is in good standing
+  getStatus(record) {
+    if (!record || !record.dunningStartedAt) {
+      return null;
+    }
+
+    const planName = getTier(record.tier).shortName;
+    if (record.dunningExpiredAt) {
+      return {
+        state: 'downgraded',
+        severity: 'error',
+        downgradedAt: record.dunningExpiredAt,
+        message: `We couldn't collect your ${planName} payment, so your account is on the Free plan. ` +
+          'Update your payment method to restore it.'
+      };
+    }
+
+    return {
+      state: 'grace_period',
+      severity: 'warning',
+      graceEndsAt: record.dunningGraceEndsAt,
+      nextRetryAt: record.dunningNextActionAt !== record.dunningGraceEndsAt ? record.dunningNextActionAt : null,
+      retries: record.dunningRetries || 0,
+      message: `Your last ${planName} payment failed. Update your payment method before ` +
+        `${new Date(record.dunningGraceEndsAt).toDateString()} to keep your plan.`
+    };
+  }
+
+  clearedDunning() {
+    return {
+      dunningStartedAt: null,
+      dunningGraceEndsAt: null,
+      dunningInvoiceId: null,
+      dunningRetries: null,
+      dunningNextActionAt: null,
+      dunningExpiredAt: null
+    };
+  }
+}
+
+module.exports = new DunningService();
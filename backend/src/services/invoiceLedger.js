@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { INVOICES_TABLE } = require('../config/aws');
+const { findTierByStripePrice } = require('../config/tiers');
+const { createTableStore } = require('./tableStore');
+
+// Statuses an invoice can no longer leave; later events about it are only merged in
+const FINAL_STATUSES = ['paid', 'void'];
+
+const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+
+// Billing history: one entry per Stripe invoice or PayPal capture, keyed by invoiceId and listed per user.
+// Amounts are kept in minor units (cents) as the providers send them.
+// Stored by INVOICE_LEDGER_DRIVER
+class InvoiceLedger {
+  constructor() {
+    this.store = createTableStore(INVOICES_TABLE, 'INVOICE_LEDGER_DRIVER');
+  }
+
+  async get(invoiceId) {
+    return this.store.get({ invoiceId });
+  }
+
+  async save(entry) {
+    return this.store.put({ ...entry, updatedAt: new Date().toISOString() });
+  }
+
+  // A user's invoices, most recent first
+  async listByUser(userId, limit = 50) {
+    const items = await this.store.queryIndex('userId-index', 'userId', userId, { descending: true, limit });
+    return items
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt))
+      .slice(0, limit);
+  }
+
+  // Receipt number shown to the customer, e.g. R-20261019-3F9A2C
+  generateNumber(issuedAt) {
+    const date = issuedAt.slice(0, 10).replace(/-/g, '');
+    return `R-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  // Insert or update an entry. Events can arrive out of order, so a paid or void invoice keeps its
+  // status, and the receipt number and issue date of the first write are kept
+  async record(entry) {
+    const existing = await this.get(entry.invoiceId);
+    const issuedAt = (existing && existing.issuedAt) || entry.issuedAt || new Date().toISOString();
+
+    const merged = {
+      ...existing,
+      ...entry,
+      issuedAt,
+      number: (existing && existing.number) || entry.number || this.generateNumber(issuedAt)
+    };
+    if (existing && FINAL_STATUSES.includes(existing.status)) {
+      merged.status = existing.status;
+      merged.amountPaid = existing.amountPaid;
+      merged.paidAt = existing.paidAt;
+    }
+
+    return this.save(merged);
+  }
+
+  // Entry for a Stripe invoice object from an invoice.* event
+  async recordStripeInvoice(invoice, userId) {
+    const lines = ((invoice.lines && invoice.lines.data) || []).map(line => ({
+      description: line.description,
+      amount: line.amount
+    }));
+    const priceId = invoice.lines && invoice.lines.data[0] && invoice.lines.data[0].price && invoice.lines.data[0].price.id;
+    const plan = findTierByStripePrice(priceId);
+    const discount = (invoice.total_discount_amounts || []).reduce((sum, entry) => sum + entry.amount, 0);
+
+    return this.record({
+      invoiceId: `stripe_${invoice.id}`,
+      userId,
+      provider: 'stripe',
+      providerInvoiceId: invoice.id,
+      providerSubscriptionId: invoice.subscription || null,
+      number: invoice.number || undefined,
+      status: invoice.status,
+      description: plan ? `${plan.tier.name} (${plan.billingCycle})` : 'Subscription',
+      tier: plan ? plan.tier.id : null,
+      billingCycle: plan ? plan.billingCycle : null,
+      billingReason: invoice.billing_reason || null,
+      currency: invoice.currency,
+      subtotal: invoice.subtotal !== undefined ? invoice.subtotal : invoice.amount_due,
+      discount,
+      total: invoice.total !== undefined ? invoice.total : invoice.amount_due,
+      amountDue: invoice.amount_due,
+      amountPaid: invoice.amount_paid || 0,
+      lines,
+      periodStart: toIso(invoice.period_start),
+      periodEnd: toIso(invoice.period_end),
+      issuedAt: toIso(invoice.created),
+      paidAt: invoice.status === 'paid'
+        ? toIso(invoice.status_transitions && invoice.status_transitions.paid_at) || new Date().toISOString()
+        : null
+    });
+  }
+
+  // Entry for a completed PayPal order capture; amount is what was charged, after any coupon discount
+  async recordPaypalCapture({ userId, captureId, orderId, tier, billingCycle, description, amount, discount = 0, currency }) {
+    const cents = Math.round(parseFloat(amount) * 100);
+    const discountCents = Math.round(discount * 100);
+    const paidAt = new Date().toISOString();
+
+    return this.record({
+      invoiceId: `paypal_${captureId}`,
+      userId,
+      provider: 'paypal',
+      providerInvoiceId: captureId,
+      providerOrderId: orderId,
+      status: 'paid',
+      description,
+      tier,
+      billingCycle,
+      billingReason: 'subscription_create',
+      currency: currency.toLowerCase(),
+      subtotal: cents + discountCents,
+      discount: discountCents,
+      total: cents,
+      amountDue: cents,
+      amountPaid: cents,
+      lines: [{ description, amount: cents + discountCents }],
+      periodStart: null,
+      periodEnd: null,
+      issuedAt: paidAt,
+      paidAt
+    });
+  }
+
+  // Entry as returned by the billing API, amounts in major units
+  toPublic(entry) {
+    const major = (cents) => (typeof cents === 'number' ? cents / 100 : null);
+    return {
+      id: entry.invoiceId,
+      number: entry.number,
+      provider: entry.provider,
+      status: entry.status,
+      description: entry.description,
+      tier: entry.tier,
+      billingCycle: entry.billingCycle,
+      currency: entry.currency,
+      subtotal: major(entry.subtotal),
+      discount: major(entry.discount || 0),
+      total: major(entry.total),
+      amountDue: major(entry.amountDue),
+      amountPaid: major(entry.amountPaid),
+      lines: (entry.lines || []).map(line => ({ description: line.description, amount: major(line.amount) })),
+      periodStart: entry.periodStart,
+      periodEnd: entry.periodEnd,
+      issuedAt: entry.issuedAt,
+      paidAt: entry.paidAt
+    };
+  }
+}
+
+module.exports = new InvoiceLedger();
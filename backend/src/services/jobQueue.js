@@ -0,0 +1,122 @@
+const { sqs, FILE_PROCESSING_QUEUE_URL } = require('../config/aws');
+
+// Background job queue: in-process by default, SQS-backed when JOB_QUEUE_DRIVER=sqs
+class JobQueue {
+  constructor() {
+    this.driver = process.env.JOB_QUEUE_DRIVER || 'memory';
+    this.queueUrl = FILE_PROCESSING_QUEUE_URL;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    // How long a failed in-process job waits before it runs again, like the SQS visibility timeout
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 30 * 1000;
+    this.pending = [];
+    this.active = 0;
+    this.handler = null;
+    this.polling = false;
+  }
+
+  // Register the function that processes each job payload
+  process(handler) {
+    this.handler = handler;
+  }
+
+  // Queue a job, to run after options.delay milliseconds when given (at most 15 minutes with SQS)
+  async enqueue(payload, { delay = 0 } = {}) {
+    if (this.driver === 'sqs') {
+      if (!this.queueUrl) {
+        throw new Error('AWS_SQS_FILE_PROCESSING_QUEUE_URL is required for the sqs job queue');
+      }
+
+      await sqs.sendMessage({
+        QueueUrl: this.queueUrl,
+        MessageBody: JSON.stringify(payload),
+        DelaySeconds: Math.min(900, Math.ceil(delay / 1000))
+      }).promise();
+      return;
+    }
+
+    if (delay > 0) {
+      setTimeout(() => this.enqueue(payload), delay).unref();
+      return;
+    }
+
+    this.pending.push(payload);
+    setImmediate(() => this.drain());
+  }
+
+  // Start consuming jobs, only needed for the SQS driver
+  start() {
+    if (this.driver === 'sqs' && !this.polling) {
+      this.polling = true;
+      this.poll();
+    }
+  }
+
+  stop() {
+    this.polling = false;
+  }
+
+  drain() {
+    while (this.handler && this.active < this.concurrency && this.pending.length > 0) {
+      const payload = this.pending.shift();
+      this.active++;
+
+      this.run(payload)
+        .catch(error => {
+          // Run it again later, as SQS redelivers messages that were not deleted
+          console.error('Job processing error, retrying:', error);
+          this.enqueue(payload, { delay: this.retryDelay });
+        })
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(payload) {
+    if (!this.handler) {
+      throw new Error('No job handler registered');
+    }
+    await this.handler(payload);
+  }
+
+  async poll() {
+    while (this.polling) {
+      try {
+        const result = await sqs.receiveMessage({
+          QueueUrl: this.queueUrl,
+          MaxNumberOfMessages: Math.min(this.concurrency, 10),
+          WaitTimeSeconds: 20
+        }).promise();
+
+        await Promise.all((result.Messages || []).map(async message => {
+          try {
+            await this.run(JSON.parse(message.Body));
+
+            await sqs.deleteMessage({
+              QueueUrl: this.queueUrl,
+              ReceiptHandle: message.ReceiptHandle
+            }).promise();
+          } catch (error) {
+            // Leave the message on the queue so SQS redelivers it after the visibility timeout
+            console.error('SQS job processing error:', error);
+          }
+        }));
+      } catch (error) {
+        console.error('SQS receive error:', error);
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    }
+  }
+
+  getStats() {
+    return {
+      driver: this.driver,
+      pending: this.pending.length,
+      active: this.active,
+      concurrency: this.concurrency
+    };
+  }
+}
+
+module.exports = new JobQueue();
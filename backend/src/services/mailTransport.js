@@ -0,0 +1,134 @@
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ses } = require('../config/aws');
+
+// Encode a header value that is not plain ASCII (RFC 2047)
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+// A plain-text message in RFC 5322 format, with CRLF line endings
+const formatMessage = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${new Date().toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: 8bit',
+  '',
+  text
+].join('\r\n').replace(/\r?\n/g, '\r\n');
+
+// Amazon SES, for production
+class SesTransport {
+  constructor() {
+    this.name = 'ses';
+  }
+
+  async send({ from, to, subject, text }) {
+    await ses.sendEmail({
+      Source: from,
+      Destination: { ToAddresses: [to] },
+      Message: {
+        Subject: { Data: subject },
+        Body: { Text: { Data: text } }
+      }
+    }).promise();
+  }
+}
+
+// Plain SMTP without TLS or authentication, for local mail catchers such as MailHog or Mailpit
+class SmtpTransport {
+  constructor({ host, port, timeoutMs = 10000 }) {
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port;
+    this.timeoutMs = timeoutMs;
+  }
+
+  send(message) {
+    // Lines starting with a dot are doubled so they do not end the DATA section
+    const data = formatMessage(message).replace(/^\./gm, '..');
+    const commands = [`EHLO ${os.hostname()}`, `MAIL FROM:<${message.from}>`, `RCPT TO:<${message.to}>`, 'DATA', `${data}\r\n.`, 'QUIT'];
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.port, this.host);
+      let buffer = '';
+
+      socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+      socket.on('error', reject);
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        // A reply is complete at a line with a space after its code; "250-" lines continue it
+        const lines = buffer.split('\r\n');
+        const reply = lines[lines.length - 2];
+        if (!reply || !/^\d{3} /.test(reply)) {
+          return;
+        }
+        buffer = '';
+
+        if (Number(reply.slice(0, 3)) >= 400) {
+          socket.destroy();
+          return reject(new Error(`SMTP server refused the message: ${reply}`));
+        }
+        const command = commands.shift();
+        if (command === undefined) {
+          socket.end();
+          return resolve();
+        }
+        socket.write(`${command}\r\n`);
+      });
+    });
+  }
+}
+
+// Writes each message as an .eml file into a directory, to open with any mail client
+class FileTransport {
+  constructor({ directory }) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`;
+    await fs.writeFile(path.join(this.directory, fileName), formatMessage(message));
+  }
+}
+
+// Only logs the message, for tests and development without a mail catcher
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send({ to, subject }) {
+    console.log(`📧 Mail to ${to}: ${subject}`);
+  }
+}
+
+// Transport for a driver name: ses, smtp (SMTP_HOST, SMTP_PORT), file (MAIL_DROP_DIR) or log
+const createMailTransport = (driver) => {
+  switch (driver) {
+    case 'ses':
+      return new SesTransport();
+    case 'smtp':
+      return new SmtpTransport({ host: process.env.SMTP_HOST || 'localhost', port: parseInt(process.env.SMTP_PORT, 10) || 1025 });
+    case 'file':
+      return new FileTransport({ directory: process.env.MAIL_DROP_DIR || path.join(os.tmpdir(), 'nlp-converter-mail') });
+    case 'log':
+      return new LogTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${driver}`);
+  }
+};
+
+module.exports = {
+  createMailTransport,
+  formatMessage,
+  SesTransport,
+  SmtpTransport,
+  FileTransport,
+  LogTransport
+};
@@ -1,17 +1,33 @@
-// Mock PayPal service for local development
+const crypto = require('crypto');
+
+// Mock PayPal service for local development.
+// Orders and subscriptions are remembered so captures return the amount that was ordered
 class MockPayPalService {
+  constructor() {
+    this.orders = new Map();
+    this.subscriptions = new Map();
+    this.webhookId = process.env.PAYPAL_WEBHOOK_ID || 'MOCK_WEBHOOK_ID';
+  }
+
   // Create payment order
-  async createOrder(amount, currency = 'USD', description = 'NLP Converter Subscription') {
+  async createOrder(amount, currency = 'USD', description = 'NLP Converter Subscription', customId) {
     try {
       console.log(`🎭 Mock PayPal: Creating order for $${amount} ${currency} - ${description}`);
       
       // Simulate API delay
       await new Promise(resolve => setTimeout(resolve, 500));
       
+      const orderId = `MOCK_ORDER_${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      this.orders.set(orderId, {
+        status: 'CREATED',
+        amount: { currency_code: currency, value: amount.toString() },
+        customId
+      });
+
       return {
         success: true,
-        orderId: `MOCK_ORDER_${Date.now()}`,
-        approvalUrl: `https://sandbox.paypal.com/checkoutnow?token=MOCK_TOKEN_${Date.now()}`
+        orderId,
+        approvalUrl: `https://sandbox.paypal.com/checkoutnow?token=${orderId}`
       };
     } catch (error) {
       console.error('Mock PayPal Create Order Error:', error);
@@ -30,15 +46,28 @@ class MockPayPalService {
       // Simulate API delay
       await new Promise(resolve => setTimeout(resolve, 500));
       
+      const order = this.orders.get(orderId);
+      if (!order) {
+        throw new Error(`Order ${orderId} not found`);
+      }
+      if (order.status === 'COMPLETED') {
+        throw new Error(`Order ${orderId} already captured`);
+      }
+      if (order.status === 'DECLINED') {
+        throw new Error('INSTRUMENT_DECLINED: The instrument presented was declined');
+      }
+      if (order.status === 'VOIDED') {
+        throw new Error(`Order ${orderId} was cancelled by the payer`);
+      }
+      order.status = 'COMPLETED';
+
       return {
         success: true,
         captureId: `MOCK_CAPTURE_${Date.now()}`,
         status: 'COMPLETED',
         payerEmail: 'demo@example.com',
-        amount: {
-          currency_code: 'USD',
-          value: '9.99'
-        }
+        amount: order.amount,
+        customId: order.customId
       };
     } catch (error) {
       console.error('Mock PayPal Capture Order Error:', error);
@@ -71,17 +100,25 @@ class MockPayPalService {
   }
 
   // Create subscription
-  async createSubscription(planId, subscriberEmail) {
+  async createSubscription(planId, subscriberEmail, customId) {
     try {
       console.log(`🎭 Mock PayPal: Creating subscription for ${subscriberEmail} with plan ${planId}`);
       
       // Simulate API delay
       await new Promise(resolve => setTimeout(resolve, 500));
       
+      const subscriptionId = `I-MOCK${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      this.subscriptions.set(subscriptionId, {
+        status: 'APPROVAL_PENDING',
+        planId,
+        customId,
+        subscriberEmail
+      });
+
       return {
         success: true,
-        subscriptionId: `MOCK_SUB_${Date.now()}`,
-        approvalUrl: `https://sandbox.paypal.com/webapps/billing/subscriptions/create?ba_token=MOCK_BA_TOKEN_${Date.now()}`
+        subscriptionId,
+        approvalUrl: `https://sandbox.paypal.com/webapps/billing/subscriptions/create?ba_token=${subscriptionId}`
       };
     } catch (error) {
       console.error('Mock PayPal Create Subscription Error:', error);
@@ -121,14 +158,16 @@ class MockPayPalService {
       // Simulate API delay
       await new Promise(resolve => setTimeout(resolve, 500));
       
+      const subscription = this.subscriptions.get(subscriptionId) || {};
       return {
         success: true,
         subscription: {
           id: subscriptionId,
-          status: 'ACTIVE',
-          plan_id: 'MOCK_PLAN_123',
+          status: subscription.status || 'ACTIVE',
+          plan_id: subscription.planId || 'MOCK_PLAN_123',
+          custom_id: subscription.customId,
           subscriber: {
-            email_address: 'demo@example.com'
+            email_address: subscription.subscriberEmail || 'demo@example.com'
           },
           billing_info: {
             outstanding_balance: {
@@ -157,6 +196,61 @@ class MockPayPalService {
       };
     }
   }
+
+  // Payer outcome set by the billing simulator: APPROVED, DECLINED or VOIDED
+  setOrderStatus(orderId, status) {
+    const order = this.orders.get(orderId);
+    if (order) {
+      order.status = status;
+    }
+    return order;
+  }
+
+  // Subscription status set by the billing simulator, e.g. ACTIVE or CANCELLED
+  setSubscriptionStatus(subscriptionId, status) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (subscription) {
+      subscription.status = status;
+    }
+    return subscription;
+  }
+
+  reset() {
+    this.orders.clear();
+    this.subscriptions.clear();
+  }
+
+  // HMAC-SHA256 over "<transmission id>|<transmission time>|<webhook id>|<body>", keyed by the webhook id.
+  // Stands in for PayPal's certificate signature so local webhooks can still be verified
+  sign(transmissionId, transmissionTime, body) {
+    return crypto.createHmac('sha256', this.webhookId)
+      .update(`${transmissionId}|${transmissionTime}|${this.webhookId}|${body}`)
+      .digest('base64');
+  }
+
+  // Headers for a mock webhook delivery of body
+  signWebhook(body) {
+    const transmissionId = crypto.randomUUID();
+    const transmissionTime = new Date().toISOString();
+    return {
+      'paypal-auth-algo': 'HMACSHA256',
+      'paypal-transmission-id': transmissionId,
+      'paypal-transmission-time': transmissionTime,
+      'paypal-transmission-sig': this.sign(transmissionId, transmissionTime, body)
+    };
+  }
+
+  // Verify a mock webhook delivery against the raw request body
+  async verifyWebhookSignature(headers, event, rawBody) {
+    const signature = headers['paypal-transmission-sig'];
+    if (!signature || !rawBody) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(headers['paypal-transmission-id'], headers['paypal-transmission-time'], rawBody.toString()));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
 }
 
 module.exports = new MockPayPalService();
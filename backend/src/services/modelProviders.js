@@ -0,0 +1,500 @@
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+  InvokeModelWithResponseStreamCommand
+} = require('@aws-sdk/client-bedrock-runtime');
+
+// Error raised for failed model invocations, carries an HTTP status and a stable code
+class ModelProviderError extends Error {
+  constructor(message, { code = 'MODEL_INVOCATION_FAILED', statusCode = 502, cause } = {}) {
+    super(message);
+    this.name = 'ModelProviderError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.cause = cause;
+  }
+}
+
+// Bedrock exception name -> client-facing error
+const BEDROCK_ERRORS = {
+  ThrottlingException: {
+    code: 'MODEL_THROTTLED',
+    statusCode: 429,
+    message: 'Service is temporarily busy. Please try again in a few moments.'
+  },
+  ServiceQuotaExceededException: {
+    code: 'MODEL_THROTTLED',
+    statusCode: 429,
+    message: 'Service is temporarily busy. Please try again in a few moments.'
+  },
+  ValidationException: {
+    code: 'INVALID_MODEL_REQUEST',
+    statusCode: 400,
+    message: 'Invalid request format. Please check your input.'
+  },
+  AccessDeniedException: {
+    code: 'MODEL_ACCESS_DENIED',
+    statusCode: 403,
+    message: 'Access denied to AI model. Please contact support.'
+  },
+  ResourceNotFoundException: {
+    code: 'MODEL_NOT_FOUND',
+    statusCode: 404,
+    message: 'The requested AI model is not available.'
+  },
+  ModelTimeoutException: {
+    code: 'MODEL_TIMEOUT',
+    statusCode: 504,
+    message: 'The AI model took too long to respond. Please try again.'
+  },
+  ModelNotReadyException: {
+    code: 'MODEL_NOT_READY',
+    statusCode: 503,
+    message: 'The AI model is starting up. Please try again shortly.'
+  }
+};
+
+// Local token estimate for providers that do not report usage.
+// Approximates BPE tokenizers: short words are one token, long words split every ~4 characters,
+// and each punctuation mark or symbol is its own token.
+const estimateTokens = (text) => {
+  const pieces = String(text || '').match(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu) || [];
+
+  return pieces.reduce((count, piece) => {
+    if (piece.length <= 4) {
+      return count + 1;
+    }
+    return count + Math.ceil(piece.length / 4);
+  }, 0);
+};
+
+// Anthropic Claude, Messages API
+class AnthropicProvider {
+  constructor() {
+    this.name = 'anthropic';
+  }
+
+  matches(modelId) {
+    return modelId.includes('anthropic.');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP, stopSequences }) {
+    const body = {
+      anthropic_version: 'bedrock-2023-05-31',
+      max_tokens: maxTokens,
+      temperature,
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    if (system) body.system = system;
+    if (topP !== undefined) body.top_p = topP;
+    if (stopSequences && stopSequences.length) body.stop_sequences = stopSequences;
+
+    return body;
+  }
+
+  parseResponse(body) {
+    return {
+      text: (body.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      stopReason: body.stop_reason,
+      usage: body.usage && {
+        inputTokens: body.usage.input_tokens,
+        outputTokens: body.usage.output_tokens
+      }
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    switch (chunk.type) {
+      case 'message_start':
+        return { usage: { inputTokens: chunk.message.usage.input_tokens } };
+      case 'content_block_delta':
+        return { text: chunk.delta.text || '' };
+      case 'message_delta':
+        return {
+          stopReason: chunk.delta.stop_reason,
+          usage: chunk.usage && { outputTokens: chunk.usage.output_tokens }
+        };
+      default:
+        return {};
+    }
+  }
+}
+
+// Amazon Titan Text
+class TitanProvider {
+  constructor() {
+    this.name = 'titan';
+  }
+
+  matches(modelId) {
+    return modelId.includes('amazon.titan-text');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP, stopSequences }) {
+    return {
+      inputText: system ? `${system}\n\n${prompt}` : prompt,
+      textGenerationConfig: {
+        maxTokenCount: maxTokens,
+        temperature,
+        topP: topP !== undefined ? topP : 0.9,
+        stopSequences: stopSequences || []
+      }
+    };
+  }
+
+  parseResponse(body) {
+    const result = (body.results || [])[0] || {};
+    return {
+      text: result.outputText || '',
+      stopReason: result.completionReason,
+      usage: {
+        inputTokens: body.inputTextTokenCount,
+        outputTokens: result.tokenCount
+      }
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    return {
+      text: chunk.outputText || '',
+      stopReason: chunk.completionReason || undefined,
+      usage: {
+        inputTokens: chunk.inputTextTokenCount || undefined,
+        outputTokens: chunk.totalOutputTextTokenCount || undefined
+      }
+    };
+  }
+}
+
+// Cohere Command (text generation)
+class CohereProvider {
+  constructor() {
+    this.name = 'cohere';
+  }
+
+  matches(modelId) {
+    return modelId.includes('cohere.command');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP, stopSequences }) {
+    return {
+      prompt: system ? `${system}\n\n${prompt}` : prompt,
+      max_tokens: maxTokens,
+      temperature,
+      p: topP !== undefined ? topP : 0.9,
+      stop_sequences: stopSequences || [],
+      return_likelihoods: 'NONE'
+    };
+  }
+
+  parseResponse(body) {
+    const generation = (body.generations || [])[0] || {};
+    const billed = body.meta && body.meta.billed_units;
+    return {
+      text: generation.text || '',
+      stopReason: generation.finish_reason,
+      usage: billed && {
+        inputTokens: billed.input_tokens,
+        outputTokens: billed.output_tokens
+      }
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    return {
+      text: chunk.text || '',
+      stopReason: chunk.is_finished ? chunk.finish_reason : undefined
+    };
+  }
+}
+
+// AI21 Jurassic-2
+class AI21Provider {
+  constructor() {
+    this.name = 'ai21';
+  }
+
+  matches(modelId) {
+    return modelId.includes('ai21.j2');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP, stopSequences }) {
+    return {
+      prompt: system ? `${system}\n\n${prompt}` : prompt,
+      maxTokens,
+      temperature,
+      topP: topP !== undefined ? topP : 0.9,
+      stopSequences: stopSequences || []
+    };
+  }
+
+  parseResponse(body) {
+    const completion = (body.completions || [])[0] || {};
+    return {
+      text: (completion.data && completion.data.text) || '',
+      stopReason: completion.finishReason && completion.finishReason.reason,
+      usage: {
+        inputTokens: body.prompt && body.prompt.tokens ? body.prompt.tokens.length : undefined,
+        outputTokens: completion.data && completion.data.tokens ? completion.data.tokens.length : undefined
+      }
+    };
+  }
+
+  parseStreamChunk() {
+    // Jurassic-2 models do not support response streaming on Bedrock
+    return {};
+  }
+}
+
+// Meta Llama
+class MetaLlamaProvider {
+  constructor() {
+    this.name = 'meta';
+  }
+
+  matches(modelId) {
+    return modelId.includes('meta.llama');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP }) {
+    const systemBlock = system ? `<|start_header_id|>system<|end_header_id|>\n\n${system}<|eot_id|>` : '';
+    return {
+      prompt: `<|begin_of_text|>${systemBlock}<|start_header_id|>user<|end_header_id|>\n\n${prompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n`,
+      max_gen_len: maxTokens,
+      temperature,
+      top_p: topP !== undefined ? topP : 0.9
+    };
+  }
+
+  parseResponse(body) {
+    return {
+      text: body.generation || '',
+      stopReason: body.stop_reason,
+      usage: {
+        inputTokens: body.prompt_token_count,
+        outputTokens: body.generation_token_count
+      }
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    return {
+      text: chunk.generation || '',
+      stopReason: chunk.stop_reason || undefined,
+      usage: {
+        inputTokens: chunk.prompt_token_count || undefined,
+        outputTokens: chunk.generation_token_count || undefined
+      }
+    };
+  }
+}
+
+// Mistral (instruct prompt format)
+class MistralProvider {
+  constructor() {
+    this.name = 'mistral';
+  }
+
+  matches(modelId) {
+    return modelId.includes('mistral.');
+  }
+
+  buildRequest({ prompt, system, maxTokens, temperature, topP, stopSequences }) {
+    return {
+      prompt: `<s>[INST] ${system ? `${system}\n\n` : ''}${prompt} [/INST]`,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP !== undefined ? topP : 0.9,
+      stop: stopSequences || []
+    };
+  }
+
+  parseResponse(body) {
+    const output = (body.outputs || [])[0] || {};
+    return {
+      text: output.text || '',
+      stopReason: output.stop_reason
+    };
+  }
+
+  parseStreamChunk(chunk) {
+    const output = (chunk.outputs || [])[0] || {};
+    return {
+      text: output.text || '',
+      stopReason: output.stop_reason || undefined
+    };
+  }
+}
+
+// Registry of model families, routes call invoke()/invokeStream() with a model ID
+class ModelProviders {
+  constructor() {
+    this.providers = [];
+    this.client = null;
+
+    this.registerProvider(new AnthropicProvider());
+    this.registerProvider(new TitanProvider());
+    this.registerProvider(new CohereProvider());
+    this.registerProvider(new AI21Provider());
+    this.registerProvider(new MetaLlamaProvider());
+    this.registerProvider(new MistralProvider());
+  }
+
+  // Add a model family, later registrations take precedence
+  registerProvider(provider) {
+    this.providers.unshift(provider);
+  }
+
+  getProvider(modelId) {
+    const provider = this.providers.find(candidate => candidate.matches(modelId));
+    if (!provider) {
+      throw new ModelProviderError(`No model provider registered for ${modelId}`, {
+        code: 'UNSUPPORTED_MODEL',
+        statusCode: 400
+      });
+    }
+    return provider;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new BedrockRuntimeClient({
+        region: process.env.BEDROCK_REGION || process.env.AWS_REGION || 'us-east-1'
+      });
+    }
+    return this.client;
+  }
+
+  // Fill in defaults shared by every family
+  normalizeRequest(request) {
+    if (!request.modelId) {
+      throw new ModelProviderError('modelId is required', { code: 'INVALID_MODEL_REQUEST', statusCode: 400 });
+    }
+
+    return {
+      maxTokens: 1024,
+      temperature: 0.7,
+      ...request,
+      prompt: String(request.prompt || '')
+    };
+  }
+
+  // Usage as reported by the provider, estimated from text where it is missing
+  resolveUsage(prompt, text, reported = {}) {
+    const inputReported = Number.isFinite(reported.inputTokens);
+    const outputReported = Number.isFinite(reported.outputTokens);
+
+    return {
+      inputTokens: inputReported ? reported.inputTokens : estimateTokens(prompt),
+      outputTokens: outputReported ? reported.outputTokens : estimateTokens(text),
+      source: inputReported && outputReported ? 'provider' : 'estimate'
+    };
+  }
+
+  mapError(error, modelId) {
+    if (error instanceof ModelProviderError) {
+      return error;
+    }
+
+    const mapped = BEDROCK_ERRORS[error.name];
+    if (mapped) {
+      return new ModelProviderError(mapped.message, { ...mapped, cause: error });
+    }
+
+    return new ModelProviderError(`Model invocation failed for ${modelId}: ${error.message}`, { cause: error });
+  }
+
+  // Single request/response invocation
+  async invoke(request) {
+    const normalized = this.normalizeRequest(request);
+    const provider = this.getProvider(normalized.modelId);
+
+    try {
+      const response = await this.getClient().send(new InvokeModelCommand({
+        modelId: normalized.modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(provider.buildRequest(normalized))
+      }), { abortSignal: request.abortSignal });
+
+      const body = JSON.parse(new TextDecoder().decode(response.body));
+      const parsed = provider.parseResponse(body);
+
+      return {
+        text: parsed.text,
+        modelId: normalized.modelId,
+        provider: provider.name,
+        stopReason: parsed.stopReason || null,
+        usage: this.resolveUsage(normalized.prompt, parsed.text, parsed.usage)
+      };
+    } catch (error) {
+      throw this.mapError(error, normalized.modelId);
+    }
+  }
+
+  // Streamed invocation, onToken(text) is called for each chunk as it arrives
+  async invokeStream(request, { onToken = () => {}, abortSignal } = {}) {
+    const normalized = this.normalizeRequest(request);
+    const provider = this.getProvider(normalized.modelId);
+    const reported = {};
+    let text = '';
+    let stopReason = null;
+
+    try {
+      const response = await this.getClient().send(new InvokeModelWithResponseStreamCommand({
+        modelId: normalized.modelId,
+        contentType: 'application/json',
+        accept: 'application/json',
+        body: JSON.stringify(provider.buildRequest(normalized))
+      }), { abortSignal });
+
+      for await (const event of response.body) {
+        if (!event.chunk) continue;
+
+        const chunk = JSON.parse(new TextDecoder().decode(event.chunk.bytes));
+        const parsed = provider.parseStreamChunk(chunk);
+
+        if (parsed.text) {
+          text += parsed.text;
+          onToken(parsed.text);
+        }
+        if (parsed.stopReason) {
+          stopReason = parsed.stopReason;
+        }
+        Object.entries(parsed.usage || {}).forEach(([key, value]) => {
+          if (value !== undefined) reported[key] = value;
+        });
+
+        // Bedrock appends invocation metrics to the final chunk for every family
+        const metrics = chunk['amazon-bedrock-invocationMetrics'];
+        if (metrics) {
+          reported.inputTokens = metrics.inputTokenCount;
+          reported.outputTokens = metrics.outputTokenCount;
+        }
+      }
+    } catch (error) {
+      // Keep partial output so callers can still account for tokens generated before an abort
+      const mapped = this.mapError(error, normalized.modelId);
+      mapped.partial = {
+        text,
+        usage: this.resolveUsage(normalized.prompt, text, reported)
+      };
+      throw mapped;
+    }
+
+    return {
+      text,
+      modelId: normalized.modelId,
+      provider: provider.name,
+      stopReason,
+      usage: this.resolveUsage(normalized.prompt, text, reported)
+    };
+  }
+}
+
+const modelProviders = new ModelProviders();
+
+module.exports = modelProviders;
+module.exports.ModelProviderError = ModelProviderError;
+module.exports.estimateTokens = estimateTokens;
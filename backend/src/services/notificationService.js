@@ -0,0 +1,87 @@
+const { SES_FROM_EMAIL } = require('../config/aws');
+const { createMailTransport } = require('./mailTransport');
+
+const APP_NAME = 'NLP Converter';
+
+const formatDate = (date) => new Date(date).toDateString();
+
+// Subject and text body per notification template
+const TEMPLATES = {
+  payment_failed: (data) => ({
+    subject: `${APP_NAME}: your payment failed`,
+    text: `We couldn't charge your card for your ${data.planName} subscription. ` +
+      `We'll retry the payment, and your plan stays active until ${formatDate(data.graceEndsAt)}. ` +
+      `Please update your payment method to keep your plan.`
+  }),
+  payment_reminder: (data) => ({
+    subject: `${APP_NAME}: payment still outstanding`,
+    text: `Retry ${data.attempt} of your ${data.planName} payment failed. ` +
+      `Your account moves to the Free plan on ${formatDate(data.graceEndsAt)} unless the payment succeeds.`
+  }),
+  subscription_downgraded: (data) => ({
+    subject: `${APP_NAME}: your plan was moved to Free`,
+    text: `We couldn't collect the payment for your ${data.planName} subscription, so your account is now on the Free plan. ` +
+      `Your ${data.planName} plan is restored as soon as the outstanding payment succeeds.`
+  }),
+  prepaid_plan_expired: (data) => ({
+    subject: `${APP_NAME}: your plan has ended`,
+    text: `The ${data.planName} period you paid for ended on ${formatDate(data.endedAt)}, so your account is now on the Free plan. ` +
+      `Buy another period or subscribe to get your ${data.planName} plan back.`
+  }),
+  payment_recovered: (data) => ({
+    subject: `${APP_NAME}: payment received`,
+    text: `Thanks, your payment went through and your ${data.planName} plan is active.`
+  }),
+  organization_invitation: (data) => ({
+    subject: `${APP_NAME}: join ${data.organizationName}`,
+    text: `${data.inviterEmail} invited you to join ${data.organizationName} as ${data.role === 'admin' ? 'an admin' : 'a member'}. ` +
+      `Accept the invitation before ${formatDate(data.expiresAt)}: ${data.acceptUrl}`
+  }),
+  verify_email: (data) => ({
+    subject: `${APP_NAME}: verify your email address`,
+    text: `Welcome to ${APP_NAME}, ${data.name}! Confirm your email address to activate your account: ${data.verifyUrl}\n\n` +
+      `The link expires in ${data.expiresIn}. If you didn't sign up, you can ignore this email.`
+  }),
+  password_reset: (data) => ({
+    subject: `${APP_NAME}: reset your password`,
+    text: `Someone asked to reset the password of your ${APP_NAME} account. Choose a new password here: ${data.resetUrl}\n\n` +
+      `The link expires in ${data.expiresIn} and works once. If it wasn't you, ignore this email; your password stays the same.`
+  })
+};
+
+// Sends transactional notifications to users through a mail transport (see mailTransport.js):
+// NOTIFICATION_DRIVER=ses in production, smtp or file for a local inbox, or log (the default
+// outside production). Outside SES a copy of each message is kept in memory
+class NotificationService {
+  constructor() {
+    this.driver = process.env.NOTIFICATION_DRIVER || (process.env.NODE_ENV === 'production' ? 'ses' : 'log');
+    this.transport = createMailTransport(this.driver);
+    this.sent = [];
+  }
+
+  render(template, data) {
+    const render = TEMPLATES[template];
+    if (!render) {
+      throw new Error(`Unknown notification template: ${template}`);
+    }
+    return render(data);
+  }
+
+  // Failures are logged and reported, never thrown: a missed email must not fail billing
+  async send(to, template, data = {}) {
+    const { subject, text } = this.render(template, data);
+
+    try {
+      await this.transport.send({ from: SES_FROM_EMAIL, to, subject, text });
+      if (this.transport.name !== 'ses') {
+        this.sent.push({ to, template, subject, text, sentAt: new Date().toISOString() });
+      }
+      return { sent: true };
+    } catch (error) {
+      console.error(`Failed to send ${template} notification to ${to}:`, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { textract, s3, UPLOADS_BUCKET } = require('../config/aws');
+
+// Local OCR engine (Tesseract compiled to WebAssembly), bundled English language data
+class TesseractOcrProvider {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.language = options.language || process.env.OCR_LANGUAGE || 'eng';
+    this.langPath = options.langPath || process.env.TESSERACT_LANG_PATH;
+    this.supportedMimeTypes = ['image/jpeg', 'image/png', 'image/bmp', 'image/webp'];
+    this.workerPromise = null;
+  }
+
+  async getWorker() {
+    if (!this.workerPromise) {
+      const { createWorker } = require('tesseract.js');
+      const workerOptions = {
+        cacheMethod: 'none',
+        // Without a handler, image decoding errors are rethrown outside the recognize() promise
+        errorHandler: error => console.error('Tesseract worker error:', error)
+      };
+
+      if (this.langPath) {
+        workerOptions.langPath = this.langPath;
+      } else if (this.language === 'eng') {
+        // Use the traineddata shipped in node_modules so no download is needed
+        const engData = require('@tesseract.js-data/eng');
+        workerOptions.langPath = engData.langPath;
+        workerOptions.gzip = engData.gzip;
+      }
+
+      this.workerPromise = createWorker(this.language, 1, workerOptions).catch(error => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+
+    return this.workerPromise;
+  }
+
+  async recognize(image) {
+    const worker = await this.getWorker();
+    const { data } = await worker.recognize(image).catch(error => {
+      // The worker rejects with plain strings
+      throw error instanceof Error ? error : new Error(`Tesseract OCR failed: ${error}`);
+    });
+
+    return {
+      text: data.text,
+      confidence: data.confidence,
+      blocks: (data.blocks || []).map(block => ({
+        text: block.text.trim(),
+        confidence: block.confidence,
+        bbox: block.bbox
+      }))
+    };
+  }
+
+  async terminate() {
+    if (this.workerPromise) {
+      const worker = await this.workerPromise;
+      this.workerPromise = null;
+      await worker.terminate();
+    }
+  }
+}
+
+// Amazon Textract, uses the textract and s3 clients configured in config/aws.js
+class TextractOcrProvider {
+  constructor(options = {}) {
+    this.name = 'textract';
+    this.client = options.client || textract;
+    this.s3 = options.s3 || s3;
+    // The asynchronous API used for PDFs reads documents from S3
+    this.bucket = options.bucket || process.env.TEXTRACT_S3_BUCKET || UPLOADS_BUCKET;
+    this.pollInterval = options.pollInterval || 2000;
+    this.jobTimeout = options.jobTimeout || parseInt(process.env.TEXTRACT_JOB_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+    this.supportedMimeTypes = ['image/jpeg', 'image/png', 'application/pdf'];
+  }
+
+  async recognize(document, { mimeType } = {}) {
+    if (mimeType === 'application/pdf') {
+      return this.toResult(await this.detectDocumentPages(document));
+    }
+
+    const result = await this.client.detectDocumentText({
+      Document: { Bytes: document }
+    }).promise();
+    return this.toResult(result.Blocks || []);
+  }
+
+  // The synchronous API only reads single-page PDFs, so PDFs go through
+  // StartDocumentTextDetection: upload to S3, wait for the job and collect every page of blocks
+  async detectDocumentPages(document) {
+    const key = `textract/${crypto.randomUUID()}.pdf`;
+    await this.s3.putObject({ Bucket: this.bucket, Key: key, Body: document, ContentType: 'application/pdf' }).promise();
+
+    try {
+      const { JobId: jobId } = await this.client.startDocumentTextDetection({
+        DocumentLocation: { S3Object: { Bucket: this.bucket, Name: key } }
+      }).promise();
+
+      const deadline = Date.now() + this.jobTimeout;
+      let result = await this.client.getDocumentTextDetection({ JobId: jobId }).promise();
+      while (result.JobStatus === 'IN_PROGRESS') {
+        if (Date.now() >= deadline) {
+          throw new Error(`Textract job ${jobId} did not finish within ${this.jobTimeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+        result = await this.client.getDocumentTextDetection({ JobId: jobId }).promise();
+      }
+
+      if (result.JobStatus === 'FAILED') {
+        throw new Error(`Textract job ${jobId} failed: ${result.StatusMessage || 'unknown error'}`);
+      }
+
+      const blocks = [...(result.Blocks || [])];
+      while (result.NextToken) {
+        result = await this.client.getDocumentTextDetection({ JobId: jobId, NextToken: result.NextToken }).promise();
+        blocks.push(...(result.Blocks || []));
+      }
+      return blocks;
+    } finally {
+      await this.s3.deleteObject({ Bucket: this.bucket, Key: key }).promise()
+        .catch(error => console.error('Textract upload cleanup error:', error));
+    }
+  }
+
+  toResult(blocks) {
+    const lines = blocks.filter(block => block.BlockType === 'LINE');
+
+    return {
+      text: lines.map(line => line.Text).join('\n'),
+      confidence: this.averageConfidence(lines.map(line => line.Confidence)),
+      blocks: lines.map(line => ({
+        text: line.Text,
+        confidence: line.Confidence,
+        page: line.Page,
+        bbox: line.Geometry && line.Geometry.BoundingBox
+      }))
+    };
+  }
+
+  averageConfidence(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+}
+
+class OcrService {
+  constructor() {
+    this.providers = new Map();
+    this.defaultProvider = process.env.OCR_PROVIDER || 'tesseract';
+
+    this.registerProvider('tesseract', () => new TesseractOcrProvider());
+    this.registerProvider('textract', () => new TextractOcrProvider());
+  }
+
+  // Register an OCR provider factory, providers are created on first use
+  registerProvider(name, factory) {
+    this.providers.set(name, { factory, instance: null });
+  }
+
+  getProvider(name = this.defaultProvider) {
+    const entry = this.providers.get(name);
+    if (!entry) {
+      throw new Error(`Unknown OCR provider: ${name}`);
+    }
+
+    if (!entry.instance) {
+      entry.instance = entry.factory();
+    }
+
+    return entry.instance;
+  }
+
+  // Run OCR on a single image
+  async recognizeImage(buffer, mimeType, options = {}) {
+    const provider = this.getProvider(options.provider);
+
+    if (!provider.supportedMimeTypes.includes(mimeType)) {
+      throw new Error(`OCR provider ${provider.name} does not support ${mimeType}`);
+    }
+
+    const result = await provider.recognize(buffer, { mimeType });
+
+    return {
+      provider: provider.name,
+      text: result.text.trim(),
+      confidence: result.confidence,
+      blocks: result.blocks
+        .filter(block => block.text)
+        .map(block => ({ page: 1, ...block }))
+    };
+  }
+
+  // Run OCR on a scanned PDF, page by page
+  async recognizePdf(buffer, options = {}) {
+    const provider = this.getProvider(options.provider);
+
+    // Providers that read PDFs natively get the whole document
+    if (provider.supportedMimeTypes.includes('application/pdf')) {
+      const result = await provider.recognize(buffer, { mimeType: 'application/pdf' });
+      return { provider: provider.name, ...result, text: result.text.trim() };
+    }
+
+    const pages = this.extractPdfImages(buffer);
+    if (pages.length === 0) {
+      throw new Error('No scanned page images found in PDF');
+    }
+
+    const pageResults = [];
+    for (const page of pages) {
+      const result = await this.recognizeImage(page.buffer, page.mimeType, options);
+      pageResults.push(result);
+    }
+
+    const blocks = pageResults.flatMap((result, index) => (
+      result.blocks.map(block => ({ ...block, page: index + 1 }))
+    ));
+
+    return {
+      provider: provider.name,
+      text: pageResults.map(result => result.text).join('\n\n').trim(),
+      confidence: pageResults.reduce((sum, result) => sum + result.confidence, 0) / pageResults.length,
+      blocks
+    };
+  }
+
+  // Pull JPEG-encoded (DCTDecode) image streams out of a PDF, which is how most scanners store pages
+  extractPdfImages(buffer) {
+    const source = buffer.toString('latin1');
+    const images = [];
+    const streamPattern = /\bstream\r?\n/g;
+    let match;
+
+    while ((match = streamPattern.exec(source)) !== null) {
+      const objectStart = source.lastIndexOf(' obj', match.index);
+      const dictionary = source.slice(objectStart, match.index);
+
+      if (!/\/Subtype\s*\/Image/.test(dictionary) || !/\/DCTDecode/.test(dictionary)) {
+        continue;
+      }
+
+      const dataStart = match.index + match[0].length;
+      const dataEnd = source.indexOf('endstream', dataStart);
+      if (dataEnd === -1) {
+        break;
+      }
+
+      images.push({
+        mimeType: 'image/jpeg',
+        buffer: buffer.subarray(dataStart, dataEnd).subarray(0, this.findJpegEnd(buffer, dataStart, dataEnd))
+      });
+      streamPattern.lastIndex = dataEnd;
+    }
+
+    return images;
+  }
+
+  // Trim trailing end-of-line bytes after the JPEG end-of-image marker
+  findJpegEnd(buffer, start, end) {
+    for (let index = end - 2; index >= start; index--) {
+      if (buffer[index] === 0xff && buffer[index + 1] === 0xd9) {
+        return index + 2 - start;
+      }
+    }
+    return end - start;
+  }
+
+  async terminate() {
+    for (const entry of this.providers.values()) {
+      if (entry.instance && entry.instance.terminate) {
+        await entry.instance.terminate();
+      }
+    }
+  }
+}
+
+module.exports = new OcrService();
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const { DynamoDBService, ORGANIZATIONS_TABLE } = require('../config/aws');
+const { stripe } = require('../config/stripe');
+const { OVERAGE_STRIPE_PRICE_ID, getTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const { createTableStore } = require('./tableStore');
+const notificationService = require('./notificationService');
+const twoFactorService = require('./twoFactorService');
+
+const MANAGER_ROLES = ['owner', 'admin'];
+
+// Organizations without a paid plan have a single seat, their owner's
+const FREE_SEATS = 1;
+
+const INVITATION_TTL_DAYS = parseFloat(process.env.ORGANIZATION_INVITATION_TTL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attempts at a read-modify-write before giving up on a busy organization
+const MAX_WRITE_ATTEMPTS = 3;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Team accounts. An organization has one owner, admins and members, and is billed per seat: its
+// id (org_...) is the billing account of a Stripe subscription whose quantity is the seat count,
+// stored in the subscriptions table like a user's. Members share the organization's plan, a
+// conversion quota pooled across its seats, which admins can cap per member, and its files.
+// Members and pending invitations live on the organization item, which every write replaces
+// guarded by its version. Stored by ORGANIZATION_STORE_DRIVER
+class OrganizationService {
+  constructor() {
+    this.store = createTableStore(ORGANIZATIONS_TABLE, 'ORGANIZATION_STORE_DRIVER');
+  }
+
+  isOrganizationId(id) {
+    return typeof id === 'string' && id.startsWith('org_');
+  }
+
+  async get(orgId) {
+    if (!this.isOrganizationId(orgId)) {
+      return null;
+    }
+    return this.store.get({ orgId });
+  }
+
+  // Write the organization if it is still at expectedVersion (or new, without one)
+  async save(organization, expectedVersion) {
+    const item = { ...organization, version: (expectedVersion || 0) + 1, updatedAt: new Date().toISOString() };
+    const condition = expectedVersion === undefined
+      ? { condition: 'attribute_not_exists(orgId)' }
+      : { condition: '#version = :version', names: { '#version': 'version' }, values: { ':version': expectedVersion } };
+    return this.store.putIf(item, condition, existing => (
+      expectedVersion === undefined ? !existing : Boolean(existing) && existing.version === expectedVersion
+    ));
+  }
+
+  // Apply change to a fresh copy of the organization and save it, retrying when another request
+  // saved in between. change may throw to refuse the write
+  async mutate(orgId, change) {
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const current = await this.get(orgId);
+      if (!current) {
+        throw new HttpError('Organization not found', 404);
+      }
+
+      const draft = { ...current, members: [...current.members], invitations: [...current.invitations] };
+      await change(draft);
+      try {
+        return await this.save(draft, current.version);
+      } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+    throw new HttpError('The organization was changed by another request, try again', 409);
+  }
+
+  async create(user, { name }) {
+    const organizationName = String(name || '').trim();
+    if (!organizationName || organizationName.length > 100) {
+      throw new HttpError('Organization name must be 1-100 characters');
+    }
+
+    const now = new Date().toISOString();
+    const organization = await this.save({
+      orgId: `org_${crypto.randomBytes(8).toString('hex')}`,
+      name: organizationName,
+      ownerId: user.userId,
+      tier: 'free',
+      members: [{ userId: user.userId, email: normalizeEmail(user.email), role: 'owner', conversionCap: null, joinedAt: now }],
+      invitations: [],
+      createdAt: now
+    });
+
+    await this.addUserMembership(user.userId, organization.orgId);
+    return organization;
+  }
+
+  getMember(organization, userId) {
+    return (organization && organization.members.find(member => member.userId === userId)) || null;
+  }
+
+  canManage(member) {
+    return Boolean(member) && MANAGER_ROLES.includes(member.role);
+  }
+
+  // The organization a request acts for: the one asked for with the X-Organization-Id header
+  // ('personal' for none), else the user's active one. Null in the personal context
+  async resolveContext(user, requestedOrgId) {
+    const orgId = requestedOrgId !== undefined ? requestedOrgId : user.activeOrganizationId;
+    if (!orgId || orgId === 'personal') {
+      return null;
+    }
+
+    const organization = await this.get(orgId);
+    const member = this.getMember(organization, user.userId);
+    if (!member) {
+      // A stale active organization, e.g. after removal, falls back to the personal context
+      if (requestedOrgId !== undefined) {
+        throw new HttpError('You are not a member of this organization', 403);
+      }
+      return null;
+    }
+    return { organization, member };
+  }
+
+  // Organizations the user belongs to, with their role in each
+  async listForUser(userId) {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+    const organizations = await Promise.all((user && user.organizationIds || []).map(orgId => this.get(orgId)));
+
+    return organizations
+      .filter(organization => this.getMember(organization, userId))
+      .map(organization => ({
+        orgId: organization.orgId,
+        name: organization.name,
+        tier: organization.tier,
+        role: this.getMember(organization, userId).role,
+        active: user.activeOrganizationId === organization.orgId
+      }));
+  }
+
+  // Make an organization (or null, the personal account) the user's default context
+  async setActive(userId, orgId) {
+    if (orgId) {
+      const organization = await this.get(orgId);
+      if (!this.getMember(organization, userId)) {
+        throw new HttpError('You are not a member of this organization', 403);
+      }
+    }
+    await this.updateUser(userId, { activeOrganizationId: orgId || null });
+  }
+
+  async rename(orgId, name) {
+    const organizationName = String(name || '').trim();
+    if (!organizationName || organizationName.length > 100) {
+      throw new HttpError('Organization name must be 1-100 characters');
+    }
+    return this.mutate(orgId, draft => {
+      draft.name = organizationName;
+    });
+  }
+
+  // Require two-factor authentication of every member acting for the organization. The manager
+  // turning it on must have it enabled, so they do not lock themselves out
+  async setTwoFactorRequired(orgId, actor, required) {
+    if (required) {
+      const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: actor.userId });
+      if (!twoFactorService.isEnabled(user)) {
+        throw new HttpError('Enable two-factor authentication on your own account before requiring it');
+      }
+    }
+    return this.mutate(orgId, draft => {
+      draft.requireTwoFactor = Boolean(required);
+    });
+  }
+
+  // Whether any organization of the user requires two-factor authentication
+  async requiresTwoFactor(user) {
+    const organizations = await Promise.all((user.organizationIds || []).map(orgId => this.get(orgId)));
+    return organizations.some(organization => this.getMember(organization, user.userId) && twoFactorService.isRequiredBy(organization));
+  }
+
+  // Seats paid for: the quantity of the organization's subscription while it is on a paid plan
+  async getSeats(organization) {
+    if (getTier(organization.tier).price.monthly <= 0) {
+      return FREE_SEATS;
+    }
+    const subscription = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: organization.orgId });
+    return (subscription && subscription.seats) || FREE_SEATS;
+  }
+
+  // Members plus invitations still waiting for an answer
+  seatsUsed(organization, now = new Date()) {
+    return organization.members.length + this.pendingInvitations(organization, now).length;
+  }
+
+  pendingInvitations(organization, now = new Date()) {
+    return organization.invitations.filter(invitation => new Date(invitation.expiresAt) > now);
+  }
+
+  // Monthly conversions the organization's members share: the plan's quota for every seat
+  async getPooledQuota(organization) {
+    return getTier(organization.tier).quotas.conversionsPerMonth * await this.getSeats(organization);
+  }
+
+  // Invite someone by email to a free seat. The link carries the only copy of the token
+  async invite(orgId, inviter, { email, role = 'member' }) {
+    const address = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      throw new HttpError('A valid email address is required');
+    }
+    if (!['admin', 'member'].includes(role)) {
+      throw new HttpError('Role must be admin or member');
+    }
+
+    const secret = crypto.randomBytes(24).toString('hex');
+    const now = new Date();
+    const invitation = {
+      invitationId: crypto.randomBytes(8).toString('hex'),
+      email: address,
+      role,
+      tokenHash: hashToken(secret),
+      invitedBy: inviter.userId,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * DAY_MS).toISOString()
+    };
+
+    const organization = await this.mutate(orgId, async draft => {
+      if (draft.members.some(member => member.email === address)) {
+        throw new HttpError(`${address} is already a member`, 409);
+      }
+      // A new invitation to the same address replaces the old one
+      draft.invitations = this.pendingInvitations(draft, now).filter(existing => existing.email !== address);
+      if (this.seatsUsed(draft, now) >= await this.getSeats(draft)) {
+        throw new HttpError('All seats are taken. Add seats to invite more people', 409);
+      }
+      draft.invitations.push(invitation);
+    });
+
+    await notificationService.send(address, 'organization_invitation', {
+      organizationName: organization.name,
+      inviterEmail: inviter.email,
+      role,
+      acceptUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations/accept?token=${orgId}.${secret}`,
+      expiresAt: invitation.expiresAt
+    });
+    return this.toPublicInvitation(invitation);
+  }
+
+  async revokeInvitation(orgId, invitationId) {
+    await this.mutate(orgId, draft => {
+      const remaining = draft.invitations.filter(invitation => invitation.invitationId !== invitationId);
+      if (remaining.length === draft.invitations.length) {
+        throw new HttpError('Invitation not found', 404);
+      }
+      draft.invitations = remaining;
+    });
+  }
+
+  // Join the organization of an invitation link; only the invited address can use it
+  async acceptInvitation(user, token) {
+    const [orgId, secret] = String(token || '').split('.');
+    if (!secret) {
+      throw new HttpError('Invalid invitation', 404);
+    }
+
+    const tokenHash = hashToken(secret);
+    let role;
+    let organization;
+    try {
+      organization = await this.mutate(orgId, draft => {
+        const invitation = draft.invitations.find(entry => entry.tokenHash === tokenHash);
+        if (!invitation) {
+          throw new HttpError('Invalid invitation', 404);
+        }
+        if (new Date(invitation.expiresAt) <= new Date()) {
+          throw new HttpError('This invitation has expired, ask for a new one', 410);
+        }
+        if (invitation.email !== normalizeEmail(user.email)) {
+          throw new HttpError(`This invitation is for ${invitation.email}`, 403);
+        }
+        if (this.getMember(draft, user.userId)) {
+          throw new HttpError('You are already a member of this organization', 409);
+        }
+
+        // The invitation already holds a seat, which the member now takes
+        draft.invitations = draft.invitations.filter(entry => entry !== invitation);
+        draft.members.push({
+          userId: user.userId,
+          email: invitation.email,
+          role: invitation.role,
+          conversionCap: null,
+          joinedAt: new Date().toISOString()
+        });
+        role = invitation.role;
+      });
+    } catch (error) {
+      // An unknown organization is just another invalid link
+      throw error.statusCode === 404 ? new HttpError('Invalid invitation', 404) : error;
+    }
+
+    await this.addUserMembership(user.userId, organization.orgId);
+    return { orgId: organization.orgId, name: organization.name, role };
+  }
+
+  // Change a member's role (owner only) or monthly conversion cap (null for none)
+  async updateMember(orgId, actor, userId, changes) {
+    return this.mutate(orgId, draft => {
+      const member = this.getMember(draft, userId);
+      if (!member) {
+        throw new HttpError('Member not found', 404);
+      }
+      if (member.role === 'owner' && actor.role !== 'owner') {
+        throw new HttpError("Only the owner can change the owner's settings", 403);
+      }
+
+      const updated = { ...member };
+      if (changes.role !== undefined) {
+        if (actor.role !== 'owner') {
+          throw new HttpError('Only the owner can change roles', 403);
+        }
+        if (!['admin', 'member'].includes(changes.role) || member.role === 'owner') {
+          throw new HttpError('Role must be admin or member, and the owner keeps their role');
+        }
+        updated.role = changes.role;
+      }
+      if (changes.conversionCap !== undefined) {
+        const cap = changes.conversionCap === null ? null : Number(changes.conversionCap);
+        if (cap !== null && !(Number.isInteger(cap) && cap >= 0)) {
+          throw new HttpError('conversionCap must be a whole number of conversions, or null for no cap');
+        }
+        updated.conversionCap = cap;
+      }
+
+      draft.members = draft.members.map(entry => (entry.userId === userId ? updated : entry));
+    });
+  }
+
+  // Remove a member, or leave. The owner cannot leave their organization
+  async removeMember(orgId, userId) {
+    await this.mutate(orgId, draft => {
+      const member = this.getMember(draft, userId);
+      if (!member) {
+        throw new HttpError('Member not found', 404);
+      }
+      if (member.role === 'owner') {
+        throw new HttpError('The owner cannot be removed from the organization', 409);
+      }
+      draft.members = draft.members.filter(entry => entry.userId !== userId);
+    });
+    await this.removeUserMembership(userId, orgId);
+  }
+
+  // Change the seats of the organization's card subscription. More seats are charged now, prorated
+  // to the end of the period; fewer are credited on the next invoice
+  async updateSeats(organization, seats) {
+    const count = Number(seats);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new HttpError('seats must be a whole number of at least 1');
+    }
+    if (count < this.seatsUsed(organization)) {
+      throw new HttpError(
+        `${this.seatsUsed(organization)} seats are taken by members and invitations. Remove some before reducing seats`,
+        409
+      );
+    }
+
+    const record = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: organization.orgId });
+    if (!record || !record.stripeSubscriptionId || !['active', 'trialing'].includes(record.status)) {
+      throw new HttpError('The organization has no active card subscription', 404);
+    }
+    const current = record.seats || FREE_SEATS;
+    if (count === current) {
+      return count;
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(record.stripeSubscriptionId);
+    const item = subscription.items.data.find(entry => entry.price.id !== OVERAGE_STRIPE_PRICE_ID);
+    await stripe.subscriptions.update(record.stripeSubscriptionId, {
+      items: [{ id: item.id, quantity: count }],
+      proration_behavior: count > current ? 'always_invoice' : 'create_prorations'
+    });
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId: organization.orgId },
+      'SET seats = :seats, updatedAt = :updatedAt',
+      { ':seats': count, ':updatedAt': new Date().toISOString() }
+    );
+    return count;
+  }
+
+  // Plan of the organization, applied by the billing events of its subscription
+  async setTier(orgId, tier) {
+    await this.mutate(orgId, draft => {
+      draft.tier = tier;
+    });
+  }
+
+  // User that billing notifications for an account go to: the owner for an organization
+  async billingUserId(accountId) {
+    if (!this.isOrganizationId(accountId)) {
+      return accountId;
+    }
+    const organization = await this.get(accountId);
+    return organization ? organization.ownerId : null;
+  }
+
+  // A member's monthly cap stops them before the pool runs out
+  checkMemberCap(usage, member) {
+    const used = (usage.memberConversions || {})[member.userId] || 0;
+    if (this.hasConversionCap(member) && used >= member.conversionCap) {
+      throw this.memberCapError(member);
+    }
+  }
+
+  hasConversionCap(member) {
+    return member.conversionCap !== null && member.conversionCap !== undefined;
+  }
+
+  memberCapError(member) {
+    return new HttpError(
+      `Your organization limits you to ${member.conversionCap} conversions per month. Ask an admin to raise your cap.`,
+      429
+    );
+  }
+
+  // Invitation without its token hash
+  toPublicInvitation(invitation) {
+    return {
+      invitationId: invitation.invitationId,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+      createdAt: invitation.createdAt,
+      expiresAt: invitation.expiresAt
+    };
+  }
+
+  // Organization as shown to a member; invitations only to those who manage it
+  async toPublic(organization, viewer) {
+    return {
+      orgId: organization.orgId,
+      name: organization.name,
+      ownerId: organization.ownerId,
+      tier: organization.tier,
+      requireTwoFactor: twoFactorService.isRequiredBy(organization),
+      role: viewer.role,
+      seats: await this.getSeats(organization),
+      seatsUsed: this.seatsUsed(organization),
+      pooledQuota: await this.getPooledQuota(organization),
+      members: organization.members,
+      invitations: this.canManage(viewer) ? this.pendingInvitations(organization).map(this.toPublicInvitation) : [],
+      createdAt: organization.createdAt
+    };
+  }
+
+  async addUserMembership(userId, orgId) {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+    const organizationIds = (user && user.organizationIds) || [];
+    await this.updateUser(userId, {
+      organizationIds: organizationIds.includes(orgId) ? organizationIds : [...organizationIds, orgId],
+      activeOrganizationId: orgId
+    });
+  }
+
+  async removeUserMembership(userId, orgId) {
+    const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+    if (!user) {
+      return;
+    }
+    await this.updateUser(userId, {
+      organizationIds: (user.organizationIds || []).filter(id => id !== orgId),
+      activeOrganizationId: user.activeOrganizationId === orgId ? null : user.activeOrganizationId || null
+    });
+  }
+
+  async updateUser(userId, fields) {
+    const values = { ...fields, updatedAt: new Date().toISOString() };
+    const updateExpression = 'SET ' + Object.keys(values).map(field => `${field} = :${field}`).join(', ');
+    const expressionValues = Object.keys(values).reduce((result, field) => {
+      result[`:${field}`] = values[field];
+      return result;
+    }, {});
+
+    await DynamoDBService.updateItem(process.env.DYNAMODB_TABLE_USERS, { userId }, updateExpression, expressionValues);
+  }
+}
+
+module.exports = new OrganizationService();
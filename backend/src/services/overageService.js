@@ -0,0 +1,181 @@
+const { stripe } = require('../config/stripe');
+const { OVERAGE_STRIPE_PRICE_ID, getTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const subscriptionRecords = require('./subscriptionRecords');
+
+// Event name of the Stripe billing meter the overage price is attached to
+const OVERAGE_METER_EVENT = process.env.STRIPE_OVERAGE_METER_EVENT || 'conversion_overage';
+
+// Subscription statuses that can run past the quota; past_due ones are in dunning
+const OVERAGE_STATUSES = ['active', 'trialing'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const formatDollars = (amount) => `$${amount.toFixed(2)}`;
+
+// Metered overage: once a subscription that opted in has used its monthly conversions, further
+// conversions are allowed at the tier's overagePrice until the month's overage would pass the
+// spending cap the user set. Each one is reported to Stripe as a meter event and billed with the
+// next invoice. Settings live on the subscription record, the month's count on the usage record
+class OverageService {
+  // Why the subscription cannot bill overage, or null when it can
+  unavailableReason(record) {
+    if (!record || !getTier(record.tier).overagePrice) {
+      return 'Overage billing is only available on paid plans';
+    }
+    if (record.provider === 'paypal' || !record.stripeSubscriptionId) {
+      return 'Overage billing is only available for card subscriptions';
+    }
+    if (!OVERAGE_STATUSES.includes(record.status)) {
+      return `Subscription is ${record.status}, overage billing needs an active subscription`;
+    }
+    return null;
+  }
+
+  // Overage settings of a subscription, as returned by the subscription endpoints
+  getSettings(record) {
+    const tier = getTier(record && record.tier);
+    return {
+      available: !this.unavailableReason(record),
+      enabled: Boolean(record && record.overageEnabled),
+      pricePerConversion: tier.overagePrice,
+      spendingCap: record && record.overageSpendingCap !== undefined ? record.overageSpendingCap : null
+    };
+  }
+
+  // Opt in or out, and set the monthly spending cap. Turning overage off keeps the metered item on
+  // the Stripe subscription so usage already reported is still billed
+  async updateSettings(userId, { enabled, spendingCap }) {
+    if (typeof enabled !== 'boolean') {
+      throw new HttpError('enabled must be true or false');
+    }
+
+    const record = await subscriptionRecords.get(userId);
+    let cap = record ? record.overageSpendingCap : undefined;
+    if (spendingCap !== undefined) {
+      cap = roundCents(Number(spendingCap));
+      if (!(cap > 0)) {
+        throw new HttpError('spendingCap must be greater than 0');
+      }
+    }
+
+    const fields = { overageEnabled: enabled };
+    if (enabled) {
+      const reason = this.unavailableReason(record);
+      if (reason) {
+        throw new HttpError(reason, record ? 409 : 404);
+      }
+      if (!cap) {
+        throw new HttpError('Set a spendingCap to enable overage billing');
+      }
+      fields.stripeOverageItemId = await this.ensureOverageItem(record);
+    } else if (!record) {
+      throw new HttpError('No active subscription found', 404);
+    }
+    if (cap) {
+      fields.overageSpendingCap = cap;
+    }
+
+    await subscriptionRecords.update(userId, fields);
+    return this.getSettings({ ...record, ...fields });
+  }
+
+  // Metered item on the Stripe subscription that meter events are billed through
+  async ensureOverageItem(record) {
+    if (record.stripeOverageItemId) {
+      return record.stripeOverageItemId;
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(record.stripeSubscriptionId);
+    const existing = subscription.items.data.find(item => item.price.id === OVERAGE_STRIPE_PRICE_ID);
+    if (existing) {
+      return existing.id;
+    }
+
+    const item = await stripe.subscriptionItems.create({
+      subscription: record.stripeSubscriptionId,
+      price: OVERAGE_STRIPE_PRICE_ID
+    });
+    return item.id;
+  }
+
+  // Overage a subscription can run this month: its record, the price per conversion and how many
+  // conversions past the quota the spending cap pays for. Throws the 429 a conversion past the
+  // quota should be refused with when the subscription cannot bill overage
+  async getAllowance(userId, maxConversions) {
+    const record = await subscriptionRecords.get(userId);
+    const upgrade = `Monthly conversion limit reached (${maxConversions}). Please upgrade your plan.`;
+
+    if (this.unavailableReason(record)) {
+      throw new HttpError(upgrade, 429);
+    }
+    if (!record.overageEnabled) {
+      throw new HttpError(upgrade.replace('upgrade your plan', 'upgrade your plan or enable overage billing'), 429);
+    }
+
+    const price = getTier(record.tier).overagePrice;
+    return { record, price, limit: Math.floor(record.overageSpendingCap / price + 1e-9) };
+  }
+
+  capReachedError(record) {
+    return new HttpError(
+      `Overage spending cap of ${formatDollars(record.overageSpendingCap)} reached for this month. ` +
+      'Raise the cap or upgrade your plan.',
+      429
+    );
+  }
+
+  // Whether one more conversion past the quota can be billed, without billing it, or the 429 it
+  // should be refused with. Conversions are counted and billed by conversionUsageService.reserve
+  async checkConversion(userId, usage, maxConversions) {
+    const { record, limit } = await this.getAllowance(userId, maxConversions);
+    if ((usage.overageConversions || 0) >= limit) {
+      throw this.capReachedError(record);
+    }
+  }
+
+  // Meter event for one overage conversion, valued in cents of the one-cent metered price. The
+  // identifier makes Stripe drop a repeated report of the same conversion, so sequence must be the
+  // month's overage count that conversion's atomic increment returned
+  async report(record, monthKey, sequence, price) {
+    try {
+      await stripe.billing.meterEvents.create({
+        event_name: OVERAGE_METER_EVENT,
+        identifier: `${record.userId}-${monthKey}-${sequence}`,
+        payload: {
+          stripe_customer_id: record.stripeCustomerId,
+          value: String(Math.round(price * 100))
+        }
+      });
+    } catch (error) {
+      // The conversion was paid for by opting in; a lost report is fixed from the usage record
+      console.error(`Failed to report overage conversion ${sequence} for user ${record.userId}:`, error);
+    }
+  }
+
+  // The month's overage so far and projected to the end of the month at the current pace
+  summarize(record, usage, maxConversions, now = new Date()) {
+    const settings = this.getSettings(record);
+    const price = settings.pricePerConversion || 0;
+    const conversions = usage.overageConversions || 0;
+
+    const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+    const elapsed = (now.getDate() - 1 + (now.getHours() * 60 + now.getMinutes()) / 1440) / daysInMonth;
+    const projectedTotal = Math.round((usage.conversions || 0) / Math.max(elapsed, 1 / daysInMonth));
+    let projectedConversions = Math.max(conversions, projectedTotal - maxConversions);
+    if (settings.enabled && price > 0) {
+      projectedConversions = Math.min(projectedConversions, Math.floor(settings.spendingCap / price + 1e-9));
+    }
+
+    return {
+      ...settings,
+      conversions,
+      amount: roundCents(conversions * price),
+      projectedConversions,
+      projectedAmount: roundCents(projectedConversions * price)
+    };
+  }
+
+}
+
+module.exports = new OverageService();
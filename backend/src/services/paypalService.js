@@ -14,8 +14,8 @@ const environment = process.env.NODE_ENV === 'production'
 const client = new paypal.core.PayPalHttpClient(environment);
 
 class PayPalService {
-  // Create payment order
-  async createOrder(amount, currency = 'USD', description = 'NLP Converter Subscription') {
+  // Create payment order, customId is echoed back on capture and in webhooks
+  async createOrder(amount, currency = 'USD', description = 'NLP Converter Subscription', customId) {
     try {
       const request = new paypal.orders.OrdersCreateRequest();
       request.prefer("return=representation");
@@ -26,7 +26,8 @@ class PayPalService {
             currency_code: currency,
             value: amount.toString()
           },
-          description: description
+          description: description,
+          custom_id: customId
         }],
         application_context: {
           brand_name: 'NLP Converter',
@@ -59,12 +60,14 @@ class PayPalService {
       request.requestBody({});
 
       const capture = await client.execute(request);
+      const captured = capture.result.purchase_units[0].payments.captures[0];
       return {
         success: true,
-        captureId: capture.result.purchase_units[0].payments.captures[0].id,
+        captureId: captured.id,
         status: capture.result.status,
         payerEmail: capture.result.payer.email_address,
-        amount: capture.result.purchase_units[0].payments.captures[0].amount
+        amount: captured.amount,
+        customId: captured.custom_id
       };
     } catch (error) {
       console.error('PayPal Capture Order Error:', error);
@@ -120,12 +123,13 @@ class PayPalService {
     }
   }
 
-  // Create subscription
-  async createSubscription(planId, subscriberEmail) {
+  // Create subscription, customId is echoed back in BILLING.SUBSCRIPTION.* webhooks
+  async createSubscription(planId, subscriberEmail, customId) {
     try {
       const request = new paypal.billing.SubscriptionsCreateRequest();
       request.requestBody({
         plan_id: planId,
+        custom_id: customId,
         subscriber: {
           email_address: subscriberEmail
         },
@@ -198,6 +202,35 @@ class PayPalService {
       };
     }
   }
+
+  // Verify a webhook delivery with PayPal against the configured webhook id
+  async verifyWebhookSignature(headers, event) {
+    if (!process.env.PAYPAL_WEBHOOK_ID) {
+      console.error('PayPal Verify Webhook Error: PAYPAL_WEBHOOK_ID is not set');
+      return false;
+    }
+
+    try {
+      const response = await client.execute({
+        verb: 'POST',
+        path: '/v1/notifications/verify-webhook-signature',
+        headers: { 'Content-Type': 'application/json' },
+        body: {
+          auth_algo: headers['paypal-auth-algo'],
+          cert_url: headers['paypal-cert-url'],
+          transmission_id: headers['paypal-transmission-id'],
+          transmission_sig: headers['paypal-transmission-sig'],
+          transmission_time: headers['paypal-transmission-time'],
+          webhook_id: process.env.PAYPAL_WEBHOOK_ID,
+          webhook_event: event
+        }
+      });
+      return response.result.verification_status === 'SUCCESS';
+    } catch (error) {
+      console.error('PayPal Verify Webhook Error:', error);
+      return false;
+    }
+  }
 }
 
 module.exports = new PayPalService();
@@ -0,0 +1,297 @@
+const { stripe } = require('../config/stripe');
+const { BILLING_CYCLES, OVERAGE_STRIPE_PRICE_ID, findTier, getTier } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const subscriptionRecords = require('./subscriptionRecords');
+
+// How long the proration date of a preview may be confirmed, so the charge matches what was shown
+const PRORATION_WINDOW_SECONDS = 30 * 60;
+
+const toUnixTime = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// Mid-cycle plan changes for Stripe subscriptions. Upgrades (a higher tier, or a longer billing cycle
+// of the same tier) are invoiced immediately with proration; downgrades are put on a subscription
+// schedule and take effect when the current period ends, recorded as the pending change until then
+class PlanChangeService {
+  // The user's Stripe subscription, if it can change plans
+  async getChangeableSubscription(userId) {
+    const record = await subscriptionRecords.get(userId);
+    if (!record || !record.stripeSubscriptionId) {
+      throw new HttpError('No active subscription found', 404);
+    }
+    if (record.status !== 'active') {
+      throw new HttpError(`Subscription is ${record.status}, plans can only be changed on active subscriptions`, 409);
+    }
+    if (record.cancelAtPeriodEnd) {
+      throw new HttpError('Reactivate the subscription before changing plans', 409);
+    }
+    return record;
+  }
+
+  // Paid catalog tier, billing cycle and Stripe price requested
+  resolveTarget({ planId, billingCycle = 'monthly' }) {
+    const tier = findTier(planId);
+    if (!tier || tier.price.monthly <= 0) {
+      throw new HttpError('Invalid plan selected', 400);
+    }
+    if (!BILLING_CYCLES.includes(billingCycle)) {
+      throw new HttpError('Invalid billing cycle', 400);
+    }
+    return { tier, billingCycle, priceId: tier.stripePriceIds[billingCycle] };
+  }
+
+  // 'upgrade', 'downgrade', or 'none' when the target is the current plan
+  classify(record, target) {
+    const current = getTier(record.tier);
+    const currentCycle = BILLING_CYCLES.indexOf(record.billingCycle || 'monthly');
+    const targetCycle = BILLING_CYCLES.indexOf(target.billingCycle);
+
+    if (target.tier.rank !== current.rank) {
+      return target.tier.rank > current.rank ? 'upgrade' : 'downgrade';
+    }
+    if (targetCycle !== currentCycle) {
+      return targetCycle > currentCycle ? 'upgrade' : 'downgrade';
+    }
+    return 'none';
+  }
+
+  // Record, target plan and kind of change for a request; choosing the current plan again
+  // cancels a pending downgrade
+  async resolveChange(userId, body) {
+    const record = await this.getChangeableSubscription(userId);
+    const target = this.resolveTarget(body);
+    let changeType = this.classify(record, target);
+
+    if (changeType === 'none') {
+      if (!record.pendingTier) {
+        throw new HttpError('Already subscribed to this plan', 409);
+      }
+      changeType = 'cancel_pending';
+    }
+    return { record, target, changeType };
+  }
+
+  // The plan's item, next to which the subscription may carry the metered overage item
+  planItem(stripeSubscription) {
+    return stripeSubscription.items.data.find(item => item.price.id !== OVERAGE_STRIPE_PRICE_ID);
+  }
+
+  async getSubscriptionItem(record) {
+    return this.planItem(await stripe.subscriptions.retrieve(record.stripeSubscriptionId));
+  }
+
+  // What a change would cost, without applying it. Upgrades return the prorated amount due now and
+  // the prorationDate to confirm it with; downgrades are free now and bill the new price from effectiveAt
+  async preview(userId, body) {
+    const { record, target, changeType } = await this.resolveChange(userId, body);
+    const summary = {
+      changeType,
+      planId: target.tier.id,
+      billingCycle: target.billingCycle,
+      currentPlanId: record.tier,
+      currentBillingCycle: record.billingCycle || 'monthly',
+      currency: 'usd'
+    };
+
+    if (changeType !== 'upgrade') {
+      return {
+        ...summary,
+        effectiveAt: changeType === 'downgrade' ? record.currentPeriodEnd : new Date().toISOString(),
+        amountDue: 0,
+        nextAmount: target.tier.price[target.billingCycle],
+        lines: []
+      };
+    }
+
+    const item = await this.getSubscriptionItem(record);
+    const prorationDate = Math.floor(Date.now() / 1000);
+    const invoice = await stripe.invoices.createPreview({
+      customer: record.stripeCustomerId,
+      subscription: record.stripeSubscriptionId,
+      subscription_details: {
+        items: [{ id: item.id, price: target.priceId }],
+        proration_behavior: 'always_invoice',
+        proration_date: prorationDate
+      }
+    });
+
+    return {
+      ...summary,
+      currency: invoice.currency,
+      effectiveAt: new Date(prorationDate * 1000).toISOString(),
+      prorationDate,
+      amountDue: invoice.amount_due / 100,
+      nextAmount: target.tier.price[target.billingCycle],
+      lines: invoice.lines.data.map(line => ({
+        description: line.description,
+        amount: line.amount / 100,
+        proration: Boolean(line.proration)
+      }))
+    };
+  }
+
+  // Apply a change. Upgrades confirmed from a preview pass its prorationDate so the charge matches
+  async change(userId, body) {
+    const { record, target, changeType } = await this.resolveChange(userId, body);
+
+    if (changeType === 'upgrade') {
+      return this.upgrade(record, target, this.resolveProrationDate(body.prorationDate));
+    }
+    if (changeType === 'downgrade') {
+      return this.scheduleDowngrade(record, target);
+    }
+    return this.cancelPendingChange(record);
+  }
+
+  resolveProrationDate(prorationDate) {
+    const now = Math.floor(Date.now() / 1000);
+    if (prorationDate === undefined || prorationDate === null) {
+      return now;
+    }
+
+    const date = Number(prorationDate);
+    if (!Number.isInteger(date) || date > now || now - date > PRORATION_WINDOW_SECONDS) {
+      throw new HttpError('Preview has expired, preview the change again', 409);
+    }
+    return date;
+  }
+
+  async upgrade(record, target, prorationDate) {
+    // An upgrade replaces any downgrade still waiting for the period to end
+    await this.releaseSchedule(record);
+
+    const item = await this.getSubscriptionItem(record);
+    const subscription = await stripe.subscriptions.update(record.stripeSubscriptionId, {
+      items: [{ id: item.id, price: target.priceId }],
+      proration_behavior: 'always_invoice',
+      proration_date: prorationDate,
+      payment_behavior: 'error_if_incomplete',
+      metadata: { planId: target.tier.id, billingCycle: target.billingCycle },
+      expand: ['latest_invoice']
+    });
+
+    await subscriptionRecords.update(record.userId, {
+      tier: target.tier.id,
+      billingCycle: target.billingCycle,
+      stripePriceId: target.priceId,
+      currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString(),
+      ...this.clearedPendingChange()
+    });
+    await subscriptionRecords.setTier(record.userId, target.tier.id);
+
+    const invoice = subscription.latest_invoice;
+    return {
+      changeType: 'upgrade',
+      planId: target.tier.id,
+      billingCycle: target.billingCycle,
+      effectiveAt: new Date(prorationDate * 1000).toISOString(),
+      amountCharged: invoice && typeof invoice === 'object' ? invoice.amount_paid / 100 : null,
+      currentPeriodEnd: new Date(subscription.current_period_end * 1000).toISOString()
+    };
+  }
+
+  // Keep the current price until the period ends, then move to the target price
+  async scheduleDowngrade(record, target) {
+    await this.releaseSchedule(record);
+
+    const schedule = await stripe.subscriptionSchedules.create({ from_subscription: record.stripeSubscriptionId });
+    const [currentPhase] = schedule.phases;
+    await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: currentPhase.items.map(item => (item.price === OVERAGE_STRIPE_PRICE_ID
+            ? { price: item.price }
+            : { price: item.price, quantity: item.quantity })),
+          start_date: currentPhase.start_date,
+          end_date: currentPhase.end_date
+        },
+        {
+          // Phases replace the subscription's items, so overage billing carries over to the new plan
+          // An organization keeps its seats
+          items: [
+            {
+              price: target.priceId,
+              quantity: currentPhase.items.find(item => item.price !== OVERAGE_STRIPE_PRICE_ID).quantity || 1
+            },
+            ...currentPhase.items
+              .filter(item => item.price === OVERAGE_STRIPE_PRICE_ID)
+              .map(item => ({ price: item.price }))
+          ],
+          iterations: 1,
+          metadata: { planId: target.tier.id, billingCycle: target.billingCycle }
+        }
+      ]
+    });
+
+    const effectiveAt = new Date(currentPhase.end_date * 1000).toISOString();
+    await subscriptionRecords.update(record.userId, {
+      pendingTier: target.tier.id,
+      pendingBillingCycle: target.billingCycle,
+      pendingChangeAt: effectiveAt,
+      stripeScheduleId: schedule.id
+    });
+
+    return {
+      changeType: 'downgrade',
+      planId: target.tier.id,
+      billingCycle: target.billingCycle,
+      effectiveAt,
+      amountCharged: 0
+    };
+  }
+
+  async cancelPendingChange(record) {
+    await this.releaseSchedule(record);
+    await subscriptionRecords.update(record.userId, this.clearedPendingChange());
+
+    return {
+      changeType: 'cancel_pending',
+      planId: record.tier,
+      billingCycle: record.billingCycle || 'monthly',
+      effectiveAt: new Date().toISOString(),
+      amountCharged: 0
+    };
+  }
+
+  // Detach the subscription from a downgrade's schedule, leaving it on its current price.
+  // Schedules whose downgrade has already started may have been released or completed by Stripe
+  async releaseSchedule(record) {
+    if (!record.stripeScheduleId) {
+      return;
+    }
+
+    const schedule = await stripe.subscriptionSchedules.retrieve(record.stripeScheduleId);
+    if (schedule.status === 'active' || schedule.status === 'not_started') {
+      await stripe.subscriptionSchedules.release(record.stripeScheduleId);
+    }
+  }
+
+  // Switch the record to its pending plan once the subscription has entered the period it starts;
+  // called for each paid invoice. Returns whether a change was applied
+  async applyPendingChange(record, stripeSubscription) {
+    if (!record.pendingTier || stripeSubscription.current_period_start < toUnixTime(record.pendingChangeAt)) {
+      return false;
+    }
+
+    const tier = getTier(record.pendingTier);
+    await subscriptionRecords.update(record.userId, {
+      tier: tier.id,
+      billingCycle: record.pendingBillingCycle,
+      stripePriceId: this.planItem(stripeSubscription).price.id,
+      currentPeriodStart: new Date(stripeSubscription.current_period_start * 1000).toISOString(),
+      pendingTier: null,
+      pendingBillingCycle: null,
+      pendingChangeAt: null
+    });
+    await subscriptionRecords.setTier(record.userId, tier.id);
+    return true;
+  }
+
+  clearedPendingChange() {
+    return { pendingTier: null, pendingBillingCycle: null, pendingChangeAt: null, stripeScheduleId: null };
+  }
+
+}
+
+module.exports = new PlanChangeService();
@@ -0,0 +1,72 @@
+const { DEFAULT_TIER_ID } = require('../config/tiers');
+const subscriptionRecords = require('./subscriptionRecords');
+
+// Index of the subscriptions table on prepaidState and currentPeriodEnd. Only records of one-time
+// payments carry prepaidState, so the index holds nothing else
+const PREPAID_INDEX = 'prepaidState-currentPeriodEnd-index';
+const CHECK_INTERVAL_MS = parseInt(process.env.PREPAID_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+// Plans paid for with a one-time PayPal order. The order pays for one billing period, after which
+// nothing renews it: once the period has ended the record expires and the account moves to the
+// free tier. Buying another period, or a subscription, replaces the record before that
+class PrepaidPlanService {
+  constructor() {
+    this.timer = null;
+  }
+
+  // Check for ended periods periodically
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.expireDue().catch(error => console.error('Prepaid plan expiry error:', error));
+    }, CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Expire every prepaid record whose period has ended
+  async expireDue(now = new Date()) {
+    const due = await subscriptionRecords.store.queryIndex(PREPAID_INDEX, 'prepaidState', 'active', {
+      upTo: { attribute: 'currentPeriodEnd', value: now.toISOString() }
+    });
+
+    const results = [];
+    for (const record of due) {
+      try {
+        results.push(await this.expire(record, now));
+      } catch (error) {
+        console.error(`Prepaid plan expiry failed for user ${record.userId}:`, error);
+        results.push({ userId: record.userId, action: 'error', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Only the record that was found expires; one replaced by a new purchase meanwhile is left alone
+  async expire(record, now) {
+    const expired = await subscriptionRecords.store.updateIf(
+      { userId: record.userId },
+      { status: 'expired', prepaidState: 'expired', updatedAt: now.toISOString() },
+      {
+        condition: 'prepaidState = :active AND currentPeriodEnd = :currentPeriodEnd',
+        values: { ':active': 'active', ':currentPeriodEnd': record.currentPeriodEnd }
+      },
+      stored => Boolean(stored) && stored.prepaidState === 'active' && stored.currentPeriodEnd === record.currentPeriodEnd
+    );
+    if (!expired) {
+      return { userId: record.userId, action: 'skipped' };
+    }
+
+    await subscriptionRecords.setTier(record.userId, DEFAULT_TIER_ID);
+    await subscriptionRecords.notifyOwner(record, 'prepaid_plan_expired', { endedAt: record.currentPeriodEnd });
+    return { userId: record.userId, action: 'expired' };
+  }
+}
+
+module.exports = new PrepaidPlanService();
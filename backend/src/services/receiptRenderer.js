@@ -0,0 +1,99 @@
+const PDFDocument = require('pdfkit');
+
+const SELLER = process.env.BILLING_COMPANY_NAME || 'NLP Converter';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatAmount = (cents, currency) => {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}${(Math.abs(cents) / 100).toFixed(2)} ${String(currency || 'usd').toUpperCase()}`;
+};
+
+// Renders invoice ledger entries as PDF documents: a receipt once paid, an invoice before that
+class ReceiptRenderer {
+  title(entry) {
+    return entry.status === 'paid' ? 'Receipt' : 'Invoice';
+  }
+
+  filename(entry) {
+    return `${this.title(entry).toLowerCase()}-${entry.number}.pdf`;
+  }
+
+  render(entry, customer = {}) {
+    return new Promise((resolve, reject) => {
+      const title = this.title(entry);
+      const doc = new PDFDocument({ margin: 50, info: { Title: `${title} ${entry.number}` } });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      doc.font('Helvetica-Bold').fontSize(20).text(SELLER);
+      doc.font('Helvetica').fontSize(16).text(title);
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(`Number: ${entry.number}`);
+      doc.text(`Date issued: ${formatDate(entry.issuedAt)}`);
+      if (entry.paidAt) {
+        doc.text(`Date paid: ${formatDate(entry.paidAt)}`);
+      }
+      if (entry.periodStart && entry.periodEnd) {
+        doc.text(`Service period: ${formatDate(entry.periodStart)} to ${formatDate(entry.periodEnd)}`);
+      }
+      doc.text(`Payment provider: ${entry.provider === 'paypal' ? 'PayPal' : 'Stripe'} (${entry.providerInvoiceId})`);
+      doc.moveDown();
+
+      doc.font('Helvetica-Bold').text('Billed to');
+      doc.font('Helvetica');
+      if (customer.name) {
+        doc.text(customer.name);
+      }
+      doc.text(customer.email || entry.userId);
+      doc.moveDown();
+
+      this.renderLines(doc, entry);
+
+      doc.end();
+    });
+  }
+
+  // Line items with the totals beneath them, amounts right-aligned
+  renderLines(doc, entry) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const amountWidth = 120;
+
+    const row = (description, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(description, left, y, { width: width - amountWidth });
+      const next = doc.y;
+      doc.text(amount, left + width - amountWidth, y, { width: amountWidth, align: 'right' });
+      doc.y = Math.max(next, doc.y);
+      doc.x = left;
+    };
+
+    const rule = () => {
+      doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+      doc.moveDown(0.3);
+    };
+
+    row('Description', 'Amount', true);
+    rule();
+    (entry.lines || []).forEach(line => row(line.description, formatAmount(line.amount, entry.currency)));
+    rule();
+    row('Subtotal', formatAmount(entry.subtotal, entry.currency));
+    if (entry.discount > 0) {
+      row('Discount', formatAmount(-entry.discount, entry.currency));
+    }
+    row('Total', formatAmount(entry.total, entry.currency), true);
+    row('Amount paid', formatAmount(entry.amountPaid || 0, entry.currency));
+    if (entry.status !== 'paid') {
+      row('Amount due', formatAmount(entry.amountDue, entry.currency), true);
+    }
+  }
+}
+
+module.exports = new ReceiptRenderer();
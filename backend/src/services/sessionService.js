@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SESSIONS_TABLE } = require('../config/aws');
+const HttpError = require('../utils/httpError');
+const { createTableStore } = require('./tableStore');
+
+// Access tokens are short-lived; the refresh token keeps a session going until it is idle this long
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// How long the refresh token a session just rotated away from still counts as a lost race (another
+// tab refreshed first) rather than reuse
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 60;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sameHash = (expected, actual) => {
+  const a = Buffer.from(expected || '', 'hex');
+  const b = Buffer.from(actual, 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Short description of the browser and OS of a user agent, e.g. "Chrome on macOS"
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  }
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+// Sign-in sessions. Each login gets a session in the sessions table, holding the hash of its
+// current refresh token. Refreshing rotates the token; presenting a token that was already rotated
+// means it was copied, so the session is revoked (reuse detection). The token rotated last is the
+// exception for REFRESH_REUSE_GRACE_SECONDS: tabs sharing it that lose the race to refresh are told
+// so (409 REFRESH_TOKEN_ROTATED) and pick up the winner's tokens. Access tokens name their session,
+// and are refused once it is revoked. Stored by SESSION_STORE_DRIVER
+class SessionService {
+  constructor() {
+    this.store = createTableStore(SESSIONS_TABLE, 'SESSION_STORE_DRIVER');
+  }
+
+  async get(sessionId) {
+    return this.store.get({ id: sessionId });
+  }
+
+  async save(session) {
+    return this.store.put(session);
+  }
+
+  async delete(sessionId) {
+    await this.store.delete({ id: sessionId });
+  }
+
+  // A user's sessions that have not expired, most recently used first
+  async listByUser(userId) {
+    const items = await this.store.queryIndex('UserIdIndex', 'userId', userId);
+    return items
+      .filter(session => !this.isExpired(session))
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+  }
+
+  isExpired(session, now = new Date()) {
+    return new Date(session.expiresAt) <= now;
+  }
+
+  // Start a session for a login from the request's device and IP; returns its tokens
+  async create(user, req) {
+    const now = new Date();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await this.save({
+      id: crypto.randomUUID(),
+      userId: user.userId,
+      email: user.email,
+      token: hashSecret(secret),
+      device: describeDevice(req.headers['user-agent']),
+      userAgent: req.headers['user-agent'] || null,
+      ip: req.ip,
+      signedInAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      ...this.expiry(now),
+      isActive: true
+    });
+    return this.issueTokens(session, secret);
+  }
+
+  expiry(now) {
+    const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+    // ttl lets DynamoDB drop sessions that were never refreshed again
+    return { expiresAt: expiresAt.toISOString(), ttl: Math.floor(expiresAt.getTime() / 1000) };
+  }
+
+  // A new access token for the session and its refresh token, <sessionId>.<secret>
+  issueTokens(session, secret) {
+    const token = jwt.sign(
+      { userId: session.userId, email: session.email, sid: session.id },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    return {
+      token,
+      refreshToken: `${session.id}.${secret}`,
+      expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+      sessionId: session.id
+    };
+  }
+
+  // Exchange a refresh token for new tokens. The old refresh token stops working; if it is
+  // presented again after the grace period, the session is revoked for everyone holding it
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    const session = sessionId && secret ? await this.get(sessionId) : null;
+    if (!session || this.isExpired(session)) {
+      throw new HttpError('Invalid or expired refresh token', 401);
+    }
+
+    const presented = hashSecret(secret);
+    if (!sameHash(session.token, presented)) {
+      throw await this.rejectRotatedToken(session, presented);
+    }
+
+    const now = new Date();
+    const nextSecret = crypto.randomBytes(32).toString('hex');
+    // Only one of the requests presenting the current token may rotate it
+    const rotated = await this.store.updateIf(
+      { id: session.id },
+      {
+        token: hashSecret(nextSecret),
+        previousToken: presented,
+        rotatedAt: now.toISOString(),
+        ip: req.ip,
+        lastUsedAt: now.toISOString(),
+        ...this.expiry(now)
+      },
+      { condition: '#token = :current', names: { '#token': 'token' }, values: { ':current': presented } },
+      stored => Boolean(stored) && stored.token === presented
+    );
+    if (!rotated) {
+      throw await this.rejectRotatedToken(await this.get(session.id), presented);
+    }
+    return this.issueTokens(rotated, nextSecret);
+  }
+
+  // Error for a refresh token that is no longer the session's current one: a request that lost the
+  // race to the one rotating it, or reuse of a copied token, which revokes the session
+  async rejectRotatedToken(session, presented) {
+    if (!session) {
+      return new HttpError('Invalid or expired refresh token', 401);
+    }
+    const rotatedAgo = Date.now() - new Date(session.rotatedAt).getTime();
+    if (sameHash(session.previousToken, presented) && rotatedAgo <= REFRESH_REUSE_GRACE_SECONDS * 1000) {
+      const error = new HttpError('Refresh token was just rotated by another request', 409);
+      error.code = 'REFRESH_TOKEN_ROTATED';
+      return error;
+    }
+
+    console.warn(`Refresh token reuse detected for session ${session.id} of user ${session.userId}, revoking it`);
+    await this.delete(session.id);
+    return new HttpError('Refresh token reuse detected. Please log in again', 401);
+  }
+
+  // Whether an access token's session is still signed in
+  async isActive(sessionId, userId) {
+    const session = await this.get(sessionId);
+    return Boolean(session && session.userId === userId && !this.isExpired(session));
+  }
+
+  async revoke(userId, sessionId) {
+    const session = await this.get(sessionId);
+    if (!session || session.userId !== userId) {
+      throw new HttpError('Session not found', 404);
+    }
+    await this.delete(sessionId);
+  }
+
+  // Log out everywhere
+  async revokeAll(userId) {
+    const sessions = await this.store.queryIndex('UserIdIndex', 'userId', userId);
+    await Promise.all(sessions.map(session => this.delete(session.id)));
+  }
+
+  // Session as shown to its user: never the token hash
+  toPublic(session, currentSessionId) {
+    return {
+      sessionId: session.id,
+      device: session.device,
+      ip: session.ip,
+      signedInAt: session.signedInAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
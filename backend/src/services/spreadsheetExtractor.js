@@ -0,0 +1,208 @@
+const ExcelJS = require('exceljs');
+const HttpError = require('../utils/httpError');
+
+// Spreadsheet MIME types accepted by the upload routes
+const SPREADSHEET_MIME_TYPES = [
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'text/csv',
+  'application/csv',
+  'text/tab-separated-values'
+];
+
+// Rows rendered per sheet when building prompt text, keeps large sheets within model limits
+const DEFAULT_MAX_PROMPT_ROWS = 500;
+
+class SpreadsheetExtractor {
+  isSpreadsheet(mimeType, fileName = '') {
+    return SPREADSHEET_MIME_TYPES.includes(mimeType) || /\.(xlsx|xls|csv|tsv)$/i.test(fileName);
+  }
+
+  // Parse a workbook into sheet -> rows -> columns
+  async extract(buffer, options = {}) {
+    const { fileName = '', mimeType } = options;
+    let sheets;
+
+    if (/\.tsv$/i.test(fileName) || mimeType === 'text/tab-separated-values') {
+      sheets = [{ name: 'Sheet1', rows: this.parseDelimited(this.decodeText(buffer), '\t') }];
+    } else if (/\.csv$/i.test(fileName) || ['text/csv', 'application/csv'].includes(mimeType)) {
+      const text = this.decodeText(buffer);
+      sheets = [{ name: 'Sheet1', rows: this.parseDelimited(text, this.detectDelimiter(text)) }];
+    } else if (this.isZip(buffer)) {
+      sheets = await this.readWorkbook(buffer);
+    } else {
+      // Browsers also report CSV files as application/vnd.ms-excel, so the name decides first
+      throw new HttpError('Excel 97-2003 (.xls) workbooks are not supported. Save the file as .xlsx or CSV', 415);
+    }
+
+    return {
+      sheets: sheets.map(({ name, rows }) => {
+        const columnCount = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        const normalizedRows = rows.map(row => {
+          const cells = row.map(cell => (cell === null || cell === undefined ? '' : String(cell).trim()));
+          while (cells.length < columnCount) {
+            cells.push('');
+          }
+          return cells;
+        });
+
+        const [headers = [], ...dataRows] = normalizedRows;
+
+        return {
+          name,
+          headers,
+          rows: dataRows,
+          rowCount: dataRows.length,
+          columnCount
+        };
+      })
+    };
+  }
+
+  // .xlsx files are zip archives
+  isZip(buffer) {
+    return buffer.length > 3 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+  }
+
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheets = [];
+    workbook.eachSheet(worksheet => {
+      const rows = [];
+      // Rows without values are skipped
+      worksheet.eachRow(row => {
+        const cells = Array.from({ length: row.values.length - 1 }, (value, index) => this.cellText(row.values[index + 1]));
+        if (cells.some(cell => cell !== '')) {
+          rows.push(cells);
+        }
+      });
+      sheets.push({ name: worksheet.name, rows });
+    });
+    return sheets;
+  }
+
+  // Text of an ExcelJS cell value: formulas give their result, dates their ISO date
+  cellText(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.substring(0, 10) : iso;
+    }
+    if (typeof value === 'object') {
+      if (value.richText) {
+        return value.richText.map(part => part.text).join('');
+      }
+      if ('result' in value || 'formula' in value || 'sharedFormula' in value) {
+        return this.cellText(value.result);
+      }
+      if ('text' in value) {
+        return this.cellText(value.text);
+      }
+      if (value.error) {
+        return value.error;
+      }
+    }
+    return String(value);
+  }
+
+  decodeText(buffer) {
+    return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  }
+
+  // Comma unless the header line has more semicolons, as spreadsheets in some locales export
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const count = (delimiter) => firstLine.split(delimiter).length - 1;
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  // RFC 4180 fields: quoted fields may hold delimiters, line breaks and doubled quotes
+  parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+      const char = text[index];
+
+      if (quoted) {
+        if (char === '"' && text[index + 1] === '"') {
+          field += '"';
+          index++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[index + 1] === '\n') {
+          index++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Render extracted sheets as Markdown tables the model can read
+  toPromptText(workbook, options = {}) {
+    const maxRows = options.maxRows || DEFAULT_MAX_PROMPT_ROWS;
+
+    return workbook.sheets
+      .filter(sheet => sheet.columnCount > 0)
+      .map(sheet => {
+        const lines = [`## Sheet: ${sheet.name}`, ''];
+        const headers = sheet.headers.map((header, index) => header || `Column ${index + 1}`);
+
+        lines.push(`| ${headers.map(this.escapeCell).join(' | ')} |`);
+        lines.push(`| ${headers.map(() => '---').join(' | ')} |`);
+
+        sheet.rows.slice(0, maxRows).forEach(row => {
+          lines.push(`| ${row.map(this.escapeCell).join(' | ')} |`);
+        });
+
+        if (sheet.rowCount > maxRows) {
+          lines.push('', `(${sheet.rowCount - maxRows} more rows not shown)`);
+        }
+
+        return lines.join('\n');
+      })
+      .join('\n\n');
+  }
+
+  // Sheet overview that is small enough to keep on the file record
+  summarize(workbook) {
+    return workbook.sheets.map(({ name, headers, rowCount, columnCount }) => ({
+      name,
+      headers,
+      rowCount,
+      columnCount
+    }));
+  }
+
+  escapeCell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  }
+}
+
+module.exports = new SpreadsheetExtractor();
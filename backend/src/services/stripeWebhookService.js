@@ -0,0 +1,279 @@
+const { DynamoDBService } = require('../config/aws');
+const { stripe } = require('../config/stripe');
+const { DEFAULT_TIER_ID } = require('../config/tiers');
+const HttpError = require('../utils/httpError');
+const webhookLedger = require('./webhookLedger');
+const planChangeService = require('./planChangeService');
+const dunningService = require('./dunningService');
+const invoiceLedger = require('./invoiceLedger');
+const couponService = require('./couponService');
+const subscriptionRecords = require('./subscriptionRecords');
+
+// Applies Stripe webhook events to subscription records exactly once, in order.
+// Duplicates are dropped by the webhook ledger; events older than the last one applied to a
+// subscription record, or for a subscription that has since been replaced, are recorded as stale
+class StripeWebhookService {
+  // Claim and apply a verified event; returns { status: 'duplicate' | 'applied' | 'stale' | 'ignored' }
+  async processEvent(event) {
+    const claim = await webhookLedger.claim('stripe', event);
+    if (!claim.claimed) {
+      console.log(`Skipping duplicate Stripe event ${event.id} (${claim.entry && claim.entry.status})`);
+      return { status: 'duplicate' };
+    }
+
+    return this.run(claim.entry, event);
+  }
+
+  // Re-run a dead-lettered event from its stored payload
+  async replay(eventId) {
+    const entry = await webhookLedger.get(eventId);
+    if (!entry) {
+      throw new HttpError('Event not found', 404);
+    }
+    if (entry.status !== 'failed') {
+      throw new HttpError(`Event is ${entry.status}, only failed events can be replayed`, 409);
+    }
+
+    const claim = await webhookLedger.claim(entry.provider, entry.payload);
+    if (!claim.claimed) {
+      throw new HttpError('Event is already being processed', 409);
+    }
+
+    return this.run(claim.entry, entry.payload);
+  }
+
+  async run(entry, event) {
+    try {
+      const outcome = await this.dispatch(event);
+      await webhookLedger.complete(entry, outcome);
+      return { status: outcome };
+    } catch (error) {
+      await webhookLedger.fail(entry, error);
+      throw error;
+    }
+  }
+
+  async dispatch(event) {
+    switch (event.type) {
+      case 'checkout.session.completed':
+        return this.handleCheckoutCompleted(event.data.object, event);
+
+      case 'invoice.payment_succeeded':
+        await this.recordInvoice(event.data.object);
+        return this.handlePaymentSucceeded(event.data.object, event);
+
+      case 'invoice.payment_failed':
+        await this.recordInvoice(event.data.object);
+        return this.handlePaymentFailed(event.data.object, event);
+
+      case 'invoice.finalized':
+      case 'invoice.paid':
+      case 'invoice.voided':
+      case 'invoice.marked_uncollectible':
+        return this.recordInvoice(event.data.object);
+
+      case 'customer.subscription.updated':
+        return this.handleSubscriptionUpdated(event.data.object, event);
+
+      case 'customer.subscription.deleted':
+        return this.handleSubscriptionDeleted(event.data.object, event);
+
+      default:
+        console.log(`Unhandled event type: ${event.type}`);
+        return 'ignored';
+    }
+  }
+
+  // Whether the record has already seen a later event
+  isOutdated(record, event) {
+    return Boolean(record && record.lastEventCreated && event.created < record.lastEventCreated);
+  }
+
+  // Record this event may be applied to: the user's current record for the same Stripe subscription
+  async getCurrentRecord(userId, stripeSubscriptionId, event) {
+    const record = userId && await subscriptionRecords.get(userId);
+    if (!record || record.stripeSubscriptionId !== stripeSubscriptionId || this.isOutdated(record, event)) {
+      console.log(`Skipping stale Stripe event ${event.id} (${event.type}) for subscription ${stripeSubscriptionId}`);
+      return null;
+    }
+    return record;
+  }
+
+  // Add the invoice to the owner's billing history, whether or not it is for their current subscription
+  async recordInvoice(invoice) {
+    if (!invoice.subscription) {
+      return 'ignored';
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(invoice.subscription);
+    const { userId } = stripeSubscription.metadata;
+    if (!userId) {
+      return 'ignored';
+    }
+
+    await invoiceLedger.recordStripeInvoice(invoice, userId);
+    return 'applied';
+  }
+
+  async handleCheckoutCompleted(session, event) {
+    const { userId, planId, billingCycle = 'monthly', couponCode = null } = session.metadata;
+
+    // A record written from a later event (e.g. a newer checkout) wins
+    if (this.isOutdated(await subscriptionRecords.get(userId), event)) {
+      console.log(`Skipping stale Stripe event ${event.id} (${event.type}) for user ${userId}`);
+      return 'stale';
+    }
+
+    // Get the subscription from Stripe
+    const stripeSubscription = await stripe.subscriptions.retrieve(session.subscription);
+    const planItem = planChangeService.planItem(stripeSubscription);
+
+    // Create subscription record
+    const subscription = {
+      userId,
+      tier: planId,
+      billingCycle,
+      status: stripeSubscription.status,
+      provider: 'stripe',
+      stripeCustomerId: session.customer,
+      stripeSubscriptionId: session.subscription,
+      stripePriceId: planItem.price.id,
+      // Seats of an organization's subscription
+      seats: planItem.quantity || 1,
+      currentPeriodStart: new Date(stripeSubscription.current_period_start * 1000).toISOString(),
+      currentPeriodEnd: new Date(stripeSubscription.current_period_end * 1000).toISOString(),
+      trialEndsAt: stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000).toISOString() : null,
+      couponCode,
+      cancelAtPeriodEnd: false,
+      lastEventCreated: event.created,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, subscription);
+
+    // The discount is already on the Stripe subscription, so it is honoured even past the limit
+    if (couponCode && !(await couponService.redeem(couponCode))) {
+      console.warn(`Coupon ${couponCode} was redeemed by user ${userId} after reaching its redemption limit`);
+    }
+
+    // Update user's subscription tier
+    await subscriptionRecords.setTier(userId, planId);
+    return 'applied';
+  }
+
+  async handlePaymentSucceeded(invoice, event) {
+    const subscriptionId = invoice.subscription;
+    if (!subscriptionId) {
+      return 'ignored';
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const record = await this.getCurrentRecord(stripeSubscription.metadata.userId, subscriptionId, event);
+    if (!record) {
+      return 'stale';
+    }
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId: record.userId },
+      'SET #status = :status, currentPeriodEnd = :currentPeriodEnd, lastEventCreated = :lastEventCreated, updatedAt = :updatedAt',
+      {
+        // The zero invoice that starts a trial is paid too
+        ':status': stripeSubscription.status === 'trialing' ? 'trialing' : 'active',
+        ':currentPeriodEnd': new Date(stripeSubscription.current_period_end * 1000).toISOString(),
+        ':lastEventCreated': event.created,
+        ':updatedAt': new Date().toISOString(),
+        '#status': 'status'
+      }
+    );
+
+    // A paid invoice ends dunning and restores a plan lost when the grace period ran out
+    await dunningService.recover(record);
+
+    // A downgrade scheduled for the end of the last period starts with the renewal that pays for it
+    await planChangeService.applyPendingChange(record, stripeSubscription);
+    return 'applied';
+  }
+
+  async handlePaymentFailed(invoice, event) {
+    const subscriptionId = invoice.subscription;
+    if (!subscriptionId) {
+      return 'ignored';
+    }
+
+    const stripeSubscription = await stripe.subscriptions.retrieve(subscriptionId);
+    const record = await this.getCurrentRecord(stripeSubscription.metadata.userId, subscriptionId, event);
+    if (!record) {
+      return 'stale';
+    }
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId: record.userId },
+      'SET #status = :status, lastEventCreated = :lastEventCreated, updatedAt = :updatedAt',
+      {
+        ':status': 'past_due',
+        ':lastEventCreated': event.created,
+        ':updatedAt': new Date().toISOString(),
+        '#status': 'status'
+      }
+    );
+
+    // The paid tier is kept through the dunning grace period
+    await dunningService.begin(record, invoice);
+    return 'applied';
+  }
+
+  async handleSubscriptionUpdated(subscription, event) {
+    const record = await this.getCurrentRecord(subscription.metadata.userId, subscription.id, event);
+    if (!record) {
+      return 'stale';
+    }
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId: record.userId },
+      'SET #status = :status, currentPeriodEnd = :currentPeriodEnd, cancelAtPeriodEnd = :cancelAtPeriodEnd, seats = :seats, lastEventCreated = :lastEventCreated, updatedAt = :updatedAt',
+      {
+        ':status': subscription.status,
+        ':currentPeriodEnd': new Date(subscription.current_period_end * 1000).toISOString(),
+        ':cancelAtPeriodEnd': subscription.cancel_at_period_end,
+        // Seats can also change from the Stripe dashboard
+        ':seats': planChangeService.planItem(subscription).quantity || 1,
+        ':lastEventCreated': event.created,
+        ':updatedAt': new Date().toISOString(),
+        '#status': 'status'
+      }
+    );
+    return 'applied';
+  }
+
+  // Only the user's current subscription can downgrade them; deleting a replaced one is stale
+  async handleSubscriptionDeleted(subscription, event) {
+    const record = await this.getCurrentRecord(subscription.metadata.userId, subscription.id, event);
+    if (!record) {
+      return 'stale';
+    }
+
+    // Update subscription status
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId: record.userId },
+      'SET #status = :status, lastEventCreated = :lastEventCreated, updatedAt = :updatedAt',
+      {
+        ':status': 'canceled',
+        ':lastEventCreated': event.created,
+        ':updatedAt': new Date().toISOString(),
+        '#status': 'status'
+      }
+    );
+
+    // Downgrade user to free tier
+    await subscriptionRecords.setTier(record.userId, DEFAULT_TIER_ID);
+    await dunningService.abandon(record);
+    return 'applied';
+  }
+}
+
+module.exports = new StripeWebhookService();
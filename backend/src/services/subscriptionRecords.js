@@ -0,0 +1,75 @@
+const { DynamoDBService } = require('../config/aws');
+const { getTier } = require('../config/tiers');
+const organizationService = require('./organizationService');
+const notificationService = require('./notificationService');
+const { createTableStore } = require('./tableStore');
+
+// Attributes the subscriptions table's indexes are keyed on, besides status
+const INDEX_KEY_FIELDS = ['prepaidState', 'currentPeriodEnd', 'dunningNextActionAt'];
+
+// Subscription records, one per billing account (a user or an organization) in the subscriptions
+// table, and the plan they put the account on. Shared by the payment providers' routes and the
+// billing services. The store serves index queries and conditional writes, by SUBSCRIPTION_STORE_DRIVER
+class SubscriptionRecords {
+  constructor() {
+    this.store = createTableStore(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, 'SUBSCRIPTION_STORE_DRIVER');
+  }
+
+  async get(userId) {
+    return DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId });
+  }
+
+  // Set fields of the record, and its updatedAt. Index keys cannot hold null, so clearing one
+  // removes it instead
+  async update(userId, fields) {
+    const values = { ...fields, updatedAt: new Date().toISOString() };
+    const isRemoved = field => values[field] === null && INDEX_KEY_FIELDS.includes(field);
+    const setFields = Object.keys(values).filter(field => !isRemoved(field));
+    const removedFields = Object.keys(values).filter(isRemoved);
+
+    let updateExpression = 'SET ' + setFields.map(field => `${field} = :${field}`).join(', ');
+    if (removedFields.length > 0) {
+      updateExpression += ` REMOVE ${removedFields.join(', ')}`;
+    }
+    const expressionValues = setFields.reduce((result, field) => {
+      result[`:${field}`] = values[field];
+      return result;
+    }, {});
+
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_SUBSCRIPTIONS,
+      { userId },
+      updateExpression,
+      expressionValues
+    );
+  }
+
+  // Put the billing account on a plan
+  async setTier(userId, tier) {
+    // An organization's subscription sets the plan of the organization
+    if (organizationService.isOrganizationId(userId)) {
+      return organizationService.setTier(userId, tier);
+    }
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId },
+      'SET subscriptionTier = :subscriptionTier, updatedAt = :updatedAt',
+      {
+        ':subscriptionTier': tier,
+        ':updatedAt': new Date().toISOString()
+      }
+    );
+  }
+
+  // Email the user who pays for the record, with the plan's name
+  async notifyOwner(record, template, data = {}) {
+    const userId = await organizationService.billingUserId(record.userId);
+    const user = userId && await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+    if (!user || !user.email) {
+      return;
+    }
+    await notificationService.send(user.email, template, { planName: getTier(record.tier).shortName, ...data });
+  }
+}
+
+module.exports = new SubscriptionRecords();
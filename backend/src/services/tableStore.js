@@ -0,0 +1,246 @@
+const { dynamodb } = require('../config/aws');
+const { DynamoDBService: MockDynamoDBService } = require('../config/aws-mock');
+
+// Driver named by an environment variable: dynamodb, or mock for the aws-mock in-memory tables,
+// which is the default outside production
+const resolveStoreDriver = (variable) => (
+  process.env[variable] || (process.env.NODE_ENV === 'production' ? 'dynamodb' : 'mock')
+);
+
+// One DynamoDB table behind the operations the services need, through the DocumentClient or the
+// aws-mock tables. Conditional writes fail with ConditionalCheckFailedException either way
+class TableStore {
+  constructor(tableName, driver) {
+    this.tableName = tableName;
+    this.driver = driver;
+  }
+
+  async get(key) {
+    if (this.driver === 'mock') {
+      return MockDynamoDBService.getItem(this.tableName, key);
+    }
+    const result = await dynamodb.get({ TableName: this.tableName, Key: key }).promise();
+    return result.Item || null;
+  }
+
+  async put(item) {
+    if (this.driver === 'mock') {
+      await MockDynamoDBService.putItem(this.tableName, item);
+    } else {
+      await dynamodb.put({ TableName: this.tableName, Item: item }).promise();
+    }
+    return item;
+  }
+
+  // Put only while the stored item meets a condition: condition, names and values make the
+  // ConditionExpression, and matches(stored) is the same check for the mock tables
+  async putIf(item, { condition, names, values }, matches) {
+    if (this.driver === 'mock') {
+      await MockDynamoDBService.putItemIf(this.tableName, item, matches);
+    } else {
+      await dynamodb.put({
+        TableName: this.tableName,
+        Item: item,
+        ConditionExpression: condition,
+        ...(names ? { ExpressionAttributeNames: names } : {}),
+        ...(values ? { ExpressionAttributeValues: values } : {})
+      }).promise();
+    }
+    return item;
+  }
+
+  // Set fields only while the stored item meets a condition, given like putIf's. Returns the
+  // updated item, or null when the condition is not met
+  async updateIf(key, fields, { condition, names = {}, values = {} }, matches) {
+    try {
+      if (this.driver === 'mock') {
+        return await MockDynamoDBService.updateItemIf(this.tableName, key, fields, matches);
+      }
+
+      const fieldNames = {};
+      const fieldValues = {};
+      const assignments = Object.entries(fields).map(([field, value]) => {
+        fieldNames[`#set_${field}`] = field;
+        fieldValues[`:set_${field}`] = value;
+        return `#set_${field} = :set_${field}`;
+      });
+
+      const result = await dynamodb.update({
+        TableName: this.tableName,
+        Key: key,
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ConditionExpression: condition,
+        ExpressionAttributeNames: { ...fieldNames, ...names },
+        ExpressionAttributeValues: { ...fieldValues, ...values },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    if (this.driver === 'mock') {
+      await MockDynamoDBService.deleteItem(this.tableName, key);
+    } else {
+      await dynamodb.delete({ TableName: this.tableName, Key: key }).promise();
+    }
+  }
+
+  // Atomically add to numeric fields, creating the item if needed, and set others. With a limit,
+  // the update only applies while limitField is below it. Returns the updated item, or null when
+  // the limit has been reached
+  async increment(key, increments, { limitField, limit, set = {} } = {}) {
+    try {
+      if (this.driver === 'mock') {
+        return await MockDynamoDBService.incrementItem(this.tableName, key, increments, { limitField, limit, set });
+      }
+
+      const names = {};
+      const values = {};
+      const additions = Object.entries(increments).map(([field, value]) => {
+        names[`#${field}`] = field;
+        values[`:${field}`] = value;
+        return `#${field} :${field}`;
+      });
+      const assignments = Object.entries({ ...set, updatedAt: new Date().toISOString() }).map(([field, value]) => {
+        names[`#${field}`] = field;
+        values[`:${field}`] = value;
+        return `#${field} = :${field}`;
+      });
+
+      const params = {
+        TableName: this.tableName,
+        Key: key,
+        UpdateExpression: `ADD ${additions.join(', ')} SET ${assignments.join(', ')}`,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+      };
+
+      if (limitField && limit !== undefined) {
+        names['#limitField'] = limitField;
+        values[':limit'] = limit;
+        params.ConditionExpression = 'attribute_not_exists(#limitField) OR #limitField < :limit';
+      }
+
+      const result = await dynamodb.update(params).promise();
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Atomically add to one entry of a map field, such as a count per member, creating the map if
+  // needed. With a limit, the update only applies while the entry is below it. Returns the updated
+  // item, or null when the limit has been reached
+  async incrementEntry(key, field, entry, amount, { limit } = {}) {
+    try {
+      if (this.driver === 'mock') {
+        return await MockDynamoDBService.incrementMapEntry(this.tableName, key, field, entry, amount, { limit });
+      }
+
+      // DynamoDB only adds to entries of a map that exists
+      await dynamodb.update({
+        TableName: this.tableName,
+        Key: key,
+        UpdateExpression: 'SET #field = if_not_exists(#field, :empty)',
+        ExpressionAttributeNames: { '#field': field },
+        ExpressionAttributeValues: { ':empty': {} }
+      }).promise();
+
+      const params = {
+        TableName: this.tableName,
+        Key: key,
+        UpdateExpression: 'ADD #field.#entry :amount SET #updatedAt = :updatedAt',
+        ExpressionAttributeNames: { '#field': field, '#entry': entry, '#updatedAt': 'updatedAt' },
+        ExpressionAttributeValues: { ':amount': amount, ':updatedAt': new Date().toISOString() },
+        ReturnValues: 'ALL_NEW'
+      };
+      if (limit !== undefined) {
+        params.ExpressionAttributeValues[':limit'] = limit;
+        params.ConditionExpression = 'attribute_not_exists(#field.#entry) OR #field.#entry < :limit';
+      }
+
+      const result = await dynamodb.update(params).promise();
+      return result.Attributes;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Items of a global secondary index whose partition key has a value, and with upTo
+  // ({ attribute, value }) whose sort key is at most a value. The mock tables have no indexes and
+  // filter every item instead
+  async queryIndex(indexName, attribute, value, { descending = false, limit, upTo } = {}) {
+    if (this.driver === 'mock') {
+      return MockDynamoDBService.scanItems(this.tableName, item => item[attribute] === value &&
+        (!upTo || (item[upTo.attribute] !== undefined && item[upTo.attribute] <= upTo.value)));
+    }
+
+    const names = { '#key': attribute };
+    const values = { ':value': value };
+    let keyCondition = '#key = :value';
+    if (upTo) {
+      names['#sortKey'] = upTo.attribute;
+      values[':upTo'] = upTo.value;
+      keyCondition += ' AND #sortKey <= :upTo';
+    }
+
+    const items = [];
+    let startKey;
+    do {
+      const result = await dynamodb.query({
+        TableName: this.tableName,
+        IndexName: indexName,
+        KeyConditionExpression: keyCondition,
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ScanIndexForward: !descending,
+        ...(limit ? { Limit: limit - items.length } : {}),
+        ...(startKey ? { ExclusiveStartKey: startKey } : {})
+      }).promise();
+      items.push(...result.Items);
+      startKey = result.LastEvaluatedKey;
+    } while (startKey && (!limit || items.length < limit));
+    return items;
+  }
+
+  // Every item of the table, for small tables such as coupons and one-off jobs such as migrations.
+  // A filter given like putIf's condition limits the items returned, not the items read
+  async scan({ condition, names, values } = {}, matches = () => true) {
+    if (this.driver === 'mock') {
+      return MockDynamoDBService.scanItems(this.tableName, matches);
+    }
+
+    const items = [];
+    let startKey;
+    do {
+      const result = await dynamodb.scan({
+        TableName: this.tableName,
+        ...(condition ? { FilterExpression: condition } : {}),
+        ...(names ? { ExpressionAttributeNames: names } : {}),
+        ...(values ? { ExpressionAttributeValues: values } : {}),
+        ...(startKey ? { ExclusiveStartKey: startKey } : {})
+      }).promise();
+      items.push(...result.Items);
+      startKey = result.LastEvaluatedKey;
+    } while (startKey);
+    return items;
+  }
+}
+
+// Store of a table, its driver chosen by an environment variable such as COUPON_STORE_DRIVER
+const createTableStore = (tableName, driverVariable) => new TableStore(tableName, resolveStoreDriver(driverVariable));
+
+module.exports = { createTableStore, resolveStoreDriver, TableStore };
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { DynamoDBService } = require('../config/aws');
+const { createTableStore } = require('./tableStore');
+const HttpError = require('../utils/httpError');
+
+// Name shown for the account in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'File Drop AI';
+// How long the second step of a login may take after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Codes of the previous and next time step are accepted too, for clock drift
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+// Invalid codes in a row before the second step is locked for a while
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Fields of the twoFactor field that verifying changes, compared before each write so that concurrent
+// logins cannot undo each other's attempt counts, spent codes or lockouts
+const GUARDED_FIELDS = ['failedAttempts', 'lastUsedStep', 'lockedUntil'];
+const guardedValue = (twoFactor, field) => (twoFactor[field] === undefined ? null : twoFactor[field]);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const users = createTableStore(process.env.DYNAMODB_TABLE_USERS, 'USER_STORE_DRIVER');
+
+// RFC 4648 base32 without padding, the encoding of secrets in otpauth:// URLs
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// Secrets are stored encrypted with AES-256-GCM, under TWO_FACTOR_ENCRYPTION_KEY or else a key
+// derived from JWT_SECRET, as <iv>.<tag>.<ciphertext>
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// RFC 4226 HOTP code of a counter
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Recovery codes are compared without case, spaces or dashes, and stored as SHA-256 hashes
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+  .digest('hex');
+
+// TOTP two-factor authentication. Users enroll by scanning a secret into an authenticator app and
+// confirming a code from it, and get ten one-time recovery codes for when the app is lost. The
+// secret and the recovery code hashes are kept on the user's record, in its twoFactor field.
+// Each code works once: the time step of the last accepted code is remembered
+class TwoFactorService {
+  isEnabled(user) {
+    return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+  }
+
+  // Organizations can require two-factor authentication of the members acting for them
+  isRequiredBy(organization) {
+    return Boolean(organization && organization.requireTwoFactor);
+  }
+
+  // Start enrolling: a new secret, pending until a code from it is confirmed
+  async beginSetup(user) {
+    if (this.isEnabled(user)) {
+      throw new HttpError('Two-factor authentication is already enabled', 409);
+    }
+    const secret = base32Encode(crypto.randomBytes(20));
+    await this.save(user.userId, { enabled: false, pendingSecret: encryptSecret(secret) });
+    return { secret, otpauthUrl: this.otpauthUrl(user, secret) };
+  }
+
+  // Finish enrolling with a code from the app; returns the recovery codes, shown only this once
+  async enable(user, code) {
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+    if (this.isEnabled(user) || !pendingSecret) {
+      throw new HttpError('Start the two-factor setup first');
+    }
+    const step = this.matchStep(decryptSecret(pendingSecret), code);
+    if (step === null) {
+      throw new HttpError('Invalid verification code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await this.save(user.userId, {
+      enabled: true,
+      secret: pendingSecret,
+      recoveryCodes: hashes,
+      lastUsedStep: step,
+      failedAttempts: 0,
+      enabledAt: new Date().toISOString()
+    });
+    return codes;
+  }
+
+  // Check a second factor: a current code from the app, or an unused recovery code, which is then
+  // spent. Too many invalid codes in a row lock the second step for a while. Returns the method
+  // used and the updated twoFactor field
+  async verify(user, { code, recoveryCode }) {
+    if (!this.isEnabled(user)) {
+      throw new HttpError('Two-factor authentication is not enabled');
+    }
+    if (!code && !recoveryCode) {
+      throw new HttpError('Enter the code from your authenticator app or a recovery code');
+    }
+
+    // The attempt counts before the code is checked, so that concurrent guesses cannot outrun the lockout
+    const attempted = await this.change(user.userId, user.twoFactor, twoFactor => {
+      if (twoFactor.lockedUntil && new Date(twoFactor.lockedUntil) > new Date()) {
+        throw new HttpError(`Too many invalid codes. Try again in ${LOCKOUT_MINUTES} minutes`, 429);
+      }
+      const failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+      const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+      return {
+        ...twoFactor,
+        failedAttempts: locked ? 0 : failedAttempts,
+        lockedUntil: locked ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString() : null
+      };
+    });
+
+    const accepted = await this.change(user.userId, attempted, twoFactor => {
+      const reset = { ...twoFactor, failedAttempts: 0, lockedUntil: null };
+      if (code) {
+        const step = this.matchStep(decryptSecret(twoFactor.secret), code);
+        return step !== null && step > (twoFactor.lastUsedStep || 0) ? { ...reset, lastUsedStep: step } : null;
+      }
+      const recoveryCodes = twoFactor.recoveryCodes.filter(hash => hash !== hashRecoveryCode(recoveryCode));
+      return recoveryCodes.length < twoFactor.recoveryCodes.length ? { ...reset, recoveryCodes } : null;
+    });
+    if (!accepted) {
+      throw new HttpError(code ? 'Invalid verification code' : 'Invalid recovery code', 401);
+    }
+    return { method: code ? 'totp' : 'recovery', twoFactor: accepted };
+  }
+
+  // Replace the recovery codes, after checking a second factor
+  async regenerateRecoveryCodes(user, credentials) {
+    const { twoFactor } = await this.verify(user, credentials);
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await this.change(user.userId, twoFactor, current => ({ ...current, recoveryCodes: hashes }));
+    return codes;
+  }
+
+  // Turn two-factor authentication off, after checking a second factor
+  async disable(user, credentials) {
+    await this.verify(user, credentials);
+    await this.save(user.userId, { enabled: false, disabledAt: new Date().toISOString() });
+  }
+
+  otpauthUrl(user, secret) {
+    const label = encodeURIComponent(`${TWO_FACTOR_ISSUER}:${user.email}`);
+    const issuer = encodeURIComponent(TWO_FACTOR_ISSUER);
+    return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+  }
+
+  // Code of a base32 secret at a time, as an authenticator app shows it
+  generateCode(secret, time = Date.now()) {
+    return hotp(base32Decode(secret), Math.floor(time / 1000 / STEP_SECONDS));
+  }
+
+  // Time step whose code matches, allowing for clock drift, or null
+  matchStep(secret, code, time = Date.now()) {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+      return null;
+    }
+    const key = base32Decode(secret);
+    const current = Math.floor(time / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(candidate))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // Ten codes like ABCDE-23456, and their hashes to store
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+  }
+
+  // Signed token between the two steps of a login. Like other tokens with a purpose claim, the
+  // auth middleware refuses it as a login
+  createChallengeToken(user) {
+    return jwt.sign({ userId: user.userId, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+  }
+
+  decodeChallengeToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+      throw new HttpError('Your sign-in has expired. Please sign in again', 401);
+    }
+    if (claims.purpose !== 'two_factor') {
+      throw new HttpError('Your sign-in has expired. Please sign in again', 401);
+    }
+    return claims;
+  }
+
+  toPublic(user, required) {
+    const twoFactor = (user && user.twoFactor) || {};
+    return {
+      enabled: this.isEnabled(user),
+      enabledAt: this.isEnabled(user) ? twoFactor.enabledAt : null,
+      recoveryCodesRemaining: this.isEnabled(user) ? twoFactor.recoveryCodes.length : 0,
+      required
+    };
+  }
+
+  async save(userId, twoFactor) {
+    await DynamoDBService.updateItem(
+      process.env.DYNAMODB_TABLE_USERS,
+      { userId },
+      'SET twoFactor = :twoFactor',
+      { ':twoFactor': twoFactor }
+    );
+    return twoFactor;
+  }
+
+  // Write update(twoFactor) over the enabled twoFactor field, as long as its guarded fields and
+  // recovery codes are still those update was given; otherwise read it again and retry. Returns
+  // the written field, or null when update returns null
+  async change(userId, twoFactor, update) {
+    let current = twoFactor;
+    for (;;) {
+      const next = update(current);
+      if (!next) {
+        return null;
+      }
+      if (await this.saveIf(userId, current, next)) {
+        return next;
+      }
+
+      const stored = await users.get({ userId });
+      if (!this.isEnabled(stored)) {
+        throw new HttpError('Two-factor authentication is not enabled');
+      }
+      current = stored.twoFactor;
+    }
+  }
+
+  async saveIf(userId, previous, twoFactor) {
+    const names = { '#twoFactor': 'twoFactor', '#recoveryCodes': 'recoveryCodes' };
+    const values = { ':enabled': true, ':recoveryCodeCount': previous.recoveryCodes.length };
+    const conditions = ['#twoFactor.enabled = :enabled', 'size(#twoFactor.#recoveryCodes) = :recoveryCodeCount'];
+    GUARDED_FIELDS.forEach(field => {
+      names[`#${field}`] = field;
+      if (guardedValue(previous, field) === null) {
+        conditions.push(`(attribute_not_exists(#twoFactor.#${field}) OR #twoFactor.#${field} = :${field}Null)`);
+        values[`:${field}Null`] = null;
+      } else {
+        conditions.push(`#twoFactor.#${field} = :${field}`);
+        values[`:${field}`] = previous[field];
+      }
+    });
+    previous.recoveryCodes.forEach((hash, index) => {
+      conditions.push(`contains(#twoFactor.#recoveryCodes, :recoveryCode${index})`);
+      values[`:recoveryCode${index}`] = hash;
+    });
+
+    return users.updateIf(
+      { userId },
+      { twoFactor },
+      { condition: conditions.join(' AND '), names, values },
+      stored => this.isEnabled(stored) &&
+        GUARDED_FIELDS.every(field => guardedValue(stored.twoFactor, field) === guardedValue(previous, field)) &&
+        stored.twoFactor.recoveryCodes.length === previous.recoveryCodes.length &&
+        previous.recoveryCodes.every(hash => stored.twoFactor.recoveryCodes.includes(hash))
+    );
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,106 @@
+const { v4: uuidv4 } = require('uuid');
+const { AI_USAGE_TABLE } = require('../config/aws');
+const { createTableStore } = require('./tableStore');
+
+// Counters are kept a little past the end of their period, events for 90 days
+const DAY_TTL_SECONDS = 2 * 24 * 60 * 60;
+const MONTH_TTL_SECONDS = 35 * 24 * 60 * 60;
+const EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Per-user AI usage: one event item per model call plus daily and monthly counter items.
+// Stored by USAGE_STORE_DRIVER
+class UsageStore {
+  constructor() {
+    this.store = createTableStore(AI_USAGE_TABLE, 'USAGE_STORE_DRIVER');
+  }
+
+  // Counter sort keys, day is YYYY-MM-DD and month is YYYY-MM (UTC)
+  dayPeriod(day = new Date().toISOString().split('T')[0]) {
+    return `day#${day}`;
+  }
+
+  monthPeriod(month = new Date().toISOString().substring(0, 7)) {
+    return `month#${month}`;
+  }
+
+  expiresAt(ttlSeconds) {
+    return Math.floor(Date.now() / 1000) + ttlSeconds;
+  }
+
+  // Atomically add to a counter item. With a limit, the update only applies while
+  // limitField is below it; returns null when the limit has been reached
+  async increment(userId, period, increments, options) {
+    return this.store.increment({ userId, period }, increments, options);
+  }
+
+  async getCounters(userId, period) {
+    const item = await this.store.get({ userId, period });
+    return {
+      requests: (item && item.requests) || 0,
+      inputTokens: (item && item.inputTokens) || 0,
+      outputTokens: (item && item.outputTokens) || 0,
+      cost: (item && item.cost) || 0
+    };
+  }
+
+  // Reserve one request against the daily and monthly limits before a model call.
+  // Both counters are checked and incremented atomically, so concurrent requests cannot overshoot
+  async reserveRequest(userId, { dailyLimit, monthlyLimit, tier }) {
+    const day = this.dayPeriod();
+    const month = this.monthPeriod();
+
+    const daily = await this.increment(userId, day, { requests: 1 }, {
+      limitField: 'requests',
+      limit: dailyLimit,
+      set: { tier, ttl: this.expiresAt(DAY_TTL_SECONDS) }
+    });
+    if (!daily) {
+      return { reserved: false, reason: 'daily', daily: await this.getCounters(userId, day), monthly: await this.getCounters(userId, month) };
+    }
+
+    const monthly = await this.increment(userId, month, { requests: 1 }, {
+      limitField: 'requests',
+      limit: monthlyLimit,
+      set: { tier, ttl: this.expiresAt(MONTH_TTL_SECONDS) }
+    });
+    if (!monthly) {
+      // Give the daily slot back
+      await this.increment(userId, day, { requests: -1 });
+      return { reserved: false, reason: 'monthly', daily: await this.getCounters(userId, day), monthly: await this.getCounters(userId, month) };
+    }
+
+    return { reserved: true, day, month, daily, monthly };
+  }
+
+  // Undo a reservation when the model call fails
+  async releaseRequest(userId, reservation) {
+    await this.increment(userId, reservation.day, { requests: -1 });
+    await this.increment(userId, reservation.month, { requests: -1 });
+  }
+
+  // Store a usage event and add its tokens and cost to the reserved period counters
+  async recordEvent(userId, event, reservation = {}) {
+    const timestamp = new Date().toISOString();
+    const item = {
+      userId,
+      period: `event#${timestamp}#${uuidv4()}`,
+      timestamp,
+      ...event,
+      ttl: this.expiresAt(EVENT_TTL_SECONDS)
+    };
+
+    await this.store.put(item);
+
+    const totals = {
+      inputTokens: event.inputTokens || 0,
+      outputTokens: event.outputTokens || 0,
+      cost: event.cost || 0
+    };
+    await this.increment(userId, reservation.day || this.dayPeriod(), totals);
+    await this.increment(userId, reservation.month || this.monthPeriod(), totals);
+
+    return item;
+  }
+}
+
+module.exports = new UsageStore();
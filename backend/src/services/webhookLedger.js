@@ -0,0 +1,120 @@
+const { WEBHOOK_EVENTS_TABLE } = require('../config/aws');
+const { createTableStore } = require('./tableStore');
+
+// Entries are kept for 90 days, well past Stripe's 3 day retry window
+const EVENT_TTL_SECONDS = 90 * 24 * 60 * 60;
+// A claim still "processing" after this long belongs to a crashed worker and may be taken over
+const PROCESSING_TIMEOUT_MS = parseInt(process.env.WEBHOOK_PROCESSING_TIMEOUT_MS, 10) || 5 * 60 * 1000;
+
+// Processed-events ledger for payment provider webhooks, keyed by event id.
+// Each event is claimed once; events whose handler throws stay in the ledger as dead letters
+// (status "failed") until a provider retry or an admin replay processes them.
+// Stored by WEBHOOK_LEDGER_DRIVER
+class WebhookLedger {
+  constructor() {
+    this.store = createTableStore(WEBHOOK_EVENTS_TABLE, 'WEBHOOK_LEDGER_DRIVER');
+  }
+
+  async get(eventId) {
+    return this.store.get({ eventId });
+  }
+
+  async save(entry) {
+    return this.store.put({ ...entry, updatedAt: new Date().toISOString() });
+  }
+
+  // Put entry only while the stored one is missing or, when expected is given, still matches it
+  async putIf(entry, expected) {
+    const matches = (stored) => expected
+      ? stored && stored.status === expected.status && stored.claimedAt === expected.claimedAt
+      : !stored;
+
+    try {
+      await this.store.putIf(entry, expected ? {
+        condition: '#status = :status AND claimedAt = :claimedAt',
+        names: { '#status': 'status' },
+        values: { ':status': expected.status, ':claimedAt': expected.claimedAt }
+      } : { condition: 'attribute_not_exists(eventId)' }, matches);
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Claim an event for processing. New events and dead letters can be claimed, as can claims
+  // abandoned mid-processing; returns { claimed: false, entry } for events already handled or in flight
+  async claim(provider, event) {
+    const now = new Date();
+    const entry = {
+      eventId: event.id,
+      provider,
+      type: event.type,
+      created: event.created,
+      status: 'processing',
+      attempts: 1,
+      payload: event,
+      receivedAt: now.toISOString(),
+      claimedAt: now.toISOString(),
+      ttl: Math.floor(now.getTime() / 1000) + EVENT_TTL_SECONDS
+    };
+
+    if (await this.putIf(entry)) {
+      return { claimed: true, entry };
+    }
+
+    const existing = await this.get(event.id);
+    const abandoned = existing && existing.status === 'processing' &&
+      now.getTime() - new Date(existing.claimedAt).getTime() > PROCESSING_TIMEOUT_MS;
+
+    if (!existing || (existing.status !== 'failed' && !abandoned)) {
+      return { claimed: false, entry: existing };
+    }
+
+    const retry = {
+      ...existing,
+      status: 'processing',
+      attempts: (existing.attempts || 1) + 1,
+      claimedAt: now.toISOString()
+    };
+    delete retry.updatedAt;
+
+    if (await this.putIf(retry, existing)) {
+      return { claimed: true, entry: retry };
+    }
+    return { claimed: false, entry: await this.get(event.id) };
+  }
+
+  // Record the handler's outcome: "applied", or "stale" when ordering checks skipped the event
+  async complete(entry, outcome) {
+    return this.save({
+      ...entry,
+      status: 'processed',
+      outcome,
+      error: null,
+      processedAt: new Date().toISOString()
+    });
+  }
+
+  // Move a claimed event to the dead letters
+  async fail(entry, error) {
+    return this.save({
+      ...entry,
+      status: 'failed',
+      error: error.message,
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  // Failed events, most recent first
+  async listDeadLetters(limit = 50) {
+    const items = await this.store.queryIndex('status-index', 'status', 'failed', { descending: true, limit });
+    return items
+      .sort((a, b) => (b.failedAt || '').localeCompare(a.failedAt || ''))
+      .slice(0, limit);
+  }
+}
+
+module.exports = new WebhookLedger();
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const HttpError = require('../utils/httpError');
+
+// Addresses webhooks may not reach: private networks, loopback, link-local (including the
+// 169.254.169.254 instance metadata service) and other reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Delivers signed event notifications to user-configured webhook URLs
+class WebhookService {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 3;
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS, 10) || 1000;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  // Only absolute http(s) URLs are accepted
+  isValidUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:'].includes(parsed.protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  // Resolve the host of a webhook URL to the address deliveries connect to. Rejects URLs that are
+  // not http(s) or whose host resolves to any address that is not public
+  async resolveTarget(url) {
+    if (!this.isValidUrl(url)) {
+      throw new HttpError('A valid http(s) webhook URL is required', 400);
+    }
+
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname, family: net.isIP(hostname) }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new HttpError('The webhook host could not be resolved', 400);
+    }
+
+    if (addresses.length === 0 || !addresses.every(({ address }) => this.isPublicAddress(address))) {
+      throw new HttpError('Webhook URLs must point to a public address', 400);
+    }
+    return addresses[0];
+  }
+
+  // POST to the resolved address, so the host cannot resolve elsewhere between the check and the
+  // connection. Redirects are not followed
+  post(url, { address, family }, headers, body) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.timeout,
+        lookup: (hostname, options, callback) => (
+          options.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+        )
+      }, response => {
+        response.resume();
+        resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeout}ms`)));
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  // HMAC-SHA256 over "<timestamp>.<body>", verified by receivers with their webhook secret
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async deliver(url, secret, eventType, data) {
+    const body = JSON.stringify({
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+
+      try {
+        // Checked on every attempt since the host may have been repointed since it was saved
+        const target = await this.resolveTarget(url);
+        const response = await this.post(url, target, {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': eventType,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+        }, body);
+
+        if (response.ok) {
+          return { success: true, attempts: attempt, status: response.status };
+        }
+
+        console.warn(`Webhook ${eventType} to ${url} returned ${response.status} (attempt ${attempt})`);
+      } catch (error) {
+        console.warn(`Webhook ${eventType} to ${url} failed (attempt ${attempt}):`, error.message);
+        // A URL that is not allowed stays that way, so it is not retried
+        if (error.statusCode) {
+          return { success: false, attempts: attempt, error: error.message };
+        }
+      }
+
+      if (attempt < this.maxAttempts) {
+        // Exponential backoff: 1s, 2s, 4s...
+        await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
+      }
+    }
+
+    return { success: false, attempts: this.maxAttempts };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,11 @@
+// Error with the HTTP status the routes should answer with. Routes check error.statusCode and
+// answer with it and the message; anything else is a 500
+class HttpError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = HttpError;
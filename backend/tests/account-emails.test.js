@@ -0,0 +1,166 @@
+/**
+ * Test suite for email verification, password reset and the mail transports
+ */
+
+process.env.JWT_SECRET = 'account-emails-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/server');
+const { emailedToken, silenceConsole } = require('./helpers');
+const notificationService = require('../src/services/notificationService');
+const { FileTransport, SmtpTransport } = require('../src/services/mailTransport');
+
+const PASSWORD = 'Str0ng!Pass';
+
+// Token in the last link of a template sent to an address
+const registerAndVerify = async (email) => {
+    await request(app).post('/api/auth/register').send({ email, password: PASSWORD, name: 'Mail Tester' }).expect(201);
+    const verified = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: emailedToken(email, 'verify_email') })
+        .expect(200);
+    return verified.body;
+};
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+describe('Account emails', () => {
+    beforeEach(() => {
+        notificationService.sent = [];
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should require a verified email address before signing in', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'verify-me@example.com', password: PASSWORD, name: 'Mail Tester' })
+            .expect(201);
+        expect(registered.body).toMatchObject({ verificationRequired: true });
+        expect(registered.body).not.toHaveProperty('token');
+
+        const refused = await login('verify-me@example.com', PASSWORD).expect(403);
+        expect(refused.body.code).toBe('EMAIL_NOT_VERIFIED');
+        await request(app).post('/api/auth/register').send({ email: 'verify-me@example.com', password: PASSWORD, name: 'Again' }).expect(400);
+
+        // Resending answers the same for unknown addresses, without sending anything
+        const resent = await request(app).post('/api/auth/verify-email/resend').send({ email: 'verify-me@example.com' }).expect(200);
+        const unknown = await request(app).post('/api/auth/verify-email/resend').send({ email: 'nobody@example.com' }).expect(200);
+        expect(unknown.body.message).toBe(resent.body.message);
+        expect(notificationService.sent.map(entry => entry.to)).toEqual(['verify-me@example.com', 'verify-me@example.com']);
+
+        await request(app).post('/api/auth/verify-email').send({ token: 'not-a-token' }).expect(400);
+        const verified = await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: emailedToken('verify-me@example.com', 'verify_email') })
+            .expect(200);
+        expect(verified.body.user).toMatchObject({ email: 'verify-me@example.com', subscriptionTier: 'free' });
+        await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${verified.body.token}`).expect(200);
+
+        const signedIn = await login('verify-me@example.com', PASSWORD).expect(200);
+        expect(signedIn.body.refreshToken).toEqual(expect.any(String));
+    }, 15000);
+
+    test('should sign in only the first time a verification link is used', async () => {
+        await request(app).post('/api/auth/register').send({ email: 'verify-once@example.com', password: PASSWORD, name: 'Once' }).expect(201);
+        const token = emailedToken('verify-once@example.com', 'verify_email');
+
+        // Of two requests racing with the link, one verifies the address and signs in
+        const answers = await Promise.all([
+            request(app).post('/api/auth/verify-email').send({ token }),
+            request(app).post('/api/auth/verify-email').send({ token })
+        ]);
+        expect(answers.map(answer => answer.status).sort()).toEqual([200, 409]);
+        expect(answers.filter(answer => answer.body.token)).toHaveLength(1);
+
+        // Later uses of the link need the password
+        const reused = await request(app).post('/api/auth/verify-email').send({ token }).expect(409);
+        expect(reused.body).toEqual({ error: 'This email address is already verified. Please sign in', code: 'EMAIL_ALREADY_VERIFIED' });
+    }, 15000);
+
+    test('should reset the password once with the emailed link and sign out every session', async () => {
+        const session = await registerAndVerify('reset-me@example.com');
+
+        await request(app).post('/api/auth/forgot-password').send({ email: 'reset-me@example.com' }).expect(200);
+        const resetToken = emailedToken('reset-me@example.com', 'password_reset');
+        expect(notificationService.sent.pop().text).toContain('expires in 1 hour');
+
+        // Other tokens are not reset links, and the new password must be strong
+        const verifyToken = emailedToken('reset-me@example.com', 'verify_email');
+        await request(app).post('/api/auth/reset-password').send({ token: verifyToken, password: 'N3w!Password' }).expect(400);
+        const weak = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'weak' }).expect(400);
+        expect(weak.body.error).toBe('Password must be at least 8 characters long');
+
+        await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'N3w!Password' }).expect(200);
+        await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${session.token}`).expect(401);
+
+        const reused = await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'Other!Pass1' }).expect(400);
+        expect(reused.body.error).toBe('This link has already been used or is no longer valid');
+        await login('reset-me@example.com', PASSWORD).expect(401);
+        await login('reset-me@example.com', 'N3w!Password').expect(200);
+    }, 15000);
+
+    test('should drop mail into a directory or deliver it over SMTP', async () => {
+        const message = { from: 'noreply@example.com', to: 'reader@example.com', subject: 'Résumé ready', text: 'Line one\n.hidden line' };
+
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-drop-'));
+        await new FileTransport({ directory }).send(message);
+        const [fileName] = fs.readdirSync(directory);
+        const eml = fs.readFileSync(path.join(directory, fileName), 'utf8');
+        expect(eml).toContain('To: reader@example.com\r\n');
+        expect(eml).toContain(`Subject: =?UTF-8?B?${Buffer.from('Résumé ready').toString('base64')}?=`);
+        expect(eml).toMatch(/\r\n\r\nLine one\r\n\.hidden line$/);
+        fs.rmSync(directory, { recursive: true });
+
+        // A minimal SMTP server that accepts everything and records the dialogue
+        const received = [];
+        const server = net.createServer((socket) => {
+            let inData = false;
+            socket.write('220 test ready\r\n');
+            socket.on('data', (chunk) => {
+                received.push(chunk.toString());
+                if (inData) {
+                    if (chunk.toString().endsWith('\r\n.\r\n')) {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    return;
+                }
+                const command = chunk.toString().slice(0, 4);
+                if (command === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write(command === 'EHLO' ? '250-test\r\n250 OK\r\n' : '250 OK\r\n');
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            await new SmtpTransport({ host: '127.0.0.1', port: server.address().port }).send(message);
+        } finally {
+            server.close();
+        }
+        const dialogue = received.join('');
+        expect(dialogue).toContain('MAIL FROM:<noreply@example.com>\r\n');
+        expect(dialogue).toContain('RCPT TO:<reader@example.com>\r\n');
+        expect(dialogue).toContain('\r\n..hidden line\r\n.\r\n');
+        expect(dialogue).toMatch(/QUIT\r\n$/);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Test suite for AI usage persistence and quota enforcement
+ */
+
+const AIModelService = require('../src/services/aiModelService');
+const CostOptimizer = require('../src/services/cost-optimizer');
+const modelProviders = require('../src/services/modelProviders');
+const usageStore = require('../src/services/usageStore');
+const { silenceConsole } = require('./helpers');
+
+const encode = (body) => new TextEncoder().encode(JSON.stringify(body));
+
+// Titan response with reported usage
+const titanResponse = () => ({
+    body: encode({
+        inputTextTokenCount: 10,
+        results: [{ outputText: 'Analysis', tokenCount: 5, completionReason: 'FINISH' }]
+    })
+});
+
+describe('AI Usage Quotas', () => {
+    let service;
+    let userCounter = 0;
+    let userId;
+
+    beforeEach(() => {
+        service = new AIModelService();
+        userId = `quota-user-${++userCounter}`;
+        modelProviders.client = { send: jest.fn(async () => titanResponse()) };
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        modelProviders.client = null;
+        jest.restoreAllMocks();
+    });
+
+    test('should persist requests, tokens and cost per day and month', async () => {
+        await service.invokeModel('Some content', userId, 'free', 'basic_seo_analysis');
+
+        const today = new Date().toISOString().split('T')[0];
+        const month = today.substring(0, 7);
+        const daily = await usageStore.getCounters(userId, usageStore.dayPeriod(today));
+
+        expect(daily).toMatchObject({ requests: 1, inputTokens: 10, outputTokens: 5 });
+        expect(daily.cost).toBeGreaterThan(0);
+        expect(await service.getDailyUsage(userId, today)).toBe(1);
+        expect(await service.getMonthlyUsage(userId, month)).toBe(1);
+    });
+
+    test('should not let concurrent requests exceed the daily limit', async () => {
+        const { dailyLimit } = service.getModelConfig('free');
+
+        const results = await Promise.allSettled(
+            Array.from({ length: dailyLimit + 5 }, () => service.invokeModel('Some content', userId, 'free', 'basic_seo_analysis'))
+        );
+
+        const fulfilled = results.filter(result => result.status === 'fulfilled');
+        const rejected = results.filter(result => result.status === 'rejected');
+
+        expect(fulfilled).toHaveLength(dailyLimit);
+        expect(rejected).toHaveLength(5);
+        expect(rejected[0].reason.message).toMatch(/Usage limit exceeded/);
+        expect(modelProviders.client.send).toHaveBeenCalledTimes(dailyLimit);
+        expect(await service.getDailyUsage(userId, new Date().toISOString().split('T')[0])).toBe(dailyLimit);
+    });
+
+    test('should release the reservation when the model call fails', async () => {
+        modelProviders.client.send.mockImplementationOnce(async () => {
+            const error = new Error('Rate exceeded');
+            error.name = 'ThrottlingException';
+            throw error;
+        });
+
+        await expect(service.invokeModel('Some content', userId, 'free', 'basic_seo_analysis'))
+            .rejects.toMatchObject({ code: 'MODEL_THROTTLED' });
+
+        expect(await service.getDailyUsage(userId, new Date().toISOString().split('T')[0])).toBe(0);
+    });
+});
+
+describe('NLP request reservations', () => {
+    let optimizer;
+    let userCounter = 0;
+    let userId;
+    const today = () => usageStore.dayPeriod();
+
+    beforeEach(() => {
+        optimizer = new CostOptimizer({ redisUrl: null });
+        userId = `nlp-quota-user-${++userCounter}`;
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should not let concurrent requests exceed the daily limit', async () => {
+        // Basic allows 100 requests a day and 10 a minute
+        await usageStore.increment(userId, today(), { requests: 98 });
+
+        const checks = await Promise.all(Array.from({ length: 5 }, () => optimizer.shouldProcessRequest(userId, 'BASIC', 'textGeneration')));
+
+        expect(checks.filter(check => check.allowed)).toHaveLength(2);
+        expect(checks.filter(check => !check.allowed).map(check => check.reason)).toEqual(Array(3).fill('DAILY_LIMIT_EXCEEDED'));
+        expect((await usageStore.getCounters(userId, today())).requests).toBe(100);
+    });
+
+    test('should give back released requests and add tokens to reserved ones', async () => {
+        const released = await optimizer.shouldProcessRequest(userId, 'BASIC', 'textGeneration');
+        await optimizer.releaseRequest(userId, released.reservation);
+        expect((await usageStore.getCounters(userId, today())).requests).toBe(0);
+
+        const check = await optimizer.shouldProcessRequest(userId, 'BASIC', 'textGeneration');
+        expect(check).toMatchObject({ allowed: true, limits: { remainingDaily: 99 } });
+        await optimizer.trackUsage(userId, 'BASIC', 'textGeneration', { inputTokens: 10, outputTokens: 5 }, { totalCost: 0.01 }, check.reservation);
+
+        expect(await usageStore.getCounters(userId, today())).toMatchObject({ requests: 1, inputTokens: 10, outputTokens: 5, cost: 0.01 });
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Test suite for API keys: scopes, rotation, revocation and per-key rate limits
+ */
+
+process.env.JWT_SECRET = 'api-keys-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const apiKeyService = require('../src/services/apiKeyService');
+
+const createKey = async (token, body) => {
+    const response = await request(app)
+        .post('/api/api-keys')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body)
+        .expect(201);
+    return response.body;
+};
+
+describe('API Keys', () => {
+    beforeEach(() => {
+        apiKeyService.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should authenticate scoped keys from either header', async () => {
+        const freeToken = await createUser('api-key-free-user');
+        const refused = await request(app)
+            .post('/api/api-keys')
+            .set('Authorization', `Bearer ${freeToken}`)
+            .send({ name: 'CI', scopes: ['files:read'] })
+            .expect(403);
+        expect(refused.body.error).toBe('API access is not included in your plan');
+
+        const token = await createUser('api-key-user', { subscriptionTier: 'enterprise' });
+        await request(app)
+            .post('/api/api-keys')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'CI', scopes: ['files:admin'] })
+            .expect(400);
+
+        const created = await createKey(token, { name: 'CI', scopes: ['files:read', 'usage:read'] });
+        expect(created).toMatchObject({ name: 'CI', scopes: ['files:read', 'usage:read'], rateLimitPerMinute: 60, lastUsedAt: null });
+        expect(created.key).toMatch(/^nlpk_[0-9a-f]{16}_[0-9a-f]{48}$/);
+
+        await request(app).get('/api/files').set('X-API-Key', created.key).expect(200);
+        const usage = await request(app).get('/api/auth/usage').set('Authorization', `ApiKey ${created.key}`).expect(200);
+        expect(usage.headers['x-ratelimit-remaining']).toBe('58');
+
+        // Keys only work on routes that accept their scope
+        const unscoped = await request(app).delete('/api/files/some-file').set('X-API-Key', created.key).expect(403);
+        expect(unscoped.body.error).toBe('This API key does not have the files:delete scope');
+        const loginOnly = await request(app).get('/api/api-keys').set('X-API-Key', created.key).expect(403);
+        expect(loginOnly.body.error).toBe('API keys cannot be used for this endpoint');
+        await request(app).get('/api/files').set('X-API-Key', 'nlpk_0000_guess').expect(401);
+
+        const listed = await request(app)
+            .get('/api/api-keys')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(listed.body.keys).toHaveLength(1);
+        expect(listed.body.keys[0].lastUsedAt).not.toBeNull();
+        expect(listed.body.keys[0]).not.toHaveProperty('secretHash');
+        expect(listed.body.keys[0].preview).toBe(`nlpk_${created.keyId}_...${created.key.slice(-4)}`);
+    });
+
+    test('should stop accepting a key once it is rotated or revoked', async () => {
+        const token = await createUser('api-key-rotate-user', { subscriptionTier: 'enterprise' });
+        const created = await createKey(token, { name: 'Zapier', scopes: ['files:read'] });
+
+        const rotated = await request(app)
+            .post(`/api/api-keys/${created.keyId}/rotate`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(rotated.body.keyId).toBe(created.keyId);
+        await request(app).get('/api/files').set('X-API-Key', created.key).expect(401);
+        await request(app).get('/api/files').set('X-API-Key', rotated.body.key).expect(200);
+
+        // Another user cannot touch the key
+        const otherToken = await createUser('api-key-other-user', { subscriptionTier: 'enterprise' });
+        await request(app)
+            .delete(`/api/api-keys/${created.keyId}`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .expect(404);
+
+        await request(app)
+            .delete(`/api/api-keys/${created.keyId}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(204);
+        const revoked = await request(app).get('/api/files').set('X-API-Key', rotated.body.key).expect(401);
+        expect(revoked.body.error).toBe('Invalid or revoked API key');
+    });
+
+    test('should not bring back a key revoked or rotated while a request used it', async () => {
+        const token = await createUser('api-key-race-user', { subscriptionTier: 'enterprise' });
+        const created = await createKey(token, { name: 'Racer', scopes: ['files:read'] });
+
+        // A request verified the key, then the owner rotated it before the use was recorded
+        const verified = await apiKeyService.verify(created.key);
+        const rotated = await request(app)
+            .post(`/api/api-keys/${created.keyId}/rotate`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        await apiKeyService.recordUse(verified, '203.0.113.7');
+        await request(app).get('/api/files').set('X-API-Key', created.key).expect(401);
+
+        const beforeRevoke = await apiKeyService.verify(rotated.body.key);
+        await request(app)
+            .delete(`/api/api-keys/${created.keyId}`)
+            .set('Authorization', `Bearer ${token}`)
+            .expect(204);
+        await apiKeyService.recordUse(beforeRevoke, '203.0.113.7');
+        await request(app).get('/api/files').set('X-API-Key', rotated.body.key).expect(401);
+
+        const stored = await apiKeyService.get(created.keyId);
+        expect(stored.revokedAt).not.toBeNull();
+        expect(stored.lastUsedAt).toBeNull();
+    });
+
+    test('should rate limit each key separately', async () => {
+        const token = await createUser('api-key-limit-user', { subscriptionTier: 'enterprise' });
+        const limited = await createKey(token, { name: 'Limited', scopes: ['usage:read'], rateLimitPerMinute: 2 });
+        const other = await createKey(token, { name: 'Other', scopes: ['usage:read'] });
+
+        await request(app).get('/api/auth/usage').set('X-API-Key', limited.key).expect(200);
+        await request(app).get('/api/auth/usage').set('X-API-Key', limited.key).expect(200);
+        const throttled = await request(app).get('/api/auth/usage').set('X-API-Key', limited.key).expect(429);
+        expect(throttled.body.error).toBe('API key rate limit of 2 requests per minute exceeded');
+        expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+        await request(app).get('/api/auth/usage').set('X-API-Key', other.key).expect(200);
+    });
+});
@@ -116,6 +116,33 @@ describe('SEO NLP App', () => {
         });
     });
     
+    describe('Tier Catalog API', () => {
+        test('GET /api/tiers should return every tier in rank order', async () => {
+            const response = await request(app)
+                .get('/api/tiers')
+                .expect(200);
+            
+            expect(response.body.tiers.map(tier => tier.id)).toEqual(['free', 'basic', 'premium', 'enterprise']);
+            expect(response.body.tiers[0]).toHaveProperty('quotas');
+            expect(response.body.tiers[0]).toHaveProperty('maxFileSize');
+            expect(response.body.tiers[0].model).not.toHaveProperty('costPerToken');
+        });
+        
+        test('GET /api/tiers/:id should resolve legacy aliases', async () => {
+            const response = await request(app)
+                .get('/api/tiers/ADVANCED')
+                .expect(200);
+            
+            expect(response.body).toHaveProperty('id', 'premium');
+        });
+        
+        test('GET /api/tiers/:id should return 404 for unknown tiers', async () => {
+            await request(app)
+                .get('/api/tiers/platinum')
+                .expect(404);
+        });
+    });
+    
     describe('Error Handling', () => {
         test('Should return 404 for unknown routes', async () => {
             const response = await request(app)
@@ -0,0 +1,186 @@
+/**
+ * Test suite for the Cognito auth provider and the migration of local accounts into the pool
+ */
+
+process.env.JWT_SECRET = 'auth-provider-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+process.env.AUTH_PROVIDER = 'cognito';
+process.env.ADMIN_EMAILS = 'pool-admin@example.com';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB, with an in-memory user pool for Cognito
+jest.mock('../src/config/aws', () => {
+    const users = new Map();
+    let nextSub = 1;
+    const awsError = (code) => Object.assign(new Error(code), { code });
+    const respond = (handler) => (params) => ({ promise: async () => handler(params) });
+    const toMap = (attributes) => Object.fromEntries(attributes.map(attribute => [attribute.Name, attribute.Value]));
+    const toList = (attributes) => Object.entries(attributes).map(([Name, Value]) => ({ Name, Value }));
+    const getUser = (username) => {
+        if (!users.has(username)) {
+            throw awsError('UserNotFoundException');
+        }
+        return users.get(username);
+    };
+    const addUser = (username, password, status, attributes) => {
+        if (users.has(username)) {
+            throw awsError('UsernameExistsException');
+        }
+        const user = { password, status, attributes: { sub: `sub-${nextSub++}`, ...toMap(attributes) } };
+        users.set(username, user);
+        return user;
+    };
+
+    const cognito = {
+        users,
+        signUp: respond(({ Username, Password, UserAttributes }) => ({
+            UserSub: addUser(Username, Password, 'UNCONFIRMED', UserAttributes).attributes.sub
+        })),
+        initiateAuth: respond(({ AuthParameters }) => {
+            const user = getUser(AuthParameters.USERNAME);
+            if (user.password !== AuthParameters.PASSWORD) {
+                throw awsError('NotAuthorizedException');
+            }
+            if (user.status === 'UNCONFIRMED') {
+                throw awsError('UserNotConfirmedException');
+            }
+            return { AuthenticationResult: { AccessToken: 'access', IdToken: 'id', RefreshToken: 'refresh', ExpiresIn: 3600 } };
+        }),
+        adminCreateUser: respond(({ Username, TemporaryPassword, UserAttributes }) => {
+            const user = addUser(Username, TemporaryPassword, 'FORCE_CHANGE_PASSWORD', UserAttributes);
+            return { User: { Username, Attributes: toList(user.attributes) } };
+        }),
+        adminGetUser: respond(({ Username }) => ({ Username, UserAttributes: toList(getUser(Username).attributes) })),
+        adminSetUserPassword: respond(({ Username, Password, Permanent }) => {
+            Object.assign(getUser(Username), { password: Password, status: Permanent ? 'CONFIRMED' : 'FORCE_CHANGE_PASSWORD' });
+            return {};
+        }),
+        adminConfirmSignUp: respond(({ Username }) => {
+            const user = getUser(Username);
+            if (user.status !== 'UNCONFIRMED') {
+                throw awsError('NotAuthorizedException');
+            }
+            user.status = 'CONFIRMED';
+            return {};
+        }),
+        adminUpdateUserAttributes: respond(({ Username, UserAttributes }) => {
+            Object.assign(getUser(Username).attributes, toMap(UserAttributes));
+            return {};
+        })
+    };
+
+    return {
+        ...jest.requireActual('../src/config/aws'),
+        ...jest.requireActual('../src/config/aws-mock'),
+        cognito
+    };
+});
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../src/server');
+const { emailedToken, silenceConsole } = require('./helpers');
+const { cognito, DynamoDBService } = require('../src/config/aws');
+const notificationService = require('../src/services/notificationService');
+
+const PASSWORD = 'Str0ng!Pass';
+
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+const getUser = (email) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { email });
+
+// A local account from before the switch, with its bcrypt hash
+const createLocalUser = async (email, password) => {
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, {
+        userId: `local-${email}`,
+        email,
+        name: 'Local User',
+        password: await bcrypt.hash(password, 4),
+        subscriptionTier: 'free',
+        active: true,
+        createdAt: new Date().toISOString()
+    });
+};
+
+describe('Cognito auth provider', () => {
+    beforeEach(() => {
+        notificationService.sent = [];
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should register, verify and sign in through the user pool', async () => {
+        const registered = await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'pool-user@example.com', password: PASSWORD, name: 'Pool User' })
+            .expect(201);
+        expect(registered.body).toMatchObject({ verificationRequired: true, user: { email: 'pool-user@example.com' } });
+
+        // The pool holds the password; the users table links to it
+        const stored = await getUser('pool-user@example.com');
+        expect(stored).not.toHaveProperty('password');
+        expect(stored.cognitoSub).toBe(cognito.users.get('pool-user@example.com').attributes.sub);
+
+        const unverified = await login('pool-user@example.com', PASSWORD).expect(403);
+        expect(unverified.body.code).toBe('EMAIL_NOT_VERIFIED');
+        await login('pool-user@example.com', 'Wr0ng!Pass').expect(401);
+
+        await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: emailedToken('pool-user@example.com', 'verify_email') })
+            .expect(200);
+        expect(cognito.users.get('pool-user@example.com')).toMatchObject({ status: 'CONFIRMED', attributes: { email_verified: 'true' } });
+
+        const signedIn = await login('pool-user@example.com', PASSWORD).expect(200);
+        expect(signedIn.body).toMatchObject({ token: expect.any(String), refreshToken: expect.any(String) });
+        const profile = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${signedIn.body.token}`).expect(200);
+        expect(profile.body).toMatchObject({ email: 'pool-user@example.com', name: 'Pool User', subscriptionTier: 'free' });
+        await login('pool-user@example.com', 'Wr0ng!Pass').expect(401);
+    }, 15000);
+
+    test('should move local accounts into the pool in bulk and on their first sign-in', async () => {
+        await createLocalUser('early@example.com', 'Early!Pass1');
+        await createLocalUser('never@example.com', 'Never!Pass1');
+
+        // An admin creates the pool users in advance; the passwords stay local until sign-in
+        await request(app)
+            .post('/api/auth/register')
+            .send({ email: 'pool-admin@example.com', password: PASSWORD, name: 'Pool Admin' })
+            .expect(201);
+        const admin = await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: emailedToken('pool-admin@example.com', 'verify_email') })
+            .expect(200);
+        const migration = await request(app)
+            .post('/api/admin/users/migrate-to-cognito')
+            .set('Authorization', `Bearer ${admin.body.token}`)
+            .expect(200);
+        expect(migration.body.failed).toEqual([]);
+        expect(cognito.users.get('early@example.com').status).toBe('FORCE_CHANGE_PASSWORD');
+        expect((await getUser('early@example.com')).password).toBeDefined();
+
+        await login('early@example.com', 'Wr0ng!Pass1').expect(401);
+        await login('early@example.com', 'Early!Pass1').expect(200);
+        expect(cognito.users.get('early@example.com')).toMatchObject({ password: 'Early!Pass1', status: 'CONFIRMED' });
+        expect(await getUser('early@example.com')).not.toHaveProperty('password');
+        await login('early@example.com', 'Early!Pass1').expect(200);
+
+        // Accounts the bulk migration missed move over on sign-in too
+        await createLocalUser('late@example.com', 'Late!Pass1');
+        await login('late@example.com', 'Late!Pass1').expect(200);
+        expect((await getUser('late@example.com')).cognitoSub).toBe(cognito.users.get('late@example.com').attributes.sub);
+
+        // A password reset sets the new password in the pool
+        await request(app).post('/api/auth/forgot-password').send({ email: 'never@example.com' }).expect(200);
+        const resetToken = emailedToken('never@example.com', 'password_reset');
+        await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'N3w!Password' }).expect(200);
+        await request(app).post('/api/auth/reset-password').send({ token: resetToken, password: 'Other!Pass1' }).expect(400);
+        expect(cognito.users.get('never@example.com').password).toBe('N3w!Password');
+        await login('never@example.com', 'Never!Pass1').expect(401);
+        await login('never@example.com', 'N3w!Password').expect(200);
+    }, 30000);
+});
@@ -0,0 +1,143 @@
+/**
+ * Test suite for the local Stripe and PayPal billing simulator
+ */
+
+process.env.JWT_SECRET = 'simulator-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+
+const getUser = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+const getSubscription = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId });
+
+const startCheckout = async (token, planId) => {
+    const response = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId })
+        .expect(200);
+    return response.body.sessionId;
+};
+
+describe('Billing Simulator', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should run a Stripe subscription from checkout to cancellation', async () => {
+        const token = await createUser('stripe-lifecycle-user');
+        const sessionId = await startCheckout(token, 'premium');
+
+        const checkout = await request(app)
+            .post(`/api/simulator/stripe/checkout/${sessionId}/complete`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        expect(checkout.body.deliveries.map(delivery => delivery.status)).toEqual([200, 200, 200]);
+        expect((await getUser('stripe-lifecycle-user')).subscriptionTier).toBe('premium');
+        expect(await getSubscription('stripe-lifecycle-user')).toMatchObject({ tier: 'premium', status: 'active' });
+
+        const subscriptionId = checkout.body.subscription.id;
+
+        const renewal = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscriptionId}/renew`)
+            .send({ outcome: 'decline' })
+            .expect(200);
+
+        expect(renewal.body.deliveries.map(delivery => delivery.type)).toEqual(['invoice.payment_failed', 'customer.subscription.updated']);
+        expect((await getSubscription('stripe-lifecycle-user')).status).toBe('past_due');
+
+        await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscriptionId}/cancel`)
+            .expect(200);
+
+        expect((await getUser('stripe-lifecycle-user')).subscriptionTier).toBe('free');
+        expect((await getSubscription('stripe-lifecycle-user')).status).toBe('canceled');
+    });
+
+    test('should leave the tier unchanged when checkout is cancelled', async () => {
+        const token = await createUser('stripe-cancelled-user');
+        const sessionId = await startCheckout(token, 'basic');
+
+        const response = await request(app)
+            .post(`/api/simulator/stripe/checkout/${sessionId}/complete`)
+            .send({ outcome: 'cancel' })
+            .expect(200);
+
+        expect(response.body.session.status).toBe('expired');
+        expect((await getUser('stripe-cancelled-user')).subscriptionTier).toBe('free');
+
+        // An expired session cannot be completed later
+        await request(app)
+            .post(`/api/simulator/stripe/checkout/${sessionId}/complete`)
+            .send({ outcome: 'approve' })
+            .expect(409);
+    });
+
+    test('should reject Stripe webhooks with a forged signature', async () => {
+        const payload = JSON.stringify({ id: 'evt_forged', type: 'customer.subscription.deleted', data: { object: {} } });
+        const signature = billingSimulator.stripeWebhooks.generateTestHeaderString({ payload, secret: 'whsec_wrong' });
+
+        await request(app)
+            .post('/api/subscriptions/webhook')
+            .set('Content-Type', 'application/json')
+            .set('Stripe-Signature', signature)
+            .send(payload)
+            .expect(400);
+    });
+
+    test('should refuse to capture a declined PayPal order', async () => {
+        const token = await createUser('paypal-declined-user');
+
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic' })
+            .expect(200);
+
+        await request(app)
+            .post(`/api/simulator/paypal/orders/${order.body.orderId}/complete`)
+            .send({ outcome: 'decline' })
+            .expect(200);
+
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(402);
+
+        expect((await getUser('paypal-declined-user')).subscriptionTier).toBe('free');
+    });
+
+    test('should activate a PayPal subscription when the payer approves it', async () => {
+        const token = await createUser('paypal-approved-user');
+
+        const created = await request(app)
+            .post('/api/payments/create-subscription')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'enterprise' })
+            .expect(200);
+
+        const response = await request(app)
+            .post(`/api/simulator/paypal/subscriptions/${created.body.subscriptionId}/complete`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        expect(response.body.deliveries[0]).toMatchObject({ type: 'BILLING.SUBSCRIPTION.ACTIVATED', status: 200 });
+        expect((await getUser('paypal-approved-user')).subscriptionTier).toBe('enterprise');
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Test suite for billing history and invoice downloads
+ */
+
+process.env.JWT_SECRET = 'billing-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const billingSimulator = require('../src/services/billingSimulator');
+const invoiceLedger = require('../src/services/invoiceLedger');
+
+const listInvoices = async (token) => {
+    const response = await request(app)
+        .get('/api/billing/invoices')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    return response.body.invoices;
+};
+
+// Checkout through the simulator; returns the completed checkout
+const subscribe = async (token, planId) => {
+    const checkout = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+    return completed.body;
+};
+
+describe('Billing History', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should require authentication', async () => {
+        await request(app)
+            .get('/api/billing/invoices')
+            .expect(401);
+    });
+
+    test('should list Stripe invoices and download a receipt for them', async () => {
+        const token = await createUser('billing-stripe-user');
+        const { invoice } = await subscribe(token, 'premium');
+
+        const invoices = await listInvoices(token);
+        expect(invoices).toHaveLength(1);
+        expect(invoices[0]).toMatchObject({
+            id: `stripe_${invoice.id}`,
+            provider: 'stripe',
+            status: 'paid',
+            tier: 'premium',
+            billingCycle: 'monthly',
+            currency: 'usd',
+            total: 29.99,
+            amountPaid: 29.99
+        });
+        expect(invoices[0].number).toMatch(/^R-\d{8}-[0-9A-F]{6}$/);
+
+        const pdf = await request(app)
+            .get(`/api/billing/invoices/${invoices[0].id}/pdf`)
+            .set('Authorization', `Bearer ${token}`)
+            .buffer(true)
+            .parse((res, callback) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => callback(null, Buffer.concat(chunks)));
+            })
+            .expect(200);
+
+        expect(pdf.headers['content-type']).toBe('application/pdf');
+        expect(pdf.headers['content-disposition']).toBe(`attachment; filename="receipt-${invoices[0].number}.pdf"`);
+        expect(pdf.body.slice(0, 4).toString()).toBe('%PDF');
+    });
+
+    test('should not show one user\'s invoices to another', async () => {
+        const token = await createUser('billing-owner-user');
+        await subscribe(token, 'basic');
+        const [invoice] = await listInvoices(token);
+
+        const otherToken = await createUser('billing-other-user');
+        expect(await listInvoices(otherToken)).toEqual([]);
+
+        await request(app)
+            .get(`/api/billing/invoices/${invoice.id}`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .expect(404);
+
+        await request(app)
+            .get(`/api/billing/invoices/${invoice.id}/pdf`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .expect(404);
+    });
+
+    test('should keep a failed renewal open and mark it paid once collected', async () => {
+        const token = await createUser('billing-renewal-user');
+        const { subscription } = await subscribe(token, 'basic');
+
+        const renewal = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscription.id}/renew`)
+            .send({ outcome: 'decline' })
+            .expect(200);
+
+        let invoices = await listInvoices(token);
+        expect(invoices).toHaveLength(2);
+        const open = invoices.find(entry => entry.id === `stripe_${renewal.body.invoice.id}`);
+        expect(open).toMatchObject({ status: 'open', amountDue: 9.99, amountPaid: 0, paidAt: null });
+
+        await request(app)
+            .post(`/api/simulator/stripe/invoices/${renewal.body.invoice.id}/pay`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        invoices = await listInvoices(token);
+        const paid = invoices.find(entry => entry.id === open.id);
+        expect(paid).toMatchObject({ status: 'paid', amountPaid: 9.99, number: open.number });
+
+        // A late redelivery of the failure does not reopen it
+        await invoiceLedger.recordStripeInvoice({ ...renewal.body.invoice, status: 'open' }, 'billing-renewal-user');
+        expect((await invoiceLedger.get(open.id)).status).toBe('paid');
+    }, 15000);
+
+    test('should record a receipt for a captured PayPal order', async () => {
+        const token = await createUser('billing-paypal-user');
+
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'premium', billingCycle: 'yearly' })
+            .expect(200);
+
+        const capture = await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(200);
+
+        const invoices = await listInvoices(token);
+        expect(invoices).toHaveLength(1);
+        expect(invoices[0]).toMatchObject({
+            id: `paypal_${capture.body.captureId}`,
+            provider: 'paypal',
+            status: 'paid',
+            description: 'Premium Plan (yearly)',
+            tier: 'premium',
+            billingCycle: 'yearly',
+            total: 299.99,
+            amountPaid: 299.99
+        });
+    });
+});
@@ -5,11 +5,15 @@
 const { 
     getModelConfig, 
     calculateCost, 
+    calculateUsageCost,
     checkLimits, 
     getCacheConfig,
     getThrottleConfig,
     getTierFeatures 
 } = require('../src/config/ai-models');
+const CostOptimizer = require('../src/services/cost-optimizer');
+const usageStore = require('../src/services/usageStore');
+const { silenceConsole } = require('./helpers');
 
 describe('AI Models Configuration', () => {
     
@@ -68,6 +72,22 @@ describe('AI Models Configuration', () => {
         });
     });
     
+    describe('calculateUsageCost', () => {
+        test('should price input and output tokens separately', () => {
+            const cost = calculateUsageCost('anthropic.claude-3-haiku-20240307-v1:0', 1000, 2000);
+            
+            expect(cost.inputCost).toBeCloseTo(0.00025);
+            expect(cost.outputCost).toBeCloseTo(0.0025);
+            expect(cost.totalCost).toBeCloseTo(0.00275);
+        });
+        
+        test('should fall back to default pricing for unknown models', () => {
+            const cost = calculateUsageCost('unknown.model', 1000, 1000);
+            
+            expect(cost.totalCost).toBeCloseTo(0.018);
+        });
+    });
+    
     describe('checkLimits', () => {
         test('should return correct limits for FREE tier', () => {
             const limits = checkLimits('FREE', 5, 50);
@@ -270,3 +290,142 @@ describe('Edge Cases', () => {
         expect(cost).toBeGreaterThan(0);
     });
 });
+
+describe('Cost Optimizer', () => {
+    let optimizer;
+    let userCounter = 0;
+    let userId;
+
+    beforeEach(() => {
+        optimizer = new CostOptimizer({ redisUrl: null });
+        userId = `optimizer-user-${++userCounter}`;
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('caching', () => {
+        test('should key identical requests alike within a tier only', () => {
+            const key = optimizer.generateCacheKey('free', 'analyze', 'Some content', { language: 'en' });
+
+            expect(key).toMatch(/^nlp:cache:FREE:analyze:[0-9a-f]{64}$/);
+            expect(optimizer.generateCacheKey('FREE', 'analyze', 'Some content', { language: 'en' })).toBe(key);
+            expect(optimizer.generateCacheKey('BASIC', 'analyze', 'Some content', { language: 'en' })).not.toBe(key);
+            expect(optimizer.generateCacheKey('FREE', 'analyze', 'Some content', { language: 'de' })).not.toBe(key);
+        });
+
+        test('should serve cached results until the tier\'s TTL passes', async () => {
+            const key = optimizer.generateCacheKey('BASIC', 'analyze', 'Cached content');
+            const now = Date.now();
+            const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+            expect(await optimizer.getCachedResult(key, 'BASIC')).toBeNull();
+            await optimizer.cacheResult(key, { analysis: 'Cached' }, 'BASIC');
+            expect(await optimizer.getCachedResult(key, 'BASIC')).toEqual({ analysis: 'Cached' });
+
+            clock.mockReturnValue(now + getCacheConfig('BASIC').ttl * 1000);
+            expect(await optimizer.getCachedResult(key, 'BASIC')).toBeNull();
+            expect(optimizer.memoryCache.has(key)).toBe(false);
+            expect(optimizer.getCacheSummary()).toEqual({ hits: 1, misses: 2, requests: 3, cacheHitRate: 1 / 3 });
+        });
+
+        test('should share results without the limits and usage of the request that cached them', async () => {
+            const key = optimizer.generateCacheKey('FREE', 'analyze', 'Shared content');
+            await optimizer.cacheResult(key, {
+                analysis: 'Shared',
+                metadata: { modelUsed: 'amazon.titan-text-lite-v1', tokensUsed: 120, cost: 0.002, tier: 'FREE', timestamp: '2026-01-01T00:00:00.000Z' },
+                limits: { remainingDaily: 3 }
+            }, 'FREE');
+
+            const cached = await optimizer.getCachedResult(key, 'FREE');
+            expect(cached).toEqual({ analysis: 'Shared', metadata: { modelUsed: 'amazon.titan-text-lite-v1' } });
+
+            // Another user gets their own limits, and the request they reserved back
+            const requestCheck = await optimizer.shouldProcessRequest(userId, 'FREE', 'textGeneration');
+            const response = await optimizer.buildCachedResponse(userId, 'FREE', cached, requestCheck.reservation);
+            expect(response).toMatchObject({
+                analysis: 'Shared',
+                metadata: { modelUsed: 'amazon.titan-text-lite-v1', tokensUsed: 0, cost: 0, usageSource: 'cache', tier: 'FREE' },
+                limits: { remainingDaily: 10 },
+                cached: true,
+                tier: 'FREE'
+            });
+            expect((await optimizer.getUserUsage(userId)).daily.requests).toBe(0);
+        });
+
+        test('should neither store nor serve results when caching is disabled', async () => {
+            optimizer.config.cachingEnabled = false;
+            const key = optimizer.generateCacheKey('FREE', 'analyze', 'Uncached content');
+
+            await optimizer.cacheResult(key, { analysis: 'Uncached' }, 'FREE');
+
+            expect(optimizer.memoryCache.size).toBe(0);
+            expect(await optimizer.getCachedResult(key, 'FREE')).toBeNull();
+            expect(optimizer.getCacheSummary().requests).toBe(0);
+        });
+
+        test('should drop expired entries when optimizing resources', async () => {
+            const now = Date.now();
+            const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+            await optimizer.cacheResult('nlp:cache:ENTERPRISE:short', { analysis: 'Short' }, 'ENTERPRISE');
+            await optimizer.cacheResult('nlp:cache:FREE:long', { analysis: 'Long' }, 'FREE');
+
+            clock.mockReturnValue(now + getCacheConfig('ENTERPRISE').ttl * 1000);
+            await optimizer.optimizeResources();
+
+            expect([...optimizer.memoryCache.keys()]).toEqual(['nlp:cache:FREE:long']);
+        });
+    });
+
+    describe('budgets', () => {
+        test('should throttle requests past the tier\'s rate per use case', async () => {
+            const first = await optimizer.shouldProcessRequest(userId, 'FREE', 'textGeneration');
+            const second = await optimizer.shouldProcessRequest(userId, 'FREE', 'textGeneration');
+            const otherUseCase = await optimizer.shouldProcessRequest(userId, 'FREE', 'keywordExtraction');
+
+            expect(first).toMatchObject({ allowed: true, limits: { remainingDaily: 9 } });
+            expect(second).toMatchObject({ allowed: false, reason: 'RATE_LIMITED', retryAfter: 60 });
+            expect(second.reservation).toBeUndefined();
+            expect(otherUseCase.allowed).toBe(true);
+            expect((await optimizer.getRecentMetrics()).throttledRequests).toBe(1);
+        });
+
+        test('should only throttle requests the limits accepted', async () => {
+            await usageStore.increment(userId, usageStore.dayPeriod(), { requests: 10 });
+
+            const refused = await optimizer.shouldProcessRequest(userId, 'FREE', 'textGeneration');
+            expect(refused).toMatchObject({ allowed: false, reason: 'DAILY_LIMIT_EXCEEDED' });
+            expect(optimizer.throttleWindows.get(`${userId}:textGeneration`)).toEqual([]);
+
+            await usageStore.increment(userId, usageStore.dayPeriod(), { requests: -10 });
+            expect((await optimizer.shouldProcessRequest(userId, 'FREE', 'textGeneration')).allowed).toBe(true);
+        });
+
+        test('should sum tracked usage by tier and use case', async () => {
+            await optimizer.trackUsage(userId, 'BASIC', 'textGeneration', { inputTokens: 100, outputTokens: 50 }, { inputCost: 0.01, outputCost: 0.02, totalCost: 0.03 });
+            await optimizer.trackUsage(userId, 'BASIC', 'keywordExtraction', { inputTokens: 10, outputTokens: 5, source: 'estimate' }, { totalCost: 0.01 });
+
+            const metrics = await optimizer.getRecentMetrics();
+            expect(metrics).toMatchObject({ requests: 2, inputTokens: 110, outputTokens: 55, estimatedUsageRequests: 1 });
+            expect(metrics.totalCost).toBeCloseTo(0.04);
+            expect(metrics.byUseCase.textGeneration).toMatchObject({ requests: 1, tokens: 150 });
+            expect(metrics.byTier.BASIC.requests).toBe(2);
+
+            const usage = await optimizer.getUserUsage(userId);
+            expect(usage).toMatchObject({ tier: 'BASIC', daily: { requests: 2, inputTokens: 110, estimatedRequests: 1 }, monthly: { requests: 2 } });
+        });
+
+        test('should recommend an upgrade near the daily limit and shorter inputs for large requests', async () => {
+            await optimizer.incrementCounters(`nlp:usage:${userId}:day:${optimizer.getDayKey()}`, { requests: 8, inputTokens: 24000 }, 'FREE', 60);
+            await optimizer.incrementCounters(`nlp:usage:${userId}:month:${optimizer.getMonthKey()}`, { requests: 8, inputTokens: 24000 }, 'FREE', 60);
+
+            const recommendations = await optimizer.getCostOptimizationRecommendations(userId);
+
+            expect(recommendations.map(({ type }) => type)).toEqual(['UPGRADE_TIER', 'REDUCE_INPUT_SIZE']);
+            expect(recommendations[0].message).toBe('You have used 8 of 10 daily requests. Upgrade your plan for higher limits.');
+            expect(await optimizer.getCostOptimizationRecommendations('optimizer-idle-user')).toEqual([]);
+        });
+    });
+});
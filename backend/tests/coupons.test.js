@@ -0,0 +1,252 @@
+/**
+ * Test suite for coupons and free trials
+ */
+
+process.env.JWT_SECRET = 'coupons-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const couponService = require('../src/services/couponService');
+const mockPaypalService = require('../src/services/mockPaypalService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getSubscription = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId });
+
+const createCoupon = async (coupon) => {
+    const adminToken = await createUser('coupon-admin', { role: 'admin' });
+    const response = await request(app)
+        .post('/api/admin/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(coupon)
+        .expect(201);
+    return response.body;
+};
+
+const validate = (code, planId, billingCycle = 'monthly') => request(app)
+    .post('/api/subscriptions/coupons/validate')
+    .send({ code, planId, billingCycle });
+
+describe('Coupons and Trials', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should let admins manage coupons', async () => {
+        const userToken = await createUser('coupon-regular-user');
+        await request(app)
+            .post('/api/admin/coupons')
+            .set('Authorization', `Bearer ${userToken}`)
+            .send({ code: 'NOPE', percentOff: 10 })
+            .expect(403);
+
+        const coupon = await createCoupon({ code: 'spring20', percentOff: 20, duration: 'repeating', durationInMonths: 3 });
+        expect(coupon).toMatchObject({ code: 'SPRING20', percentOff: 20, amountOff: null, timesRedeemed: 0, active: true });
+        expect(coupon.summary).toBe('20% off for 3 months');
+
+        const adminToken = await createUser('coupon-admin', { role: 'admin' });
+        await request(app)
+            .post('/api/admin/coupons')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ code: 'SPRING20', amountOff: 5 })
+            .expect(409);
+
+        const invalid = await request(app)
+            .post('/api/admin/coupons')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ code: 'BOTH', percentOff: 10, amountOff: 5 })
+            .expect(400);
+        expect(invalid.body.error).toBe('Set exactly one of percentOff or amountOff');
+
+        const updated = await request(app)
+            .patch('/api/admin/coupons/spring20')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ maxRedemptions: 100, planIds: ['premium'] })
+            .expect(200);
+        expect(updated.body).toMatchObject({ maxRedemptions: 100, planIds: ['premium'], percentOff: 20 });
+
+        // The discount itself cannot change
+        await request(app)
+            .patch('/api/admin/coupons/spring20')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ percentOff: 50 })
+            .expect(400);
+
+        const listed = await request(app)
+            .get('/api/admin/coupons')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+        expect(listed.body.coupons.map(entry => entry.code)).toContain('SPRING20');
+
+        await request(app)
+            .delete('/api/admin/coupons/spring20')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(204);
+        await request(app)
+            .get('/api/admin/coupons/spring20')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+    });
+
+    test('should share one Stripe coupon between concurrent first checkouts and keep redemptions on edit', async () => {
+        await createCoupon({ code: 'RUSH', percentOff: 10, maxRedemptions: 10 });
+        const tokens = await Promise.all(['coupon-rush-1', 'coupon-rush-2', 'coupon-rush-3'].map(userId => createUser(userId)));
+
+        await Promise.all(tokens.map(token => request(app)
+            .post('/api/subscriptions/checkout')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic', couponCode: 'RUSH' })
+            .expect(200)));
+        const stored = await couponService.get('RUSH');
+        expect(Array.from(billingSimulator.coupons.keys())).toEqual([stored.stripeCouponId]);
+
+        // An edit made with the coupon as read before a redemption does not undo it
+        await Promise.all([couponService.redeem('RUSH'), couponService.update('RUSH', { description: 'Spring rush' })]);
+        expect(await couponService.get('RUSH')).toMatchObject({ timesRedeemed: 1, description: 'Spring rush', stripeCouponId: stored.stripeCouponId });
+    }, 15000);
+
+    test('should quote discounted prices and explain why a code does not apply', async () => {
+        await createCoupon({ code: 'PREMIUM10', amountOff: 10, planIds: ['premium'] });
+        await createCoupon({ code: 'EXPIRED', percentOff: 50, expiresAt: new Date(Date.now() - DAY_MS).toISOString() });
+
+        const quote = await validate('premium10', 'premium').expect(200);
+        expect(quote.body).toMatchObject({
+            valid: true,
+            code: 'PREMIUM10',
+            originalPrice: 29.99,
+            discount: 10,
+            discountedPrice: 19.99,
+            description: '$10.00 off on the first payment'
+        });
+
+        const wrongPlan = await validate('PREMIUM10', 'basic').expect(400);
+        expect(wrongPlan.body).toEqual({ valid: false, error: 'This coupon does not apply to the Basic plan' });
+
+        expect((await validate('EXPIRED', 'basic').expect(400)).body.error).toBe('This coupon has expired');
+        await validate('UNKNOWN', 'basic').expect(404);
+    });
+
+    test('should start a trial and discount the first months of a card subscription', async () => {
+        await createCoupon({ code: 'FIRSTMONTH', percentOff: 20, duration: 'repeating', durationInMonths: 1 });
+        const token = await createUser('coupon-trial-user');
+
+        const checkout = await request(app)
+            .post('/api/subscriptions/checkout')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'premium', trial: true, couponCode: 'firstmonth' })
+            .expect(200);
+        expect(checkout.body).toMatchObject({ trialDays: 14, coupon: { code: 'FIRSTMONTH', discountedPrice: 23.99 } });
+
+        const completed = await request(app)
+            .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+        expect(completed.body.invoice).toMatchObject({ amount_paid: 0 });
+
+        const subscription = await getSubscription('coupon-trial-user');
+        expect(subscription).toMatchObject({ status: 'trialing', tier: 'premium', couponCode: 'FIRSTMONTH' });
+        expect(new Date(subscription.trialEndsAt).getTime() - Date.now()).toBeGreaterThan(13 * DAY_MS);
+        expect((await couponService.get('FIRSTMONTH')).timesRedeemed).toBe(1);
+
+        // The first payment after the trial falls in the coupon's month, the next one does not
+        const stripeSubscriptionId = completed.body.subscription.id;
+        const first = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${stripeSubscriptionId}/renew`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+        expect(first.body.invoice).toMatchObject({ subtotal: 2999, total: 2399, amount_paid: 2399 });
+        expect((await getSubscription('coupon-trial-user')).status).toBe('active');
+
+        const second = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${stripeSubscriptionId}/renew`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+        expect(second.body.invoice).toMatchObject({ total: 2999 });
+
+        // A second trial is refused
+        await request(app)
+            .post('/api/subscriptions/checkout')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic', trial: true })
+            .expect(400);
+    }, 15000);
+
+    test('should discount a PayPal order and enforce the redemption limit', async () => {
+        await createCoupon({ code: 'ONEOFF5', amountOff: 5, maxRedemptions: 1 });
+        const token = await createUser('coupon-paypal-user');
+
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic', couponCode: 'ONEOFF5', amount: 4.99 })
+            .expect(200);
+        expect(order.body).toMatchObject({ amount: '4.99', discount: '5.00' });
+
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(200);
+
+        const invoices = await request(app)
+            .get('/api/billing/invoices')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(invoices.body.invoices[0]).toMatchObject({ subtotal: 9.99, discount: 5, total: 4.99 });
+
+        expect((await couponService.get('ONEOFF5')).timesRedeemed).toBe(1);
+        const exhausted = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic', couponCode: 'ONEOFF5' })
+            .expect(400);
+        expect(exhausted.body.error).toBe('This coupon has reached its redemption limit');
+    });
+
+    test('should refuse to capture an order once its coupon has run out, without taking the payment', async () => {
+        await createCoupon({ code: 'LASTONE', amountOff: 5, maxRedemptions: 1 });
+        const firstToken = await createUser('coupon-first-payer');
+        const secondToken = await createUser('coupon-second-payer');
+
+        // Both orders are created while the coupon still has a redemption left
+        const orders = [];
+        for (const token of [firstToken, secondToken]) {
+            const order = await request(app)
+                .post('/api/payments/create-order')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ planId: 'basic', couponCode: 'LASTONE' })
+                .expect(200);
+            orders.push(order.body.orderId);
+        }
+
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${firstToken}`)
+            .send({ orderId: orders[0] })
+            .expect(200);
+        const refused = await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${secondToken}`)
+            .send({ orderId: orders[1] })
+            .expect(409);
+        expect(refused.body.error).toBe('This coupon has reached its redemption limit');
+
+        expect(mockPaypalService.orders.get(orders[1]).status).not.toBe('COMPLETED');
+        expect((await couponService.get('LASTONE')).timesRedeemed).toBe(1);
+        expect(await getSubscription('coupon-second-payer')).toBeNull();
+    }, 15000);
+});
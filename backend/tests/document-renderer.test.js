@@ -0,0 +1,111 @@
+/**
+ * Test suite for Document Renderer
+ */
+
+const documentRenderer = require('../src/services/documentRenderer');
+
+const SAMPLE_OUTPUT = `# Quarterly Report
+
+Revenue grew **12%** this quarter.
+
+| Region | Sales |
+|--------|-------|
+| North  | 1,200 |
+| South  | 950   |
+
+- Expand marketing
+- Hire support staff
+`;
+
+describe('Document Renderer', () => {
+
+    describe('resolveTargetFormat', () => {
+        test('should accept explicit formats and aliases', () => {
+            expect(documentRenderer.resolveTargetFormat('DOCX', '')).toBe('docx');
+            expect(documentRenderer.resolveTargetFormat('word', '')).toBe('docx');
+            expect(documentRenderer.resolveTargetFormat('.md', '')).toBe('markdown');
+        });
+
+        test('should throw for unsupported explicit formats', () => {
+            expect(() => {
+                documentRenderer.resolveTargetFormat('pptx', '');
+            }).toThrow('Unsupported target format: pptx');
+        });
+
+        test('should detect format from the prompt', () => {
+            expect(documentRenderer.resolveTargetFormat(undefined, 'Convert this file to Word format')).toBe('docx');
+            expect(documentRenderer.resolveTargetFormat(undefined, 'Convert to PDF format')).toBe('pdf');
+            expect(documentRenderer.resolveTargetFormat(undefined, 'Turn this into a CSV')).toBe('csv');
+        });
+
+        test('should fall back to plain text when no format is mentioned', () => {
+            expect(documentRenderer.resolveTargetFormat(undefined, 'Summarize this document')).toBe('text');
+        });
+    });
+
+    describe('render', () => {
+        test('should produce a DOCX (zip) document', async () => {
+            const output = await documentRenderer.render(SAMPLE_OUTPUT, 'docx');
+
+            expect(output.extension).toBe('docx');
+            expect(output.buffer.subarray(0, 2).toString()).toBe('PK');
+        });
+
+        test('should produce a PDF document', async () => {
+            const output = await documentRenderer.render(SAMPLE_OUTPUT, 'pdf');
+
+            expect(output.mimeType).toBe('application/pdf');
+            expect(output.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+        });
+
+        test('should produce HTML with a table', async () => {
+            const output = await documentRenderer.render(SAMPLE_OUTPUT, 'html', { title: 'Report' });
+            const html = output.buffer.toString();
+
+            expect(html).toContain('<title>Report</title>');
+            expect(html).toContain('<table>');
+            expect(html).toContain('<strong>12%</strong>');
+        });
+
+        test('should show raw HTML as text and drop unsafe link URLs', async () => {
+            const output = await documentRenderer.render([
+                '<script>alert(1)</script>',
+                '',
+                'See <img src=x onerror=alert(1)> [this](javascript:alert(1)), [that](https://example.com "Docs") and ![logo](data:image/png;base64,AA)'
+            ].join('\n'), 'html');
+            const body = output.buffer.toString().split('<body>')[1];
+
+            expect(body).not.toMatch(/<script|<img|javascript:/);
+            expect(body).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+            expect(body).toContain('See &lt;img src=x onerror=alert(1)&gt; this, ');
+            expect(body).toContain('<a href="https://example.com" title="Docs">that</a>');
+            expect(output.buffer.toString()).toContain('Content-Security-Policy');
+        });
+
+        test('should extract the first table as CSV', async () => {
+            const output = await documentRenderer.render(SAMPLE_OUTPUT, 'csv');
+
+            expect(output.buffer.toString()).toBe('Region,Sales\r\nNorth,"1,200"\r\nSouth,950\r\n');
+        });
+
+        test('should write one row per line when there is no table', async () => {
+            const output = await documentRenderer.render('first line\n\nsecond "line"', 'csv');
+
+            expect(output.buffer.toString()).toBe('first line\r\n"second ""line"""\r\n');
+        });
+
+        test('should keep cells from running as spreadsheet formulas', async () => {
+            const table = '| Name | Formula |\n| --- | --- |\n| =1+2 | @SUM(A1) |\n| +cmd | -2 |';
+            const output = await documentRenderer.render(table, 'csv');
+
+            expect(output.buffer.toString()).toBe('Name,Formula\r\n\'=1+2,\'@SUM(A1)\r\n\'+cmd,\'-2\r\n');
+        });
+
+        test('should keep Markdown output unchanged', async () => {
+            const output = await documentRenderer.render(SAMPLE_OUTPUT, 'markdown');
+
+            expect(output.buffer.toString()).toBe(SAMPLE_OUTPUT);
+            expect(output.extension).toBe('md');
+        });
+    });
+});
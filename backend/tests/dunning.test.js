@@ -0,0 +1,129 @@
+/**
+ * Test suite for the dunning workflow of past_due subscriptions
+ */
+
+process.env.JWT_SECRET = 'dunning-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const dunningService = require('../src/services/dunningService');
+const notificationService = require('../src/services/notificationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getUser = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+
+const getCurrent = async (token) => {
+    const response = await request(app)
+        .get('/api/subscriptions/current')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+    return response.body;
+};
+
+const sentTo = (userId) => notificationService.sent
+    .filter(notification => notification.to === `${userId}@example.com`)
+    .map(notification => notification.template);
+
+// Subscribe through the simulator, then decline the renewal; returns the open invoice
+const subscribeAndFailRenewal = async (token, planId) => {
+    const checkout = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+
+    const renewal = await request(app)
+        .post(`/api/simulator/stripe/subscriptions/${completed.body.subscription.id}/renew`)
+        .send({ outcome: 'decline' })
+        .expect(200);
+    return renewal.body.invoice;
+};
+
+describe('Dunning', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        notificationService.sent = [];
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should keep the paid tier during the grace period and tell the user', async () => {
+        const token = await createUser('dunning-grace-user');
+        await subscribeAndFailRenewal(token, 'premium');
+
+        const current = await getCurrent(token);
+        expect(current.status).toBe('past_due');
+        expect(current.dunning).toMatchObject({ state: 'grace_period', severity: 'warning', retries: 0 });
+        expect(new Date(current.dunning.graceEndsAt).getTime() - Date.now()).toBeGreaterThan(6 * DAY_MS);
+
+        expect((await getUser('dunning-grace-user')).subscriptionTier).toBe('premium');
+        expect(sentTo('dunning-grace-user')).toEqual(['payment_failed']);
+    });
+
+    test('should retry on schedule, downgrade when the grace period ends and restore on payment', async () => {
+        const token = await createUser('dunning-expiry-user');
+        const invoice = await subscribeAndFailRenewal(token, 'basic');
+
+        // The first scheduled retry is declined again
+        const retry = await dunningService.processDue(new Date(Date.now() + 1.5 * DAY_MS));
+        expect(retry).toContainEqual({ userId: 'dunning-expiry-user', action: 'retry_failed', retries: 1 });
+        expect((await getCurrent(token)).dunning.retries).toBe(1);
+
+        const expiry = await dunningService.processDue(new Date(Date.now() + 8 * DAY_MS));
+        expect(expiry).toContainEqual({ userId: 'dunning-expiry-user', action: 'downgraded' });
+        expect((await getUser('dunning-expiry-user')).subscriptionTier).toBe('free');
+        expect((await getCurrent(token)).dunning.state).toBe('downgraded');
+
+        // Nothing is left to do for it until it is paid
+        const later = await dunningService.processDue(new Date(Date.now() + 9 * DAY_MS));
+        expect(later.map(result => result.userId)).not.toContain('dunning-expiry-user');
+
+        // Paying the outstanding invoice later restores the plan from the webhook
+        const payment = await request(app)
+            .post(`/api/simulator/stripe/invoices/${invoice.id}/pay`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        expect(payment.body.deliveries[0]).toMatchObject({ type: 'invoice.payment_succeeded', status: 200 });
+        expect((await getUser('dunning-expiry-user')).subscriptionTier).toBe('basic');
+
+        const current = await getCurrent(token);
+        expect(current.status).toBe('active');
+        expect(current.dunning).toBeNull();
+        expect(sentTo('dunning-expiry-user')).toEqual([
+            'payment_failed', 'payment_reminder', 'subscription_downgraded', 'payment_recovered'
+        ]);
+    }, 15000);
+
+    test('should end dunning when a scheduled retry succeeds', async () => {
+        const token = await createUser('dunning-retry-user');
+        const invoice = await subscribeAndFailRenewal(token, 'premium');
+
+        // The payer has fixed their card before the retry
+        billingSimulator.customers.get(invoice.customer).card_declines = false;
+
+        const results = await dunningService.processDue(new Date(Date.now() + 1.5 * DAY_MS));
+        expect(results).toContainEqual({ userId: 'dunning-retry-user', action: 'recovered', retries: 1 });
+
+        expect((await getUser('dunning-retry-user')).subscriptionTier).toBe('premium');
+        expect((await getCurrent(token)).dunning).toBeNull();
+    });
+});
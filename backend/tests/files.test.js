@@ -0,0 +1,78 @@
+/**
+ * Test suite for file conversions and downloads of their output
+ */
+
+process.env.JWT_SECRET = 'files-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const documentRenderer = require('../src/services/documentRenderer');
+const modelProviders = require('../src/services/modelProviders');
+
+const now = new Date();
+const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+const conversionsThisMonth = async (userId) => {
+    const usage = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USAGE || 'user-usage', { userId, monthKey });
+    return usage ? usage.conversions : 0;
+};
+
+describe('File conversions', () => {
+    beforeEach(() => {
+        silenceConsole();
+        jest.spyOn(modelProviders, 'invoke').mockResolvedValue({ text: '# Summary', modelId: 'anthropic.claude-3-sonnet-20240229-v1:0' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const convert = (token, fileName) => request(app)
+        .post('/api/files/convert')
+        .set('Authorization', `Bearer ${token}`)
+        .field('prompt', 'Summarize')
+        .field('targetFormat', 'markdown')
+        .attach('file', Buffer.from('Some notes'), { filename: fileName, contentType: 'text/plain' });
+
+    test('should count a conversion and download its file under its name', async () => {
+        const token = await createUser('files-download-user');
+
+        const converted = await convert(token, 'Résumé "final".txt').expect(200);
+
+        expect(converted.body.fileName).toBe('Résumé "final".md');
+        expect(converted.body.result).toBe('# Summary');
+        expect(modelProviders.invoke).toHaveBeenCalledWith(expect.objectContaining({ prompt: 'Summarize\n\nContent to transform:\nSome notes' }));
+        expect(await conversionsThisMonth('files-download-user')).toBe(1);
+
+        const download = await request(app).get(converted.body.downloadUrl).expect(200);
+        expect(download.headers['content-disposition']).toBe(
+            'attachment; filename="R_sum_ _final_.md"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9%20%22final%22.md'
+        );
+    });
+
+    test('should report a conversion whose file cannot be rendered, without counting it', async () => {
+        const token = await createUser('files-render-error-user');
+        jest.spyOn(documentRenderer, 'render').mockRejectedValue(new Error('Renderer crashed'));
+
+        const response = await convert(token, 'notes.txt').expect(500);
+
+        expect(response.body.error).toBe('Failed to produce the markdown file');
+        expect(await conversionsThisMonth('files-render-error-user')).toBe(0);
+    });
+
+    test('should fail a conversion the model could not process, without counting it', async () => {
+        const token = await createUser('files-ai-error-user');
+        modelProviders.invoke.mockRejectedValue(new Error('Model unavailable'));
+
+        const response = await convert(token, 'notes.txt').expect(502);
+
+        expect(response.body.error).toBe('AI processing is temporarily unavailable. Please try again.');
+        expect(await conversionsThisMonth('files-ai-error-user')).toBe(0);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Test suite for the identity of the /api/nlp endpoints: logins, API keys and guest mode
+ */
+
+process.env.JWT_SECRET = 'guest-mode-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+process.env.GUEST_RATE_LIMIT = '3';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+
+describe('NLP identity', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        delete process.env.GUEST_MODE;
+        jest.restoreAllMocks();
+    });
+
+    test('should take the tier from the login and ignore x-user-tier headers', async () => {
+        const guest = await request(app)
+            .get('/api/user/usage')
+            .set('x-user-tier', 'ENTERPRISE')
+            .set('x-user-id', 'someone-else')
+            .expect(200);
+        expect(guest.body).toMatchObject({ tier: 'FREE', guest: true });
+
+        const token = await createUser('nlp-enterprise-user', { subscriptionTier: 'enterprise' });
+        const user = await request(app)
+            .get('/api/user/usage')
+            .set('Authorization', `Bearer ${token}`)
+            .set('x-user-tier', 'FREE')
+            .expect(200);
+        expect(user.body).toMatchObject({ tier: 'ENTERPRISE', guest: false });
+
+        // Bad credentials are refused rather than treated as a guest
+        await request(app).get('/api/user/usage').set('Authorization', 'Bearer not-a-token').expect(403);
+        await request(app).post('/api/nlp/analyze').set('X-API-Key', 'nlpk_missing_key').send({ content: 'Hi' }).expect(401);
+    });
+
+    test('should limit guests to the free plan and their own rate limit', async () => {
+        const refused = await request(app)
+            .post('/api/nlp/transform')
+            .set('x-user-tier', 'PRO')
+            .send({ content: 'Some content' })
+            .expect(403);
+        expect(refused.body).toMatchObject({ code: 'FEATURE_NOT_AVAILABLE', tier: 'FREE' });
+
+        // The first test used one of the three guest requests
+        await request(app).post('/api/nlp/transform').send({ content: 'Some content' }).expect(403);
+        const limited = await request(app).post('/api/nlp/analyze').send({ content: 'Some content' }).expect(429);
+        expect(limited.body.code).toBe('GUEST_RATE_LIMITED');
+
+        // Signed-in users are not counted against the guest limit
+        const token = await createUser('nlp-premium-user', { subscriptionTier: 'premium' });
+        const transformed = await request(app)
+            .post('/api/nlp/transform')
+            .set('Authorization', `Bearer ${token}`)
+            .send({})
+            .expect(400);
+        expect(transformed.body.code).toBe('MISSING_CONTENT');
+
+        process.env.GUEST_MODE = 'disabled';
+        await request(app).get('/api/user/usage').expect(401);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Fixtures shared by the route test suites
+ */
+
+// Factory for jest.mock('../src/config/aws'): the real module, with the aws-mock in-memory
+// DynamoDB and S3 in place of the AWS ones
+const mockAws = () => ({
+    ...jest.requireActual('../src/config/aws'),
+    ...jest.requireActual('../src/config/aws-mock')
+});
+
+// A free user with a login token for a new session, without going through registration
+const createUser = async (userId, fields = {}) => {
+    // Required here, so that test files get the mocked module
+    const { DynamoDBService } = require('../src/config/aws');
+    await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USERS, {
+        userId,
+        email: `${userId}@example.com`,
+        subscriptionTier: 'free',
+        active: true,
+        ...fields
+    });
+    const sessionService = require('../src/services/sessionService');
+    const { token } = await sessionService.create({ userId, email: `${userId}@example.com` }, { headers: {}, ip: '127.0.0.1' });
+    return token;
+};
+
+// Token of the last link of a template emailed to an address, or undefined when there is none
+const emailedToken = (email, template) => {
+    const notificationService = require('../src/services/notificationService');
+    const message = notificationService.sent.filter(entry => entry.to === email && entry.template === template).pop();
+    return message && message.text.match(/token=([\w.-]+)/)[1];
+};
+
+// Keep the routes' logging out of the test output; jest.restoreAllMocks() brings it back
+const silenceConsole = () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+};
+
+module.exports = { mockAws, createUser, emailedToken, silenceConsole };
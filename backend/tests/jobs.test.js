@@ -0,0 +1,397 @@
+/**
+ * Test suite for conversion jobs, the job queue and job webhooks
+ */
+
+process.env.JWT_SECRET = 'jobs-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService, ORGANIZATIONS_TABLE } = require('../src/config/aws');
+const conversionService = require('../src/services/conversionService');
+const conversionUsageService = require('../src/services/conversionUsageService');
+const jobQueue = require('../src/services/jobQueue');
+const webhookService = require('../src/services/webhookService');
+
+const USAGE_TABLE = process.env.DYNAMODB_TABLE_USAGE || 'user-usage';
+
+const getJob = (jobId) => DynamoDBService.getItem('seo-nlp-files', { fileId: jobId });
+
+const createJob = async (userId, fields = {}) => {
+    const jobId = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+    await DynamoDBService.putItem('seo-nlp-files', {
+        fileId: jobId,
+        userId,
+        originalName: 'notes.txt',
+        mimeType: 'text/plain',
+        s3Key: `files/${userId}/${jobId}/original_notes.txt`,
+        prompt: 'Summarize',
+        targetFormat: 'txt',
+        status: 'processing',
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        ...fields
+    });
+    return jobId;
+};
+
+// Wait until a job is no longer processing
+const waitForJob = async (jobId) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const job = await getJob(jobId);
+        if (job.status !== 'processing') {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${jobId} did not finish`);
+};
+
+const resolveTo = (address) => jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address, family: 4 }]);
+
+describe('Job webhooks', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each([
+        'http://127.0.0.1/hook',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://10.0.0.5/hook',
+        'http://192.168.1.1/hook',
+        'http://0x7f000001/hook',
+        'http://[::1]/hook',
+        'http://[::ffff:127.0.0.1]/hook',
+        'http://[fe80::1]/hook'
+    ])('should refuse to save %s', async (url) => {
+        const token = await createUser('webhook-blocked-user');
+
+        const response = await request(app)
+            .put('/api/jobs/webhook')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url })
+            .expect(400);
+
+        expect(response.body.error).toBe('Webhook URLs must point to a public address');
+        expect((await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: 'webhook-blocked-user' })).webhookUrl).toBeUndefined();
+    });
+
+    test('should refuse hosts that resolve to a private address', async () => {
+        const token = await createUser('webhook-private-host-user');
+        resolveTo('169.254.169.254');
+
+        await request(app)
+            .put('/api/jobs/webhook')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url: 'https://metadata.example.com/hook' })
+            .expect(400);
+    });
+
+    test('should save a public webhook and return its secret once', async () => {
+        const token = await createUser('webhook-public-user');
+        resolveTo('93.184.216.34');
+
+        const saved = await request(app)
+            .put('/api/jobs/webhook')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ url: 'https://hooks.example.com/jobs' })
+            .expect(200);
+        expect(saved.body.webhookSecret).toMatch(/^whsec_/);
+
+        const fetched = await request(app)
+            .get('/api/jobs/webhook')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(fetched.body).toEqual({ webhookUrl: 'https://hooks.example.com/jobs', events: ['job.completed', 'job.failed'] });
+    });
+
+    describe('delivery', () => {
+        let server;
+        let port;
+        let received;
+        let statuses;
+
+        beforeAll(async () => {
+            server = http.createServer((req, res) => {
+                let body = '';
+                req.on('data', chunk => { body += chunk; });
+                req.on('end', () => {
+                    received.push({ headers: req.headers, body });
+                    res.statusCode = statuses.shift() || 200;
+                    res.end();
+                });
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            received = [];
+            statuses = [];
+            webhookService.retryDelay = 10;
+            // The test receiver listens on loopback, which only these tests may reach
+            jest.spyOn(webhookService, 'isPublicAddress').mockImplementation(address => address === '127.0.0.1');
+        });
+
+        test('should sign events and connect to the address that was checked', async () => {
+            const lookup = resolveTo('127.0.0.1');
+
+            const result = await webhookService.deliver(`http://hooks.example.com:${port}/jobs`, 'whsec_test', 'job.completed', { jobId: 'job-1' });
+
+            expect(result).toEqual({ success: true, attempts: 1, status: 200 });
+            expect(lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+            const [{ headers, body }] = received;
+            expect(headers.host).toBe(`hooks.example.com:${port}`);
+            expect(JSON.parse(body)).toMatchObject({ type: 'job.completed', data: { jobId: 'job-1' } });
+            expect(headers['x-webhook-signature']).toBe(`sha256=${webhookService.sign('whsec_test', headers['x-webhook-timestamp'], body)}`);
+        });
+
+        test('should retry failed deliveries', async () => {
+            resolveTo('127.0.0.1');
+            statuses = [500];
+
+            const result = await webhookService.deliver(`http://hooks.example.com:${port}/jobs`, 'whsec_test', 'job.failed', {});
+
+            expect(result).toEqual({ success: true, attempts: 2, status: 200 });
+            expect(received).toHaveLength(2);
+        });
+
+        test('should not deliver once the host resolves to a private address', async () => {
+            resolveTo('10.0.0.5');
+
+            const result = await webhookService.deliver(`http://hooks.example.com:${port}/jobs`, 'whsec_test', 'job.completed', {});
+
+            expect(result).toMatchObject({ success: false, attempts: 1 });
+            expect(received).toHaveLength(0);
+        });
+    });
+});
+
+describe('Conversion jobs', () => {
+    beforeEach(() => {
+        silenceConsole();
+        jest.spyOn(conversionService, 'convert').mockResolvedValue({
+            textContent: 'Notes',
+            structuredData: null,
+            processedContent: 'Summary',
+            output: null
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should only show a job to its owner', async () => {
+        const ownerToken = await createUser('job-owner');
+        const otherToken = await createUser('job-other-user');
+        const jobId = await createJob('job-owner', { status: 'completed', processedContent: 'Summary' });
+
+        const response = await request(app)
+            .get(`/api/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .expect(200);
+        expect(response.body).toMatchObject({ jobId, status: 'completed', result: 'Summary' });
+
+        await request(app)
+            .get(`/api/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${otherToken}`)
+            .expect(404);
+    });
+
+    test('should show a job submitted in an organization to its members', async () => {
+        const ownerToken = await createUser('job-org-owner');
+        const memberToken = await createUser('job-org-member');
+        const created = await request(app)
+            .post('/api/organizations')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ name: 'Jobs Co' })
+            .expect(201);
+        const { orgId } = created.body;
+        const organization = await DynamoDBService.getItem(ORGANIZATIONS_TABLE, { orgId });
+        await DynamoDBService.putItem(ORGANIZATIONS_TABLE, {
+            ...organization,
+            members: [
+                ...organization.members,
+                { userId: 'job-org-member', email: 'job-org-member@example.com', role: 'member', conversionCap: null, joinedAt: new Date().toISOString() }
+            ]
+        });
+        const jobId = await createJob('job-org-owner', { organizationId: orgId, status: 'completed', processedContent: 'Summary' });
+
+        const response = await request(app)
+            .get(`/api/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${memberToken}`)
+            .set('X-Organization-Id', orgId)
+            .expect(200);
+        expect(response.body).toMatchObject({ jobId, status: 'completed', result: 'Summary' });
+
+        // Outside the organization's context it is not shown
+        await request(app)
+            .get(`/api/jobs/${jobId}`)
+            .set('Authorization', `Bearer ${memberToken}`)
+            .set('X-Organization-Id', 'personal')
+            .expect(404);
+    });
+
+    test('should run a job delivered twice only once', async () => {
+        const jobId = await createJob('job-duplicate-user');
+
+        await Promise.all([
+            conversionService.processJob({ jobId }),
+            conversionService.processJob({ jobId }).catch(error => error)
+        ]);
+
+        expect(conversionService.convert).toHaveBeenCalledTimes(1);
+        expect(await getJob(jobId)).toMatchObject({ status: 'completed', processedContent: 'Summary' });
+
+        // A later redelivery finds it finished
+        await conversionService.processJob({ jobId });
+        expect(conversionService.convert).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave a job claimed by another worker on the queue', async () => {
+        const claimedUntil = new Date(Date.now() + 60 * 1000).toISOString();
+        const jobId = await createJob('job-claimed-user', { claimedUntil });
+
+        await expect(conversionService.processJob({ jobId })).rejects.toThrow(`Job ${jobId} is claimed by another worker`);
+        expect(conversionService.convert).not.toHaveBeenCalled();
+    });
+
+    test('should count a queued conversion only once it succeeded', async () => {
+        await createUser('job-usage-user');
+        const monthKey = conversionUsageService.getMonthKey();
+        const conversions = async () => (await DynamoDBService.getItem(USAGE_TABLE, { userId: 'job-usage-user', monthKey })).conversions;
+
+        await conversionService.processJob({ jobId: await createJob('job-usage-user') });
+        expect(await conversions()).toBe(1);
+
+        conversionService.convert.mockRejectedValueOnce(new Error('Renderer crashed'));
+        const failedJobId = await createJob('job-usage-user');
+        await conversionService.processJob({ jobId: failedJobId });
+        expect(await getJob(failedJobId)).toMatchObject({ status: 'failed', errorMessage: 'Renderer crashed' });
+        expect(await conversions()).toBe(1);
+
+        // The quota ran out while the job was queued
+        const usage = await DynamoDBService.getItem(USAGE_TABLE, { userId: 'job-usage-user', monthKey });
+        await DynamoDBService.putItem(USAGE_TABLE, { ...usage, conversions: 10 });
+        const refusedJobId = await createJob('job-usage-user');
+        await conversionService.processJob({ jobId: refusedJobId });
+        expect(await getJob(refusedJobId)).toMatchObject({
+            status: 'failed',
+            errorMessage: 'Monthly conversion limit reached (10). Please upgrade your plan.'
+        });
+        expect(await conversions()).toBe(10);
+    });
+
+    test('should finish a job without waiting for its webhook', async () => {
+        await createUser('job-webhook-user', { webhookUrl: 'https://hooks.example.com/jobs', webhookSecret: 'whsec_test' });
+        const jobId = await createJob('job-webhook-user');
+        const deliver = jest.spyOn(webhookService, 'deliver').mockReturnValue(new Promise(() => {}));
+
+        await conversionService.processJob({ jobId });
+
+        expect((await getJob(jobId)).status).toBe('completed');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(deliver).toHaveBeenCalledWith('https://hooks.example.com/jobs', 'whsec_test', 'job.completed', expect.objectContaining({ jobId }));
+    });
+
+    test('should queue again jobs left unfinished by a restart', async () => {
+        const lostJobId = await createJob('job-restart-user');
+        // Claimed by the worker that stopped, until a moment from now
+        const claimedUntil = new Date(Date.now() + 1000).toISOString();
+        const stuckJobId = await createJob('job-restart-user', { claimedUntil });
+        const finishedJobId = await createJob('job-restart-user', { status: 'completed' });
+        const enqueue = jest.spyOn(jobQueue, 'enqueue');
+
+        await conversionService.requeueUnfinishedJobs();
+
+        const delays = Object.fromEntries(enqueue.mock.calls.map(([payload, options]) => [payload.jobId, options.delay]));
+        expect(delays[lostJobId]).toBe(0);
+        expect(delays[stuckJobId]).toBeGreaterThan(0);
+        expect(delays).not.toHaveProperty(finishedJobId);
+
+        // The claim is left to its worker until it expires
+        expect((await getJob(stuckJobId)).claimedUntil).toBe(claimedUntil);
+        expect((await waitForJob(lostJobId)).status).toBe('completed');
+        expect((await waitForJob(stuckJobId)).status).toBe('completed');
+    });
+});
+
+describe('Job queue', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should run a failed job again after the retry delay', async () => {
+        const handler = jobQueue.handler;
+        const retryDelay = jobQueue.retryDelay;
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        let attempts = 0;
+
+        jobQueue.retryDelay = 10;
+        jobQueue.process(async (payload) => {
+            if (payload.jobId !== 'job-1') {
+                return;
+            }
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('Job job-1 is claimed by another worker');
+            }
+        });
+
+        try {
+            await jobQueue.enqueue({ jobId: 'job-1' });
+            while (attempts < 2) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        } finally {
+            jobQueue.process(handler);
+            jobQueue.retryDelay = retryDelay;
+        }
+
+        expect(attempts).toBe(2);
+    });
+
+    test('should run at most its concurrency of jobs at a time', async () => {
+        const handler = jobQueue.handler;
+        let running = 0;
+        let mostRunning = 0;
+        const done = [];
+
+        jobQueue.process(async (payload) => {
+            running++;
+            mostRunning = Math.max(mostRunning, running);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            running--;
+            done.push(payload.n);
+        });
+
+        try {
+            await Promise.all([1, 2, 3, 4, 5].map(n => jobQueue.enqueue({ n })));
+            while (done.length < 5) {
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        } finally {
+            jobQueue.process(handler);
+        }
+
+        expect(done.sort()).toEqual([1, 2, 3, 4, 5]);
+        expect(mostRunning).toBe(jobQueue.concurrency);
+    });
+});
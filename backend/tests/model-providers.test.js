@@ -0,0 +1,138 @@
+/**
+ * Test suite for the model provider registry
+ */
+
+const modelProviders = require('../src/services/modelProviders');
+const { ModelProviderError, estimateTokens } = require('../src/services/modelProviders');
+
+// Replace the Bedrock client with one that returns canned response bodies
+const stubClient = (handler) => {
+    modelProviders.client = {
+        send: jest.fn(async (command) => handler(command.input.modelId, JSON.parse(command.input.body)))
+    };
+    return modelProviders.client;
+};
+
+const encode = (body) => new TextEncoder().encode(JSON.stringify(body));
+
+describe('Model Providers', () => {
+
+    afterEach(() => {
+        modelProviders.client = null;
+    });
+
+    describe('getProvider', () => {
+        test('should resolve model families from model IDs', () => {
+            expect(modelProviders.getProvider('anthropic.claude-3-haiku-20240307-v1:0').name).toBe('anthropic');
+            expect(modelProviders.getProvider('amazon.titan-text-lite-v1').name).toBe('titan');
+            expect(modelProviders.getProvider('cohere.command-text-v14').name).toBe('cohere');
+            expect(modelProviders.getProvider('ai21.j2-ultra-v1').name).toBe('ai21');
+            expect(modelProviders.getProvider('meta.llama3-8b-instruct-v1:0').name).toBe('meta');
+            expect(modelProviders.getProvider('mistral.mistral-7b-instruct-v0:2').name).toBe('mistral');
+        });
+
+        test('should reject unknown model families', () => {
+            expect(() => modelProviders.getProvider('unknown.model')).toThrow(ModelProviderError);
+        });
+    });
+
+    describe('estimateTokens', () => {
+        test('should count words, long-word fragments and punctuation', () => {
+            expect(estimateTokens('')).toBe(0);
+            expect(estimateTokens('Hi, you!')).toBe(4);
+            expect(estimateTokens('internationalization')).toBe(5);
+        });
+    });
+
+    describe('invoke', () => {
+        test('should use the Messages API and reported usage for Claude', async () => {
+            const client = stubClient(() => ({
+                body: encode({
+                    content: [{ type: 'text', text: 'Hello' }],
+                    stop_reason: 'end_turn',
+                    usage: { input_tokens: 12, output_tokens: 3 }
+                })
+            }));
+
+            const result = await modelProviders.invoke({
+                modelId: 'anthropic.claude-3-haiku-20240307-v1:0',
+                prompt: 'Say hello',
+                maxTokens: 100
+            });
+
+            const requestBody = JSON.parse(client.send.mock.calls[0][0].input.body);
+            expect(requestBody.messages).toEqual([{ role: 'user', content: 'Say hello' }]);
+            expect(requestBody.max_tokens).toBe(100);
+            expect(result).toMatchObject({
+                text: 'Hello',
+                provider: 'anthropic',
+                usage: { inputTokens: 12, outputTokens: 3, source: 'provider' }
+            });
+        });
+
+        test('should parse Titan responses', async () => {
+            stubClient((modelId, body) => {
+                expect(body.inputText).toBe('Summarize');
+                return {
+                    body: encode({
+                        inputTextTokenCount: 4,
+                        results: [{ outputText: 'Summary', tokenCount: 2, completionReason: 'FINISH' }]
+                    })
+                };
+            });
+
+            const result = await modelProviders.invoke({ modelId: 'amazon.titan-text-lite-v1', prompt: 'Summarize' });
+
+            expect(result.text).toBe('Summary');
+            expect(result.usage).toEqual({ inputTokens: 4, outputTokens: 2, source: 'provider' });
+        });
+
+        test('should estimate usage when the provider does not report it', async () => {
+            stubClient(() => ({ body: encode({ outputs: [{ text: 'abcdefgh' }] }) }));
+
+            const result = await modelProviders.invoke({ modelId: 'mistral.mistral-7b-instruct-v0:2', prompt: 'abcd' });
+
+            expect(result.usage).toEqual({ inputTokens: 1, outputTokens: 2, source: 'estimate' });
+        });
+
+        test('should map Bedrock errors to provider errors', async () => {
+            stubClient(() => {
+                const error = new Error('Rate exceeded');
+                error.name = 'ThrottlingException';
+                throw error;
+            });
+
+            await expect(modelProviders.invoke({ modelId: 'amazon.titan-text-lite-v1', prompt: 'x' }))
+                .rejects.toMatchObject({ code: 'MODEL_THROTTLED', statusCode: 429 });
+        });
+    });
+
+    describe('invokeStream', () => {
+        test('should forward text deltas and collect streamed usage', async () => {
+            const chunks = [
+                { type: 'message_start', message: { usage: { input_tokens: 8 } } },
+                { type: 'content_block_delta', delta: { text: 'Hel' } },
+                { type: 'content_block_delta', delta: { text: 'lo' } },
+                { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }
+            ];
+            stubClient(() => ({
+                body: (async function* () {
+                    for (const chunk of chunks) {
+                        yield { chunk: { bytes: encode(chunk) } };
+                    }
+                })()
+            }));
+
+            const tokens = [];
+            const result = await modelProviders.invokeStream(
+                { modelId: 'anthropic.claude-3-haiku-20240307-v1:0', prompt: 'Hi' },
+                { onToken: (text) => tokens.push(text) }
+            );
+
+            expect(tokens).toEqual(['Hel', 'lo']);
+            expect(result.text).toBe('Hello');
+            expect(result.stopReason).toBe('end_turn');
+            expect(result.usage).toEqual({ inputTokens: 8, outputTokens: 2, source: 'provider' });
+        });
+    });
+});
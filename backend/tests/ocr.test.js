@@ -0,0 +1,168 @@
+/**
+ * Test suite for OCR of image uploads and scanned PDFs
+ */
+
+process.env.JWT_SECRET = 'ocr-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const conversionService = require('../src/services/conversionService');
+const ocrService = require('../src/services/ocrService');
+
+// Client call that resolves like the AWS SDK's request.promise()
+const respond = (...results) => {
+    const call = jest.fn();
+    results.forEach(result => call.mockReturnValueOnce({ promise: async () => result }));
+    return call;
+};
+
+const line = (text, page, confidence = 90) => ({ BlockType: 'LINE', Text: text, Page: page, Confidence: confidence });
+
+// PDF holding JPEG page images, as scanners write them
+const scannedPdf = (...pages) => Buffer.concat([
+    Buffer.from('%PDF-1.4\n', 'latin1'),
+    ...pages.flatMap((page, index) => [
+        Buffer.from(`${index + 3} 0 obj\n<< /Type /XObject /Subtype /Image /Filter /DCTDecode /Length ${page.length} >>\nstream\n`, 'latin1'),
+        page,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+    ]),
+    Buffer.from('%%EOF\n', 'latin1')
+]);
+const jpeg = (marker) => Buffer.from([0xff, 0xd8, marker, 0xff, 0xd9]);
+
+describe('OCR', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Textract', () => {
+        let provider;
+        let s3;
+
+        beforeEach(() => {
+            provider = ocrService.getProvider('textract');
+            provider.pollInterval = 1;
+            s3 = { putObject: respond({}), deleteObject: respond({}) };
+            provider.s3 = s3;
+        });
+
+        test('should read images with the synchronous API', async () => {
+            provider.client = { detectDocumentText: respond({ Blocks: [line('Invoice 42', 1, 98), { BlockType: 'WORD', Text: 'Invoice' }] }) };
+
+            const result = await ocrService.recognizeImage(Buffer.from('png'), 'image/png', { provider: 'textract' });
+
+            expect(provider.client.detectDocumentText).toHaveBeenCalledWith({ Document: { Bytes: Buffer.from('png') } });
+            expect(result).toMatchObject({ provider: 'textract', text: 'Invoice 42', confidence: 98, blocks: [{ text: 'Invoice 42', page: 1 }] });
+        });
+
+        test('should read every page of a PDF with StartDocumentTextDetection', async () => {
+            provider.client = {
+                startDocumentTextDetection: respond({ JobId: 'job-1' }),
+                getDocumentTextDetection: respond(
+                    { JobStatus: 'IN_PROGRESS' },
+                    { JobStatus: 'SUCCEEDED', Blocks: [line('First page', 1, 80)], NextToken: 'next' },
+                    { JobStatus: 'SUCCEEDED', Blocks: [line('Second page', 2, 100)] }
+                )
+            };
+
+            const result = await ocrService.recognizePdf(Buffer.from('%PDF'), { provider: 'textract' });
+
+            const [[upload]] = s3.putObject.mock.calls;
+            expect(upload).toMatchObject({ Bucket: provider.bucket, Body: Buffer.from('%PDF'), ContentType: 'application/pdf' });
+            expect(provider.client.startDocumentTextDetection).toHaveBeenCalledWith({
+                DocumentLocation: { S3Object: { Bucket: provider.bucket, Name: upload.Key } }
+            });
+            expect(provider.client.getDocumentTextDetection).toHaveBeenLastCalledWith({ JobId: 'job-1', NextToken: 'next' });
+            expect(s3.deleteObject).toHaveBeenCalledWith({ Bucket: provider.bucket, Key: upload.Key });
+            expect(result).toMatchObject({
+                provider: 'textract',
+                text: 'First page\nSecond page',
+                confidence: 90,
+                blocks: [{ text: 'First page', page: 1 }, { text: 'Second page', page: 2 }]
+            });
+        });
+
+        test('should report failed jobs and remove the upload', async () => {
+            provider.client = {
+                startDocumentTextDetection: respond({ JobId: 'job-2' }),
+                getDocumentTextDetection: respond({ JobStatus: 'FAILED', StatusMessage: 'Unsupported document' })
+            };
+
+            await expect(ocrService.recognizePdf(Buffer.from('%PDF'), { provider: 'textract' }))
+                .rejects.toThrow('Textract job job-2 failed: Unsupported document');
+            expect(s3.deleteObject).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('page images', () => {
+        let recognize;
+
+        beforeEach(() => {
+            recognize = jest.fn(async (image) => ({
+                text: ` Page ${image[2]} `,
+                confidence: image[2] * 10,
+                blocks: [{ text: `Page ${image[2]}`, confidence: image[2] * 10 }]
+            }));
+            ocrService.registerProvider('images-only', () => ({ name: 'images-only', supportedMimeTypes: ['image/jpeg'], recognize }));
+        });
+
+        test('should recognize the JPEG pages of a scanned PDF one by one', async () => {
+            const result = await ocrService.recognizePdf(scannedPdf(jpeg(1), jpeg(2)), { provider: 'images-only' });
+
+            expect(recognize.mock.calls.map(([image]) => image)).toEqual([jpeg(1), jpeg(2)]);
+            expect(result).toEqual({
+                provider: 'images-only',
+                text: 'Page 1\n\nPage 2',
+                confidence: 15,
+                blocks: [
+                    { text: 'Page 1', confidence: 10, page: 1 },
+                    { text: 'Page 2', confidence: 20, page: 2 }
+                ]
+            });
+        });
+
+        test('should refuse images the provider cannot read', async () => {
+            await expect(ocrService.recognizeImage(Buffer.from('gif'), 'image/gif', { provider: 'images-only' }))
+                .rejects.toThrow('OCR provider images-only does not support image/gif');
+            expect(recognize).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('uploads', () => {
+        test('should send image uploads through OCR', async () => {
+            const recognizeImage = jest.spyOn(ocrService, 'recognizeImage').mockResolvedValue({
+                provider: 'tesseract',
+                text: 'Scanned text',
+                confidence: 91,
+                blocks: [{ text: 'Scanned text', confidence: 91, page: 1 }]
+            });
+
+            const content = await conversionService.extractContent({ buffer: Buffer.from('png'), mimetype: 'image/png', originalname: 'scan.png' });
+
+            expect(recognizeImage).toHaveBeenCalledWith(Buffer.from('png'), 'image/png');
+            expect(content).toMatchObject({ text: 'Scanned text', structuredData: { type: 'ocr', provider: 'tesseract' } });
+        });
+
+        test('should refuse GIF uploads', async () => {
+            const token = await createUser('ocr-gif-user');
+
+            const response = await request(app)
+                .post('/api/files/convert')
+                .set('Authorization', `Bearer ${token}`)
+                .field('prompt', 'Extract the text')
+                .attach('file', Buffer.from('GIF89a'), { filename: 'scan.gif', contentType: 'image/gif' })
+                .expect(415);
+
+            expect(response.body.error).toBe('Unsupported file type');
+        });
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Test suite for organization accounts: members, invitations, seats and the pooled quota
+ */
+
+process.env.JWT_SECRET = 'organizations-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const notificationService = require('../src/services/notificationService');
+
+const api = (method, path, token) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const createOrganization = async (token, name) => {
+    const response = await api('post', '/api/organizations', token).send({ name }).expect(201);
+    return response.body;
+};
+
+// Token of the last invitation link sent to an address
+const invitationToken = (email) => {
+    const message = notificationService.sent.filter(entry => entry.to === email && entry.template === 'organization_invitation').pop();
+    return message.text.match(/token=([\w.]+)/)[1];
+};
+
+const inviteAndJoin = async (ownerToken, orgId, userId, role = 'member') => {
+    const token = await createUser(userId);
+    await api('post', `/api/organizations/${orgId}/invitations`, ownerToken)
+        .send({ email: `${userId}@example.com`, role })
+        .expect(201);
+    await api('post', '/api/organizations/invitations/accept', token)
+        .send({ token: invitationToken(`${userId}@example.com`) })
+        .expect(200);
+    return token;
+};
+
+// Subscribe the organization through the simulator
+const subscribe = async (token, orgId, planId, seats) => {
+    const checkout = await api('post', `/api/organizations/${orgId}/checkout`, token)
+        .send({ planId, seats })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+    return completed.body.subscription;
+};
+
+describe('Organizations', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        notificationService.sent = [];
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should invite members by email into the free seats', async () => {
+        const ownerToken = await createUser('org-invite-owner');
+        const organization = await createOrganization(ownerToken, 'Invite Co');
+        expect(organization).toMatchObject({ name: 'Invite Co', role: 'owner', tier: 'free', seats: 1, seatsUsed: 1 });
+
+        // The free plan's single seat is the owner's
+        const full = await api('post', `/api/organizations/${organization.orgId}/invitations`, ownerToken)
+            .send({ email: 'org-invite-member@example.com' })
+            .expect(409);
+        expect(full.body.error).toBe('All seats are taken. Add seats to invite more people');
+
+        await subscribe(ownerToken, organization.orgId, 'basic', 3);
+        const memberToken = await inviteAndJoin(ownerToken, organization.orgId, 'org-invite-member');
+
+        // Only the invited address can use a link, and members cannot invite
+        const strangerToken = await createUser('org-invite-stranger');
+        await api('post', `/api/organizations/${organization.orgId}/invitations`, ownerToken)
+            .send({ email: 'org-invite-other@example.com' })
+            .expect(201);
+        const wrongUser = await api('post', '/api/organizations/invitations/accept', strangerToken)
+            .send({ token: invitationToken('org-invite-other@example.com') })
+            .expect(403);
+        expect(wrongUser.body.error).toBe('This invitation is for org-invite-other@example.com');
+        await api('post', `/api/organizations/${organization.orgId}/invitations`, memberToken)
+            .send({ email: 'org-invite-stranger@example.com' })
+            .expect(403);
+        await api('get', `/api/organizations/${organization.orgId}`, strangerToken).expect(404);
+
+        const listed = await api('get', '/api/organizations', memberToken).expect(200);
+        expect(listed.body).toEqual({
+            organizations: [{ orgId: organization.orgId, name: 'Invite Co', tier: 'basic', role: 'member', active: true }],
+            activeOrganizationId: organization.orgId
+        });
+
+        // Members get the organization's plan in its context
+        const profile = await api('get', '/api/auth/profile', memberToken).expect(200);
+        expect(profile.body).toMatchObject({ subscriptionTier: 'basic', organizationId: organization.orgId, organizationRole: 'member' });
+        const details = await api('get', `/api/organizations/${organization.orgId}`, ownerToken).expect(200);
+        expect(details.body).toMatchObject({ seats: 3, seatsUsed: 3, pooledQuota: 150 });
+        expect(details.body.invitations.map(invitation => invitation.email)).toEqual(['org-invite-other@example.com']);
+    }, 15000);
+
+    test('should pool the quota across seats and enforce member caps', async () => {
+        const ownerToken = await createUser('org-quota-owner');
+        const organization = await createOrganization(ownerToken, 'Quota Co');
+        await subscribe(ownerToken, organization.orgId, 'basic', 2);
+        const memberToken = await inviteAndJoin(ownerToken, organization.orgId, 'org-quota-member');
+
+        await api('patch', `/api/organizations/${organization.orgId}/members/org-quota-member`, ownerToken)
+            .send({ conversionCap: 1 })
+            .expect(200);
+
+        const first = await api('post', '/api/auth/usage/increment', memberToken).expect(200);
+        expect(first.body).toMatchObject({ conversions: 1, maxConversions: 100 });
+        const capped = await api('post', '/api/auth/usage/increment', memberToken).expect(429);
+        expect(capped.body.error).toBe('Your organization limits you to 1 conversions per month. Ask an admin to raise your cap.');
+
+        // The owner draws from the same pool; the personal account keeps its own quota
+        expect((await api('post', '/api/auth/usage/increment', ownerToken).expect(200)).body.conversions).toBe(2);
+        const personal = await api('get', '/api/auth/usage', ownerToken)
+            .set('X-Organization-Id', 'personal')
+            .expect(200);
+        expect(personal.body).toMatchObject({ conversions: 0, maxConversions: 10, organization: null });
+
+        const usage = await api('get', `/api/organizations/${organization.orgId}/usage`, memberToken).expect(200);
+        expect(usage.body).toMatchObject({ conversions: 2, maxConversions: 100 });
+        expect(usage.body.members).toEqual([
+            { userId: 'org-quota-owner', email: 'org-quota-owner@example.com', conversions: 1, conversionCap: null },
+            { userId: 'org-quota-member', email: 'org-quota-member@example.com', conversions: 1, conversionCap: 1 }
+        ]);
+
+        // Only managers can set caps, and requests for another organization are refused
+        await api('patch', `/api/organizations/${organization.orgId}/members/org-quota-owner`, memberToken)
+            .send({ conversionCap: 0 })
+            .expect(403);
+        await api('get', '/api/auth/usage', memberToken).set('X-Organization-Id', 'org_unknown').expect(403);
+    }, 15000);
+
+    test('should not let concurrent conversions pass a member cap or the pool', async () => {
+        const ownerToken = await createUser('org-race-owner');
+        const organization = await createOrganization(ownerToken, 'Race Co');
+        await subscribe(ownerToken, organization.orgId, 'basic', 2);
+        const memberToken = await inviteAndJoin(ownerToken, organization.orgId, 'org-race-member');
+        await api('patch', `/api/organizations/${organization.orgId}/members/org-race-member`, ownerToken)
+            .send({ conversionCap: 2 })
+            .expect(200);
+
+        const capped = await Promise.all([1, 2, 3, 4].map(() => api('post', '/api/auth/usage/increment', memberToken)));
+        expect(capped.map(response => response.status).sort()).toEqual([200, 200, 429, 429]);
+
+        // A refused conversion gives the member's share back
+        const usage = await api('get', `/api/organizations/${organization.orgId}/usage`, ownerToken).expect(200);
+        expect(usage.body.conversions).toBe(2);
+        expect(usage.body.members.find(member => member.userId === 'org-race-member').conversions).toBe(2);
+
+        const record = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USAGE || 'user-usage', { userId: organization.orgId, monthKey: usage.body.monthKey });
+        await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_USAGE || 'user-usage', { ...record, conversions: 99 });
+        const pooled = await Promise.all([ownerToken, ownerToken, ownerToken].map(token => api('post', '/api/auth/usage/increment', token)));
+        expect(pooled.map(response => response.status).sort()).toEqual([200, 429, 429]);
+        const owner = (await api('get', `/api/organizations/${organization.orgId}/usage`, ownerToken).expect(200)).body.members
+            .find(member => member.userId === 'org-race-owner');
+        expect(owner.conversions).toBe(1);
+    }, 15000);
+
+    test('should bill added seats and share files within the organization', async () => {
+        const ownerToken = await createUser('org-seats-owner');
+        const organization = await createOrganization(ownerToken, 'Seats Co');
+        const subscription = await subscribe(ownerToken, organization.orgId, 'basic', 1);
+
+        const added = await api('put', `/api/organizations/${organization.orgId}/seats`, ownerToken)
+            .send({ seats: 2 })
+            .expect(200);
+        expect(added.body).toMatchObject({ seats: 2, pooledQuota: 100 });
+        expect(billingSimulator.subscriptions.get(subscription.id).items.data[0].quantity).toBe(2);
+
+        // The added seat is charged now for the rest of the period
+        const seatInvoice = [...billingSimulator.invoices.values()].find(invoice => invoice.billing_reason === 'subscription_update');
+        expect(seatInvoice.lines.data.map(line => line.description)).toEqual([
+            'Unused time on Basic Plan (monthly)',
+            'Remaining time on 2 × Basic Plan (monthly)'
+        ]);
+        const invoices = await api('get', `/api/organizations/${organization.orgId}/invoices`, ownerToken).expect(200);
+        expect(invoices.body.invoices[0]).toMatchObject({ total: 9.99, tier: 'basic' });
+
+        const memberToken = await inviteAndJoin(ownerToken, organization.orgId, 'org-seats-member');
+        await api('put', `/api/organizations/${organization.orgId}/seats`, ownerToken).send({ seats: 1 }).expect(409);
+
+        await DynamoDBService.putItem('seo-nlp-files', {
+            fileId: 'org-shared-file',
+            userId: 'org-seats-owner',
+            organizationId: organization.orgId,
+            originalName: 'shared.txt',
+            status: 'completed'
+        });
+
+        const files = await api('get', '/api/files', memberToken).expect(200);
+        expect(files.body.files).toEqual([
+            expect.objectContaining({ fileId: 'org-shared-file', ownerId: 'org-seats-owner', shared: true })
+        ]);
+        await api('get', '/api/files/org-shared-file', memberToken).expect(200);
+        await api('get', '/api/files/org-shared-file', memberToken).set('X-Organization-Id', 'personal').expect(404);
+        await api('delete', '/api/files/org-shared-file', memberToken).expect(403);
+
+        // Members can leave; the organization's files stay with it
+        await api('delete', `/api/organizations/${organization.orgId}/members/org-seats-member`, memberToken).expect(204);
+        await api('get', '/api/files/org-shared-file', memberToken).expect(404);
+        await api('delete', '/api/files/org-shared-file', ownerToken).expect(200);
+    }, 15000);
+});
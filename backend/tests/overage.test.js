@@ -0,0 +1,159 @@
+/**
+ * Test suite for metered overage billing past the monthly conversion quota
+ */
+
+process.env.JWT_SECRET = 'overage-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const { OVERAGE_STRIPE_PRICE_ID } = require('../src/config/tiers');
+
+const USAGE_TABLE = process.env.DYNAMODB_TABLE_USAGE || 'user-usage';
+
+// Subscribe through the simulator, returning the Stripe subscription
+const subscribe = async (token, planId) => {
+    const checkout = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+    return completed.body.subscription;
+};
+
+// This month's usage record, with the quota already used up
+const useQuota = async (userId, conversions) => {
+    const now = new Date();
+    await DynamoDBService.putItem(USAGE_TABLE, {
+        userId,
+        monthKey: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+        conversions,
+        resetDate: new Date(now.getFullYear(), now.getMonth() + 1, 1).toISOString()
+    });
+};
+
+const setOverage = (token, body) => request(app)
+    .put('/api/subscriptions/overage')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+const convert = (token) => request(app)
+    .post('/api/auth/usage/increment')
+    .set('Authorization', `Bearer ${token}`);
+
+describe('Overage Billing', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should add the metered overage item when a card subscription opts in', async () => {
+        const token = await createUser('overage-settings-user');
+        await setOverage(token, { enabled: true, spendingCap: 10 }).expect(404);
+
+        const subscription = await subscribe(token, 'basic');
+        const noCap = await setOverage(token, { enabled: true }).expect(400);
+        expect(noCap.body.error).toBe('Set a spendingCap to enable overage billing');
+        await setOverage(token, { enabled: true, spendingCap: -5 }).expect(400);
+
+        const enabled = await setOverage(token, { enabled: true, spendingCap: 10 }).expect(200);
+        expect(enabled.body).toEqual({ available: true, enabled: true, pricePerConversion: 0.25, spendingCap: 10 });
+
+        // Enabling again does not add a second item
+        await setOverage(token, { enabled: true, spendingCap: 20 }).expect(200);
+        const items = billingSimulator.subscriptions.get(subscription.id).items.data;
+        expect(items.map(item => item.price.id)).toEqual(['price_basic_monthly', OVERAGE_STRIPE_PRICE_ID]);
+
+        const current = await request(app)
+            .get('/api/subscriptions/current')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(current.body.overage).toMatchObject({ enabled: true, spendingCap: 20 });
+    }, 15000);
+
+    test('should refuse overage for PayPal subscriptions', async () => {
+        const token = await createUser('overage-paypal-user');
+        await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, {
+            userId: 'overage-paypal-user',
+            tier: 'basic',
+            status: 'active',
+            provider: 'paypal',
+            paypalSubscriptionId: 'I-OVERAGE'
+        });
+
+        const response = await setOverage(token, { enabled: true, spendingCap: 10 }).expect(409);
+        expect(response.body.error).toBe('Overage billing is only available for card subscriptions');
+    });
+
+    test('should bill conversions past the quota up to the spending cap', async () => {
+        const token = await createUser('overage-usage-user');
+        const subscription = await subscribe(token, 'basic');
+        await useQuota('overage-usage-user', 50);
+
+        const refused = await convert(token).expect(429);
+        expect(refused.body.error).toBe('Monthly conversion limit reached (50). Please upgrade your plan or enable overage billing.');
+
+        await setOverage(token, { enabled: true, spendingCap: 0.5 }).expect(200);
+        expect((await convert(token).expect(200)).body).toMatchObject({ conversions: 51, overageConversions: 1 });
+        expect((await convert(token).expect(200)).body).toMatchObject({ conversions: 52, overageConversions: 2 });
+
+        const capped = await convert(token).expect(429);
+        expect(capped.body.error).toBe('Overage spending cap of $0.50 reached for this month. Raise the cap or upgrade your plan.');
+
+        const usage = await request(app)
+            .get('/api/auth/usage')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(usage.body.overage).toMatchObject({ enabled: true, conversions: 2, amount: 0.5 });
+        expect(usage.body.overage.projectedAmount).toBeLessThanOrEqual(0.5);
+
+        // Each conversion is reported in cents of the metered price, and billed with the next invoice
+        expect(billingSimulator.meterEvents.map(event => event.payload.value)).toEqual(['25', '25']);
+        const renewed = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscription.id}/renew`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+        expect(renewed.body.invoice.lines.data.map(line => line.amount)).toEqual([999, 50]);
+        expect(renewed.body.invoice.total).toBe(1049);
+    }, 15000);
+
+    test('should not let concurrent conversions pass the quota or the spending cap', async () => {
+        const token = await createUser('overage-race-user');
+        await subscribe(token, 'basic');
+        await useQuota('overage-race-user', 49);
+
+        const withinQuota = await Promise.all([1, 2, 3].map(() => convert(token)));
+        expect(withinQuota.map(response => response.status).sort()).toEqual([200, 429, 429]);
+
+        await setOverage(token, { enabled: true, spendingCap: 0.5 }).expect(200);
+        const pastQuota = await Promise.all([1, 2, 3, 4].map(() => convert(token)));
+        expect(pastQuota.map(response => response.status).sort()).toEqual([200, 200, 429, 429]);
+
+        // Each billed conversion is reported once, under its own sequence number
+        const usage = await request(app)
+            .get('/api/auth/usage')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(usage.body).toMatchObject({ conversions: 52, overage: { conversions: 2 } });
+        const month = usage.body.monthKey;
+        expect(billingSimulator.meterEvents.map(event => event.identifier).sort())
+            .toEqual([`overage-race-user-${month}-1`, `overage-race-user-${month}-2`]);
+    }, 15000);
+});
@@ -0,0 +1,175 @@
+/**
+ * Test suite for PayPal checkout and webhooks
+ */
+
+process.env.JWT_SECRET = 'payments-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const mockPaypalService = require('../src/services/mockPaypalService');
+const notificationService = require('../src/services/notificationService');
+const prepaidPlanService = require('../src/services/prepaidPlanService');
+
+const getUser = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+
+const sendWebhook = (event) => {
+    const body = JSON.stringify(event);
+    return request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set(mockPaypalService.signWebhook(body))
+        .send(body);
+};
+
+describe('PayPal Payments', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should require authentication to create an order', async () => {
+        await request(app)
+            .post('/api/payments/create-order')
+            .send({ planId: 'basic' })
+            .expect(401);
+    });
+
+    test('should reject an amount that does not match the plan', async () => {
+        const token = await createUser('paypal-amount-user');
+
+        const response = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'premium', billingCycle: 'monthly', amount: 0.01 })
+            .expect(400);
+
+        expect(response.body).toMatchObject({ success: false, expected: '29.99' });
+    });
+
+    test('should upgrade the tier when the order is captured', async () => {
+        const token = await createUser('paypal-capture-user');
+
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'premium', billingCycle: 'yearly' })
+            .expect(200);
+
+        expect(order.body.amount).toBe('299.99');
+
+        const capture = await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(200);
+
+        expect(capture.body.amount.value).toBe('299.99');
+        expect(capture.body.subscription).toMatchObject({ tier: 'premium', billingCycle: 'yearly' });
+        expect((await getUser('paypal-capture-user')).subscriptionTier).toBe('premium');
+
+        const subscription = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: 'paypal-capture-user' });
+        expect(subscription).toMatchObject({ tier: 'premium', status: 'active', provider: 'paypal' });
+
+        // A second capture of the same order is refused
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(409);
+    });
+
+    test('should move a plan paid for with an order to the free tier when its period ends', async () => {
+        const token = await createUser('paypal-prepaid-user');
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic' })
+            .expect(200);
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ orderId: order.body.orderId })
+            .expect(200);
+
+        const record = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: 'paypal-prepaid-user' });
+        expect(record).toMatchObject({ status: 'active', prepaidState: 'active' });
+        const periodEnd = new Date(record.currentPeriodEnd);
+
+        // Nothing happens before the period ends
+        await prepaidPlanService.expireDue(new Date(periodEnd.getTime() - 1000));
+        expect((await getUser('paypal-prepaid-user')).subscriptionTier).toBe('basic');
+
+        const results = await prepaidPlanService.expireDue(new Date(periodEnd.getTime() + 1000));
+        expect(results).toContainEqual({ userId: 'paypal-prepaid-user', action: 'expired' });
+        expect((await getUser('paypal-prepaid-user')).subscriptionTier).toBe('free');
+        expect(await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: 'paypal-prepaid-user' }))
+            .toMatchObject({ status: 'expired', prepaidState: 'expired' });
+        expect(notificationService.sent.pop()).toMatchObject({ to: 'paypal-prepaid-user@example.com', template: 'prepaid_plan_expired' });
+
+        // An expired record is not expired again
+        const again = await prepaidPlanService.expireDue(new Date(periodEnd.getTime() + 2000));
+        expect(again.map(result => result.userId)).not.toContain('paypal-prepaid-user');
+    });
+
+    test('should not capture another user\'s order', async () => {
+        const ownerToken = await createUser('paypal-owner-user');
+        const otherToken = await createUser('paypal-other-user');
+
+        const order = await request(app)
+            .post('/api/payments/create-order')
+            .set('Authorization', `Bearer ${ownerToken}`)
+            .send({ planId: 'basic' })
+            .expect(200);
+
+        await request(app)
+            .post('/api/payments/capture-order')
+            .set('Authorization', `Bearer ${otherToken}`)
+            .send({ orderId: order.body.orderId })
+            .expect(404);
+
+        expect((await getUser('paypal-other-user')).subscriptionTier).toBe('free');
+    });
+
+    test('should reject webhooks without a valid signature', async () => {
+        const response = await request(app)
+            .post('/api/payments/webhook')
+            .set('paypal-transmission-id', 'forged')
+            .set('paypal-transmission-time', new Date().toISOString())
+            .set('paypal-transmission-sig', 'forged')
+            .send({ event_type: 'BILLING.SUBSCRIPTION.ACTIVATED', resource: { id: 'I-FORGED' } })
+            .expect(400);
+
+        expect(response.body).toHaveProperty('error', 'Invalid webhook signature');
+    });
+
+    test('should activate and cancel subscriptions from webhooks', async () => {
+        const token = await createUser('paypal-subscriber');
+
+        const created = await request(app)
+            .post('/api/payments/create-subscription')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ planId: 'basic' })
+            .expect(200);
+
+        const resource = { id: created.body.subscriptionId, plan_id: 'P-BASIC-MONTHLY', custom_id: 'paypal-subscriber' };
+
+        await sendWebhook({ id: 'WH-1', event_type: 'BILLING.SUBSCRIPTION.ACTIVATED', resource }).expect(200);
+        expect((await getUser('paypal-subscriber')).subscriptionTier).toBe('basic');
+
+        await sendWebhook({ id: 'WH-2', event_type: 'BILLING.SUBSCRIPTION.CANCELLED', resource }).expect(200);
+        expect((await getUser('paypal-subscriber')).subscriptionTier).toBe('free');
+
+        const subscription = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId: 'paypal-subscriber' });
+        expect(subscription.status).toBe('canceled');
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Test suite for yearly billing and mid-cycle plan changes
+ */
+
+process.env.JWT_SECRET = 'plan-change-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const planChangeService = require('../src/services/planChangeService');
+const { OVERAGE_STRIPE_PRICE_ID } = require('../src/config/tiers');
+
+const getUser = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+const getSubscription = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId });
+
+// Subscribe through the simulator, returning the Stripe subscription
+const subscribe = async (token, planId, billingCycle = 'monthly') => {
+    const checkout = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId, billingCycle })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+    return completed.body.subscription;
+};
+
+const changePlan = (token, path, body) => request(app)
+    .post(`/api/subscriptions/${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+describe('Plan Changes', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should bill a yearly subscription at the yearly price', async () => {
+        const token = await createUser('yearly-checkout-user');
+        const subscription = await subscribe(token, 'premium', 'yearly');
+
+        expect(subscription.items.data[0].price).toMatchObject({ unit_amount: 29999, recurring: { interval: 'year' } });
+        expect(await getSubscription('yearly-checkout-user')).toMatchObject({ tier: 'premium', billingCycle: 'yearly' });
+
+        await changePlan(token, 'checkout', { planId: 'premium', billingCycle: 'weekly' }).expect(400);
+    });
+
+    test('should charge the previewed prorated amount on upgrade', async () => {
+        const token = await createUser('upgrade-user');
+        await subscribe(token, 'basic');
+
+        const preview = await changePlan(token, 'change/preview', { planId: 'premium' }).expect(200);
+
+        expect(preview.body).toMatchObject({ changeType: 'upgrade', planId: 'premium', billingCycle: 'monthly' });
+        expect(preview.body.lines).toHaveLength(2);
+        expect(preview.body.amountDue).toBeGreaterThan(19.9);
+        expect(preview.body.amountDue).toBeLessThanOrEqual(20);
+
+        const change = await changePlan(token, 'change', {
+            planId: 'premium',
+            prorationDate: preview.body.prorationDate
+        }).expect(200);
+
+        expect(change.body).toMatchObject({ changeType: 'upgrade', amountCharged: preview.body.amountDue });
+        expect((await getUser('upgrade-user')).subscriptionTier).toBe('premium');
+        expect(await getSubscription('upgrade-user')).toMatchObject({ tier: 'premium', pendingTier: null });
+    });
+
+    test('should downgrade at the end of the current period', async () => {
+        const token = await createUser('downgrade-user');
+        const subscription = await subscribe(token, 'premium', 'yearly');
+        const periodEnd = new Date(subscription.current_period_end * 1000).toISOString();
+
+        const preview = await changePlan(token, 'change/preview', { planId: 'basic', billingCycle: 'monthly' }).expect(200);
+        expect(preview.body).toMatchObject({ changeType: 'downgrade', amountDue: 0, nextAmount: 9.99, effectiveAt: periodEnd });
+
+        const change = await changePlan(token, 'change', { planId: 'basic', billingCycle: 'monthly' }).expect(200);
+        expect(change.body).toMatchObject({ changeType: 'downgrade', effectiveAt: periodEnd });
+
+        // The current plan is kept until the period ends
+        expect((await getUser('downgrade-user')).subscriptionTier).toBe('premium');
+        const current = await request(app)
+            .get('/api/subscriptions/current')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(200);
+        expect(current.body.pendingChange).toEqual({ tier: 'basic', billingCycle: 'monthly', effectiveAt: periodEnd });
+
+        const renewal = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscription.id}/renew`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        expect(renewal.body.invoice.amount_paid).toBe(999);
+        expect((await getUser('downgrade-user')).subscriptionTier).toBe('basic');
+        expect(await getSubscription('downgrade-user')).toMatchObject({ tier: 'basic', billingCycle: 'monthly', pendingTier: null });
+    });
+
+    test('should record the plan price, not the overage price, when a pending downgrade applies', async () => {
+        await createUser('overage-downgrade-user');
+        const record = {
+            userId: 'overage-downgrade-user',
+            tier: 'premium',
+            pendingTier: 'basic',
+            pendingBillingCycle: 'monthly',
+            pendingChangeAt: new Date(Date.now() - 1000).toISOString()
+        };
+        await DynamoDBService.putItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, record);
+
+        // Stripe does not keep the plan's item first once the metered overage item is added
+        const applied = await planChangeService.applyPendingChange(record, {
+            current_period_start: Math.floor(Date.now() / 1000),
+            items: { data: [{ price: { id: OVERAGE_STRIPE_PRICE_ID } }, { price: { id: 'price_basic_monthly' } }] }
+        });
+
+        expect(applied).toBe(true);
+        expect(await getSubscription('overage-downgrade-user')).toMatchObject({ tier: 'basic', stripePriceId: 'price_basic_monthly' });
+        expect((await getUser('overage-downgrade-user')).subscriptionTier).toBe('basic');
+    });
+
+    test('should cancel a pending downgrade when the current plan is chosen again', async () => {
+        const token = await createUser('undo-downgrade-user');
+        const subscription = await subscribe(token, 'premium');
+
+        await changePlan(token, 'change', { planId: 'premium' }).expect(409);
+        await changePlan(token, 'change', { planId: 'basic' }).expect(200);
+
+        const undo = await changePlan(token, 'change', { planId: 'premium' }).expect(200);
+        expect(undo.body.changeType).toBe('cancel_pending');
+
+        const renewal = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${subscription.id}/renew`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+
+        expect(renewal.body.invoice.amount_paid).toBe(2999);
+        expect((await getUser('undo-downgrade-user')).subscriptionTier).toBe('premium');
+    });
+
+    test('should refuse to confirm an expired preview', async () => {
+        const token = await createUser('expired-preview-user');
+        await subscribe(token, 'basic');
+
+        await changePlan(token, 'change', {
+            planId: 'enterprise',
+            prorationDate: Math.floor(Date.now() / 1000) - 60 * 60
+        }).expect(409);
+
+        expect((await getUser('expired-preview-user')).subscriptionTier).toBe('basic');
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Test suite for sessions: rotating refresh tokens, reuse detection and logging out
+ */
+
+process.env.JWT_SECRET = 'sessions-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/server');
+const { silenceConsole } = require('./helpers');
+const sessionService = require('../src/services/sessionService');
+const notificationService = require('../src/services/notificationService');
+
+const CHROME_ON_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const FIREFOX_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+// Register and verify the address, which signs in
+const register = async (email) => {
+    await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'Str0ng!Pass', name: 'Session Tester' })
+        .expect(201);
+    const message = notificationService.sent.filter(entry => entry.to === email && entry.template === 'verify_email').pop();
+    const response = await request(app)
+        .post('/api/auth/verify-email')
+        .set('User-Agent', CHROME_ON_MAC)
+        .send({ token: message.text.match(/token=([\w.-]+)/)[1] })
+        .expect(200);
+    return response.body;
+};
+
+const profile = (token) => request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+
+describe('Sessions', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should rotate refresh tokens and revoke the session when an old one is reused', async () => {
+        const login = await register('session-rotate@example.com');
+        expect(login.refreshToken).toEqual(expect.any(String));
+        expect(new Date(login.expiresAt) - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
+        await profile(login.token).expect(200);
+
+        const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(200);
+        expect(refreshed.body.refreshToken).not.toBe(login.refreshToken);
+        await profile(refreshed.body.token).expect(200);
+
+        // A rotated token showing up again after the grace period means it was copied: the whole session ends
+        const session = await sessionService.get(jwt.decode(refreshed.body.token).sid);
+        await sessionService.save({ ...session, rotatedAt: new Date(Date.now() - 2 * 60 * 1000).toISOString() });
+        const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(401);
+        expect(reused.body.error).toBe('Refresh token reuse detected. Please log in again');
+        const revoked = await profile(refreshed.body.token).expect(401);
+        expect(revoked.body.code).toBe('SESSION_REVOKED');
+        await request(app).post('/api/auth/refresh').send({ refreshToken: refreshed.body.refreshToken }).expect(401);
+    });
+
+    test('should let one of two requests racing with the same refresh token rotate it, without revoking the session', async () => {
+        const login = await register('session-race@example.com');
+
+        const responses = await Promise.all([1, 2].map(() => request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken })));
+
+        const [winner, loser] = responses.sort((a, b) => a.status - b.status);
+        expect(winner.status).toBe(200);
+        expect(loser.status).toBe(409);
+        expect(loser.body.code).toBe('REFRESH_TOKEN_ROTATED');
+        await profile(winner.body.token).expect(200);
+        await request(app).post('/api/auth/refresh').send({ refreshToken: winner.body.refreshToken }).expect(200);
+    });
+
+    test('should revoke the session when a token from before the last rotation is reused', async () => {
+        const login = await register('session-stale@example.com');
+        const first = await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(200);
+        const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken }).expect(200);
+
+        await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(401);
+        await profile(second.body.token).expect(401);
+    });
+
+    test('should refuse access tokens without a session once legacy tokens are no longer accepted', async () => {
+        const { userId } = jwt.decode((await register('session-legacy@example.com')).token);
+        const legacy = jwt.sign({ userId, email: 'session-legacy@example.com' }, process.env.JWT_SECRET);
+
+        try {
+            process.env.LEGACY_TOKENS_ACCEPTED_UNTIL = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            await profile(legacy).expect(200);
+
+            process.env.LEGACY_TOKENS_ACCEPTED_UNTIL = new Date(Date.now() - 1000).toISOString();
+            expect((await profile(legacy).expect(401)).body.code).toBe('SESSION_REQUIRED');
+        } finally {
+            delete process.env.LEGACY_TOKENS_ACCEPTED_UNTIL;
+        }
+        await profile(legacy).expect(401);
+    });
+
+    test('should list sessions and log out of one or all of them', async () => {
+        const login = await register('session-list@example.com');
+        const userId = jwt.decode(login.token).userId;
+        const other = await sessionService.create(
+            { userId, email: 'session-list@example.com' },
+            { headers: { 'user-agent': FIREFOX_ON_WINDOWS }, ip: '203.0.113.9' }
+        );
+
+        const listed = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${login.token}`).expect(200);
+        expect(listed.body.sessions).toHaveLength(2);
+        expect(listed.body.sessions).toEqual(expect.arrayContaining([
+            expect.objectContaining({ device: 'Chrome on macOS', current: true }),
+            expect.objectContaining({ sessionId: other.sessionId, device: 'Firefox on Windows', ip: '203.0.113.9', current: false })
+        ]));
+
+        await request(app).delete(`/api/auth/sessions/${other.sessionId}`).set('Authorization', `Bearer ${login.token}`).expect(204);
+        await profile(other.token).expect(401);
+        await request(app).delete('/api/auth/sessions/unknown-session').set('Authorization', `Bearer ${login.token}`).expect(404);
+
+        // Log out everywhere ends the current session too
+        const third = await sessionService.create({ userId, email: 'session-list@example.com' }, { headers: {}, ip: '198.51.100.4' });
+        await request(app).delete('/api/auth/sessions').set('Authorization', `Bearer ${third.token}`).expect(204);
+        await profile(login.token).expect(401);
+        await profile(third.token).expect(401);
+
+        // Expired access tokens ask for a refresh; download links are not logins
+        const expired = jwt.sign({ userId, sid: jwt.decode(login.token).sid, exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET);
+        expect((await profile(expired).expect(401)).body.code).toBe('TOKEN_EXPIRED');
+        const download = jwt.sign({ userId, fileId: 'some-file', purpose: 'download' }, process.env.JWT_SECRET);
+        await profile(download).expect(403);
+    });
+
+    test('should end the current session on logout', async () => {
+        const login = await register('session-logout@example.com');
+        await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${login.token}`).expect(204);
+        await profile(login.token).expect(401);
+        await request(app).post('/api/auth/refresh').send({ refreshToken: login.refreshToken }).expect(401);
+    });
+});
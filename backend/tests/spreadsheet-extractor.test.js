@@ -0,0 +1,124 @@
+/**
+ * Test suite for spreadsheet extraction
+ */
+
+const ExcelJS = require('exceljs');
+const spreadsheetExtractor = require('../src/services/spreadsheetExtractor');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Workbook of sheet name -> rows, as an .xlsx buffer
+const createWorkbook = async (sheets) => {
+    const workbook = new ExcelJS.Workbook();
+    Object.entries(sheets).forEach(([name, rows]) => {
+        const worksheet = workbook.addWorksheet(name);
+        rows.forEach(row => worksheet.addRow(row));
+    });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe('Spreadsheet Extractor', () => {
+    describe('isSpreadsheet', () => {
+        test('should match spreadsheet MIME types and file names', () => {
+            expect(spreadsheetExtractor.isSpreadsheet(XLSX_MIME_TYPE)).toBe(true);
+            expect(spreadsheetExtractor.isSpreadsheet('application/octet-stream', 'report.CSV')).toBe(true);
+            expect(spreadsheetExtractor.isSpreadsheet('text/plain', 'notes.txt')).toBe(false);
+        });
+    });
+
+    describe('xlsx workbooks', () => {
+        test('should read every sheet with headers and padded rows', async () => {
+            const buffer = await createWorkbook({
+                Sales: [
+                    ['Region', 'Total', 'Closed'],
+                    ['North', 12.5, new Date(Date.UTC(2024, 0, 15))],
+                    [],
+                    ['South', { formula: 'B2*2', result: 25 }]
+                ],
+                Notes: [
+                    ['Note'],
+                    [{ richText: [{ text: 'Bold ' }, { text: 'and plain' }] }],
+                    [{ text: 'Site', hyperlink: 'https://example.com' }]
+                ]
+            });
+
+            const workbook = await spreadsheetExtractor.extract(buffer, { mimeType: XLSX_MIME_TYPE, fileName: 'sales.xlsx' });
+
+            expect(workbook.sheets).toEqual([
+                {
+                    name: 'Sales',
+                    headers: ['Region', 'Total', 'Closed'],
+                    rows: [['North', '12.5', '2024-01-15'], ['South', '25', '']],
+                    rowCount: 2,
+                    columnCount: 3
+                },
+                {
+                    name: 'Notes',
+                    headers: ['Note'],
+                    rows: [['Bold and plain'], ['Site']],
+                    rowCount: 2,
+                    columnCount: 1
+                }
+            ]);
+        });
+
+        test('should refuse Excel 97-2003 workbooks', async () => {
+            // Legacy workbooks are OLE compound files
+            const buffer = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+            await expect(spreadsheetExtractor.extract(buffer, { mimeType: 'application/vnd.ms-excel', fileName: 'legacy.xls' }))
+                .rejects.toMatchObject({ statusCode: 415, message: expect.stringMatching(/\.xls\) workbooks are not supported/) });
+        });
+    });
+
+    describe('delimited text', () => {
+        test('should parse quoted fields, line breaks and doubled quotes', async () => {
+            const csv = '\uFEFFName,Quote,City\r\n"Doe, Jane","She said ""hi""","New\nYork"\r\n\r\nSmith,,Paris\r\n';
+
+            const workbook = await spreadsheetExtractor.extract(Buffer.from(csv), { mimeType: 'text/csv', fileName: 'people.csv' });
+
+            expect(workbook.sheets).toEqual([{
+                name: 'Sheet1',
+                headers: ['Name', 'Quote', 'City'],
+                rows: [['Doe, Jane', 'She said "hi"', 'New\nYork'], ['Smith', '', 'Paris']],
+                rowCount: 2,
+                columnCount: 3
+            }]);
+        });
+
+        test('should read CSV files that browsers report as Excel', async () => {
+            const workbook = await spreadsheetExtractor.extract(Buffer.from('Item;Price\nTea;2,50'), {
+                mimeType: 'application/vnd.ms-excel',
+                fileName: 'prices.csv'
+            });
+
+            expect(workbook.sheets[0]).toMatchObject({ headers: ['Item', 'Price'], rows: [['Tea', '2,50']] });
+        });
+
+        test('should split tab-separated values on tabs only', async () => {
+            const workbook = await spreadsheetExtractor.extract(Buffer.from('Key\tValue\na,b\t1'), { fileName: 'pairs.tsv' });
+
+            expect(workbook.sheets[0]).toMatchObject({ headers: ['Key', 'Value'], rows: [['a,b', '1']] });
+        });
+    });
+
+    describe('toPromptText', () => {
+        test('should render Markdown tables and truncate long sheets', async () => {
+            const workbook = await spreadsheetExtractor.extract(Buffer.from(',Amount\nA|B,1\nC,2\nD,3'), { fileName: 'data.csv' });
+
+            expect(spreadsheetExtractor.toPromptText(workbook, { maxRows: 2 })).toBe([
+                '## Sheet: Sheet1',
+                '',
+                '| Column 1 | Amount |',
+                '| --- | --- |',
+                '| A\\|B | 1 |',
+                '| C | 2 |',
+                '',
+                '(1 more rows not shown)'
+            ].join('\n'));
+            expect(spreadsheetExtractor.summarize(workbook)).toEqual([
+                { name: 'Sheet1', headers: ['', 'Amount'], rowCount: 3, columnCount: 2 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/**
+ * Test suite for Server-Sent Event responses of the NLP endpoints
+ */
+
+process.env.JWT_SECRET = 'streaming-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const modelProviders = require('../src/services/modelProviders');
+const usageStore = require('../src/services/usageStore');
+
+// Events of an event stream body, in order
+const parseEvents = (body) => body.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+});
+
+const requestsToday = async (userId) => (await usageStore.getCounters(userId, usageStore.dayPeriod())).requests;
+// The month counters are written after the day's
+const requestsThisMonth = async (userId) => (await usageStore.getCounters(userId, usageStore.monthPeriod())).requests;
+
+// Wait until a condition holds, for work that finishes after the response
+const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (await condition()) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Condition not met');
+};
+
+describe('NLP event streams', () => {
+    let userCounter = 0;
+    let userId;
+    let token;
+
+    beforeEach(async () => {
+        silenceConsole();
+        userId = `stream-user-${++userCounter}`;
+        token = await createUser(userId);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const analyze = () => request(app)
+        .post('/api/nlp/analyze')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Accept', 'text/event-stream')
+        .send({ content: `Content for ${userId}` });
+
+    test('should forward tokens and count the request once', async () => {
+        jest.spyOn(modelProviders, 'invokeStream').mockImplementation(async (modelRequest, { onToken }) => {
+            onToken('Hel');
+            onToken('lo');
+            return { text: 'Hello', modelId: modelRequest.modelId, usage: { inputTokens: 8, outputTokens: 2, source: 'provider' } };
+        });
+
+        const response = await analyze().expect(200).expect('Content-Type', /text\/event-stream/);
+
+        const events = parseEvents(response.text);
+        expect(events.map(({ event }) => event)).toEqual(['token', 'token', 'done']);
+        expect(events[2].data).toMatchObject({ analysis: 'Hello', metadata: { inputTokens: 8, outputTokens: 2 } });
+        expect(await usageStore.getCounters(userId, usageStore.dayPeriod())).toMatchObject({ requests: 1, inputTokens: 8, outputTokens: 2 });
+    });
+
+    test('should report model errors as an event and release the request', async () => {
+        jest.spyOn(modelProviders, 'invokeStream').mockRejectedValue(
+            Object.assign(new Error('Rate exceeded'), { statusCode: 429, code: 'MODEL_THROTTLED' })
+        );
+
+        const response = await analyze().expect(200);
+
+        expect(parseEvents(response.text)).toEqual([
+            { event: 'error', data: { error: 'Rate exceeded', code: 'MODEL_THROTTLED', message: 'Rate exceeded' } }
+        ]);
+        expect(await requestsToday(userId)).toBe(0);
+    });
+
+    test('should report errors after the model call as an event', async () => {
+        // A completion without usage fails while it is recorded
+        jest.spyOn(modelProviders, 'invokeStream').mockResolvedValue({ text: 'Hello', modelId: 'amazon.titan-text-lite-v1' });
+
+        const response = await analyze().expect(200);
+
+        expect(parseEvents(response.text)).toEqual([
+            { event: 'error', data: expect.objectContaining({ error: 'Internal server error', code: 'ANALYSIS_FAILED' }) }
+        ]);
+    });
+
+    describe('client disconnects', () => {
+        let server;
+
+        beforeAll(async () => {
+            server = http.createServer(app);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        // Open a stream and disconnect as soon as the headers arrive
+        const analyzeAndDisconnect = () => new Promise((resolve, reject) => {
+            const body = JSON.stringify({ content: `Content for ${userId}` });
+            const req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                path: '/api/nlp/analyze',
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    Accept: 'text/event-stream',
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }
+            }, response => {
+                response.destroy();
+                resolve(response.statusCode);
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+
+        // Model call that fails once the client goes away, with the output generated so far
+        const abortedStream = (partial) => jest.spyOn(modelProviders, 'invokeStream').mockImplementation((modelRequest, { abortSignal }) => (
+            new Promise((resolve, reject) => {
+                abortSignal.addEventListener('abort', () => reject(Object.assign(new Error('Request aborted'), partial ? { partial } : {})));
+            })
+        ));
+
+        test('should bill the tokens generated before the disconnect', async () => {
+            abortedStream({ text: 'Hel', usage: { inputTokens: 8, outputTokens: 1, source: 'provider' } });
+
+            expect(await analyzeAndDisconnect()).toBe(200);
+
+            await waitFor(async () => (await usageStore.getCounters(userId, usageStore.monthPeriod())).outputTokens === 1);
+            expect(await requestsToday(userId)).toBe(1);
+        });
+
+        test('should release the request when nothing was generated', async () => {
+            abortedStream(null);
+            const reserved = new Promise(resolve => {
+                const reserve = usageStore.reserveRequest.bind(usageStore);
+                jest.spyOn(usageStore, 'reserveRequest').mockImplementation(async (...args) => {
+                    const reservation = await reserve(...args);
+                    resolve();
+                    return reservation;
+                });
+            });
+
+            expect(await analyzeAndDisconnect()).toBe(200);
+            await reserved;
+
+            await waitFor(async () => (await requestsThisMonth(userId)) === 0);
+            expect(await requestsToday(userId)).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Test suite for the table store shared by the DynamoDB-backed services
+ */
+
+const { dynamodb } = require('../src/config/aws');
+const { createTableStore, resolveStoreDriver } = require('../src/services/tableStore');
+
+// DocumentClient call answering with result, or failing with an AWS error code
+const respond = (result) => () => ({ promise: async () => result });
+const fail = (code) => () => ({ promise: async () => { throw Object.assign(new Error(code), { code }); } });
+
+describe('Table store', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...env };
+        jest.restoreAllMocks();
+    });
+
+    test('should pick the driver from its variable, defaulting to mock outside production', () => {
+        delete process.env.EXAMPLE_STORE_DRIVER;
+        process.env.NODE_ENV = 'test';
+        expect(resolveStoreDriver('EXAMPLE_STORE_DRIVER')).toBe('mock');
+        process.env.NODE_ENV = 'production';
+        expect(resolveStoreDriver('EXAMPLE_STORE_DRIVER')).toBe('dynamodb');
+        process.env.EXAMPLE_STORE_DRIVER = 'mock';
+        expect(resolveStoreDriver('EXAMPLE_STORE_DRIVER')).toBe('mock');
+    });
+
+    test('should query every page of an index with DynamoDB', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const query = jest.spyOn(dynamodb, 'query')
+            .mockImplementationOnce(respond({ Items: [{ id: 1 }], LastEvaluatedKey: { id: 1 } }))
+            .mockImplementationOnce(respond({ Items: [{ id: 2 }] }));
+
+        const items = await store.queryIndex('status-index', 'status', 'failed', { descending: true });
+        expect(items).toEqual([{ id: 1 }, { id: 2 }]);
+        expect(query).toHaveBeenCalledTimes(2);
+        expect(query.mock.calls[0][0]).toMatchObject({
+            TableName: 'example-table',
+            IndexName: 'status-index',
+            KeyConditionExpression: '#key = :value',
+            ExpressionAttributeNames: { '#key': 'status' },
+            ExpressionAttributeValues: { ':value': 'failed' },
+            ScanIndexForward: false
+        });
+        expect(query.mock.calls[1][0].ExclusiveStartKey).toEqual({ id: 1 });
+    });
+
+    test('should answer null when a limited increment is refused', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const update = jest.spyOn(dynamodb, 'update').mockImplementation(fail('ConditionalCheckFailedException'));
+
+        await expect(store.increment({ code: 'SPRING' }, { timesRedeemed: 1 }, { limitField: 'timesRedeemed', limit: 5 })).resolves.toBeNull();
+        expect(update.mock.calls[0][0]).toMatchObject({
+            Key: { code: 'SPRING' },
+            ConditionExpression: 'attribute_not_exists(#limitField) OR #limitField < :limit',
+            ExpressionAttributeValues: expect.objectContaining({ ':timesRedeemed': 1, ':limit': 5 })
+        });
+
+        jest.spyOn(dynamodb, 'put').mockImplementation(fail('ConditionalCheckFailedException'));
+        await expect(store.putIf({ code: 'SPRING' }, { condition: 'attribute_not_exists(code)' }, () => true))
+            .rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+    });
+
+    test('should create the map before adding to one of its entries', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const update = jest.spyOn(dynamodb, 'update')
+            .mockImplementationOnce(respond({}))
+            .mockImplementationOnce(fail('ConditionalCheckFailedException'));
+
+        await expect(store.incrementEntry({ userId: 'org-1' }, 'memberConversions', 'u1', 1, { limit: 3 })).resolves.toBeNull();
+        expect(update.mock.calls[0][0]).toMatchObject({
+            UpdateExpression: 'SET #field = if_not_exists(#field, :empty)',
+            ExpressionAttributeValues: { ':empty': {} }
+        });
+        expect(update.mock.calls[1][0]).toMatchObject({
+            UpdateExpression: 'ADD #field.#entry :amount SET #updatedAt = :updatedAt',
+            ConditionExpression: 'attribute_not_exists(#field.#entry) OR #field.#entry < :limit',
+            ExpressionAttributeNames: expect.objectContaining({ '#field': 'memberConversions', '#entry': 'u1' }),
+            ExpressionAttributeValues: expect.objectContaining({ ':amount': 1, ':limit': 3 })
+        });
+    });
+
+    test('should set fields only while the condition holds', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const update = jest.spyOn(dynamodb, 'update')
+            .mockImplementationOnce(respond({ Attributes: { userId: 'u1', emailVerified: true } }))
+            .mockImplementationOnce(fail('ConditionalCheckFailedException'));
+        const condition = { condition: 'emailVerified = :unverified', values: { ':unverified': false } };
+
+        await expect(store.updateIf({ userId: 'u1' }, { emailVerified: true }, condition, () => true))
+            .resolves.toEqual({ userId: 'u1', emailVerified: true });
+        expect(update.mock.calls[0][0]).toMatchObject({
+            UpdateExpression: 'SET #set_emailVerified = :set_emailVerified',
+            ConditionExpression: 'emailVerified = :unverified',
+            ExpressionAttributeNames: { '#set_emailVerified': 'emailVerified' },
+            ExpressionAttributeValues: { ':set_emailVerified': true, ':unverified': false }
+        });
+        await expect(store.updateIf({ userId: 'u1' }, { emailVerified: true }, condition, () => true)).resolves.toBeNull();
+    });
+
+    test('should query an index up to a sort key value with DynamoDB', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const query = jest.spyOn(dynamodb, 'query').mockImplementation(respond({ Items: [{ userId: 'u1' }] }));
+
+        await store.queryIndex('status-dunningNextActionAt-index', 'status', 'past_due', {
+            upTo: { attribute: 'dunningNextActionAt', value: '2026-01-01T00:00:00.000Z' }
+        });
+        expect(query.mock.calls[0][0]).toMatchObject({
+            KeyConditionExpression: '#key = :value AND #sortKey <= :upTo',
+            ExpressionAttributeNames: { '#key': 'status', '#sortKey': 'dunningNextActionAt' },
+            ExpressionAttributeValues: { ':value': 'past_due', ':upTo': '2026-01-01T00:00:00.000Z' }
+        });
+    });
+
+    test('should scan every page with a filter', async () => {
+        process.env.EXAMPLE_STORE_DRIVER = 'dynamodb';
+        const store = createTableStore('example-table', 'EXAMPLE_STORE_DRIVER');
+        const scan = jest.spyOn(dynamodb, 'scan')
+            .mockImplementationOnce(respond({ Items: [], LastEvaluatedKey: { userId: 'u1' } }))
+            .mockImplementationOnce(respond({ Items: [{ userId: 'u2' }] }));
+
+        await expect(store.scan({ condition: 'attribute_not_exists(cognitoSub)' })).resolves.toEqual([{ userId: 'u2' }]);
+        expect(scan.mock.calls[0][0]).toEqual({ TableName: 'example-table', FilterExpression: 'attribute_not_exists(cognitoSub)' });
+        expect(scan.mock.calls[1][0].ExclusiveStartKey).toEqual({ userId: 'u1' });
+    });
+});
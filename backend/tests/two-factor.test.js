@@ -0,0 +1,218 @@
+/**
+ * Test suite for TOTP two-factor authentication, recovery codes and organizations requiring it
+ */
+
+process.env.JWT_SECRET = 'two-factor-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { DynamoDBService } = require('../src/config/aws');
+const { createUser, emailedToken, silenceConsole } = require('./helpers');
+const billingSimulator = require('../src/services/billingSimulator');
+const notificationService = require('../src/services/notificationService');
+const twoFactorService = require('../src/services/twoFactorService');
+const accountTokenService = require('../src/services/accountTokenService');
+const apiKeyService = require('../src/services/apiKeyService');
+
+const PASSWORD = 'Str0ng!Pass';
+const STEP_MS = 30 * 1000;
+
+const api = (method, path, token) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+const login = (body) => request(app).post('/api/auth/login').send(body);
+
+// Register and verify the address, which signs in
+const registerAndVerify = async (email) => {
+    await request(app).post('/api/auth/register').send({ email, password: PASSWORD, name: 'Factor Tester' }).expect(201);
+    const verified = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: emailedToken(email, 'verify_email') })
+        .expect(200);
+    return verified.body.token;
+};
+
+// Enroll with the code of the current time step; returns the secret and the recovery codes
+const enroll = async (token) => {
+    const setup = await api('post', '/api/auth/2fa/setup', token).expect(200);
+    const enabled = await api('post', '/api/auth/2fa/enable', token)
+        .send({ code: twoFactorService.generateCode(setup.body.secret) })
+        .expect(200);
+    return { secret: setup.body.secret, recoveryCodes: enabled.body.recoveryCodes };
+};
+
+describe('Two-factor authentication', () => {
+    beforeEach(() => {
+        billingSimulator.reset();
+        notificationService.sent = [];
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should enroll and then require a one-time code or recovery code at login', async () => {
+        const token = await registerAndVerify('factor@example.com');
+        const status = await api('get', '/api/auth/2fa', token).expect(200);
+        expect(status.body).toMatchObject({ enabled: false, required: false });
+
+        const setup = await api('post', '/api/auth/2fa/setup', token).expect(200);
+        expect(setup.body.otpauthUrl).toBe(
+            `otpauth://totp/File%20Drop%20AI%3Afactor%40example.com?secret=${setup.body.secret}&issuer=File%20Drop%20AI&algorithm=SHA1&digits=6&period=30`
+        );
+        await api('post', '/api/auth/2fa/enable', token).send({ code: '000000' }).expect(400);
+        const enrolledAt = Date.now();
+        const enrollmentCode = twoFactorService.generateCode(setup.body.secret, enrolledAt);
+        const enabled = await api('post', '/api/auth/2fa/enable', token).send({ code: enrollmentCode }).expect(200);
+        expect(enabled.body.recoveryCodes).toHaveLength(10);
+        expect(new Set(enabled.body.recoveryCodes).size).toBe(10);
+        await api('post', '/api/auth/2fa/setup', token).expect(409);
+
+        // The password alone only gets a challenge token, which is not a login
+        const challenge = await login({ email: 'factor@example.com', password: PASSWORD }).expect(200);
+        expect(challenge.body).toMatchObject({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect(challenge.body).not.toHaveProperty('token');
+        await api('get', '/api/auth/profile', challenge.body.challengeToken).expect(403);
+
+        // The code used to enroll cannot be used again; the next one can, once
+        const { challengeToken } = challenge.body;
+        await login({ challengeToken, code: enrollmentCode }).expect(401);
+        const nextCode = twoFactorService.generateCode(setup.body.secret, enrolledAt + STEP_MS);
+        const signedIn = await login({ challengeToken, code: nextCode }).expect(200);
+        await login({ challengeToken, code: nextCode }).expect(401);
+        const profile = await api('get', '/api/auth/profile', signedIn.body.token).expect(200);
+        expect(profile.body).toMatchObject({ twoFactorEnabled: true, twoFactorRequired: false });
+
+        // Recovery codes work once each, whatever their case
+        const recoveryCode = enabled.body.recoveryCodes[0];
+        await login({ challengeToken, recoveryCode: recoveryCode.toLowerCase() }).expect(200);
+        await login({ challengeToken, recoveryCode }).expect(401);
+        const afterRecovery = await api('get', '/api/auth/2fa', token).expect(200);
+        expect(afterRecovery.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 9 });
+
+        // New recovery codes replace the old ones
+        const regenerated = await api('post', '/api/auth/2fa/recovery-codes', token)
+            .send({ recoveryCode: enabled.body.recoveryCodes[1] })
+            .expect(200);
+        await login({ challengeToken, recoveryCode: enabled.body.recoveryCodes[2] }).expect(401);
+
+        await api('post', '/api/auth/2fa/disable', token).send({ recoveryCode: regenerated.body.recoveryCodes[0] }).expect(204);
+        const withoutSecondStep = await login({ email: 'factor@example.com', password: PASSWORD }).expect(200);
+        expect(withoutSecondStep.body.token).toEqual(expect.any(String));
+    }, 20000);
+
+    test('should send accounts with two-factor authentication from a verification link to the second step', async () => {
+        const token = await createUser('factor-verify-user');
+        const { secret } = await enroll(token);
+        await DynamoDBService.updateItem(process.env.DYNAMODB_TABLE_USERS, { userId: 'factor-verify-user' }, 'SET emailVerified = :emailVerified', { ':emailVerified': false });
+        const user = await DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId: 'factor-verify-user' });
+
+        const verified = await request(app)
+            .post('/api/auth/verify-email')
+            .send({ token: accountTokenService.createVerificationToken(user) })
+            .expect(200);
+        expect(verified.body).toMatchObject({ twoFactorRequired: true, challengeToken: expect.any(String) });
+        expect(verified.body).not.toHaveProperty('token');
+
+        const signedIn = await login({ challengeToken: verified.body.challengeToken, code: twoFactorService.generateCode(secret, Date.now() + STEP_MS) }).expect(200);
+        expect(signedIn.body.token).toEqual(expect.any(String));
+    }, 15000);
+
+    test('should lock the second step after repeated invalid codes', async () => {
+        const token = await registerAndVerify('locked@example.com');
+        const { secret } = await enroll(token);
+
+        const challenge = await login({ email: 'locked@example.com', password: PASSWORD }).expect(200);
+        const { challengeToken } = challenge.body;
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await login({ challengeToken, code: '123456' }).expect(401);
+        }
+        const locked = await login({ challengeToken, code: twoFactorService.generateCode(secret, Date.now() + STEP_MS) }).expect(429);
+        expect(locked.body.error).toBe('Too many invalid codes. Try again in 15 minutes');
+        await login({ challengeToken: 'not-a-token', code: '123456' }).expect(401);
+    }, 20000);
+
+    test('should accept a code once and count every guess when logins race', async () => {
+        const token = await registerAndVerify('racing@example.com');
+        const { secret, recoveryCodes } = await enroll(token);
+        const challenge = await login({ email: 'racing@example.com', password: PASSWORD }).expect(200);
+        const { challengeToken } = challenge.body;
+
+        const code = twoFactorService.generateCode(secret, Date.now() + STEP_MS);
+        const withCode = await Promise.all([1, 2, 3].map(() => login({ challengeToken, code })));
+        expect(withCode.map(response => response.status).sort()).toEqual([200, 401, 401]);
+
+        const withRecoveryCode = await Promise.all([1, 2, 3].map(() => login({ challengeToken, recoveryCode: recoveryCodes[0] })));
+        expect(withRecoveryCode.map(response => response.status).sort()).toEqual([200, 401, 401]);
+        const status = await api('get', '/api/auth/2fa', token).expect(200);
+        expect(status.body.recoveryCodesRemaining).toBe(9);
+
+
+        // Guesses of another account, without earlier attempts
+        const guesser = await enroll(await createUser('factor-racing-user'));
+        const guesserChallenge = twoFactorService.createChallengeToken({ userId: 'factor-racing-user' });
+        const guesses = await Promise.all([1, 2, 3, 4, 5, 6, 7].map(() => login({ challengeToken: guesserChallenge, code: '123456' })));
+        expect(guesses.map(response => response.status).sort()).toEqual([401, 401, 401, 401, 401, 429, 429]);
+        await login({ challengeToken: guesserChallenge, recoveryCode: guesser.recoveryCodes[0] }).expect(429);
+    }, 30000);
+
+    test('should let organization managers require two-factor authentication of the members', async () => {
+        const ownerToken = await createUser('factor-owner');
+        const organization = (await api('post', '/api/organizations', ownerToken).send({ name: 'Secure Co' }).expect(201)).body;
+        const { orgId } = organization;
+
+        // Managers must have it themselves before requiring it
+        const refused = await api('patch', `/api/organizations/${orgId}`, ownerToken).send({ requireTwoFactor: true }).expect(400);
+        expect(refused.body.error).toBe('Enable two-factor authentication on your own account before requiring it');
+        await enroll(ownerToken);
+        const updated = await api('patch', `/api/organizations/${orgId}`, ownerToken).send({ requireTwoFactor: true }).expect(200);
+        expect(updated.body).toMatchObject({ requireTwoFactor: true, name: 'Secure Co' });
+
+        const checkout = await api('post', `/api/organizations/${orgId}/checkout`, ownerToken).send({ planId: 'basic', seats: 2 }).expect(200);
+        await request(app)
+            .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+            .send({ outcome: 'approve' })
+            .expect(200);
+        // On a plan with API access of their own, so their keys are only refused for the organization
+        const memberToken = await createUser('factor-member', { subscriptionTier: 'enterprise' });
+        await api('post', `/api/organizations/${orgId}/invitations`, ownerToken).send({ email: 'factor-member@example.com' }).expect(201);
+        await api('post', '/api/organizations/invitations/accept', memberToken)
+            .send({ token: emailedToken('factor-member@example.com', 'organization_invitation') })
+            .expect(200);
+
+        // The member acts for the organization, and can only enroll until they do
+        const blocked = await api('get', '/api/auth/usage', memberToken).expect(403);
+        expect(blocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+        const profile = await api('get', '/api/auth/profile', memberToken).expect(200);
+        expect(profile.body).toMatchObject({ organizationId: orgId, twoFactorEnabled: false, twoFactorRequired: true });
+        await api('get', '/api/auth/usage', memberToken).set('X-Organization-Id', 'personal').expect(200);
+
+        // Nor can their API keys, and they get no new key secrets until they enroll
+        const { key } = await apiKeyService.create('factor-member', { name: 'Earlier key', scopes: ['usage:read'] });
+        const keyBlocked = await request(app).get('/api/auth/usage').set('X-API-Key', key).expect(403);
+        expect(keyBlocked.body.code).toBe('TWO_FACTOR_REQUIRED');
+        await request(app).get('/api/auth/usage').set('X-API-Key', key).set('X-Organization-Id', 'personal').expect(200);
+        const keyRefused = await api('post', '/api/api-keys', memberToken)
+            .set('X-Organization-Id', 'personal')
+            .send({ name: 'New key', scopes: ['usage:read'] })
+            .expect(403);
+        expect(keyRefused.body.error).toMatch(/requires two-factor authentication/);
+
+        const { secret } = await enroll(memberToken);
+        await api('get', '/api/auth/usage', memberToken).expect(200);
+        await api('post', '/api/api-keys', memberToken)
+            .set('X-Organization-Id', 'personal')
+            .send({ name: 'New key', scopes: ['usage:read'] })
+            .expect(201);
+        const disabling = await api('post', '/api/auth/2fa/disable', memberToken)
+            .send({ code: twoFactorService.generateCode(secret, Date.now() + STEP_MS) })
+            .expect(403);
+        expect(disabling.body.error).toBe('An organization you belong to requires two-factor authentication');
+    }, 30000);
+});
@@ -0,0 +1,158 @@
+/**
+ * Test suite for idempotent, ordered Stripe webhook processing
+ */
+
+process.env.JWT_SECRET = 'ledger-test-secret';
+process.env.DYNAMODB_TABLE_USERS = 'seo-nlp-users-test';
+process.env.DYNAMODB_TABLE_SUBSCRIPTIONS = 'seo-nlp-subscriptions-test';
+delete process.env.STRIPE_SECRET_KEY;
+
+// Run the routes against the in-memory DynamoDB
+jest.mock('../src/config/aws', () => require('./helpers').mockAws());
+
+const request = require('supertest');
+const app = require('../src/server');
+const { createUser, silenceConsole } = require('./helpers');
+const { DynamoDBService } = require('../src/config/aws');
+const billingSimulator = require('../src/services/billingSimulator');
+const stripeWebhookService = require('../src/services/stripeWebhookService');
+
+const getUser = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_USERS, { userId });
+const getSubscription = (userId) => DynamoDBService.getItem(process.env.DYNAMODB_TABLE_SUBSCRIPTIONS, { userId });
+
+// Subscribe through the simulator, returning the Stripe subscription
+const subscribe = async (token, planId) => {
+    const checkout = await request(app)
+        .post('/api/subscriptions/checkout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ planId })
+        .expect(200);
+
+    const completed = await request(app)
+        .post(`/api/simulator/stripe/checkout/${checkout.body.sessionId}/complete`)
+        .send({ outcome: 'approve' })
+        .expect(200);
+    return completed.body.subscription;
+};
+
+const sendEvent = (event) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+        .post('/api/subscriptions/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', billingSimulator.stripeWebhooks.generateTestHeaderString({
+            payload,
+            secret: billingSimulator.stripeWebhookSecret
+        }))
+        .send(payload);
+};
+
+describe('Stripe Webhook Ledger', () => {
+    beforeEach(() => {
+        silenceConsole();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should apply a redelivered event only once', async () => {
+        const token = await createUser('ledger-duplicate-user');
+        const subscription = await subscribe(token, 'basic');
+
+        const event = {
+            id: 'evt_ledger_duplicate',
+            type: 'customer.subscription.updated',
+            created: Math.floor(Date.now() / 1000) + 1,
+            data: { object: { ...subscription, cancel_at_period_end: true } }
+        };
+
+        const first = await sendEvent(event).expect(200);
+        const second = await sendEvent(event).expect(200);
+
+        expect(first.body.status).toBe('applied');
+        expect(second.body.status).toBe('duplicate');
+    });
+
+    test('should skip events older than the last one applied', async () => {
+        const token = await createUser('ledger-order-user');
+        const subscription = await subscribe(token, 'basic');
+        const now = Math.floor(Date.now() / 1000);
+
+        await sendEvent({
+            id: 'evt_ledger_newer',
+            type: 'customer.subscription.updated',
+            created: now + 60,
+            data: { object: { ...subscription, status: 'active' } }
+        }).expect(200);
+
+        const older = await sendEvent({
+            id: 'evt_ledger_older',
+            type: 'customer.subscription.updated',
+            created: now + 30,
+            data: { object: { ...subscription, status: 'past_due' } }
+        }).expect(200);
+
+        expect(older.body.status).toBe('stale');
+        expect((await getSubscription('ledger-order-user')).status).toBe('active');
+    });
+
+    test('should not downgrade a user when a replaced subscription is deleted', async () => {
+        const token = await createUser('ledger-resubscribe-user');
+        const oldSubscription = await subscribe(token, 'basic');
+        await subscribe(token, 'premium');
+
+        const cancelled = await request(app)
+            .post(`/api/simulator/stripe/subscriptions/${oldSubscription.id}/cancel`)
+            .expect(200);
+
+        expect(cancelled.body.deliveries[0].status).toBe(200);
+        expect((await getUser('ledger-resubscribe-user')).subscriptionTier).toBe('premium');
+        expect((await getSubscription('ledger-resubscribe-user')).status).toBe('active');
+    });
+
+    test('should dead-letter failing events and replay them for admins', async () => {
+        const token = await createUser('ledger-failing-user');
+        const adminToken = await createUser('ledger-admin', { role: 'admin' });
+        const subscription = await subscribe(token, 'basic');
+
+        jest.spyOn(stripeWebhookService, 'handleSubscriptionUpdated')
+            .mockRejectedValueOnce(new Error('DynamoDB unavailable'));
+
+        const event = {
+            id: 'evt_ledger_failing',
+            type: 'customer.subscription.updated',
+            created: Math.floor(Date.now() / 1000) + 1,
+            data: { object: { ...subscription, cancel_at_period_end: true } }
+        };
+        await sendEvent(event).expect(500);
+
+        await request(app)
+            .get('/api/admin/webhooks/dead-letters')
+            .set('Authorization', `Bearer ${token}`)
+            .expect(403);
+
+        const deadLetters = await request(app)
+            .get('/api/admin/webhooks/dead-letters')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(deadLetters.body.events).toEqual([
+            expect.objectContaining({ eventId: 'evt_ledger_failing', status: 'failed', error: 'DynamoDB unavailable' })
+        ]);
+
+        const replay = await request(app)
+            .post('/api/admin/webhooks/evt_ledger_failing/replay')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(replay.body.status).toBe('applied');
+        expect((await getSubscription('ledger-failing-user')).cancelAtPeriodEnd).toBe(true);
+
+        // Processed events cannot be replayed again
+        await request(app)
+            .post('/api/admin/webhooks/evt_ledger_failing/replay')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(409);
+    });
+});
@@ -6,7 +6,9 @@ import { loadStripe } from '@stripe/stripe-js';
 import { Elements } from '@stripe/react-stripe-js';
 
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { TierProvider } from './contexts/TierContext';
 import Navbar from './components/Navbar';
+import BillingBanner from './components/BillingBanner';
 import Footer from './components/Footer';
 import Home from './pages/Home';
 import About from './pages/About';
@@ -17,6 +19,10 @@ import Pricing from './pages/Pricing';
 import ConvertFiles from './pages/ConvertFiles';
 import FileProcessor from './pages/FileProcessor';
 import Profile from './pages/Profile';
+import Organization from './pages/Organization';
+import AcceptInvitation from './pages/AcceptInvitation';
+import VerifyEmail from './pages/VerifyEmail';
+import ResetPassword from './pages/ResetPassword';
 import LoadingSpinner from './components/LoadingSpinner';
 import LoginDialog from './components/LoginDialog';
 import SignUpDialog from './components/SignUpDialog';
@@ -70,6 +76,7 @@ const AppContent = () => {
         onShowLogin={() => setShowLoginDialog(true)}
         onShowSignUp={() => setShowSignUpDialog(true)}
       />
+      <BillingBanner />
       
       <main className="flex-grow">
         <Routes>
@@ -108,6 +115,15 @@ const AppContent = () => {
               </PublicRoute>
             } 
           />
+          {/* Links from account emails */}
+          <Route 
+            path="/verify-email" 
+            element={<VerifyEmail onShowLogin={() => setShowLoginDialog(true)} />} 
+          />
+          <Route 
+            path="/reset-password" 
+            element={<ResetPassword onShowLogin={() => setShowLoginDialog(true)} />} 
+          />
           
           {/* Protected Routes */}
           <Route 
@@ -142,6 +158,19 @@ const AppContent = () => {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/organization" 
+            element={
+              <ProtectedRoute>
+                <Organization />
+              </ProtectedRoute>
+            } 
+          />
+          {/* Invitation links open signed out too, and ask to sign in first */}
+          <Route 
+            path="/invitations/accept" 
+            element={<AcceptInvitation onShowLogin={() => setShowLoginDialog(true)} />} 
+          />
           
           {/* Catch all route */}
           <Route path="*" element={<Navigate to="/" />} />
@@ -197,11 +226,13 @@ function App() {
   return (
     <HelmetProvider>
       <Elements stripe={stripePromise}>
-        <AuthProvider>
-          <Router>
-            <AppContent />
-          </Router>
-        </AuthProvider>
+        <TierProvider>
+          <AuthProvider>
+            <Router>
+              <AppContent />
+            </Router>
+          </AuthProvider>
+        </TierProvider>
       </Elements>
     </HelmetProvider>
   );
@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { KeyRound, Loader, Plus, RefreshCw, Trash2, Copy } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'Never');
+
+// API keys for programmatic access: create with scopes and a rate limit, rotate and revoke.
+// A key's secret is only shown right after it is created or rotated
+const ApiKeys = () => {
+  const [keys, setKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [apiAccess, setApiAccess] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [form, setForm] = useState({ name: '', scopes: [], rateLimitPerMinute: 60 });
+  const [revealed, setRevealed] = useState(null);
+
+  const load = async () => {
+    try {
+      const response = await axios.get('/api-keys');
+      setKeys(response.data.keys);
+      setScopes(response.data.scopes);
+      setApiAccess(response.data.apiAccess);
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+      toast.error('Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      if (response?.data?.key) {
+        setRevealed(response.data);
+      }
+      toast.success(successMessage);
+      await load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleScope = (scope) => setForm(prev => ({
+    ...prev,
+    scopes: prev.scopes.includes(scope) ? prev.scopes.filter(entry => entry !== scope) : [...prev.scopes, scope]
+  }));
+
+  const create = () => run(async () => {
+    const response = await axios.post('/api-keys', { ...form, rateLimitPerMinute: Number(form.rateLimitPerMinute) });
+    setForm({ name: '', scopes: [], rateLimitPerMinute: 60 });
+    return response;
+  }, 'API key created');
+
+  const copy = async (key) => {
+    await navigator.clipboard.writeText(key);
+    toast.success('Copied to clipboard');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+      <h3 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+        <KeyRound className="h-6 w-6 mr-3 text-purple-600" />
+        API Keys
+      </h3>
+      <p className="text-gray-600 mb-6">
+        Send a key as <code>X-API-Key: &lt;key&gt;</code> or <code>Authorization: ApiKey &lt;key&gt;</code>.
+        Each key only works for its scopes, and is limited to its requests per minute.
+      </p>
+
+      {revealed && (
+        <div className="mb-6 p-4 rounded-xl bg-amber-50 border border-amber-200">
+          <p className="text-sm font-semibold text-amber-800 mb-2">
+            Copy the key for &quot;{revealed.name}&quot; now. It will not be shown again.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all text-sm bg-white px-3 py-2 rounded-lg border">{revealed.key}</code>
+            <button onClick={() => copy(revealed.key)} className="text-purple-600 hover:text-purple-800" title="Copy">
+              <Copy className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {apiAccess ? (
+        <div className="mb-8 space-y-3">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              value={form.name}
+              onChange={(event) => setForm(prev => ({ ...prev, name: event.target.value }))}
+              placeholder="Key name, e.g. CI pipeline"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="1"
+              value={form.rateLimitPerMinute}
+              onChange={(event) => setForm(prev => ({ ...prev, rateLimitPerMinute: event.target.value }))}
+              title="Requests per minute"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <button
+              onClick={create}
+              disabled={busy || !form.name.trim() || form.scopes.length === 0}
+              className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-xl font-semibold inline-flex items-center disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Create key
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {scopes.map(scope => (
+              <label key={scope} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                  className="h-4 w-4 mr-2 text-purple-600 rounded"
+                />
+                {scope}
+              </label>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p className="mb-8 text-sm text-gray-500">API access is included in the Enterprise plan.</p>
+      )}
+
+      {keys.length === 0 ? (
+        <p className="text-gray-500">No API keys yet.</p>
+      ) : (
+        <ul className="divide-y">
+          {keys.map(apiKey => (
+            <li key={apiKey.keyId} className={`py-4 flex flex-col sm:flex-row sm:items-center gap-3 ${apiKey.revokedAt ? 'opacity-50' : ''}`}>
+              <div className="flex-1">
+                <p className="font-semibold text-gray-900">
+                  {apiKey.name} {apiKey.revokedAt && <span className="text-xs text-red-600">(revoked)</span>}
+                </p>
+                <p className="text-sm text-gray-500 font-mono">{apiKey.preview}</p>
+                <p className="text-sm text-gray-500">
+                  {apiKey.scopes.join(', ')} · {apiKey.rateLimitPerMinute}/min · last used {formatDate(apiKey.lastUsedAt)}
+                  {apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}
+                </p>
+              </div>
+              {!apiKey.revokedAt && (
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => window.confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`) &&
+                      run(() => axios.post(`/api-keys/${apiKey.keyId}/rotate`), 'API key rotated')}
+                    disabled={busy}
+                    className="text-purple-600 hover:text-purple-800 inline-flex items-center text-sm font-medium"
+                  >
+                    <RefreshCw className="h-4 w-4 mr-1" />
+                    Rotate
+                  </button>
+                  <button
+                    onClick={() => window.confirm(`Revoke "${apiKey.name}"?`) &&
+                      run(() => axios.delete(`/api-keys/${apiKey.keyId}`), 'API key revoked')}
+                    disabled={busy}
+                    className="text-red-600 hover:text-red-800 inline-flex items-center text-sm font-medium"
+                  >
+                    <Trash2 className="h-4 w-4 mr-1" />
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,46 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { AlertTriangle, X } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Failed-payment notice while the user's subscription is in dunning
+const BillingBanner = () => {
+  const { user } = useAuth();
+  const [dunning, setDunning] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => {
+    if (!user) {
+      setDunning(null);
+      return;
+    }
+
+    axios.get('/subscriptions/current')
+      .then(response => setDunning(response.data.dunning || null))
+      .catch(error => console.error('Failed to load billing status:', error));
+  }, [user]);
+
+  if (!dunning || dismissed) {
+    return null;
+  }
+
+  const styles = dunning.severity === 'error'
+    ? 'bg-red-50 border-red-200 text-red-800'
+    : 'bg-amber-50 border-amber-200 text-amber-800';
+
+  return (
+    <div className={`border-b ${styles}`}>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center justify-between">
+        <div className="flex items-center text-sm">
+          <AlertTriangle className="h-5 w-5 mr-2 flex-shrink-0" />
+          <span>{dunning.message}</span>
+        </div>
+        <button onClick={() => setDismissed(true)} className="ml-4" aria-label="Dismiss">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BillingBanner;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Download, Loader, Receipt } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  paid: 'bg-green-100 text-green-800',
+  open: 'bg-amber-100 text-amber-800',
+  uncollectible: 'bg-red-100 text-red-800',
+  void: 'bg-gray-100 text-gray-600'
+};
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat(undefined, {
+  style: 'currency',
+  currency: (currency || 'usd').toUpperCase()
+}).format(amount || 0);
+
+// Invoices and receipts of the current user, with PDF downloads
+const BillingHistory = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(null);
+
+  useEffect(() => {
+    axios.get('/billing/invoices')
+      .then(response => setInvoices(response.data.invoices))
+      .catch(error => {
+        console.error('Failed to load billing history:', error);
+        toast.error('Failed to load billing history');
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const downloadPdf = async (invoice) => {
+    setDownloading(invoice.id);
+    try {
+      const response = await axios.get(`/billing/invoices/${invoice.id}/pdf`, { responseType: 'blob' });
+      const element = document.createElement('a');
+      element.href = URL.createObjectURL(response.data);
+      element.download = `${invoice.status === 'paid' ? 'receipt' : 'invoice'}-${invoice.number}.pdf`;
+      document.body.appendChild(element);
+      element.click();
+      document.body.removeChild(element);
+      URL.revokeObjectURL(element.href);
+    } catch (error) {
+      console.error('Invoice download error:', error);
+      toast.error('Failed to download the PDF');
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+      <h3 className="text-2xl font-bold text-gray-900 mb-6 flex items-center">
+        <Receipt className="h-6 w-6 mr-3 text-purple-600" />
+        Billing History
+      </h3>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader className="h-6 w-6 animate-spin text-purple-600" />
+        </div>
+      ) : invoices.length === 0 ? (
+        <p className="text-gray-600">No invoices yet. Payments for your plan will show up here.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-100">
+                <th className="py-3 pr-4 font-semibold">Date</th>
+                <th className="py-3 pr-4 font-semibold">Number</th>
+                <th className="py-3 pr-4 font-semibold">Description</th>
+                <th className="py-3 pr-4 font-semibold">Amount</th>
+                <th className="py-3 pr-4 font-semibold">Status</th>
+                <th className="py-3 font-semibold"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {invoices.map(invoice => (
+                <tr key={invoice.id} className="border-b border-gray-50">
+                  <td className="py-3 pr-4 text-gray-700">{new Date(invoice.issuedAt).toLocaleDateString()}</td>
+                  <td className="py-3 pr-4 text-gray-700 font-mono">{invoice.number}</td>
+                  <td className="py-3 pr-4 text-gray-900">{invoice.description}</td>
+                  <td className="py-3 pr-4 text-gray-900">{formatAmount(invoice.total, invoice.currency)}</td>
+                  <td className="py-3 pr-4">
+                    <span className={`inline-flex px-2 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_STYLES[invoice.status] || STATUS_STYLES.void}`}>
+                      {invoice.status}
+                    </span>
+                  </td>
+                  <td className="py-3 text-right">
+                    <button
+                      onClick={() => downloadPdf(invoice)}
+                      disabled={downloading === invoice.id}
+                      className="text-purple-600 hover:text-purple-500 font-semibold inline-flex items-center disabled:opacity-50"
+                    >
+                      {downloading === invoice.id
+                        ? <Loader className="h-4 w-4 mr-1 animate-spin" />
+                        : <Download className="h-4 w-4 mr-1" />}
+                      PDF
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BillingHistory;
@@ -10,7 +10,8 @@ import {
   EyeOff, 
   Star, 
   CheckCircle,
-  AlertCircle
+  AlertCircle,
+  ShieldCheck
 } from 'lucide-react';
 
 const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
@@ -18,7 +19,11 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
   const [showPassword, setShowPassword] = useState(false);
   const [loginLoading, setLoginLoading] = useState(false);
   const [passwordError, setPasswordError] = useState('');
-  const { login } = useAuth();
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [secondFactor, setSecondFactor] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, completeTwoFactor } = useAuth();
   const navigate = useNavigate();
 
   // Prevent body scroll when modal is open
@@ -61,6 +66,9 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
     setShowPassword(false);
     setLoginLoading(false);
     setPasswordError('');
+    setChallengeToken(null);
+    setSecondFactor('');
+    setUseRecoveryCode(false);
     // Restore body scroll
     document.body.style.overflow = 'unset';
   };
@@ -95,6 +103,12 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
       if (result.success) {
         closeLoginDialog();
         navigate('/convert');
+      } else if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.code === 'EMAIL_NOT_VERIFIED') {
+        // The verification page can send the email again
+        closeLoginDialog();
+        navigate(`/verify-email?email=${encodeURIComponent(loginData.email)}`);
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -103,6 +117,20 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
     }
   };
 
+  const handleSecondFactor = async (e) => {
+    e.preventDefault();
+    setLoginLoading(true);
+    const value = secondFactor.trim();
+    const result = await completeTwoFactor(challengeToken, useRecoveryCode ? { recoveryCode: value } : { code: value });
+    setLoginLoading(false);
+    if (result.success) {
+      closeLoginDialog();
+      navigate('/convert');
+    } else {
+      setSecondFactor('');
+    }
+  };
+
   const handleGoogleLogin = () => {
     // Redirect to Google OAuth
     window.location.href = `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}/api/auth/google`;
@@ -137,7 +165,60 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
             </p>
           </div>
 
+          {/* Second Factor */}
+          {challengeToken && (
+            <form onSubmit={handleSecondFactor} className="space-y-6">
+              <div className="flex items-start text-gray-600">
+                <ShieldCheck className="h-6 w-6 mr-3 text-blue-600 flex-shrink-0" />
+                <p>
+                  {useRecoveryCode
+                    ? 'Enter one of your recovery codes.'
+                    : 'Enter the 6-digit code from your authenticator app.'}
+                </p>
+              </div>
+              <input
+                id="second-factor"
+                name="second-factor"
+                autoFocus
+                required
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                className="w-full px-4 py-3 border border-gray-300 rounded-xl shadow-sm text-center tracking-widest font-mono focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder={useRecoveryCode ? 'ABCDE-23456' : '123456'}
+                value={secondFactor}
+                onChange={(e) => setSecondFactor(e.target.value)}
+              />
+              <button
+                type="submit"
+                disabled={loginLoading || !secondFactor.trim()}
+                className="w-full bg-gradient-to-r from-blue-600 to-purple-600 text-white py-3 px-4 rounded-xl font-semibold hover:from-blue-700 hover:to-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 shadow-lg"
+              >
+                {loginLoading ? 'Verifying...' : 'Verify'}
+              </button>
+              <div className="flex justify-between text-sm">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setSecondFactor('');
+                  }}
+                  className="text-blue-600 hover:text-blue-500 font-medium"
+                >
+                  {useRecoveryCode ? 'Use the authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setChallengeToken(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  Back
+                </button>
+              </div>
+            </form>
+          )}
+
           {/* Login Form */}
+          {!challengeToken && (
           <form onSubmit={handleLogin} className="space-y-6">
             {/* Email */}
             <div>
@@ -216,6 +297,19 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
                   {passwordError}
                 </div>
               )}
+
+              <div className="mt-2 text-right">
+                <button
+                  type="button"
+                  onClick={() => {
+                    closeLoginDialog();
+                    navigate('/reset-password');
+                  }}
+                  className="text-sm text-blue-600 hover:text-blue-500 font-medium"
+                >
+                  Forgot password?
+                </button>
+              </div>
             </div>
 
             {/* Sign In Button */}
@@ -237,6 +331,7 @@ const LoginDialog = ({ showLoginDialog, setShowLoginDialog, onShowSignUp }) => {
               )}
             </button>
           </form>
+          )}
 
           {/* Divider */}
           <div className="relative my-6">
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { FileText, Menu, X, User, Settings, LogOut, BarChart3, Zap, Upload } from 'lucide-react';
+import { FileText, Menu, X, User, Settings, LogOut, BarChart3, Zap, Upload, Users } from 'lucide-react';
 
 const Navbar = ({ onShowLogin, onShowSignUp }) => {
   const { user, logout } = useAuth();
@@ -90,6 +90,14 @@ const Navbar = ({ onShowLogin, onShowSignUp }) => {
                       <Settings className="w-4 h-4 mr-2" />
                       Profile Settings
                     </Link>
+                    <Link
+                      to="/organization"
+                      className="flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+                      onClick={() => setIsOpen(false)}
+                    >
+                      <Users className="w-4 h-4 mr-2" />
+                      Organization
+                    </Link>
                     <button
                       onClick={handleLogout}
                       className="flex items-center w-full px-4 py-2 text-gray-700 hover:bg-gray-100 transition-colors duration-200"
@@ -153,6 +161,18 @@ const Navbar = ({ onShowLogin, onShowSignUp }) => {
                   <Settings className="inline-block w-4 h-4 mr-2" />
                   Profile
                 </Link>
+                <Link
+                  to="/organization"
+                  className={`block px-3 py-2 rounded-md text-base font-medium transition-colors duration-200 ${
+                    isActive('/organization')
+                      ? 'bg-white text-purple-600'
+                      : 'text-white hover:bg-white/20'
+                  }`}
+                  onClick={() => setIsOpen(false)}
+                >
+                  <Users className="inline-block w-4 h-4 mr-2" />
+                  Organization
+                </Link>
                 <button
                   onClick={handleLogout}
                   className="block w-full text-left px-3 py-2 rounded-md text-base font-medium text-white hover:bg-white/20 transition-colors duration-200"
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { Gauge, Loader, Save } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const formatDollars = (amount) => new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+// Opt-in overage billing: conversions past the monthly quota at a per-conversion price, up to a spending cap
+const OverageSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [enabled, setEnabled] = useState(false);
+  const [spendingCap, setSpendingCap] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    axios.get('/subscriptions/overage')
+      .then(response => {
+        setSettings(response.data);
+        setEnabled(response.data.enabled);
+        setSpendingCap(response.data.spendingCap ? String(response.data.spendingCap) : '');
+      })
+      .catch(error => console.error('Failed to load overage settings:', error));
+  }, []);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const response = await axios.put('/subscriptions/overage', {
+        enabled,
+        ...(spendingCap ? { spendingCap: Number(spendingCap) } : {})
+      });
+      setSettings(response.data);
+      toast.success(enabled ? 'Overage billing enabled' : 'Overage billing turned off');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to update overage settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings || !settings.pricePerConversion) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100 mb-8">
+      <h3 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+        <Gauge className="h-6 w-6 mr-3 text-purple-600" />
+        Overage Billing
+      </h3>
+      <p className="text-gray-600 mb-6">
+        Keep converting after your monthly quota for {formatDollars(settings.pricePerConversion)} per conversion,
+        billed with your next invoice. Conversions stop once the month's overage reaches your spending cap.
+      </p>
+
+      {!settings.available ? (
+        <p className="text-sm text-gray-500">Overage billing is available on active card subscriptions.</p>
+      ) : (
+        <div className="flex flex-col sm:flex-row sm:items-end gap-4">
+          <label className="flex items-center text-gray-700 font-medium">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(event) => setEnabled(event.target.checked)}
+              className="h-4 w-4 mr-2 text-purple-600 rounded"
+            />
+            Allow overage
+          </label>
+          <div>
+            <label htmlFor="overage-cap" className="block text-sm font-medium text-gray-700 mb-1">Monthly spending cap ($)</label>
+            <input
+              id="overage-cap"
+              type="number"
+              min="1"
+              step="1"
+              value={spendingCap}
+              onChange={(event) => setSpendingCap(event.target.value)}
+              className="w-40 px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            onClick={save}
+            disabled={saving || (enabled && !spendingCap)}
+            className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-xl font-semibold inline-flex items-center disabled:opacity-50"
+          >
+            {saving ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+            Save
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OverageSettings;
@@ -4,6 +4,9 @@ import toast from 'react-hot-toast';
 
 const PayPalButton = ({ 
   amount, 
+  couponCode,
+  planId,
+  billingCycle = 'monthly',
   planName, 
   onSuccess, 
   onError, 
@@ -25,9 +28,12 @@ const PayPalButton = ({
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('token')}`
         },
+        // The server prices the order from the plan; amount is only checked against it
         body: JSON.stringify({
-          amount: amount,
-          description: `${planName} Plan - NLP Converter`
+          planId,
+          billingCycle,
+          amount,
+          couponCode
         })
       });
 
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { MonitorSmartphone, Loader, LogOut } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+// Devices signed in to the account, with a way to sign out of one or all of them
+const Sessions = () => {
+  const { logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const load = async () => {
+    try {
+      const response = await axios.get('/auth/sessions');
+      setSessions(response.data.sessions);
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const revoke = async (session) => {
+    setBusy(true);
+    try {
+      await axios.delete(`/auth/sessions/${session.sessionId}`);
+      toast.success(`Signed out of ${session.device}`);
+      await load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to sign out the session');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const revokeAll = async () => {
+    if (!window.confirm('Log out on every device, including this one?')) {
+      return;
+    }
+    setBusy(true);
+    await logoutEverywhere();
+    setBusy(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-2xl font-bold text-gray-900 flex items-center">
+          <MonitorSmartphone className="h-6 w-6 mr-3 text-purple-600" />
+          Sessions
+        </h3>
+        <button
+          onClick={revokeAll}
+          disabled={busy}
+          className="text-red-600 hover:text-red-800 inline-flex items-center text-sm font-medium disabled:opacity-50"
+        >
+          <LogOut className="h-4 w-4 mr-1" />
+          Log out everywhere
+        </button>
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-gray-500">No active sessions.</p>
+      ) : (
+        <ul className="divide-y">
+          {sessions.map(session => (
+            <li key={session.sessionId} className="py-4 flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="flex-1">
+                <p className="font-semibold text-gray-900">
+                  {session.device} {session.current && <span className="text-xs text-green-600">(this device)</span>}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {session.ip} · signed in {formatDate(session.signedInAt)} · last active {formatDate(session.lastUsedAt)}
+                </p>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => revoke(session)}
+                  disabled={busy}
+                  className="text-red-600 hover:text-red-800 inline-flex items-center text-sm font-medium disabled:opacity-50"
+                >
+                  <LogOut className="h-4 w-4 mr-1" />
+                  Sign out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default Sessions;
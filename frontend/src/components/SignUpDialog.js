@@ -126,7 +126,7 @@ const SignUpDialog = ({ showSignUpDialog, setShowSignUpDialog, onShowLogin }) =>
       const result = await register(signUpData.name, signUpData.email, signUpData.password);
       if (result.success) {
         closeSignUpDialog();
-        navigate('/convert');
+        navigate(`/verify-email?email=${encodeURIComponent(signUpData.email)}`);
       }
     } catch (error) {
       console.error('Sign up error:', error);
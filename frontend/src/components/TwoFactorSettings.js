@@ -0,0 +1,220 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { QRCodeSVG } from 'qrcode.react';
+import { ShieldCheck, Loader, Copy, Download, RefreshCw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+
+const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+const buttonClass = 'bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-semibold disabled:opacity-50';
+
+// Recovery codes, shown once after enabling or replacing them
+const RecoveryCodes = ({ codes, onDone }) => {
+  const copy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    toast.success('Recovery codes copied');
+  };
+
+  const download = () => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }));
+    link.download = 'recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="border border-yellow-200 bg-yellow-50 rounded-xl p-6">
+      <p className="font-semibold text-gray-900 mb-2">Save your recovery codes</p>
+      <p className="text-sm text-gray-600 mb-4">
+        Each code signs you in once if you lose your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm mb-4">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex flex-wrap gap-3">
+        <button onClick={copy} className="text-purple-600 hover:text-purple-800 inline-flex items-center text-sm font-medium">
+          <Copy className="h-4 w-4 mr-1" />
+          Copy
+        </button>
+        <button onClick={download} className="text-purple-600 hover:text-purple-800 inline-flex items-center text-sm font-medium">
+          <Download className="h-4 w-4 mr-1" />
+          Download
+        </button>
+        <button onClick={onDone} className={`${buttonClass} ml-auto`}>I saved them</button>
+      </div>
+    </div>
+  );
+};
+
+// Two-factor authentication: enroll with an authenticator app, manage recovery codes, turn it off
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const load = async () => {
+    try {
+      const response = await axios.get('/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to load two-factor status:', error);
+      toast.error('Failed to load two-factor status');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // A code from the app, or else a recovery code
+  const secondFactor = () => (/^\d{6}$/.test(code.trim()) ? { code: code.trim() } : { recoveryCode: code.trim() });
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const beginSetup = () => run(async () => {
+    const response = await axios.post('/auth/2fa/setup');
+    setSetup(response.data);
+  });
+
+  const enable = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      const response = await axios.post('/auth/2fa/enable', { code: code.trim() });
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      toast.success(response.data.message);
+      await load();
+      await refreshUser();
+    });
+  };
+
+  const regenerate = () => run(async () => {
+    const response = await axios.post('/auth/2fa/recovery-codes', secondFactor());
+    setRecoveryCodes(response.data.recoveryCodes);
+    await load();
+  });
+
+  const disable = () => run(async () => {
+    await axios.post('/auth/2fa/disable', secondFactor());
+    toast.success('Two-factor authentication disabled');
+    await load();
+    await refreshUser();
+  });
+
+  if (!status) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader className="h-6 w-6 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  let content;
+  if (recoveryCodes) {
+    content = <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  } else if (setup) {
+    content = (
+      <form onSubmit={enable} className="space-y-4">
+        <p className="text-gray-600">
+          Scan the QR code with an authenticator app such as Google Authenticator, 1Password or Authy, then enter the
+          6-digit code it shows.
+        </p>
+        <div className="flex flex-col sm:flex-row items-center gap-6">
+          <QRCodeSVG value={setup.otpauthUrl} size={176} className="border border-gray-200 rounded-lg p-2 bg-white" />
+          <div className="text-sm text-gray-600">
+            <p className="mb-1">Or enter this key by hand:</p>
+            <p className="font-mono break-all text-gray-900">{setup.secret.match(/.{1,4}/g).join(' ')}</p>
+          </div>
+        </div>
+        <div className="flex gap-3">
+          <input
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+            className={inputClass}
+          />
+          <button type="submit" disabled={busy || !code} className={buttonClass}>Verify</button>
+        </div>
+        <button type="button" onClick={() => setSetup(null)} className="text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+      </form>
+    );
+  } else if (status.enabled) {
+    content = (
+      <div className="space-y-4">
+        <p className="text-gray-600">
+          Enabled since {new Date(status.enabledAt).toLocaleDateString()}. {status.recoveryCodesRemaining} of 10 recovery codes left.
+        </p>
+        <p className="text-sm text-gray-500">Enter a code from your app or a recovery code to replace the recovery codes or turn two-factor authentication off.</p>
+        <input
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          autoComplete="one-time-code"
+          placeholder="Authentication or recovery code"
+          className={inputClass}
+        />
+        <div className="flex flex-wrap gap-4">
+          <button
+            onClick={regenerate}
+            disabled={busy || !code}
+            className="text-purple-600 hover:text-purple-800 inline-flex items-center text-sm font-medium disabled:opacity-50"
+          >
+            <RefreshCw className="h-4 w-4 mr-1" />
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button
+              onClick={disable}
+              disabled={busy || !code}
+              className="text-red-600 hover:text-red-800 text-sm font-medium disabled:opacity-50"
+            >
+              Turn off two-factor authentication
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  } else {
+    content = (
+      <div className="space-y-4">
+        {status.required && (
+          <p className="text-red-600 flex items-center">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            Your organization requires two-factor authentication. Enable it to continue working in the organization.
+          </p>
+        )}
+        <p className="text-gray-600">
+          Protect your account with a second step at sign-in: a code from an authenticator app on your phone.
+        </p>
+        <button onClick={beginSetup} disabled={busy} className={buttonClass}>Set up two-factor authentication</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+      <h3 className="text-2xl font-bold text-gray-900 flex items-center mb-6">
+        <ShieldCheck className="h-6 w-6 mr-3 text-purple-600" />
+        Two-Factor Authentication
+      </h3>
+      {content}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
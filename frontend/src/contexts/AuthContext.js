@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { useTiers } from './TierContext';
 
 const AuthContext = createContext();
 
@@ -15,12 +16,66 @@ export const useAuth = () => {
 // Configure axios defaults
 axios.defaults.baseURL = process.env.REACT_APP_API_URL || '/api';
 
+// Keep the tokens of a login or refresh, and send the access token with every request
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
+// Tokens another tab stored after refreshing the refresh token this tab sent, once they show up
+const waitForOtherTabTokens = (sentRefreshToken, timeout = 5000) => new Promise((resolve, reject) => {
+  const startedAt = Date.now();
+  const check = () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken && refreshToken !== sentRefreshToken) {
+      const token = localStorage.getItem('token');
+      storeTokens({ token, refreshToken });
+      resolve(token);
+    } else if (Date.now() - startedAt >= timeout) {
+      reject(new Error('Refresh token was rotated by another tab'));
+    } else {
+      setTimeout(check, 100);
+    }
+  };
+  check();
+});
+
+// Access tokens are short-lived. Concurrent requests that find theirs expired share one refresh,
+// since a refresh token can only be used once. Tabs share the stored tokens: a tab that loses the
+// race to refresh them (409 REFRESH_TOKEN_ROTATED) uses the tokens the winning tab stores
+let pendingRefresh = null;
+const refreshTokens = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    pendingRefresh = (refreshToken ? axios.post('/auth/refresh', { refreshToken }) : Promise.reject(new Error('No refresh token')))
+      .then(
+        response => {
+          storeTokens(response.data);
+          return response.data.token;
+        },
+        error => {
+          if (error.response?.data?.code === 'REFRESH_TOKEN_ROTATED') {
+            return waitForOtherTabTokens(refreshToken);
+          }
+          throw error;
+        }
+      )
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { getTier } = useTiers();
+  // maxConversions is null until the usage endpoint answers
   const [usage, setUsage] = useState({
     conversions: 0,
-    maxConversions: 10, // Free tier limit
+    maxConversions: null,
     resetDate: null
   });
 
@@ -31,12 +86,28 @@ export const AuthProvider = ({ children }) => {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
     }
 
-    // Response interceptor to handle token expiration
+    // Response interceptor to refresh expired access tokens, and sign out when the session is over
     const responseInterceptor = axios.interceptors.response.use(
       (response) => response,
-      (error) => {
-        if (error.response?.status === 401) {
-          logout();
+      async (error) => {
+        const { config, response } = error;
+        if (response?.data?.code === 'TOKEN_EXPIRED' && !config._retried) {
+          try {
+            const token = await refreshTokens();
+            return axios({ ...config, _retried: true, headers: { ...config.headers, Authorization: `Bearer ${token}` } });
+          } catch (refreshError) {
+            console.error('Token refresh failed:', refreshError);
+          }
+        }
+        // Organizations can require two-factor authentication before their members go on
+        if (response?.data?.code === 'TWO_FACTOR_REQUIRED') {
+          toast.error(response.data.error, { id: 'two-factor-required' });
+          if (window.location.pathname !== '/profile') {
+            window.location.assign('/profile?tab=security');
+          }
+        }
+        if (response?.status === 401 && !config.url.includes('/auth/refresh') && !config.url.includes('/auth/login')) {
+          clearSession();
           toast.error('Session expired. Please login again.');
         }
         return Promise.reject(error);
@@ -62,6 +133,7 @@ export const AuthProvider = ({ children }) => {
         } catch (error) {
           console.error('Auth check failed:', error);
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           delete axios.defaults.headers.common['Authorization'];
         }
       }
@@ -77,12 +149,6 @@ export const AuthProvider = ({ children }) => {
       setUsage(response.data);
     } catch (error) {
       console.error('Failed to fetch usage:', error);
-      // Set default usage if API fails
-      setUsage({
-        conversions: 0,
-        maxConversions: 10,
-        resetDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days from now
-      });
     }
   };
 
@@ -97,39 +163,60 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Usage with the quota of the user's tier from the tier catalog, until the usage endpoint answers
+  const tier = user ? getTier(user.subscriptionTier) : null;
+  const currentUsage = usage.maxConversions === null && tier
+    ? { ...usage, maxConversions: tier.quotas.conversionsPerMonth }
+    : usage;
+
   const checkUsageLimit = () => {
     if (!user) return { canUse: false, reason: 'Please login to continue' };
     
     // Check if user has premium subscription
-    if (user.subscription && user.subscription.status === 'active') {
+    if (user.subscription && ['active', 'trialing'].includes(user.subscription.status)) {
       return { canUse: true };
     }
     
-    // Check free tier limits
-    if (usage.conversions >= usage.maxConversions) {
+    // Without a known quota the server decides
+    if (currentUsage.maxConversions === null) {
+      return { canUse: true };
+    }
+    if (currentUsage.conversions >= currentUsage.maxConversions) {
       return { 
         canUse: false, 
-        reason: `You've reached your free tier limit of ${usage.maxConversions} conversions. Upgrade to continue.`,
+        reason: `You've reached your plan's limit of ${currentUsage.maxConversions} conversions. Upgrade to continue.`,
         isLimitReached: true
       };
     }
     
-    return { canUse: true, remaining: usage.maxConversions - usage.conversions };
+    return { canUse: true, remaining: currentUsage.maxConversions - currentUsage.conversions };
   };
 
+  // Accounts with two-factor authentication answer with a challenge token instead of tokens,
+  // which completeTwoFactor sends back with the second factor
   const login = async (email, password) => {
     try {
       const response = await axios.post('/auth/login', { email, password });
-      const { token, user: userData } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('userId', userData.id);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(userData);
-      
-      // Fetch usage data after login
-      await fetchUsage();
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+      await completeLogin(response.data);
       
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Login failed';
+      toast.error(message);
+      return { success: false, error: message, code: error.response?.data?.code };
+    }
+  };
+
+  // Second step of a login: { code } from the authenticator app or { recoveryCode }
+  const completeTwoFactor = async (challengeToken, secondFactor) => {
+    try {
+      const response = await axios.post('/auth/login', { challengeToken, ...secondFactor });
+      await completeLogin(response.data);
+
       toast.success('Login successful!');
       return { success: true };
     } catch (error) {
@@ -139,25 +226,23 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Sign in with the tokens of a login or an email verification
+  const completeLogin = async (data) => {
+    storeTokens(data);
+    localStorage.setItem('userId', data.user.userId);
+    setUser(data.user);
+    
+    // Fetch usage data after login
+    await fetchUsage();
+  };
+
   const register = async (name, email, password) => {
     try {
-      const response = await axios.post('/auth/register', { name, email, password });
-      const { token, user: userData } = response.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('userId', userData.id);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(userData);
+      await axios.post('/auth/register', { name, email, password });
       
-      // Initialize usage for new user
-      setUsage({
-        conversions: 0,
-        maxConversions: 10,
-        resetDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
-      });
-      
-      toast.success('Registration successful! You have 10 free conversions.');
-      return { success: true };
+      // The account signs in from the link in the verification email
+      toast.success('Registration successful! Check your email to verify your address.');
+      return { success: true, verificationRequired: true };
     } catch (error) {
       const message = error.response?.data?.error || 'Registration failed';
       toast.error(message);
@@ -165,15 +250,41 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  // Forget the tokens of this browser
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('userId');
     delete axios.defaults.headers.common['Authorization'];
     setUser(null);
-    setUsage({ conversions: 0, maxConversions: 10, resetDate: null });
+    setUsage({ conversions: 0, maxConversions: null, resetDate: null });
+  };
+
+  // End the session on the server too, so its tokens stop working
+  const logout = async () => {
+    try {
+      await axios.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout request failed:', error);
+    }
+    clearSession();
     toast.success('Logged out successfully');
   };
 
+  // End every session of the account, this one included
+  const logoutEverywhere = async () => {
+    try {
+      await axios.delete('/auth/sessions');
+      clearSession();
+      toast.success('Logged out on all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.error || 'Failed to log out everywhere';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
   const updateProfile = async (profileData) => {
     try {
       await axios.put('/auth/profile', profileData);
@@ -187,14 +298,29 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the profile after server-side changes such as a tier upgrade
+  const refreshUser = async () => {
+    try {
+      const response = await axios.get('/auth/profile');
+      setUser(response.data);
+      await fetchUsage();
+    } catch (error) {
+      console.error('Failed to refresh user:', error);
+    }
+  };
+
   const value = {
     user,
     loading,
-    usage,
+    usage: currentUsage,
     login,
+    completeTwoFactor,
+    completeLogin,
     register,
     logout,
+    logoutEverywhere,
     updateProfile,
+    refreshUser,
     fetchUsage,
     updateUsage,
     checkUsageLimit
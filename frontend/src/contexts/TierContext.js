@@ -0,0 +1,67 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const TierContext = createContext();
+
+export const useTiers = () => {
+  const context = useContext(TierContext);
+  if (!context) {
+    throw new Error('useTiers must be used within a TierProvider');
+  }
+  return context;
+};
+
+// Format a byte count from the tier catalog for display
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  return bytes >= 1024 * 1024 * 1024
+    ? `${Math.round(bytes / (1024 * 1024 * 1024))} GB`
+    : `${Math.round(bytes / (1024 * 1024))} MB`;
+};
+
+// Loads the subscription tier catalog from the backend, the single source of tier limits and features
+export const TierProvider = ({ children }) => {
+  const [tiers, setTiers] = useState([]);
+  const [defaultTier, setDefaultTier] = useState('free');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTiers = async () => {
+      try {
+        const response = await axios.get('/tiers');
+        setTiers(response.data.tiers);
+        setDefaultTier(response.data.defaultTier);
+      } catch (error) {
+        console.error('Failed to fetch tier catalog:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTiers();
+  }, []);
+
+  // Tier by id, alias or display name, falling back to the default tier (null until loaded)
+  const getTier = useCallback((tierId) => {
+    const name = String(tierId || '').toUpperCase();
+    const match = tiers.find(tier =>
+      tier.id.toUpperCase() === name ||
+      tier.shortName.toUpperCase() === name ||
+      tier.aliases.includes(name)
+    );
+    return match || tiers.find(tier => tier.id === defaultTier) || null;
+  }, [tiers, defaultTier]);
+
+  const value = {
+    tiers,
+    defaultTier,
+    loading,
+    getTier
+  };
+
+  return (
+    <TierContext.Provider value={value}>
+      {children}
+    </TierContext.Provider>
+  );
+};
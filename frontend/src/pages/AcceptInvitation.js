@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Users, Loader } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page of an organization invitation link; joins once the invited user is signed in
+const AcceptInvitation = ({ onShowLogin }) => {
+  const { user, loading, refreshUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    if (loading || !user || !token) {
+      return;
+    }
+
+    axios.post('/organizations/invitations/accept', { token })
+      .then(async response => {
+        await refreshUser();
+        toast.success(`You joined ${response.data.name}`);
+        navigate('/organization');
+      })
+      .catch(acceptError => setError(acceptError.response?.data?.error || 'Failed to accept the invitation'));
+  }, [loading, user?.userId, token]);
+
+  let content;
+  if (!token) {
+    content = <p className="text-gray-600">This invitation link is incomplete.</p>;
+  } else if (error) {
+    content = <p className="text-red-600">{error}</p>;
+  } else if (!loading && !user) {
+    content = (
+      <>
+        <p className="text-gray-600 mb-6">Sign in with the email address the invitation was sent to, or create an account with it.</p>
+        <button
+          onClick={onShowLogin}
+          className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-xl font-semibold"
+        >
+          Sign in to accept
+        </button>
+      </>
+    );
+  } else {
+    content = (
+      <p className="text-gray-600 flex items-center justify-center">
+        <Loader className="h-5 w-5 mr-2 animate-spin" />
+        Joining the organization...
+      </p>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-50 py-24">
+      <Helmet>
+        <title>Accept Invitation - File Drop AI</title>
+      </Helmet>
+      <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 border border-purple-100 text-center">
+        <Users className="h-12 w-12 mx-auto mb-4 text-purple-600" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Organization invitation</h1>
+        {content}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
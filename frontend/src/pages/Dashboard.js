@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
+import { useTiers } from '../contexts/TierContext';
 import axios from 'axios';
 import { 
   FileText, 
@@ -15,15 +16,18 @@ import {
   BarChart3,
   Star,
   Sparkles,
-  Activity
+  Activity,
+  Gauge
 } from 'lucide-react';
 
+const formatDollars = (amount) => new Intl.NumberFormat(undefined, { style: 'currency', currency: 'USD' }).format(amount || 0);
+
 const Dashboard = () => {
-  const { user } = useAuth();
+  const { user, usage, fetchUsage } = useAuth();
+  const { getTier } = useTiers();
   const [stats, setStats] = useState({
     filesProcessed: 0,
-    dailyUsage: 0,
-    dailyLimit: 5
+    dailyUsage: 0
   });
   const [recentFiles, setRecentFiles] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -40,14 +44,6 @@ const Dashboard = () => {
         filesProcessed: files.length
       }));
 
-      // Set daily limits based on subscription
-      const limits = {
-        'free': 5,
-        'basic': 50,
-        'premium': 200,
-        'enterprise': 1000
-      };
-      
       // Get today's usage
       const today = new Date().toISOString().split('T')[0];
       let dailyUsage = 0;
@@ -65,7 +61,6 @@ const Dashboard = () => {
       
       setStats(prev => ({
         ...prev,
-        dailyLimit: limits[user?.subscriptionTier] || 5,
         dailyUsage: dailyUsage
       }));
 
@@ -78,6 +73,7 @@ const Dashboard = () => {
 
   useEffect(() => {
     fetchDashboardData();
+    fetchUsage();
   }, [user]);
 
   const getStatusIcon = (status) => {
@@ -102,7 +98,13 @@ const Dashboard = () => {
     });
   };
 
-  const usagePercentage = (stats.dailyUsage / stats.dailyLimit) * 100;
+  // Daily limit from the tier catalog
+  const tier = getTier(user?.subscriptionTier);
+  const dailyLimit = tier ? tier.quotas.processingPerDay : 0;
+  const usagePercentage = dailyLimit > 0 ? (stats.dailyUsage / dailyLimit) * 100 : 0;
+
+  // Conversions past the monthly quota, shown on plans that can bill them
+  const overage = usage?.overage;
 
   if (loading) {
     return (
@@ -154,7 +156,7 @@ const Dashboard = () => {
                 <div className="ml-4">
                   <p className="text-sm font-medium text-gray-500">Today's Usage</p>
                   <p className="text-3xl font-bold bg-gradient-to-r from-green-600 to-blue-600 bg-clip-text text-transparent">
-                    {stats.dailyUsage}/{stats.dailyLimit}
+                    {stats.dailyUsage}/{dailyLimit}
                   </p>
                   <div className="w-full bg-gray-200 rounded-full h-3 mt-2">
                     <div
@@ -177,7 +179,7 @@ const Dashboard = () => {
                 <div className="ml-4">
                   <p className="text-sm font-medium text-gray-500">Current Plan</p>
                   <p className="text-2xl font-bold bg-gradient-to-r from-yellow-600 to-orange-600 bg-clip-text text-transparent capitalize">
-                    {user?.subscriptionTier || 'Free'}
+                    {tier?.shortName || user?.subscriptionTier || 'Free'}
                   </p>
                   {user?.subscriptionTier === 'free' && (
                     <Link
@@ -193,6 +195,43 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {/* Overage */}
+          {overage?.pricePerConversion && (overage.enabled || overage.projectedConversions > 0) && (
+            <div className="bg-white rounded-2xl shadow-xl p-6 border border-blue-100 mb-8">
+              <div className="flex items-start">
+                <div className="bg-gradient-to-r from-blue-500 to-indigo-600 p-3 rounded-xl">
+                  <Gauge className="h-8 w-8 text-white" />
+                </div>
+                <div className="ml-4 flex-1">
+                  <p className="text-sm font-medium text-gray-500">Projected Overage This Month</p>
+                  <p className="text-3xl font-bold bg-gradient-to-r from-blue-600 to-indigo-600 bg-clip-text text-transparent">
+                    {formatDollars(overage.projectedAmount)}
+                  </p>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {overage.projectedConversions} conversions past your {usage.maxConversions}-conversion quota at the current pace,
+                    {' '}{formatDollars(overage.pricePerConversion)} each.
+                    {overage.enabled
+                      ? ` So far: ${overage.conversions} conversions (${formatDollars(overage.amount)}) of your ${formatDollars(overage.spendingCap)} cap.`
+                      : ' Overage billing is off, so conversions will stop at your quota.'}
+                  </p>
+                  {overage.enabled && overage.spendingCap > 0 && (
+                    <div className="w-full bg-gray-200 rounded-full h-3 mt-2">
+                      <div
+                        className="bg-gradient-to-r from-blue-400 to-indigo-500 h-3 rounded-full transition-all duration-500"
+                        style={{ width: `${Math.min((overage.amount / overage.spendingCap) * 100, 100)}%` }}
+                      ></div>
+                    </div>
+                  )}
+                  {!overage.enabled && overage.available && (
+                    <Link to="/profile" className="text-sm text-purple-600 hover:text-purple-500 font-medium inline-flex items-center mt-2">
+                      Enable overage billing →
+                    </Link>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Quick Actions */}
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-8">
             {/* Convert New Files */}
@@ -316,7 +355,7 @@ const Dashboard = () => {
                     Approaching Daily Limit
                   </h3>
                   <p className="text-yellow-700 mt-1">
-                    You've used {stats.dailyUsage} of your {stats.dailyLimit} daily file conversions. 
+                    You've used {stats.dailyUsage} of your {dailyLimit} daily file conversions. 
                     {user?.subscriptionTier === 'free' && (
                       <>
                         {' '}
@@ -72,7 +72,7 @@ const Home = ({ onShowLogin }) => {
   const handleFiles = (files) => {
     const fileArray = Array.from(files);
     const validFiles = fileArray.filter(file => {
-      const validTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'image/jpeg', 'image/png', 'image/gif'];
+      const validTypes = ['application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'image/jpeg', 'image/png'];
       const maxSize = 20 * 1024 * 1024; // 20MB
       return validTypes.includes(file.type) && file.size <= maxSize;
     });
@@ -348,7 +348,7 @@ const Home = ({ onShowLogin }) => {
                     ref={fileInputRef}
                     type="file"
                     multiple
-                    accept=".pdf,.docx,.txt,.xls,.xlsx,.jpg,.jpeg,.png,.gif"
+                    accept=".pdf,.docx,.txt,.xlsx,.jpg,.jpeg,.png"
                     onChange={handleFileInput}
                     className="hidden"
                   />
@@ -2,6 +2,32 @@ import React, { useState, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
 import { Search, Loader, TrendingUp, AlertCircle, FileText, Zap, Brain, Sparkles, RefreshCw } from 'lucide-react';
 
+// Parse a Server-Sent Events response, calling onEvent(event, data) for each message
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
 const NLPTool = () => {
   const [content, setContent] = useState('');
   const [prompt, setPrompt] = useState('');
@@ -89,17 +115,34 @@ const NLPTool = () => {
         };
       }
 
+      // Without a login the request runs in guest mode, on the free plan
+      const token = localStorage.getItem('token');
       const response = await fetch(endpoint, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          'user-id': localStorage.getItem('userId') || 'anonymous'
+          'Accept': 'text/event-stream',
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {})
         },
         body: JSON.stringify(payload)
       });
 
-      if (response.ok) {
+      if (response.ok && (response.headers.get('content-type') || '').includes('text/event-stream')) {
+        // Render text as it is generated, the final event carries tokens and cost
+        let streamedText = '';
+        setAnalysis({ analysis: '', streaming: true });
+
+        await readEventStream(response, (event, data) => {
+          if (event === 'token') {
+            streamedText += data.text;
+            setAnalysis({ analysis: streamedText, streaming: true });
+          } else if (event === 'done') {
+            setAnalysis(data);
+          } else if (event === 'error') {
+            throw new Error(data.message || data.error || 'Processing failed');
+          }
+        });
+      } else if (response.ok) {
         const result = await response.json();
         setAnalysis(result);
       } else {
@@ -316,7 +359,13 @@ const NLPTool = () => {
               
               {analysis.metadata && (
                 <div className="flex items-center space-x-4 text-sm text-gray-600">
-                  <span>Tokens: {analysis.metadata.tokensUsed}</span>
+                  <span
+                    title={analysis.metadata.inputTokens !== undefined
+                      ? `${analysis.metadata.inputTokens} in / ${analysis.metadata.outputTokens} out${analysis.metadata.usageSource === 'estimate' ? ' (estimated)' : ''}`
+                      : undefined}
+                  >
+                    Tokens: {analysis.metadata.tokensUsed}
+                  </span>
                   <span>Model: {analysis.metadata.model || selectedModel}</span>
                   <span className="px-2 py-1 bg-green-100 text-green-800 rounded">
                     {analysis.metadata.tier}
@@ -338,6 +387,9 @@ const NLPTool = () => {
                 <div className="bg-gray-50 rounded-md p-4 border">
                   <pre className="whitespace-pre-wrap text-gray-800 font-sans">
                     {analysis.analysis || analysis.generatedText || analysis.transformedContent}
+                    {analysis.streaming && (
+                      <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-gray-500 animate-pulse" />
+                    )}
                   </pre>
                 </div>
               </div>
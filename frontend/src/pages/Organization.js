@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Users, UserPlus, Trash2, Loader, Building2, CreditCard, Save, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const PLANS = [
+  { id: 'basic', label: 'Basic' },
+  { id: 'premium', label: 'Premium' },
+  { id: 'enterprise', label: 'Enterprise' }
+];
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+const buttonClass = 'bg-gradient-to-r from-purple-600 to-blue-600 text-white px-5 py-2 rounded-xl font-semibold inline-flex items-center disabled:opacity-50';
+
+// Team accounts: switch between organizations and the personal account, manage members,
+// invitations, per-member conversion caps and the organization's seats
+const Organization = () => {
+  const { user, refreshUser } = useAuth();
+  const [organizations, setOrganizations] = useState([]);
+  const [organization, setOrganization] = useState(null);
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [checkout, setCheckout] = useState({ planId: 'basic', seats: 2 });
+  const [seats, setSeats] = useState('');
+
+  const activeOrgId = user?.organizationId;
+  const canManage = organization && ['owner', 'admin'].includes(organization.role);
+
+  const load = useCallback(async () => {
+    try {
+      const list = await axios.get('/organizations');
+      setOrganizations(list.data.organizations);
+      if (list.data.activeOrganizationId) {
+        const [details, usageResponse] = await Promise.all([
+          axios.get(`/organizations/${list.data.activeOrganizationId}`),
+          axios.get(`/organizations/${list.data.activeOrganizationId}/usage`)
+        ]);
+        setOrganization(details.data);
+        setUsage(usageResponse.data);
+        setSeats(String(details.data.seats));
+      } else {
+        setOrganization(null);
+        setUsage(null);
+      }
+    } catch (error) {
+      console.error('Failed to load organizations:', error);
+      toast.error('Failed to load organizations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, activeOrgId]);
+
+  // Run a change, report its outcome and reload
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) {
+        toast.success(successMessage);
+      }
+      await load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const switchTo = (orgId) => run(async () => {
+    await axios.put('/organizations/active', { orgId: orgId || null });
+    await refreshUser();
+  });
+
+  const create = () => run(async () => {
+    await axios.post('/organizations', { name: newName });
+    setNewName('');
+    await refreshUser();
+  }, 'Organization created');
+
+  const sendInvite = () => run(async () => {
+    await axios.post(`/organizations/${organization.orgId}/invitations`, invite);
+    setInvite({ email: '', role: 'member' });
+  }, `Invitation sent to ${invite.email}`);
+
+  const updateMember = (userId, changes) => run(
+    () => axios.patch(`/organizations/${organization.orgId}/members/${userId}`, changes),
+    'Member updated'
+  );
+
+  const setRequireTwoFactor = (requireTwoFactor) => run(
+    () => axios.patch(`/organizations/${organization.orgId}`, { requireTwoFactor }),
+    requireTwoFactor ? 'Members now need two-factor authentication' : 'Two-factor authentication is optional again'
+  );
+
+  const removeMember = (member) => {
+    const leaving = member.userId === user.userId;
+    if (!window.confirm(leaving ? `Leave ${organization.name}?` : `Remove ${member.email} from ${organization.name}?`)) {
+      return;
+    }
+    run(async () => {
+      await axios.delete(`/organizations/${organization.orgId}/members/${member.userId}`);
+      if (leaving) {
+        await refreshUser();
+      }
+    }, leaving ? 'You left the organization' : 'Member removed');
+  };
+
+  const startCheckout = async () => {
+    setBusy(true);
+    try {
+      const response = await axios.post(`/organizations/${organization.orgId}/checkout`, {
+        planId: checkout.planId,
+        seats: Number(checkout.seats)
+      });
+      window.location.href = response.data.url;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not start checkout. Please try again.');
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-24">
+        <Loader className="h-8 w-8 animate-spin text-purple-600" />
+      </div>
+    );
+  }
+
+  const conversionsOf = (userId) => (usage?.members.find(entry => entry.userId === userId) || {}).conversions || 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-50 py-12">
+      <Helmet>
+        <title>Organization - File Drop AI</title>
+      </Helmet>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 space-y-8">
+        <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+          <h1 className="text-3xl font-bold text-gray-900 mb-6 flex items-center">
+            <Building2 className="h-8 w-8 mr-3 text-purple-600" />
+            Organizations
+          </h1>
+
+          <div className="flex flex-wrap gap-2 mb-6">
+            <button
+              onClick={() => switchTo(null)}
+              disabled={busy}
+              className={`px-4 py-2 rounded-xl font-medium ${!activeOrgId ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              Personal account
+            </button>
+            {organizations.map(entry => (
+              <button
+                key={entry.orgId}
+                onClick={() => switchTo(entry.orgId)}
+                disabled={busy}
+                className={`px-4 py-2 rounded-xl font-medium ${entry.orgId === activeOrgId ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+              >
+                {entry.name} <span className="text-xs opacity-75">({entry.role})</span>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              value={newName}
+              onChange={(event) => setNewName(event.target.value)}
+              placeholder="New organization name"
+              className={`flex-1 ${inputClass}`}
+            />
+            <button onClick={create} disabled={busy || !newName.trim()} className={buttonClass}>
+              <Users className="h-4 w-4 mr-2" />
+              Create organization
+            </button>
+          </div>
+        </div>
+
+        {organization && (
+          <>
+            <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+              <h2 className="text-2xl font-bold text-gray-900 mb-2">{organization.name}</h2>
+              <p className="text-gray-600 mb-6">
+                {organization.tier} plan · {organization.seatsUsed} of {organization.seats} seats used ·{' '}
+                {usage?.conversions || 0} of {organization.pooledQuota} pooled conversions this month
+              </p>
+
+              <table className="w-full text-left">
+                <thead>
+                  <tr className="text-sm text-gray-500 border-b">
+                    <th className="py-2">Member</th>
+                    <th className="py-2">Role</th>
+                    <th className="py-2">Conversions</th>
+                    <th className="py-2">Monthly cap</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {organization.members.map(member => (
+                    <tr key={member.userId} className="border-b last:border-0">
+                      <td className="py-3">{member.email}</td>
+                      <td className="py-3">
+                        {organization.role === 'owner' && member.role !== 'owner' ? (
+                          <select
+                            value={member.role}
+                            onChange={(event) => updateMember(member.userId, { role: event.target.value })}
+                            disabled={busy}
+                            className={inputClass}
+                          >
+                            <option value="member">Member</option>
+                            <option value="admin">Admin</option>
+                          </select>
+                        ) : member.role}
+                      </td>
+                      <td className="py-3">{conversionsOf(member.userId)}</td>
+                      <td className="py-3">
+                        {canManage && (member.role !== 'owner' || organization.role === 'owner') ? (
+                          <input
+                            type="number"
+                            min="0"
+                            defaultValue={member.conversionCap ?? ''}
+                            placeholder="No cap"
+                            onBlur={(event) => {
+                              const value = event.target.value === '' ? null : Number(event.target.value);
+                              if (value !== member.conversionCap) {
+                                updateMember(member.userId, { conversionCap: value });
+                              }
+                            }}
+                            className={`w-28 ${inputClass}`}
+                          />
+                        ) : (member.conversionCap ?? 'No cap')}
+                      </td>
+                      <td className="py-3 text-right">
+                        {member.role !== 'owner' && (canManage || member.userId === user.userId) && (
+                          <button
+                            onClick={() => removeMember(member)}
+                            disabled={busy}
+                            className="text-red-600 hover:text-red-800"
+                            title={member.userId === user.userId ? 'Leave organization' : 'Remove member'}
+                          >
+                            <Trash2 className="h-5 w-5" />
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {canManage && (
+              <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+                <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center">
+                  <UserPlus className="h-6 w-6 mr-3 text-purple-600" />
+                  Invitations
+                </h3>
+                <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                  <input
+                    type="email"
+                    value={invite.email}
+                    onChange={(event) => setInvite(prev => ({ ...prev, email: event.target.value }))}
+                    placeholder="colleague@example.com"
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  <select
+                    value={invite.role}
+                    onChange={(event) => setInvite(prev => ({ ...prev, role: event.target.value }))}
+                    className={inputClass}
+                  >
+                    <option value="member">Member</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                  <button onClick={sendInvite} disabled={busy || !invite.email} className={buttonClass}>
+                    Send invitation
+                  </button>
+                </div>
+                {organization.invitations.length > 0 && (
+                  <ul className="divide-y">
+                    {organization.invitations.map(invitation => (
+                      <li key={invitation.invitationId} className="py-2 flex justify-between items-center">
+                        <span>
+                          {invitation.email} <span className="text-sm text-gray-500">({invitation.role}, expires {new Date(invitation.expiresAt).toLocaleDateString()})</span>
+                        </span>
+                        <button
+                          onClick={() => run(
+                            () => axios.delete(`/organizations/${organization.orgId}/invitations/${invitation.invitationId}`),
+                            'Invitation revoked'
+                          )}
+                          disabled={busy}
+                          className="text-red-600 hover:text-red-800 text-sm font-medium"
+                        >
+                          Revoke
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {canManage && (
+              <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+                <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center">
+                  <ShieldCheck className="h-6 w-6 mr-3 text-purple-600" />
+                  Security
+                </h3>
+                <label className="flex items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(organization.requireTwoFactor)}
+                    onChange={(event) => setRequireTwoFactor(event.target.checked)}
+                    disabled={busy || (!organization.requireTwoFactor && !user.twoFactorEnabled)}
+                    className="h-4 w-4 text-purple-600 rounded"
+                  />
+                  <span className="text-gray-900">Require two-factor authentication for all members</span>
+                </label>
+                <p className="text-sm text-gray-500 mt-2">
+                  {user.twoFactorEnabled ? (
+                    'Members without it are asked to set it up before they can work in the organization.'
+                  ) : (
+                    <>
+                      <Link to="/profile?tab=security" className="text-purple-600 hover:text-purple-800">
+                        Enable two-factor authentication
+                      </Link>{' '}
+                      on your own account first.
+                    </>
+                  )}
+                </p>
+              </div>
+            )}
+
+            {canManage && (
+              <div className="bg-white rounded-2xl shadow-xl p-8 border border-purple-100">
+                <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center">
+                  <CreditCard className="h-6 w-6 mr-3 text-purple-600" />
+                  Seats and billing
+                </h3>
+                {organization.tier === 'free' ? (
+                  <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+                    <select
+                      value={checkout.planId}
+                      onChange={(event) => setCheckout(prev => ({ ...prev, planId: event.target.value }))}
+                      className={inputClass}
+                    >
+                      {PLANS.map(plan => <option key={plan.id} value={plan.id}>{plan.label}</option>)}
+                    </select>
+                    <input
+                      type="number"
+                      min={organization.seatsUsed}
+                      value={checkout.seats}
+                      onChange={(event) => setCheckout(prev => ({ ...prev, seats: event.target.value }))}
+                      className={`w-28 ${inputClass}`}
+                    />
+                    <button onClick={startCheckout} disabled={busy} className={buttonClass}>
+                      Subscribe per seat
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+                    <div>
+                      <label htmlFor="organization-seats" className="block text-sm font-medium text-gray-700 mb-1">Seats</label>
+                      <input
+                        id="organization-seats"
+                        type="number"
+                        min={organization.seatsUsed}
+                        value={seats}
+                        onChange={(event) => setSeats(event.target.value)}
+                        className={`w-28 ${inputClass}`}
+                      />
+                    </div>
+                    <button
+                      onClick={() => run(
+                        () => axios.put(`/organizations/${organization.orgId}/seats`, { seats: Number(seats) }),
+                        'Seats updated'
+                      )}
+                      disabled={busy || Number(seats) === organization.seats}
+                      className={buttonClass}
+                    >
+                      <Save className="h-4 w-4 mr-2" />
+                      Update seats
+                    </button>
+                    <p className="text-sm text-gray-500">Added seats are charged now for the rest of the billing period.</p>
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Organization;
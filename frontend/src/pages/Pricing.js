@@ -1,25 +1,107 @@
-import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
-import { Check, Star, Zap } from 'lucide-react';
+import { useTiers } from '../contexts/TierContext';
+import { Check, Star, Zap, Tag, X } from 'lucide-react';
 import PayPalButton from '../components/PayPalButton';
 import toast from 'react-hot-toast';
 
 const Pricing = () => {
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
+  const { tiers, getTier } = useTiers();
+  const navigate = useNavigate();
   const [billingCycle, setBillingCycle] = useState('monthly');
   const [selectedPlan, setSelectedPlan] = useState(null);
   const [showPayPal, setShowPayPal] = useState(false);
+  const [subscription, setSubscription] = useState(null);
+  const [planChange, setPlanChange] = useState(null);
+  const [changingPlan, setChangingPlan] = useState(false);
+  const [couponInput, setCouponInput] = useState('');
+  const [couponCode, setCouponCode] = useState(null);
+  const [couponQuotes, setCouponQuotes] = useState({});
+  const [applyingCoupon, setApplyingCoupon] = useState(false);
+  const [startingCheckout, setStartingCheckout] = useState(false);
+
+  const loadSubscription = useCallback(async () => {
+    try {
+      const response = await axios.get('/subscriptions/current');
+      setSubscription(response.data);
+    } catch (error) {
+      console.error('Failed to load subscription:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadSubscription();
+    } else {
+      setSubscription(null);
+    }
+  }, [user, loadSubscription]);
+
+  // Discounted price of every paid plan for the applied coupon; plans it does not cover get its error instead
+  const quoteCoupon = useCallback(async (code) => {
+    const paidPlans = tiers.filter(tier => tier.price.monthly > 0);
+    const results = await Promise.all(paidPlans.map(tier => axios
+      .post('/subscriptions/coupons/validate', { code, planId: tier.id, billingCycle })
+      .then(response => [tier.id, response.data])
+      .catch(error => [tier.id, { valid: false, error: error.response?.data?.error || 'Invalid coupon code' }])));
+    return Object.fromEntries(results);
+  }, [tiers, billingCycle]);
+
+  useEffect(() => {
+    if (couponCode) {
+      quoteCoupon(couponCode).then(setCouponQuotes);
+    }
+  }, [couponCode, quoteCoupon]);
+
+  const applyCoupon = async (e) => {
+    e.preventDefault();
+    const code = couponInput.trim().toUpperCase();
+    if (!code) {
+      return;
+    }
+
+    setApplyingCoupon(true);
+    try {
+      const quotes = await quoteCoupon(code);
+      const applicable = Object.values(quotes).filter(quote => quote.valid);
+      if (applicable.length === 0) {
+        toast.error(Object.values(quotes)[0]?.error || 'Invalid coupon code');
+        return;
+      }
+      setCouponCode(code);
+      setCouponQuotes(quotes);
+      toast.success(`Coupon applied: ${applicable[0].description}`);
+    } finally {
+      setApplyingCoupon(false);
+    }
+  };
+
+  const removeCoupon = () => {
+    setCouponCode(null);
+    setCouponQuotes({});
+    setCouponInput('');
+  };
+
+  // Applied coupon quote for a plan, if the coupon covers it
+  const quoteFor = (planId) => (couponCode && couponQuotes[planId]?.valid ? couponQuotes[planId] : null);
+
+  // Active card subscriptions change plans in place (prorated); everyone else checks out with PayPal
+  const canChangePlan = Boolean(subscription && subscription.provider === 'stripe' &&
+    subscription.status === 'active' && !subscription.cancelAtPeriodEnd);
 
   // PayPal payment handlers
-  const handlePaymentSuccess = (paymentData) => {
+  // The capture has already upgraded the tier server-side, reload it
+  const handlePaymentSuccess = async (paymentData) => {
     console.log('Payment successful:', paymentData);
     toast.success(`Successfully subscribed to ${selectedPlan.name} plan!`);
     setShowPayPal(false);
     setSelectedPlan(null);
-    // TODO: Update user subscription in database
-    // TODO: Redirect to dashboard or success page
+    await refreshUser();
+    navigate('/dashboard');
   };
 
   const handlePaymentError = (error) => {
@@ -33,99 +115,103 @@ const Pricing = () => {
     setShowPayPal(false);
   };
 
-  const plans = [
-    {
-      id: 'free',
-      name: 'Free',
-      price: { monthly: 0, yearly: 0 },
+  // Marketing copy per catalog tier; prices, limits and features come from the tier catalog
+  const planCopy = {
+    free: {
       description: 'Perfect for trying out our AI-powered file conversion',
-      features: [
-        '5 file conversions per week',
-        'Basic file formats (PDF, Excel, TXT, Images)',
-        'Standard AI processing',
-        'Community support',
-        'File size limit: 20MB',
-        'Single file processing only'
-      ],
-      limitations: [
-        'Limited weekly usage',
-        'Basic formats only',
-        'No batch processing',
-        'No priority support'
-      ],
-      cta: user ? 'Current Plan' : 'Get Started Free',
-      popular: false,
-      current: user?.subscriptionTier === 'free'
+      cta: user ? 'Current Plan' : 'Get Started Free'
     },
-    {
-      id: 'basic',
-      name: 'Basic',
-      price: { monthly: 9.99, yearly: 99.99 },
+    basic: {
       description: 'Great for individuals and small businesses',
-      features: [
-        'Unlimited file conversions',
-        'All file formats supported',
-        'Advanced AI processing',
-        'Email support',
-        'File size limit: 100MB',
-        'Batch processing (up to 10 files)',
-        'Content analysis tools',
-        'Processing history'
-      ],
-      limitations: [],
-      cta: 'Start Basic Plan',
-      popular: false,
-      current: user?.subscriptionTier === 'basic'
+      cta: 'Start Basic Plan'
     },
-    {
-      id: 'premium',
-      name: 'Premium',
-      price: { monthly: 19.99, yearly: 199.99 },
+    premium: {
       description: 'Perfect for content creators and teams',
-      features: [
-        'Unlimited file conversions',
-        'All file formats supported',
-        'Advanced AI processing',
-        'Content variations generator',
-        'Priority support',
-        'File size limit: 300MB',
-        'Unlimited batch processing',
-        'Custom conversion templates',
-        'Analytics dashboard',
-        'API access',
-        'Team collaboration tools'
-      ],
-      limitations: [],
-      cta: 'Start Premium Plan',
-      popular: true,
-      current: user?.subscriptionTier === 'premium'
+      cta: 'Start Premium Plan'
     },
-    {
-      id: 'enterprise',
-      name: 'Enterprise',
-      price: { monthly: 49.99, yearly: 499.99 },
+    enterprise: {
       description: 'For large organizations with high-volume needs',
-      features: [
-        'Unlimited file conversions',
-        'All file formats supported',
-        'Advanced AI processing with priority queue',
-        'Dedicated account manager',
-        '24/7 phone support',
-        'File size limit: 1GB',
-        'Unlimited batch processing',
-        'Custom integrations',
-        'Advanced analytics',
-        'Full API access',
-        'Team management',
-        'Custom branding',
-        'SLA guarantee'
-      ],
-      limitations: [],
-      cta: 'Contact Sales',
-      popular: false,
-      current: user?.subscriptionTier === 'enterprise'
+      cta: 'Contact Sales'
     }
-  ];
+  };
+
+  const currentTierId = user ? getTier(user.subscriptionTier || user.tier)?.id : null;
+  const currentBillingCycle = canChangePlan ? subscription.billingCycle : null;
+  const hasPendingChange = Boolean(canChangePlan && subscription.pendingChange);
+
+  const plans = tiers.map(tier => ({
+    id: tier.id,
+    name: tier.shortName,
+    price: tier.price,
+    description: planCopy[tier.id]?.description || '',
+    features: tier.featureList,
+    cta: planCopy[tier.id]?.cta || `Start ${tier.shortName} Plan`,
+    popular: tier.recommended,
+    // Trials are offered to accounts that have never subscribed
+    trialDays: !subscription || subscription.trialEligible ? tier.trialDays || 0 : 0,
+    current: currentTierId === tier.id && (!currentBillingCycle || tier.price.monthly === 0 || currentBillingCycle === billingCycle)
+  }));
+
+  const freeTier = getTier('free');
+  const trialTiers = tiers.filter(tier => tier.trialDays > 0);
+
+  const previewPlanChange = async (plan) => {
+    try {
+      const response = await axios.post('/subscriptions/change/preview', { planId: plan.id, billingCycle });
+      setPlanChange({ plan, preview: response.data });
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not preview the plan change');
+    }
+  };
+
+  const confirmPlanChange = async () => {
+    const { plan, preview } = planChange;
+    setChangingPlan(true);
+    try {
+      const response = await axios.post('/subscriptions/change', {
+        planId: plan.id,
+        billingCycle: preview.billingCycle,
+        prorationDate: preview.prorationDate
+      });
+
+      if (response.data.changeType === 'downgrade') {
+        toast.success(`You'll move to ${plan.name} on ${formatDate(response.data.effectiveAt)}`);
+      } else if (response.data.changeType === 'cancel_pending') {
+        toast.success('Scheduled plan change cancelled');
+      } else {
+        toast.success(`You're now on the ${plan.name} plan!`);
+      }
+      setPlanChange(null);
+      await Promise.all([refreshUser(), loadSubscription()]);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Plan change failed. Please try again.');
+      // An expired preview is refreshed so the user can confirm the current amount
+      if (error.response?.status === 409) {
+        setPlanChange(null);
+      }
+    } finally {
+      setChangingPlan(false);
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString();
+
+  // Card checkout on Stripe's hosted page, with the plan's free trial when the account qualifies
+  const startCardCheckout = async () => {
+    setStartingCheckout(true);
+    try {
+      const response = await axios.post('/subscriptions/checkout', {
+        planId: selectedPlan.id,
+        billingCycle,
+        trial: selectedPlan.trialDays > 0,
+        couponCode: quoteFor(selectedPlan.id) ? couponCode : undefined
+      });
+      window.location.href = response.data.url;
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Could not start checkout. Please try again.');
+      setStartingCheckout(false);
+    }
+  };
 
   const handlePlanSelect = (planId) => {
     // All plans redirect to get-started page for signup if not logged in
@@ -134,8 +220,15 @@ const Pricing = () => {
       return;
     }
 
-    // For logged-in users, show PayPal payment for paid plans
     const plan = plans.find(p => p.id === planId);
+
+    // Subscribers see what the change costs before confirming it
+    if (plan && plan.price[billingCycle] > 0 && canChangePlan) {
+      previewPlanChange(plan);
+      return;
+    }
+
+    // For logged-in users, show PayPal payment for paid plans
     if (plan && plan.price[billingCycle] > 0) {
       setSelectedPlan(plan);
       setShowPayPal(true);
@@ -203,6 +296,47 @@ const Pricing = () => {
             </div>
           </div>
 
+          {/* Promo code */}
+          {!canChangePlan && (
+            <div className="flex justify-center mb-8">
+              {couponCode ? (
+                <div className="inline-flex items-center bg-green-50 border border-green-200 text-green-800 rounded-lg px-4 py-2 text-sm">
+                  <Tag className="h-4 w-4 mr-2" />
+                  <span className="font-semibold mr-2">{couponCode}</span>
+                  <span>{Object.values(couponQuotes).find(quote => quote.valid)?.description}</span>
+                  <button onClick={removeCoupon} className="ml-3" aria-label="Remove coupon">
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={applyCoupon} className="flex">
+                  <input
+                    type="text"
+                    value={couponInput}
+                    onChange={(e) => setCouponInput(e.target.value)}
+                    placeholder="Promo code"
+                    className="px-4 py-2 border border-gray-300 rounded-l-lg text-sm uppercase focus:ring-2 focus:ring-primary-200"
+                  />
+                  <button
+                    type="submit"
+                    disabled={applyingCoupon || !couponInput.trim()}
+                    className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-r-lg hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {applyingCoupon ? 'Checking...' : 'Apply'}
+                  </button>
+                </form>
+              )}
+            </div>
+          )}
+
+          {/* Scheduled plan change */}
+          {hasPendingChange && (
+            <div className="max-w-2xl mx-auto mb-8 bg-amber-50 border border-amber-200 rounded-lg p-4 text-center text-sm text-amber-800">
+              Your plan changes to {getTier(subscription.pendingChange.tier)?.shortName} ({subscription.pendingChange.billingCycle}) on {formatDate(subscription.pendingChange.effectiveAt)}.
+              Select your current plan again to keep it.
+            </div>
+          )}
+
           {/* Pricing Cards */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             {plans.map((plan) => (
@@ -239,8 +373,13 @@ const Pricing = () => {
                 <div className="text-center mb-6">
                   <h3 className="text-xl font-bold text-gray-900 mb-2">{plan.name}</h3>
                   <div className="mb-2">
+                    {quoteFor(plan.id) && (
+                      <span className="text-xl text-gray-400 line-through mr-2">
+                        ${plan.price[billingCycle]}
+                      </span>
+                    )}
                     <span className="text-4xl font-bold text-gray-900">
-                      ${plan.price[billingCycle]}
+                      ${quoteFor(plan.id) ? quoteFor(plan.id).discountedPrice : plan.price[billingCycle]}
                     </span>
                     {plan.price[billingCycle] > 0 && (
                       <span className="text-gray-600 ml-1">
@@ -248,6 +387,12 @@ const Pricing = () => {
                       </span>
                     )}
                   </div>
+                  {quoteFor(plan.id) && (
+                    <p className="text-green-700 text-xs font-medium mb-2">{quoteFor(plan.id).description}</p>
+                  )}
+                  {plan.trialDays > 0 && !plan.current && (
+                    <p className="text-primary-700 text-xs font-medium mb-2">{plan.trialDays}-day free trial with card checkout</p>
+                  )}
                   <p className="text-gray-600 text-sm">{plan.description}</p>
                 </div>
 
@@ -266,9 +411,9 @@ const Pricing = () => {
                 {/* CTA Button */}
                 <button
                   onClick={() => handlePlanSelect(plan.id)}
-                  disabled={plan.current}
+                  disabled={plan.current && !hasPendingChange}
                   className={`w-full py-3 px-6 rounded-xl font-semibold transition-all duration-200 shadow-md hover:shadow-lg ${
-                    plan.current
+                    plan.current && !hasPendingChange
                       ? 'bg-gray-200 text-gray-500 cursor-not-allowed'
                       : plan.popular
                       ? 'bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700'
@@ -277,7 +422,7 @@ const Pricing = () => {
                       : 'bg-gradient-to-r from-orange-500 to-red-500 text-white hover:from-orange-600 hover:to-red-600'
                   }`}
                 >
-                  {plan.current ? 'Current Plan' : plan.cta}
+                  {plan.current ? (hasPendingChange ? 'Keep Current Plan' : 'Current Plan') : plan.cta}
                 </button>
               </div>
             ))}
@@ -312,8 +457,8 @@ const Pricing = () => {
                   Is there a free trial?
                 </h3>
                 <p className="text-gray-600 text-sm">
-                  Yes! Our Free plan lets you process 5 files per day with no time limit. 
-                  No credit card required to get started.
+                  Yes! Our Free plan lets you process {freeTier ? freeTier.quotas.conversionsPerMonth : 'a few'} files per month with no time limit. 
+                  No credit card required to get started. {trialTiers.length > 0 && `${trialTiers.map(tier => tier.shortName).join(' and ')} also start with a ${trialTiers[0].trialDays}-day free trial when you subscribe by card.`}
                 </p>
               </div>
               <div>
@@ -349,6 +494,75 @@ const Pricing = () => {
         </div>
       </div>
 
+      {/* Plan Change Modal */}
+      {planChange && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl p-8 max-w-md w-full">
+            <div className="text-center mb-6">
+              <h3 className="text-2xl font-bold text-gray-900 mb-2">
+                {planChange.preview.changeType === 'cancel_pending'
+                  ? `Stay on ${planChange.plan.name}`
+                  : `Switch to ${planChange.plan.name}`}
+              </h3>
+              <p className="text-gray-600">
+                ${planChange.preview.nextAmount}/{planChange.preview.billingCycle === 'monthly' ? 'month' : 'year'}
+              </p>
+            </div>
+
+            {planChange.preview.changeType === 'upgrade' && (
+              <div className="mb-6">
+                <ul className="space-y-2 mb-4">
+                  {planChange.preview.lines.map((line, index) => (
+                    <li key={index} className="flex justify-between text-sm text-gray-700">
+                      <span className="mr-4">{line.description}</span>
+                      <span>{line.amount < 0 ? '-' : ''}${Math.abs(line.amount).toFixed(2)}</span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="bg-blue-50 rounded-lg p-4 flex justify-between font-semibold text-blue-900">
+                  <span>Due today</span>
+                  <span>${planChange.preview.amountDue.toFixed(2)}</span>
+                </div>
+              </div>
+            )}
+
+            {planChange.preview.changeType === 'downgrade' && (
+              <div className="bg-blue-50 rounded-lg p-4 mb-6">
+                <p className="text-sm text-blue-800">
+                  Nothing is charged today. You keep your current plan until {formatDate(planChange.preview.effectiveAt)},
+                  then you'll be charged ${planChange.preview.nextAmount} {planChange.preview.billingCycle === 'monthly' ? 'monthly' : 'annually'}.
+                </p>
+              </div>
+            )}
+
+            {planChange.preview.changeType === 'cancel_pending' && (
+              <div className="bg-blue-50 rounded-lg p-4 mb-6">
+                <p className="text-sm text-blue-800">
+                  Your scheduled plan change will be cancelled and your current plan renews as usual.
+                </p>
+              </div>
+            )}
+
+            <div className="flex justify-center space-x-4">
+              <button
+                onClick={() => setPlanChange(null)}
+                disabled={changingPlan}
+                className="text-gray-500 hover:text-gray-700 font-medium"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={confirmPlanChange}
+                disabled={changingPlan}
+                className="py-2 px-6 rounded-xl font-semibold bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+              >
+                {changingPlan ? 'Updating...' : 'Confirm'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* PayPal Payment Modal */}
       {showPayPal && selectedPlan && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -362,14 +576,31 @@ const Pricing = () => {
               </p>
               <div className="bg-blue-50 rounded-lg p-4 mb-4">
                 <p className="text-sm text-blue-800">
-                  You'll be charged ${selectedPlan.price[billingCycle]} {billingCycle === 'monthly' ? 'monthly' : 'annually'} until you cancel.
+                  {quoteFor(selectedPlan.id)
+                    ? `Coupon ${couponCode}: ${quoteFor(selectedPlan.id).description}. You pay $${quoteFor(selectedPlan.id).discountedPrice} for this ${billingCycle === 'monthly' ? 'month' : 'year'}.`
+                    : `You'll be charged $${selectedPlan.price[billingCycle]} ${billingCycle === 'monthly' ? 'monthly' : 'annually'} until you cancel.`}
                 </p>
               </div>
             </div>
 
+            <div className="mb-4">
+              <button
+                onClick={startCardCheckout}
+                disabled={startingCheckout}
+                className="w-full py-3 px-6 rounded-xl font-semibold bg-gradient-to-r from-blue-600 to-purple-600 text-white hover:from-blue-700 hover:to-purple-700 disabled:opacity-50"
+              >
+                {startingCheckout
+                  ? 'Redirecting...'
+                  : selectedPlan.trialDays > 0 ? `Start ${selectedPlan.trialDays}-day free trial with card` : 'Pay by card'}
+              </button>
+            </div>
+
             <div className="mb-6">
               <PayPalButton
-                amount={selectedPlan.price[billingCycle]}
+                amount={quoteFor(selectedPlan.id) ? quoteFor(selectedPlan.id).discountedPrice : selectedPlan.price[billingCycle]}
+                couponCode={quoteFor(selectedPlan.id) ? couponCode : undefined}
+                planId={selectedPlan.id}
+                billingCycle={billingCycle}
                 planName={selectedPlan.name}
                 onSuccess={handlePaymentSuccess}
                 onError={handlePaymentError}
@@ -1,16 +1,39 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useAuth } from '../contexts/AuthContext';
-import { User, Mail, Calendar, Save, Loader, Star, Shield, Zap } from 'lucide-react';
+import { useTiers } from '../contexts/TierContext';
+import { User, Mail, Calendar, Save, Loader, Star, Shield, Zap, CreditCard, KeyRound, MonitorSmartphone, ShieldCheck } from 'lucide-react';
+import BillingHistory from '../components/BillingHistory';
+import OverageSettings from '../components/OverageSettings';
+import ApiKeys from '../components/ApiKeys';
+import Sessions from '../components/Sessions';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+
+const TABS = [
+  { id: 'account', label: 'Account', icon: User },
+  { id: 'billing', label: 'Billing', icon: CreditCard },
+  { id: 'security', label: 'Security', icon: ShieldCheck },
+  { id: 'sessions', label: 'Sessions', icon: MonitorSmartphone },
+  { id: 'api-keys', label: 'API Keys', icon: KeyRound }
+];
 
 const Profile = () => {
   const { user, updateProfile } = useAuth();
+  const { getTier } = useTiers();
+  const tier = getTier(user?.subscriptionTier);
+  const tierId = tier?.id || 'free';
   const [formData, setFormData] = useState({
     name: user?.name || '',
     email: user?.email || ''
   });
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
+  // Links can open a tab, e.g. /profile?tab=security
+  const [searchParams] = useSearchParams();
+  const [activeTab, setActiveTab] = useState(
+    TABS.some(tab => tab.id === searchParams.get('tab')) ? searchParams.get('tab') : 'account'
+  );
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -112,6 +135,34 @@ const Profile = () => {
             </p>
           </div>
 
+          {/* Tabs */}
+          <div className="flex justify-center mb-8">
+            <div className="inline-flex bg-white rounded-xl shadow p-1 border border-purple-100">
+              {TABS.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => setActiveTab(id)}
+                  className={`px-6 py-2 rounded-lg font-semibold inline-flex items-center transition-colors ${
+                    activeTab === id ? 'bg-gradient-to-r from-purple-600 to-blue-600 text-white' : 'text-gray-600 hover:text-purple-600'
+                  }`}
+                >
+                  <Icon className="h-4 w-4 mr-2" />
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {activeTab === 'security' && <TwoFactorSettings />}
+          {activeTab === 'sessions' && <Sessions />}
+          {activeTab === 'api-keys' && <ApiKeys />}
+          {activeTab === 'billing' && (
+            <>
+              <OverageSettings />
+              <BillingHistory />
+            </>
+          )}
+          {activeTab === 'account' && (
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
             {/* Profile Info Card */}
             <div className="lg:col-span-1">
@@ -134,9 +185,9 @@ const Profile = () => {
                   <div className="space-y-4">
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-gray-600">Current Plan</span>
-                      <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold text-white bg-gradient-to-r ${getPlanColor(user?.subscriptionTier)}`}>
-                        {getPlanIcon(user?.subscriptionTier)}
-                        <span className="ml-1 capitalize">{user?.subscriptionTier || 'Free'}</span>
+                      <div className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-semibold text-white bg-gradient-to-r ${getPlanColor(tierId)}`}>
+                        {getPlanIcon(tierId)}
+                        <span className="ml-1">{tier?.shortName || 'Free'}</span>
                       </div>
                     </div>
                     <div className="flex justify-between items-center">
@@ -239,17 +290,17 @@ const Profile = () => {
                 <div className="bg-gradient-to-r from-purple-50 to-blue-50 rounded-xl p-6 border border-purple-100">
                   <div className="flex items-center justify-between">
                     <div className="flex items-center">
-                      <div className={`p-3 rounded-xl bg-gradient-to-r ${getPlanColor(user?.subscriptionTier)} shadow-lg`}>
+                      <div className={`p-3 rounded-xl bg-gradient-to-r ${getPlanColor(tierId)} shadow-lg`}>
                         <div className="text-white">
-                          {getPlanIcon(user?.subscriptionTier)}
+                          {getPlanIcon(tierId)}
                         </div>
                       </div>
                       <div className="ml-4">
-                        <p className="text-lg font-bold text-gray-900 capitalize">
-                          {user?.subscriptionTier || 'Free'} Plan
+                        <p className="text-lg font-bold text-gray-900">
+                          {tier?.shortName || 'Free'} Plan
                         </p>
                         <p className="text-gray-600">
-                          {user?.subscriptionTier === 'free' 
+                          {tierId === 'free' 
                             ? 'Upgrade to unlock more features and higher limits'
                             : 'Manage your subscription settings and billing'
                           }
@@ -257,7 +308,7 @@ const Profile = () => {
                       </div>
                     </div>
                     <div>
-                      {user?.subscriptionTier === 'free' ? (
+                      {tierId === 'free' ? (
                         <a
                           href="/pricing"
                           className="bg-gradient-to-r from-yellow-400 to-orange-500 text-white px-6 py-3 rounded-xl font-semibold hover:from-yellow-500 hover:to-orange-600 transition-all duration-200 transform hover:scale-105 shadow-lg inline-flex items-center"
@@ -266,8 +317,11 @@ const Profile = () => {
                           Upgrade Plan
                         </a>
                       ) : (
-                        <button className="text-purple-600 hover:text-purple-500 font-semibold px-4 py-2 rounded-lg hover:bg-purple-50 transition-colors">
-                          Manage Subscription
+                        <button
+                          onClick={() => setActiveTab('billing')}
+                          className="text-purple-600 hover:text-purple-500 font-semibold px-4 py-2 rounded-lg hover:bg-purple-50 transition-colors"
+                        >
+                          Billing History
                         </button>
                       )}
                     </div>
@@ -298,6 +352,7 @@ const Profile = () => {
               </div>
             </div>
           </div>
+          )}
         </div>
       </div>
     </>
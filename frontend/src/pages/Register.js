@@ -99,7 +99,7 @@ const Register = () => {
     try {
       const result = await register(formData.name, formData.email, formData.password);
       if (result.success) {
-        navigate('/convert');
+        navigate(`/verify-email?email=${encodeURIComponent(formData.email)}`);
       }
     } catch (error) {
       console.error('Registration error:', error);
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Lock } from 'lucide-react';
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+const buttonClass = 'w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-xl font-semibold disabled:opacity-50';
+
+// Forgot password: asks for the email address to send a reset link to. Opened from that link,
+// sets the new password
+const ResetPassword = ({ onShowLogin }) => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  const requestLink = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const response = await axios.post('/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (requestError) {
+      setError(requestError.response?.data?.error || 'Failed to send the reset email');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetPassword = async (e) => {
+    e.preventDefault();
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    try {
+      const response = await axios.post('/auth/reset-password', { token, password });
+      toast.success(response.data.message);
+      setDone(true);
+    } catch (resetError) {
+      setError(resetError.response?.data?.error || 'Failed to reset your password');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  let content;
+  if (done) {
+    content = (
+      <>
+        <p className="text-gray-600 mb-6">Your password was changed, and you were signed out everywhere.</p>
+        <button onClick={onShowLogin} className={buttonClass}>Sign in</button>
+      </>
+    );
+  } else if (token) {
+    content = (
+      <form onSubmit={resetPassword} className="space-y-3">
+        <input
+          type="password"
+          required
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          placeholder="New password"
+          className={inputClass}
+        />
+        <input
+          type="password"
+          required
+          value={confirmPassword}
+          onChange={(event) => setConfirmPassword(event.target.value)}
+          placeholder="Confirm the new password"
+          className={inputClass}
+        />
+        <p className="text-xs text-gray-500 text-left">
+          At least 8 characters, with a lowercase and an uppercase letter, a number and a special character (@$!%*?&).
+        </p>
+        <button type="submit" disabled={busy || !password} className={buttonClass}>
+          {busy ? 'Saving...' : 'Set new password'}
+        </button>
+      </form>
+    );
+  } else if (message) {
+    content = <p className="text-gray-600">{message}</p>;
+  } else {
+    content = (
+      <form onSubmit={requestLink} className="space-y-3">
+        <p className="text-gray-600 mb-3">Enter your account's email address and we'll send you a link to choose a new password.</p>
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          placeholder="Your email address"
+          className={inputClass}
+        />
+        <button type="submit" disabled={busy || !email} className={buttonClass}>
+          {busy ? 'Sending...' : 'Send reset link'}
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-50 py-24">
+      <Helmet>
+        <title>Reset Password - File Drop AI</title>
+      </Helmet>
+      <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 border border-purple-100 text-center">
+        <Lock className="h-12 w-12 mx-auto mb-4 text-purple-600" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Reset your password</h1>
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {content}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
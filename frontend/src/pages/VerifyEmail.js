@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { MailCheck, Loader, ShieldCheck } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page of the verification email's link, which verifies the address and signs in.
+// Accounts with two-factor authentication enter a code to sign in, and a link used before asks
+// to sign in with the password. Without a token it asks to check the inbox, and can send the
+// email again
+const VerifyEmail = ({ onShowLogin }) => {
+  const { completeLogin, completeTwoFactor } = useAuth();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  const [email, setEmail] = useState(searchParams.get('email') || '');
+  const [sending, setSending] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [signInRequired, setSignInRequired] = useState(false);
+  const token = searchParams.get('token');
+  // A verification link signs in once, even if the effect runs twice
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) {
+      return;
+    }
+    submitted.current = true;
+
+    axios.post('/auth/verify-email', { token })
+      .then(async response => {
+        if (response.data.twoFactorRequired) {
+          setChallengeToken(response.data.challengeToken);
+          return;
+        }
+        if (response.data.signInRequired) {
+          setSignInRequired(true);
+          return;
+        }
+        await completeLogin(response.data);
+        toast.success('Email verified. Welcome!');
+        navigate('/convert');
+      })
+      .catch(verifyError => {
+        setSignInRequired(verifyError.response?.data?.code === 'EMAIL_ALREADY_VERIFIED');
+        setError(verifyError.response?.data?.error || 'Failed to verify your email address');
+      });
+  }, [token]);
+
+  const submitCode = async (e) => {
+    e.preventDefault();
+    const result = await completeTwoFactor(challengeToken, { code: code.trim() });
+    if (result.success) {
+      navigate('/convert');
+    } else {
+      setCode('');
+    }
+  };
+
+  const resend = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await axios.post('/auth/verify-email/resend', { email });
+      toast.success(response.data.message);
+    } catch (resendError) {
+      toast.error(resendError.response?.data?.error || 'Failed to send the verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  let content;
+  if (challengeToken) {
+    content = (
+      <form onSubmit={submitCode} className="space-y-3">
+        <p className="text-gray-600 mb-6 flex items-start text-left">
+          <ShieldCheck className="h-6 w-6 mr-3 text-purple-600 flex-shrink-0" />
+          Your email address is verified. Enter the 6-digit code from your authenticator app to sign in.
+        </p>
+        <input
+          required
+          autoFocus
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          placeholder="123456"
+          className="w-full px-4 py-3 border border-gray-300 rounded-xl text-center tracking-widest font-mono focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={!code.trim()}
+          className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-xl font-semibold disabled:opacity-50"
+        >
+          Verify
+        </button>
+      </form>
+    );
+  } else if (signInRequired) {
+    content = (
+      <>
+        <p className="text-gray-600 mb-6">{error || 'Your email address is verified. Please sign in.'}</p>
+        <button
+          onClick={onShowLogin}
+          className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-xl font-semibold"
+        >
+          Sign in
+        </button>
+      </>
+    );
+  } else if (token && !error) {
+    content = (
+      <p className="text-gray-600 flex items-center justify-center">
+        <Loader className="h-5 w-5 mr-2 animate-spin" />
+        Verifying your email address...
+      </p>
+    );
+  } else {
+    content = (
+      <>
+        {error ? (
+          <p className="text-red-600 mb-6">{error}</p>
+        ) : (
+          <p className="text-gray-600 mb-6">
+            We sent a verification link to your email address. Open it to activate your account.
+          </p>
+        )}
+        <form onSubmit={resend} className="space-y-3">
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(event) => setEmail(event.target.value)}
+            placeholder="Your email address"
+            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={sending || !email}
+            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-xl font-semibold disabled:opacity-50"
+          >
+            {sending ? 'Sending...' : 'Send the verification email again'}
+          </button>
+        </form>
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-50 py-24">
+      <Helmet>
+        <title>Verify Email - File Drop AI</title>
+      </Helmet>
+      <div className="max-w-md mx-auto bg-white rounded-2xl shadow-xl p-8 border border-purple-100 text-center">
+        <MailCheck className="h-12 w-12 mx-auto mb-4 text-purple-600" />
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Verify your email</h1>
+        {content}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;